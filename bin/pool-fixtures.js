@@ -0,0 +1,334 @@
+#!/usr/bin/env node
+const path = require('path');
+const {parseArgs} = require('util');
+const {COMMANDS, run_pipeline, run_leagues} = require('../scripts/pipeline');
+const {update_teams_file} = require('../scripts/discover-teams');
+const {load_leagues_async, select_leagues} = require('../scripts/leagues');
+const {collect_release_assets, restore_release_assets} = require('../scripts/release');
+const {create_league_fetcher} = require('../scripts/get-team-pages');
+const {parse_points_rules} = require('../scripts/standings');
+const {serve_feeds} = require('../scripts/server');
+const {check_export_formats} = require('../scripts/exporters');
+
+const USAGE = `Usage: pool-fixtures <command> [options]
+
+Commands:
+  discover Update teams.json with every team listed on the league website
+  fetch    Download each team's page from the league website
+  parse    Extract fixtures and results from the downloaded pages to JSON
+  build    Build and validate an .ics calendar per team from the JSON
+  verify   Check each team's page and calendar against the last published build before release
+  archive  Keep this season's fixtures, results and calendars in <out-dir>/archive/<season>
+  clashes  Report linked teams playing the same night, overbooked venues and back-to-back nights
+  standings
+           Build the league table per division from the results JSON
+  players  Read each played match's card and build every player's frame statistics
+  changes  Compare the fixtures with the previously published ones in <out-dir>/previous
+  notify   Send match-tomorrow reminders and fixture change alerts to subscribers.json
+  site     Build the static website with a subscribe page per team
+  calendars
+           Run fetch, parse and build, to bring the calendars up to date
+  all      Run fetch, parse, build, verify, archive, clashes, standings, players, changes, notify
+           and site in order
+  serve    Serve one league's calendars over HTTP, rebuilding them when they are out of date
+  restore  Put the files of the previous release from <out-dir>/release back in place
+  release  Gather every league's calendars, fixtures and standings into <out-dir>/release
+
+Options:
+  -l, --league <id>        Only process this league from the config (repeatable)
+  -t, --team <name>        Only process this team (repeatable)
+      --config <path>      Path to leagues.json (default: ./leagues.json in the repo)
+      --teams-file <path>  Process a single teams.json directly into <out-dir>, ignoring the config
+      --out-dir <path>     Directory for pages, JSON and calendars (default: ./dist in the repo)
+      --offline            Reuse previously fetched HTML and match cards instead of downloading them
+      --timeout <ms>       Give up on a request after this many milliseconds (default: 20000)
+      --retries <n>        Retry timeouts, 429 and 5xx responses this many times (default: 3)
+      --concurrency <n>    Requests in flight per host at once (default: 2)
+      --cache-dir <path>   Where ETag/Last-Modified responses are cached (default: ./.cache/http in the repo)
+      --no-cache           Always download pages in full instead of sending conditional requests
+      --reminder <minutes> Remind calendar subscribers this long before each fixture (repeatable;
+                           overrides "reminders" in the config)
+      --export <format>    Also write each team's and the league's calendar as csv, jcal, xcal,
+                           atom, rss or json-feed (repeatable; overrides "exports" in the config)
+      --clash-warnings     Warn about clashes in the affected fixtures' calendar events
+                           (overrides "clash_warnings" in the config)
+      --max-shrink <share> Refuse to publish a calendar that lost more than this share of its events
+                           or dates, from 0 to 1 (default: 0.5; overrides "max_shrink" in the config)
+      --points <rules>     Points rules for standings, e.g. win=2,draw=1,loss=0,frame=0
+      --calendar-base-url <url>
+                           Where the .ics files are published, for the site's subscribe links
+      --port <n>           Port to serve on (serve; default: 8080, or PORT)
+      --host <address>     Address to listen on (serve; default: every interface)
+      --ttl <seconds>      Rebuild served calendars once they are this old (serve; default: 900)
+      --league-url <url>   League index page to discover teams from (discover)
+      --prune              Remove teams that are no longer on the league website (discover)
+      --dry-run            Report what discover would change without writing teams.json
+  -h, --help               Show this help
+`;
+
+/**
+ * Reads the --reminder options as minutes, or undefined when none were given.
+ * @param {string[]} [values]
+ * @returns {number[]|undefined}
+ */
+const parse_reminders = (values) => {
+    if (!values) {
+        return undefined;
+    }
+    return values.map(value => {
+        const minutes = Number(value);
+        if (!Number.isInteger(minutes) || minutes < 0) {
+            throw new Error(`--reminder must be a whole number of minutes, got "${value}".`);
+        }
+        return minutes;
+    });
+};
+
+/**
+ * Reads the --export options, or undefined when none were given.
+ * @param {string[]} [values]
+ * @returns {string[]|undefined}
+ */
+const parse_exports = (values) => {
+    if (!values) {
+        return undefined;
+    }
+    check_export_formats(values);
+    return values;
+};
+
+/**
+ * Reads the --max-shrink option, or undefined when it was not given.
+ * @param {string} [value]
+ * @returns {number|undefined}
+ */
+const parse_max_shrink = (value) => {
+    if (value === undefined) {
+        return undefined;
+    }
+    const share = Number(value);
+    if (value.trim() === '' || !(share >= 0 && share <= 1)) {
+        throw new Error(`--max-shrink must be a share from 0 to 1, got "${value}".`);
+    }
+    return share;
+};
+
+/**
+ * Reads the fetcher options from the command line, leaving out any that were not given.
+ * @param {object} values - The parsed option values.
+ * @returns {object} Options for create_fetcher.
+ */
+const parse_fetch_options = (values) => {
+    const fetch_options = {};
+    const numeric_options = [
+        ['timeout', 'timeout_ms', 1],
+        ['retries', 'retries', 0],
+        ['concurrency', 'concurrency_per_host', 1]
+    ];
+    for (const [flag, key, minimum] of numeric_options) {
+        if (values[flag] === undefined) {
+            continue;
+        }
+        const value = Number(values[flag]);
+        if (!Number.isInteger(value) || value < minimum) {
+            throw new Error(`--${flag} must be a whole number of at least ${minimum}, got "${values[flag]}".`);
+        }
+        fetch_options[key] = value;
+    }
+    if (values['cache-dir']) {
+        fetch_options.cache_dir = path.resolve(values['cache-dir']);
+    }
+    if (values['no-cache']) {
+        fetch_options.cache_dir = null;
+    }
+    return fetch_options;
+};
+
+/**
+ * Reads the serve options from the command line, leaving out any that were not given.
+ * @param {object} values - The parsed option values.
+ * @returns {{ port?: number, host?: string, ttl_seconds?: number }}
+ */
+const parse_serve_options = (values) => {
+    const serve_options = {};
+    const port = values.port || process.env.PORT;
+    if (port !== undefined) {
+        serve_options.port = Number(port);
+        if (!Number.isInteger(serve_options.port) || serve_options.port < 0 || serve_options.port > 65535) {
+            throw new Error(`--port must be a port number, got "${port}".`);
+        }
+    }
+    if (values.ttl !== undefined) {
+        serve_options.ttl_seconds = Number(values.ttl);
+        if (!Number.isInteger(serve_options.ttl_seconds) || serve_options.ttl_seconds < 0) {
+            throw new Error(`--ttl must be a whole number of seconds, got "${values.ttl}".`);
+        }
+    }
+    if (values.host) {
+        serve_options.host = values.host;
+    }
+    return serve_options;
+};
+
+const main = async () => {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            allowPositionals: true,
+            options: {
+                league: { type: 'string', short: 'l', multiple: true },
+                team: { type: 'string', short: 't', multiple: true },
+                config: { type: 'string' },
+                'teams-file': { type: 'string' },
+                'out-dir': { type: 'string' },
+                offline: { type: 'boolean' },
+                timeout: { type: 'string' },
+                retries: { type: 'string' },
+                concurrency: { type: 'string' },
+                'cache-dir': { type: 'string' },
+                'no-cache': { type: 'boolean' },
+                reminder: { type: 'string', multiple: true },
+                export: { type: 'string', multiple: true },
+                'clash-warnings': { type: 'boolean' },
+                'max-shrink': { type: 'string' },
+                points: { type: 'string' },
+                'calendar-base-url': { type: 'string' },
+                port: { type: 'string' },
+                host: { type: 'string' },
+                ttl: { type: 'string' },
+                'league-url': { type: 'string' },
+                prune: { type: 'boolean' },
+                'dry-run': { type: 'boolean' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (error) {
+        console.error(`❌ ${error.message}\n`);
+        console.error(USAGE);
+        process.exit(2);
+    }
+
+    const { values, positionals } = parsed;
+    const [command] = positionals;
+    if (values.help || !command) {
+        console.log(USAGE);
+        process.exit(values.help ? 0 : 2);
+    }
+    const standalone_commands = ['discover', 'restore', 'release', 'serve'];
+    if ((!COMMANDS[command] && !standalone_commands.includes(command)) || positionals.length > 1) {
+        console.error(`❌ Unknown command: ${positionals.join(' ')}\n`);
+        console.error(USAGE);
+        process.exit(2);
+    }
+
+    let fetch_options;
+    let reminders;
+    let exports;
+    let max_shrink;
+    let serve_options;
+    try {
+        fetch_options = parse_fetch_options(values);
+        reminders = parse_reminders(values.reminder);
+        exports = parse_exports(values.export);
+        max_shrink = parse_max_shrink(values['max-shrink']);
+        serve_options = parse_serve_options(values);
+    } catch (error) {
+        console.error(`❌ ${error.message}\n`);
+        console.error(USAGE);
+        process.exit(2);
+    }
+
+    if (command === 'discover') {
+        try {
+            const fetcher = create_league_fetcher(fetch_options);
+            const fetch_html = async (url) => (await fetcher.fetch(url)).body;
+            if (values['teams-file']) {
+                await update_teams_file({
+                    league_url: values['league-url'],
+                    teams_file: values['teams-file'],
+                    prune: values.prune,
+                    dry_run: values['dry-run'],
+                    fetch_html
+                });
+                return;
+            }
+            const leagues = select_leagues(await load_leagues_async(values.config), values.league);
+            if (values['league-url'] && leagues.length > 1) {
+                throw new Error('--league-url needs a single --league.');
+            }
+            for (const league of leagues) {
+                console.log(`\n##### ${league.name} (${league.id}) #####`);
+                await update_teams_file({
+                    league_url: values['league-url'] || league.url,
+                    teams_file: league.teams_file,
+                    prune: values.prune,
+                    dry_run: values['dry-run'],
+                    fetch_html
+                });
+            }
+        } catch (error) {
+            console.error(`❌ Team discovery failed:`, error.message);
+            process.exit(1);
+        }
+        return;
+    }
+
+    if (command === 'serve') {
+        try {
+            await serve_feeds({
+                ...serve_options,
+                leagues_file: values.config,
+                league: values.league,
+                teams_file: values['teams-file'],
+                out_dir: values['out-dir'],
+                pipeline_options: { offline: values.offline, fetch_options, reminders, exports, clash_warnings: values['clash-warnings'] }
+            });
+        } catch (error) {
+            console.error(`❌ Could not start the server:`, error.message);
+            process.exit(1);
+        }
+        return;
+    }
+
+    if (command === 'restore' || command === 'release') {
+        try {
+            const leagues = select_leagues(await load_leagues_async(values.config), values.league);
+            const step = command === 'restore' ? restore_release_assets : collect_release_assets;
+            await step(leagues, { out_dir: values['out-dir'] && path.resolve(values['out-dir']) });
+        } catch (error) {
+            console.error(`❌ A critical error occurred:`, error.message);
+            process.exit(1);
+        }
+        return;
+    }
+
+    try {
+        const options = {
+            out_dir: values['out-dir'],
+            team: values.team,
+            offline: values.offline,
+            points_rules: parse_points_rules(values.points || process.env.POINTS_RULES),
+            calendar_base_url: values['calendar-base-url'],
+            fetch_options,
+            reminders,
+            exports,
+            clash_warnings: values['clash-warnings'],
+            max_shrink
+        };
+        const summary = values['teams-file']
+            ? await run_pipeline(command, { ...options, teams_file: values['teams-file'] })
+            : await run_leagues(command, { ...options, leagues_file: values.config, league: values.league });
+
+        console.log(`\n✅ ${summary.succeeded.length} team(s) succeeded.`);
+        if (summary.failed.length > 0) {
+            console.error(`❌ ${summary.failed.length} problem(s):`);
+            summary.failed.forEach(({ team, error }) => console.error(`   -> ${team}: ${error}`));
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error(`❌ A critical error occurred:`, error.message);
+        process.exit(1);
+    }
+};
+
+main();
@@ -0,0 +1,308 @@
+const fs = require('fs').promises;
+const path = require('path');
+const {
+    DEFAULT_TEAMS_FILE_PATH,
+    DEFAULT_OUTPUT_DIR,
+    load_teams_async,
+    select_teams,
+    get_team_file_paths,
+    create_run_summary
+} = require('./teams');
+const {LEAGUE_TIMEZONE} = require('./timezone');
+const {load_matches_async} = require('./match-model');
+const {get_season_id} = require('./event-identity');
+const {collect_matches, get_match_outcome} = require('./standings');
+
+const ARCHIVE_DIR_NAME = 'archive';
+const SEASON_FILE_NAME = 'season.json';
+const HISTORY_FILE_NAME = 'history.json';
+// Written by build_calendars; kept alongside the teams' own calendars.
+const ARCHIVED_LEAGUE_FILES = ['league.ics'];
+// LeagueRepublic links teams as /team/<season>/<team>.html and match cards as /match/<season>/<match>.html.
+const SEASON_LINK_PATTERN = /\/(?:team|match)\/(\d+)\/\d+\.html/g;
+
+const compare_seasons = (a, b) => String(a).localeCompare(String(b), undefined, { numeric: true });
+
+const same_team = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+/**
+ * Works out which season a team page belongs to, from the season id in its team and match
+ * links, falling back to the one in the team's URL when the page has none.
+ * @param {string|null} html_content - The saved team page, if any.
+ * @param {string} team_url
+ * @returns {string} e.g. "160037514", or "unknown".
+ */
+const detect_season_id = (html_content, team_url) => {
+    const counts = new Map();
+    for (const [, season] of String(html_content || '').matchAll(SEASON_LINK_PATTERN)) {
+        counts.set(season, (counts.get(season) || 0) + 1);
+    }
+    if (counts.size === 0) {
+        return get_season_id(team_url);
+    }
+    return [...counts].sort((a, b) => b[1] - a[1])[0][0];
+};
+
+/**
+ * Returns the directory a season's data is archived in.
+ * @param {string} out_dir
+ * @param {string} season
+ * @returns {string}
+ */
+const get_season_archive_dir = (out_dir, season) => path.join(out_dir, ARCHIVE_DIR_NAME, season);
+
+const read_optional_async = async (file_path) => {
+    try {
+        return await fs.readFile(file_path, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+};
+
+const copy_if_exists_async = async (source, destination) => {
+    try {
+        await fs.copyFile(source, destination);
+        return true;
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return false;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Lists the archived seasons, oldest season id first.
+ * @param {string} out_dir
+ * @returns {Promise<{ season: string, updated_at: string|null, teams: { name: string, url: string }[] }[]>}
+ */
+const list_archived_seasons_async = async (out_dir) => {
+    let entries;
+    try {
+        entries = await fs.readdir(path.join(out_dir, ARCHIVE_DIR_NAME), { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+    const seasons = [];
+    for (const season of entries.filter(entry => entry.isDirectory()).map(entry => entry.name).sort(compare_seasons)) {
+        const manifest = await read_optional_async(path.join(get_season_archive_dir(out_dir, season), SEASON_FILE_NAME));
+        seasons.push({ season, updated_at: null, teams: [], ...(manifest ? JSON.parse(manifest) : {}) });
+    }
+    return seasons;
+};
+
+/**
+ * Lists every file in the archive, for publishing it with a release.
+ * @param {string} out_dir
+ * @returns {Promise<{ season: string, file_name: string, source: string }[]>}
+ */
+const list_archive_files_async = async (out_dir) => {
+    const files = [];
+    for (const { season } of await list_archived_seasons_async(out_dir)) {
+        const season_dir = get_season_archive_dir(out_dir, season);
+        for (const file_name of (await fs.readdir(season_dir)).sort()) {
+            files.push({ season, file_name, source: path.join(season_dir, file_name) });
+        }
+    }
+    return files;
+};
+
+/**
+ * Reads the results of archived seasons from <out_dir>/archive/<season id>/results-*.json.
+ * @param {string} out_dir
+ * @param {object} [options]
+ * @param {string} [options.current_season] - Left out, since its results are read from out_dir.
+ * @param {string} [options.time_zone]
+ * @returns {Promise<Array<object>>} Played matches, each with its season.
+ */
+const load_previous_seasons_async = async (out_dir, { current_season, time_zone = LEAGUE_TIMEZONE } = {}) => {
+    const matches = [];
+    for (const { season } of await list_archived_seasons_async(out_dir)) {
+        if (season === current_season) {
+            continue;
+        }
+        const season_dir = get_season_archive_dir(out_dir, season);
+        const file_names = (await fs.readdir(season_dir)).filter(file_name => /^results-.+\.json$/.test(file_name));
+        const result_lists = [];
+        for (const file_name of file_names) {
+            result_lists.push(await load_matches_async(path.join(season_dir, file_name), { time_zone }));
+        }
+        matches.push(...collect_matches(result_lists).map(match => ({ ...match, season })));
+    }
+    return matches;
+};
+
+/**
+ * Adds up a team's record in each season and over every season.
+ * @param {Array<object>} matches - Played matches, each with its season; see load_previous_seasons_async.
+ * @param {string} team
+ * @returns {{ team: string, seasons: object[], total: { played: number, won: number, drawn: number, lost: number, frames_for: number, frames_against: number } }}
+ *   seasons are oldest season id first and only list the seasons the team played in.
+ */
+const compute_all_time_record = (matches, team) => {
+    const empty = () => ({ played: 0, won: 0, drawn: 0, lost: 0, frames_for: 0, frames_against: 0 });
+    const outcome_keys = { W: 'won', D: 'drawn', L: 'lost' };
+    const seasons = new Map();
+    const total = empty();
+    for (const match of matches) {
+        const is_home = same_team(match.home_team, team);
+        if (!is_home && !same_team(match.away_team, team)) {
+            continue;
+        }
+        if (!seasons.has(match.season)) {
+            seasons.set(match.season, { season: match.season, ...empty() });
+        }
+        const outcome = outcome_keys[get_match_outcome(match, is_home)];
+        for (const record of [seasons.get(match.season), total]) {
+            record.played += 1;
+            record[outcome] += 1;
+            if (match.score) {
+                record.frames_for += is_home ? match.score.home_score : match.score.away_score;
+                record.frames_against += is_home ? match.score.away_score : match.score.home_score;
+            }
+        }
+    }
+    return {
+        team,
+        seasons: [...seasons.values()].sort((a, b) => compare_seasons(a.season, b.season)),
+        total
+    };
+};
+
+/**
+ * Reads every archived season, the current one included, and adds up the team's record.
+ * @param {string} out_dir
+ * @param {string} team
+ * @param {object} [options]
+ * @param {string} [options.time_zone]
+ * @returns {Promise<ReturnType<typeof compute_all_time_record>>}
+ */
+const load_all_time_record_async = async (out_dir, team, { time_zone = LEAGUE_TIMEZONE } = {}) =>
+    compute_all_time_record(await load_previous_seasons_async(out_dir, { time_zone }), team);
+
+/**
+ * Records a season's teams in its season.json, keeping teams archived by earlier runs.
+ * @param {string} season_dir
+ * @param {string} season
+ * @param {{ name: string, url: string }[]} teams
+ * @param {Date} now
+ */
+const update_season_manifest_async = async (season_dir, season, teams, now) => {
+    const file_path = path.join(season_dir, SEASON_FILE_NAME);
+    const existing = await read_optional_async(file_path);
+    const manifest = existing ? JSON.parse(existing) : { season, teams: [] };
+    for (const { name, url } of teams) {
+        manifest.teams = manifest.teams.filter(team => !same_team(team.name, name));
+        manifest.teams.push({ name, url });
+    }
+    manifest.teams.sort((a, b) => a.name.localeCompare(b.name));
+    manifest.updated_at = now.toISOString();
+    await fs.writeFile(file_path, JSON.stringify(manifest, null, 2), 'utf8');
+};
+
+/**
+ * Copies each team's fixtures, results and calendar into the archive of the season they
+ * belong to, so they are kept when LeagueRepublic moves on to the next season, then writes
+ * every team's all-time record to <out_dir>/archive/history.json.
+ * Each run refreshes the current season's copy; earlier seasons are left as they were.
+ * @param {Array<object>} teams - Valid team entries from teams.json.
+ * @param {object} [options]
+ * @param {string} [options.out_dir] - The directory holding the pages, JSON and calendars.
+ * @param {string} [options.time_zone] - The IANA time zone the league's times are written in.
+ * @param {Date} [options.now]
+ * @returns {Promise<{ succeeded: string[], failed: { team: string, error: string }[] }>}
+ */
+const archive_season = async (teams, { out_dir = DEFAULT_OUTPUT_DIR, time_zone = LEAGUE_TIMEZONE, now = new Date() } = {}) => {
+    const summary = create_run_summary();
+    const archived = new Map();
+
+    for (const team of teams) {
+        const file_paths = get_team_file_paths(out_dir, team.name);
+        try {
+            const season = detect_season_id(await read_optional_async(file_paths.html), team.url);
+            const season_dir = get_season_archive_dir(out_dir, season);
+            await fs.mkdir(season_dir, { recursive: true });
+            if (!await copy_if_exists_async(file_paths.fixtures, path.join(season_dir, path.basename(file_paths.fixtures)))) {
+                throw new Error(`No fixtures JSON found at ${file_paths.fixtures}.`);
+            }
+            for (const file_path of [file_paths.results, file_paths.ics]) {
+                await copy_if_exists_async(file_path, path.join(season_dir, path.basename(file_path)));
+            }
+            if (!archived.has(season)) {
+                archived.set(season, []);
+            }
+            archived.get(season).push(team);
+            summary.succeeded.push(team.name);
+        } catch (error) {
+            console.error(`❌ Could not archive ${team.name}:`, error.message);
+            summary.failed.push({ team: team.name, error: error.message });
+        }
+    }
+
+    const league_season = [...archived].sort((a, b) => b[1].length - a[1].length).map(([season]) => season)[0];
+    for (const [season, season_teams] of archived) {
+        const season_dir = get_season_archive_dir(out_dir, season);
+        await update_season_manifest_async(season_dir, season, season_teams, now);
+        // The league calendar belongs to the season most of the teams were archived in.
+        if (season === league_season) {
+            for (const file_name of ARCHIVED_LEAGUE_FILES) {
+                await copy_if_exists_async(path.join(out_dir, file_name), path.join(season_dir, file_name));
+            }
+        }
+        console.log(`🗄️ Archived ${season_teams.length} team(s) in ${season_dir}`);
+    }
+
+    if (archived.size > 0) {
+        const matches = await load_previous_seasons_async(out_dir, { time_zone });
+        const history = {
+            generated_at: now.toISOString(),
+            seasons: await list_archived_seasons_async(out_dir),
+            teams: teams.map(team => compute_all_time_record(matches, team.name))
+        };
+        const history_path = path.join(out_dir, ARCHIVE_DIR_NAME, HISTORY_FILE_NAME);
+        await fs.writeFile(history_path, JSON.stringify(history, null, 2), 'utf8');
+        console.log(`✅ Saved every team's all-time record to ${history_path}`);
+    }
+    return summary;
+};
+
+/**
+ * Main async function to archive this season's data from dist/, or, given a team name,
+ * to print that team's all-time record from the archive.
+ */
+const main = async () => {
+    try {
+        const [team_name] = process.argv.slice(2);
+        if (team_name) {
+            console.log(JSON.stringify(await load_all_time_record_async(DEFAULT_OUTPUT_DIR, team_name), null, 2));
+            return;
+        }
+        const teams = select_teams(await load_teams_async(DEFAULT_TEAMS_FILE_PATH));
+        await archive_season(teams);
+    } catch (error) {
+        console.error(`❌ A critical error occurred:`, error.message);
+        process.exit(1);
+    }
+};
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    ARCHIVE_DIR_NAME,
+    detect_season_id,
+    get_season_archive_dir,
+    list_archived_seasons_async,
+    list_archive_files_async,
+    load_previous_seasons_async,
+    compute_all_time_record,
+    load_all_time_record_async,
+    archive_season
+};
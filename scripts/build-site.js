@@ -0,0 +1,437 @@
+const fs = require('fs').promises;
+const path = require('path');
+const {
+    DEFAULT_TEAMS_FILE_PATH,
+    DEFAULT_OUTPUT_DIR,
+    load_teams_async,
+    select_teams,
+    get_team_file_paths,
+    create_run_summary
+} = require('./teams');
+const {LEAGUE_TIMEZONE, FEEDS_FILE_NAME} = require('./json-to-ics');
+const {parse_local_date, get_match_start, get_match_key} = require('./match-model');
+const {VENUES_FILE_PATH, load_venue_registry_async, create_venue_resolver} = require('./venues');
+const {PLAYERS_FILE_NAME} = require('./players');
+const {load_head_to_head_async} = require('./head-to-head');
+const {ARCHIVE_DIR_NAME, list_archive_files_async} = require('./archive');
+const {get_season_id} = require('./event-identity');
+const {escape_html} = require('./html');
+const {slugify} = require("./slugify");
+
+const SITE_DIR_NAME = 'site';
+const HEAD_TO_HEAD_DIR_NAME = 'head-to-head';
+const DEFAULT_CALENDAR_BASE_URL = process.env.CALENDAR_BASE_URL
+    || 'https://github.com/craigiswayne/pool-league-fixtures/releases/download/latest/';
+
+const STYLES = `
+    body { font-family: system-ui, sans-serif; max-width: 56rem; margin: 0 auto; padding: 1rem; line-height: 1.4; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; }
+    th, td { text-align: left; padding: 0.4rem; border-bottom: 1px solid #ddd; }
+    .subscribe a { display: inline-block; margin: 0 0.5rem 0.5rem 0; padding: 0.5rem 1rem; border-radius: 0.3rem; background: #1a5e20; color: #fff; text-decoration: none; }
+    .venue { color: #555; font-size: 0.9em; }
+`;
+
+/**
+ * Builds the https and webcal addresses of a published calendar.
+ * @param {string} calendar_base_url - Where the .ics files are published, ending in "/".
+ * @param {string} file_name - The published file name, e.g. "league.ics".
+ * @returns {{ https: string, webcal: string }}
+ */
+const build_feed_links = (calendar_base_url, file_name) => {
+    const https_url = new URL(file_name, calendar_base_url).toString();
+    return { https: https_url, webcal: https_url.replace(/^https?:\/\//, 'webcal://') };
+};
+
+/**
+ * Builds the one-click subscribe links for a team's calendar.
+ * @param {string} calendar_base_url - Where the .ics files are published, ending in "/".
+ * @param {string} team_name
+ * @param {string} [file_prefix] - The league's prefix on published file names.
+ * @returns {{ https: string, webcal: string, google: string, outlook: string }}
+ */
+const build_subscribe_links = (calendar_base_url, team_name, file_prefix = '') => {
+    const { https: https_url, webcal: webcal_url } = build_feed_links(calendar_base_url, `${file_prefix}${slugify(team_name)}.ics`);
+    return {
+        https: https_url,
+        webcal: webcal_url,
+        google: `https://calendar.google.com/calendar/render?cid=${encodeURIComponent(webcal_url)}`,
+        outlook: `https://outlook.live.com/calendar/0/addfromweb?url=${encodeURIComponent(https_url)}&name=${encodeURIComponent(team_name)}`
+    };
+};
+
+/**
+ * Wraps page content in the shared HTML layout.
+ * @param {string} title
+ * @param {string} body - Already-escaped HTML.
+ * @returns {string}
+ */
+const render_layout = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escape_html(title)}</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+
+/**
+ * Renders the index page listing every team.
+ * @param {Array<object>} teams - Valid team entries from teams.json.
+ * @param {object} [options]
+ * @param {boolean} [options.has_standings] - Link to the standings page.
+ * @param {string} [options.league_name] - Set when the site is one of several leagues, to title it and link back to the others.
+ * @param {{ league: string, venues: { name: string, file: string }[] }} [options.feeds] - The league and venue calendars, from feeds.json.
+ * @param {string} [options.calendar_base_url] - Where the .ics files are published.
+ * @param {string} [options.file_prefix] - The league's prefix on published file names.
+ * @returns {string}
+ */
+const render_index_page = (teams, {
+    has_standings = false,
+    league_name,
+    feeds,
+    calendar_base_url = DEFAULT_CALENDAR_BASE_URL,
+    file_prefix = ''
+} = {}) => {
+    const items = [...teams]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(team => {
+            const division = team.division ? ` <span class="venue">${escape_html(team.division)}</span>` : '';
+            return `    <li><a href="teams/${escape_html(slugify(team.name))}.html">${escape_html(team.name)}</a>${division}</li>`;
+        });
+    const standings_link = has_standings ? '  <p><a href="standings.html">League standings</a></p>\n' : '';
+    const title = league_name || 'Pool League Fixtures';
+    const leagues_link = league_name ? '  <p><a href="../index.html">All leagues</a></p>\n' : '';
+    let feeds_html = '';
+    if (feeds) {
+        const feed_item = (label, file_name) => {
+            const links = build_feed_links(calendar_base_url, `${file_prefix}${file_name}`);
+            return `    <li><a href="${escape_html(links.webcal)}">${escape_html(label)}</a></li>`;
+        };
+        feeds_html = `
+  <h2>Other calendars</h2>
+  <ul>
+${[feed_item('Every match in the league', feeds.league), ...feeds.venues.map(venue => feed_item(`Matches at ${venue.name}`, venue.file))].join('\n')}
+  </ul>`;
+    }
+    return render_layout(title, `${leagues_link}  <h1>${escape_html(title)}</h1>
+  <p>Pick your team to see its fixtures and results, and add them to your calendar.</p>
+${standings_link}  <ul>
+${items.join('\n')}
+  </ul>${feeds_html}`);
+};
+
+/**
+ * Renders a team's page with subscribe links, upcoming fixtures and past results.
+ * @param {object} team - A team entry from teams.json.
+ * @param {{ upcoming: Array<object>, played: Array<object> }} events - Sorted fixtures and results.
+ * @param {(name: string) => ({ venue: object }|null)} resolve_venue - Looks venues up in the registry; see create_venue_resolver.
+ * @param {string} calendar_base_url - Where the .ics files are published.
+ * @param {string} [file_prefix] - The league's prefix on published file names.
+ * @param {Array<object>} [players] - The team's rows from players.json.
+ * @param {string[]} [past_seasons] - The earlier seasons whose calendar of the team is archived.
+ * @returns {string}
+ */
+const render_team_page = (team, { upcoming, played }, resolve_venue, calendar_base_url, file_prefix = '', players = [], past_seasons = []) => {
+    const links = build_subscribe_links(calendar_base_url, team.name, file_prefix);
+    const file_paths = get_team_file_paths('', team.name);
+    const upcoming_links = build_feed_links(calendar_base_url, `${file_prefix}${file_paths.upcoming_ics}`);
+    const results_links = build_feed_links(calendar_base_url, `${file_prefix}${file_paths.results_ics}`);
+
+    const venue_cell = (venue) => {
+        if (!venue) {
+            return '<td></td>';
+        }
+        const match = resolve_venue(venue);
+        if (!match) {
+            return `<td>${escape_html(venue)}</td>`;
+        }
+        const { address, latitude, longitude } = match.venue;
+        const address_html = address ? `<br><span class="venue">${escape_html(address)}</span>` : '';
+        const map_html = latitude !== undefined
+            ? ` <a class="venue" href="https://www.openstreetmap.org/?mlat=${latitude}&amp;mlon=${longitude}#map=17/${latitude}/${longitude}">map</a>`
+            : '';
+        return `<td>${escape_html(venue)}${address_html}${map_html}</td>`;
+    };
+
+    const upcoming_rows = upcoming.map(event => `      <tr><td>${escape_html(event.date)} ${escape_html(event.time)}</td><td>${escape_html(event.home_team)}</td><td>${escape_html(event.away_team)}</td>${venue_cell(event.venue)}</tr>`);
+    const played_rows = played.map(event => `      <tr><td>${escape_html(event.date)}</td><td>${escape_html(event.home_team)}</td><td>${escape_html(event.result || '')}</td><td>${escape_html(event.away_team)}</td></tr>`);
+
+    const upcoming_table = upcoming_rows.length > 0
+        ? `  <table>
+    <thead><tr><th>Date</th><th>Home</th><th>Away</th><th>Venue</th></tr></thead>
+    <tbody>
+${upcoming_rows.join('\n')}
+    </tbody>
+  </table>`
+        : '  <p>No upcoming fixtures.</p>';
+    const played_table = played_rows.length > 0
+        ? `  <table>
+    <thead><tr><th>Date</th><th>Home</th><th>Score</th><th>Away</th></tr></thead>
+    <tbody>
+${played_rows.join('\n')}
+    </tbody>
+  </table>`
+        : '  <p>No results yet.</p>';
+    let players_section = '';
+    if (players.length > 0) {
+        const show_break_and_dishes = players.some(player => player.break_and_dishes !== null);
+        const player_rows = players.map(player => {
+            const break_and_dish_cell = show_break_and_dishes ? `<td>${player.break_and_dishes}</td>` : '';
+            return `      <tr><td>${escape_html(player.name)}</td><td>${player.frames_played}</td><td>${player.frames_won}</td><td>${player.win_percentage}%</td>${break_and_dish_cell}</tr>`;
+        });
+        players_section = `
+  <h2>Players</h2>
+  <table>
+    <thead><tr><th>Player</th><th>Frames</th><th>Won</th><th>Win %</th>${show_break_and_dishes ? '<th>B&amp;D</th>' : ''}</tr></thead>
+    <tbody>
+${player_rows.join('\n')}
+    </tbody>
+  </table>`;
+    }
+
+    let past_seasons_section = '';
+    if (past_seasons.length > 0) {
+        const season_items = past_seasons.map(season => {
+            const season_links = build_feed_links(calendar_base_url, `${file_prefix}${ARCHIVE_DIR_NAME}-${season}-${file_paths.ics}`);
+            return `    <li><a href="${escape_html(season_links.webcal)}">Season ${escape_html(season)}</a></li>`;
+        });
+        past_seasons_section = `
+  <h2>Earlier seasons</h2>
+  <ul>
+${season_items.join('\n')}
+  </ul>`;
+    }
+
+    return render_layout(`${team.name} - Pool League Fixtures`, `  <p><a href="../index.html">All teams</a></p>
+  <h1>${escape_html(team.name)}</h1>
+${team.division ? `  <p>${escape_html(team.division)}</p>\n` : ''}  <h2>Add to your calendar</h2>
+  <p class="subscribe">
+    <a href="${escape_html(links.webcal)}">Apple / iPhone</a>
+    <a href="${escape_html(links.google)}">Google Calendar</a>
+    <a href="${escape_html(links.outlook)}">Outlook</a>
+  </p>
+  <p>Or copy this address into any calendar app: <code>${escape_html(links.https)}</code></p>
+  <p>Only want part of it? <a href="${escape_html(upcoming_links.webcal)}">Upcoming fixtures only</a> or <a href="${escape_html(results_links.webcal)}">results only</a>.</p>
+  <h2>Upcoming fixtures</h2>
+${upcoming_table}${upcoming_rows.length > 0 ? `\n  <p><a href="${HEAD_TO_HEAD_DIR_NAME}/${escape_html(slugify(team.name))}.html">Head-to-head and form for each upcoming fixture</a></p>` : ''}
+  <h2>Results</h2>
+${played_table}${players_section}${past_seasons_section}`);
+};
+
+/**
+ * Renders a team's head-to-head page: for each upcoming fixture, the two teams' meetings this
+ * season and in earlier seasons, their last results, and their home and away records.
+ * @param {object} team - A team entry from teams.json.
+ * @param {Array<object>} reports - The head-to-head report of each upcoming fixture, in date order; see build_head_to_head_report.
+ * @returns {string}
+ */
+const render_head_to_head_page = (team, reports) => {
+    const describe_split = ({ played, won, drawn, lost }) => `${played} played, ${won} won, ${drawn} drawn, ${lost} lost`;
+    const sections = reports.map(report => {
+        const meetings = [
+            ...report.this_season.meetings.map(meeting => ({ ...meeting, season: 'This season' })),
+            ...report.previous_seasons.meetings
+        ];
+        const meeting_rows = meetings.map(meeting => `      <tr><td>${escape_html(meeting.season)}</td><td>${escape_html(meeting.date)}</td><td>${escape_html(meeting.home_team)}</td><td>${escape_html(meeting.score)}</td><td>${escape_html(meeting.away_team)}</td></tr>`);
+        const meetings_html = meeting_rows.length > 0
+            ? `  <table>
+    <thead><tr><th>Season</th><th>Date</th><th>Home</th><th>Score</th><th>Away</th></tr></thead>
+    <tbody>
+${meeting_rows.join('\n')}
+    </tbody>
+  </table>`
+            : '  <p>The teams have not met before.</p>';
+        const record_text = (record) => `${escape_html(report.home_team)} ${record.home_team_wins}, ${escape_html(report.away_team)} ${record.away_team_wins}, drawn ${record.draws}`;
+        const side_rows = [report.home, report.away].map(side => {
+            const results = side.last_results
+                .map(result => `${result.outcome} ${escape_html(result.score)} ${result.side === 'H' ? 'vs' : 'at'} ${escape_html(result.opponent)}`)
+                .join('<br>');
+            return `      <tr><td>${escape_html(side.team)}</td><td>${results}</td><td>${describe_split(side.home)}</td><td>${describe_split(side.away)}</td></tr>`;
+        });
+        return `  <h2>${escape_html(report.date)} ${escape_html(report.time)}: ${escape_html(report.home_team)} vs ${escape_html(report.away_team)}</h2>
+  <p>This season: ${report.this_season.played > 0 ? record_text(report.this_season) : 'first meeting'}.${report.previous_seasons.played > 0 ? ` Previous seasons: ${record_text(report.previous_seasons)}.` : ''}</p>
+${meetings_html}
+  <table>
+    <thead><tr><th>Team</th><th>Last results, newest first</th><th>Home</th><th>Away</th></tr></thead>
+    <tbody>
+${side_rows.join('\n')}
+    </tbody>
+  </table>`;
+    });
+    return render_layout(`${team.name} head-to-head - Pool League Fixtures`, `  <p><a href="../${escape_html(slugify(team.name))}.html">${escape_html(team.name)}</a></p>
+  <h1>${escape_html(team.name)}: head-to-head</h1>
+${sections.length > 0 ? sections.join('\n') : '  <p>No upcoming fixtures.</p>'}`);
+};
+
+/**
+ * Renders the top-level index page linking to each league's site.
+ * @param {{ id: string, name: string }[]} leagues
+ * @returns {string}
+ */
+const render_leagues_index_page = (leagues) => {
+    const items = leagues.map(league => `    <li><a href="${escape_html(league.id)}/index.html">${escape_html(league.name)}</a></li>`);
+    return render_layout('Pool League Fixtures', `  <h1>Pool League Fixtures</h1>
+  <p>Pick your league or competition.</p>
+  <ul>
+${items.join('\n')}
+  </ul>`);
+};
+
+/**
+ * Splits a team's fixtures and results into upcoming and played lists, each sorted by date.
+ * Fixtures whose date cannot be read are listed last among the upcoming ones.
+ * @param {Array<object>} fixtures
+ * @param {Array<object>} results
+ * @param {object} options
+ * @param {Date} options.now
+ * @param {string} options.time_zone
+ * @returns {{ upcoming: Array<object>, played: Array<object> }}
+ */
+const split_team_events = (fixtures, results, { now, time_zone }) => {
+    const start_of = (event) => {
+        const start = get_match_start(event, time_zone)
+            || parse_local_date(event.date, '00:00', time_zone);
+        return start ? start.getTime() : Infinity;
+    };
+    const upcoming = fixtures
+        .filter(event => start_of(event) >= now.getTime())
+        .sort((a, b) => start_of(a) - start_of(b));
+    const played = [...results].sort((a, b) => start_of(b) - start_of(a));
+    return { upcoming, played };
+};
+
+const load_optional_json_async = async (file_path) => {
+    try {
+        return JSON.parse(await fs.readFile(file_path, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+};
+
+/**
+ * Generates the static site into <out_dir>/site from the JSON in out_dir.
+ * @param {Array<object>} teams - Valid team entries from teams.json.
+ * @param {object} [options]
+ * @param {string} [options.out_dir] - The directory holding the JSON.
+ * @param {string} [options.site_dir] - Where the site is written; defaults to the "site" folder in out_dir.
+ * @param {string} [options.venues_path] - The path to the venue registry.
+ * @param {string} [options.calendar_base_url] - Where the .ics files are published.
+ * @param {string} [options.calendar_file_prefix] - The league's prefix on published file names.
+ * @param {string} [options.league_name] - Set when the site is one of several leagues.
+ * @param {string} [options.time_zone] - The IANA time zone the league's fixture times are written in.
+ * @param {Date} [options.now] - Fixtures before this are not listed as upcoming.
+ * @returns {Promise<{ succeeded: string[], failed: { team: string, error: string }[] }>}
+ */
+const build_site = async (teams, {
+    out_dir = DEFAULT_OUTPUT_DIR,
+    site_dir = path.join(out_dir, SITE_DIR_NAME),
+    venues_path = VENUES_FILE_PATH,
+    calendar_base_url = DEFAULT_CALENDAR_BASE_URL,
+    calendar_file_prefix = '',
+    league_name,
+    time_zone = LEAGUE_TIMEZONE,
+    now = new Date()
+} = {}) => {
+    const summary = create_run_summary();
+    const resolve_venue = create_venue_resolver(await load_venue_registry_async(venues_path));
+    let players = [];
+    try {
+        ({ players } = JSON.parse(await fs.readFile(path.join(out_dir, PLAYERS_FILE_NAME), 'utf8')));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    }
+    const head_to_head = await load_head_to_head_async(teams, { out_dir, time_zone });
+    const archive_files = await list_archive_files_async(out_dir);
+    await fs.mkdir(path.join(site_dir, 'teams', HEAD_TO_HEAD_DIR_NAME), { recursive: true });
+
+    for (const team of teams) {
+        try {
+            const file_paths = get_team_file_paths(out_dir, team.name);
+            const events = split_team_events(
+                await load_optional_json_async(file_paths.fixtures),
+                await load_optional_json_async(file_paths.results),
+                { now, time_zone }
+            );
+            const page_path = path.join(site_dir, 'teams', `${slugify(team.name)}.html`);
+            const team_players = players.filter(player => player.team === team.name);
+            const past_seasons = archive_files
+                .filter(({ season, file_name }) => file_name === path.basename(file_paths.ics) && season !== get_season_id(team.url))
+                .map(({ season }) => season);
+            await fs.writeFile(page_path, render_team_page(team, events, resolve_venue, calendar_base_url, calendar_file_prefix, team_players, past_seasons), 'utf8');
+            const reports = events.upcoming.map(event => head_to_head.get(get_match_key(event))).filter(Boolean);
+            const head_to_head_path = path.join(site_dir, 'teams', HEAD_TO_HEAD_DIR_NAME, `${slugify(team.name)}.html`);
+            await fs.writeFile(head_to_head_path, render_head_to_head_page(team, reports), 'utf8');
+            summary.succeeded.push(team.name);
+        } catch (error) {
+            console.error(`❌ An error occurred building the page for ${team.name}:`, error.message);
+            summary.failed.push({ team: team.name, error: error.message });
+        }
+    }
+
+    let has_standings = false;
+    try {
+        await fs.copyFile(path.join(out_dir, 'standings.html'), path.join(site_dir, 'standings.html'));
+        has_standings = true;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    }
+
+    let feeds;
+    try {
+        feeds = JSON.parse(await fs.readFile(path.join(out_dir, FEEDS_FILE_NAME), 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    }
+
+    const index_html = render_index_page(teams, { has_standings, league_name, feeds, calendar_base_url, file_prefix: calendar_file_prefix });
+    await fs.writeFile(path.join(site_dir, 'index.html'), index_html, 'utf8');
+    console.log(`✅ Built site for ${summary.succeeded.length} team(s) at ${site_dir}`);
+    return summary;
+};
+
+/**
+ * Main async function to generate the static site from dist/.
+ */
+const main = async () => {
+    try {
+        const teams = select_teams(await load_teams_async(DEFAULT_TEAMS_FILE_PATH));
+        const summary = await build_site(teams);
+        if (summary.failed.length > 0) {
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error(`❌ A critical error occurred:`, error.message);
+        process.exit(1);
+    }
+};
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    SITE_DIR_NAME,
+    DEFAULT_CALENDAR_BASE_URL,
+    build_feed_links,
+    build_subscribe_links,
+    split_team_events,
+    render_index_page,
+    render_team_page,
+    render_head_to_head_page,
+    render_leagues_index_page,
+    build_site
+};
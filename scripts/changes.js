@@ -0,0 +1,227 @@
+const fs = require('fs').promises;
+const path = require('path');
+const {
+    DEFAULT_TEAMS_FILE_PATH,
+    DEFAULT_OUTPUT_DIR,
+    load_teams_async,
+    select_teams,
+    get_team_file_paths
+} = require('./teams');
+const {upgrade_match} = require('./match-model');
+
+const PREVIOUS_DIR_NAME = 'previous';
+const RELEASE_INTRO = 'This release contains the most up-to-date fixtures for each team. Subscribe to the .ics files below.';
+
+const pairing_key = (event) => `${event.home_team}|${event.away_team}`.toLowerCase();
+const same_match = (a, b) => pairing_key(a) === pairing_key(b) && a.date === b.date;
+
+/**
+ * Compares a team's previously published fixtures with the newly parsed ones.
+ *
+ * Fixtures are matched by home team, away team and date. A pairing whose date no longer
+ * matches is reported as moved; a fixture with the same date but a different time is also
+ * moved. A fixture that disappears is not reported if it was played or won by walkover, since
+ * those matches move from the fixtures table to the results table. One that appears in the
+ * results as postponed ("P-P") is reported as postponed, and any other as cancelled.
+ *
+ * @param {Array<object>} previous_fixtures - The fixtures from the last published build.
+ * @param {Array<object>} current_fixtures - The fixtures parsed in this run.
+ * @param {Array<object>} [current_results] - The results parsed in this run.
+ * @returns {{ added: object[], cancelled: object[], postponed: object[], moved: { from: object, to: object }[], venue_changed: { from: object, to: object }[] }}
+ */
+const diff_fixtures = (previous_fixtures, current_fixtures, current_results = []) => {
+    const changes = { added: [], cancelled: [], postponed: [], moved: [], venue_changed: [] };
+    const unmatched_previous = [...previous_fixtures];
+    const unmatched_current = [];
+
+    for (const current of current_fixtures) {
+        const index = unmatched_previous.findIndex(previous => same_match(previous, current));
+        if (index === -1) {
+            unmatched_current.push(current);
+            continue;
+        }
+        const [previous] = unmatched_previous.splice(index, 1);
+        if (previous.time !== current.time) {
+            changes.moved.push({ from: previous, to: current });
+        }
+        if ((previous.venue || '') !== (current.venue || '')) {
+            changes.venue_changed.push({ from: previous, to: current });
+        }
+    }
+
+    for (const current of unmatched_current) {
+        const index = unmatched_previous.findIndex(previous => pairing_key(previous) === pairing_key(current));
+        if (index === -1) {
+            changes.added.push(current);
+            continue;
+        }
+        const [previous] = unmatched_previous.splice(index, 1);
+        changes.moved.push({ from: previous, to: current });
+        if ((previous.venue || '') !== (current.venue || '')) {
+            changes.venue_changed.push({ from: previous, to: current });
+        }
+    }
+
+    const result_statuses = current_results.map(result => ({ result, status: upgrade_match(result).status }));
+    for (const previous of unmatched_previous) {
+        const statuses = result_statuses.filter(({ result }) => same_match(result, previous)).map(({ status }) => status);
+        if (statuses.includes('played') || statuses.includes('walkover')) {
+            continue;
+        }
+        changes[statuses.includes('postponed') ? 'postponed' : 'cancelled'].push(previous);
+    }
+    return changes;
+};
+
+/**
+ * Counts the changes in a team's diff.
+ * @param {ReturnType<typeof diff_fixtures>} changes
+ * @returns {number}
+ */
+const count_changes = (changes) => changes.added.length + changes.cancelled.length + changes.postponed.length + changes.moved.length + changes.venue_changed.length;
+
+const describe_fixture = (fixture) => `${fixture.home_team} vs ${fixture.away_team}`;
+const describe_when = (fixture) => `${fixture.date} ${fixture.time}`;
+
+/**
+ * Describes each change in a team's diff in a line of text.
+ * @param {ReturnType<typeof diff_fixtures>} changes
+ * @returns {{ kind: string, fixture: object, previous?: object, text: string }[]} fixture is the fixture as it is now, or as it was if cancelled or postponed.
+ */
+const describe_changes = (changes) => [
+    ...changes.added.map(fixture => ({ kind: 'added', fixture, text: `➕ Added: ${describe_fixture(fixture)} on ${describe_when(fixture)}` })),
+    ...changes.cancelled.map(fixture => ({ kind: 'cancelled', fixture, text: `❌ Cancelled: ${describe_fixture(fixture)} on ${describe_when(fixture)}` })),
+    ...changes.postponed.map(fixture => ({ kind: 'postponed', fixture, text: `⏸️ Postponed: ${describe_fixture(fixture)} on ${describe_when(fixture)}` })),
+    ...changes.moved.map(({ from, to }) => ({ kind: 'moved', fixture: to, previous: from, text: `📅 Moved: ${describe_fixture(to)} from ${describe_when(from)} to ${describe_when(to)}` })),
+    ...changes.venue_changed.map(({ from, to }) => ({ kind: 'venue_changed', fixture: to, previous: from, text: `📍 Venue changed: ${describe_fixture(to)} on ${to.date} from ${from.venue || 'unknown'} to ${to.venue || 'unknown'}` }))
+];
+
+/**
+ * Renders the per-team changes as Markdown lines, without the release intro.
+ * @param {{ generated_at: string, has_previous: boolean, teams: object }} report - As built by detect_changes.
+ * @param {number} [heading_level] - The Markdown heading level for each team.
+ * @returns {string[]}
+ */
+const render_changes_lines = (report, heading_level = 3) => {
+    if (!report.has_previous) {
+        return ['No previously published fixtures to compare against.'];
+    }
+
+    const changed_teams = Object.entries(report.teams).filter(([, changes]) => count_changes(changes) > 0);
+    if (changed_teams.length === 0) {
+        return ['No fixture changes since the last update.'];
+    }
+
+    const lines = [];
+    for (const [team, changes] of changed_teams) {
+        lines.push(`${'#'.repeat(heading_level)} ${team}`, '');
+        describe_changes(changes).forEach(({ text }) => lines.push(`- ${text}`));
+        lines.push('');
+    }
+    lines.pop();
+    return lines;
+};
+
+/**
+ * Renders the per-team changes as Markdown suitable for a release body.
+ * @param {{ generated_at: string, has_previous: boolean, teams: object }} report - As built by detect_changes.
+ * @returns {string}
+ */
+const render_changes_markdown = (report) => {
+    return [RELEASE_INTRO, '', '## Fixture changes', '', ...render_changes_lines(report), ''].join('\n');
+};
+
+/**
+ * Renders the changes of several leagues as one release body, with a section per league.
+ * @param {{ league: { name: string }, report: object }[]} league_reports
+ * @returns {string}
+ */
+const render_league_changes_markdown = (league_reports) => {
+    const lines = [RELEASE_INTRO, '', '## Fixture changes', ''];
+    for (const { league, report } of league_reports) {
+        lines.push(`### ${league.name}`, '', ...render_changes_lines(report, 4), '');
+    }
+    return lines.join('\n');
+};
+
+const load_optional_json_async = async (file_path) => {
+    try {
+        return JSON.parse(await fs.readFile(file_path, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Compares each team's fixtures JSON with the previously published snapshot and writes
+ * changes.json and changes.md to out_dir.
+ * @param {Array<object>} teams - Valid team entries from teams.json.
+ * @param {object} [options]
+ * @param {string} [options.out_dir] - The directory holding this run's JSON.
+ * @param {string} [options.previous_dir] - The directory holding the previously published fixtures JSON.
+ * @param {Date} [options.now]
+ * @returns {Promise<{ generated_at: string, has_previous: boolean, teams: object }>}
+ */
+const detect_changes = async (teams, {
+    out_dir = DEFAULT_OUTPUT_DIR,
+    previous_dir = path.join(out_dir, PREVIOUS_DIR_NAME),
+    now = new Date()
+} = {}) => {
+    const report = { generated_at: now.toISOString(), has_previous: false, teams: {} };
+
+    for (const team of teams) {
+        const current_paths = get_team_file_paths(out_dir, team.name);
+        const previous_paths = get_team_file_paths(previous_dir, team.name);
+        const current_fixtures = await load_optional_json_async(current_paths.fixtures);
+        const previous_fixtures = await load_optional_json_async(previous_paths.fixtures);
+        if (!current_fixtures || !previous_fixtures) {
+            continue;
+        }
+        report.has_previous = true;
+        const current_results = (await load_optional_json_async(current_paths.results)) || [];
+        report.teams[team.name] = diff_fixtures(previous_fixtures, current_fixtures, current_results);
+        const count = count_changes(report.teams[team.name]);
+        if (count > 0) {
+            console.log(`🔔 ${team.name}: ${count} fixture change(s).`);
+        }
+    }
+
+    if (!report.has_previous) {
+        console.log(`   -> No previous fixtures found in ${previous_dir}, nothing to compare.`);
+    }
+
+    await fs.mkdir(out_dir, { recursive: true });
+    await fs.writeFile(path.join(out_dir, 'changes.json'), JSON.stringify(report, null, 2), 'utf8');
+    await fs.writeFile(path.join(out_dir, 'changes.md'), render_changes_markdown(report), 'utf8');
+    console.log(`✅ Saved fixture changes to ${path.join(out_dir, 'changes.{json,md}')}`);
+    return report;
+};
+
+/**
+ * Main async function to compare dist/ with dist/previous/.
+ */
+const main = async () => {
+    try {
+        const teams = select_teams(await load_teams_async(DEFAULT_TEAMS_FILE_PATH));
+        await detect_changes(teams);
+    } catch (error) {
+        console.error(`❌ A critical error occurred:`, error.message);
+        process.exit(1);
+    }
+};
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    diff_fixtures,
+    count_changes,
+    describe_changes,
+    render_changes_markdown,
+    render_league_changes_markdown,
+    detect_changes
+};
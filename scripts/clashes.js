@@ -0,0 +1,264 @@
+const fs = require('fs').promises;
+const path = require('path');
+const {
+    DEFAULT_TEAMS_FILE_PATH,
+    DEFAULT_OUTPUT_DIR,
+    load_teams_async,
+    select_teams,
+    get_team_file_paths
+} = require('./teams');
+const {LEAGUE_TIMEZONE} = require('./timezone');
+const {parse_local_date, load_matches_async, get_match_key} = require('./match-model');
+const {
+    VENUES_FILE_PATH,
+    normalize_venue_name,
+    load_venue_registry_async,
+    create_venue_resolver
+} = require('./venues');
+
+const CLASHES_FILE_NAME = 'clashes';
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A venue not given "tables" in venues.json is assumed to host one match a night.
+const DEFAULT_TABLES = 1;
+
+const team_key = (name) => String(name || '').trim().toLowerCase();
+
+/**
+ * Numbers the nights so that consecutive nights differ by one.
+ * @param {string} date - e.g. "06/10/25"
+ * @returns {number|null} null for dates that cannot be read, e.g. "TBC".
+ */
+const get_night_number = (date) => {
+    const noon = parse_local_date(date, '12:00', 'UTC');
+    return noon ? Math.floor(noon.getTime() / DAY_MS) : null;
+};
+
+const summarize_match = ({ date, time, home_team, away_team, venue }) => ({ date, time, home_team, away_team, venue });
+
+/**
+ * Lists the pairs of teams that share players, from "linked_teams" in teams.json.
+ * A link only needs to be written on one of the two teams.
+ * @param {Array<object>} teams - Team entries from teams.json.
+ * @returns {[string, string][]} Each pair once, by the names used in teams.json where known.
+ */
+const get_linked_team_pairs = (teams) => {
+    const names = new Map(teams.map(team => [team_key(team.name), team.name]));
+    const pairs = new Map();
+    for (const team of teams) {
+        for (const linked of team.linked_teams || []) {
+            const pair = [team.name, names.get(team_key(linked)) || linked];
+            const key = pair.map(team_key).sort().join('|');
+            if (team_key(pair[0]) !== team_key(pair[1]) && !pairs.has(key)) {
+                pairs.set(key, pair);
+            }
+        }
+    }
+    return [...pairs.values()];
+};
+
+/**
+ * Looks through the scheduled fixtures for nights when linked teams both play, venues with more
+ * matches than tables, and teams playing on consecutive nights.
+ * @param {Array<object>} fixtures - Every team's fixtures; a match listed by both teams is counted once.
+ * @param {Array<object>} teams - Team entries from teams.json, with any "linked_teams".
+ * @param {(name: string) => ({ venue: object }|null)} resolve_venue - See create_venue_resolver.
+ * @returns {Array<object>} Clashes in date order, each with a type ("linked_teams", "venue_capacity" or
+ *   "consecutive_nights"), the nights and the matches involved.
+ */
+const find_clashes = (fixtures, teams, resolve_venue) => {
+    const matches = new Map();
+    for (const fixture of fixtures) {
+        if (fixture.status === 'scheduled' && get_night_number(fixture.date) !== null && !matches.has(get_match_key(fixture))) {
+            matches.set(get_match_key(fixture), fixture);
+        }
+    }
+    const nights = new Map();
+    for (const match of matches.values()) {
+        const night = get_night_number(match.date);
+        if (!nights.has(night)) {
+            nights.set(night, []);
+        }
+        nights.get(night).push(match);
+    }
+    const plays = (match, team) => team_key(match.home_team) === team_key(team) || team_key(match.away_team) === team_key(team);
+    const linked_pairs = get_linked_team_pairs(teams);
+    const clashes = [];
+
+    for (const [night, night_matches] of nights) {
+        for (const [team_a, team_b] of linked_pairs) {
+            const match_a = night_matches.find(match => plays(match, team_a));
+            const match_b = night_matches.find(match => plays(match, team_b));
+            // Linked teams drawn against each other are a single match.
+            if (match_a && match_b && match_a !== match_b) {
+                clashes.push({ type: 'linked_teams', night, dates: [match_a.date], teams: [team_a, team_b], matches: [match_a, match_b] });
+            }
+        }
+
+        const venues = new Map();
+        for (const match of night_matches.filter(match => match.venue)) {
+            const resolved = resolve_venue(match.venue);
+            const key = resolved ? resolved.venue.name : normalize_venue_name(match.venue);
+            if (!venues.has(key)) {
+                venues.set(key, { venue: resolved ? resolved.venue.name : match.venue, tables: (resolved && resolved.venue.tables) || DEFAULT_TABLES, matches: [] });
+            }
+            venues.get(key).matches.push(match);
+        }
+        for (const { venue, tables, matches: venue_matches } of venues.values()) {
+            if (venue_matches.length > tables) {
+                clashes.push({ type: 'venue_capacity', night, dates: [venue_matches[0].date], venue, tables, matches: venue_matches });
+            }
+        }
+    }
+
+    for (const { name } of teams) {
+        const team_nights = [...nights.keys()].filter(night => nights.get(night).some(match => plays(match, name))).sort((a, b) => a - b);
+        for (let index = 1; index < team_nights.length; index++) {
+            if (team_nights[index] - team_nights[index - 1] === 1) {
+                const pair = team_nights.slice(index - 1, index + 1).map(night => nights.get(night).find(match => plays(match, name)));
+                clashes.push({ type: 'consecutive_nights', night: team_nights[index - 1], dates: pair.map(match => match.date), team: name, matches: pair });
+            }
+        }
+    }
+
+    return clashes
+        .sort((a, b) => a.night - b.night)
+        .map(({ night, matches: clash_matches, ...clash }) => ({ ...clash, matches: clash_matches.map(summarize_match) }));
+};
+
+/**
+ * Describes a clash in one line.
+ * @param {object} clash - As returned by find_clashes.
+ * @returns {string}
+ */
+const describe_clash = (clash) => {
+    switch (clash.type) {
+        case 'linked_teams':
+            return `${clash.teams[0]} and ${clash.teams[1]} share players but both play on ${clash.dates[0]}`;
+        case 'venue_capacity':
+            return `${clash.venue} has ${clash.matches.length} matches on ${clash.dates[0]} but ${clash.tables} table(s)`;
+        case 'consecutive_nights':
+            return `${clash.team} play on consecutive nights, ${clash.dates[0]} and ${clash.dates[1]}`;
+        default:
+            return `Unknown clash "${clash.type}"`;
+    }
+};
+
+/**
+ * Collects the warnings to add to each clashing match's calendar event.
+ * @param {Array<object>} clashes - As returned by find_clashes.
+ * @returns {Map<string, string[]>} Warning lines by get_match_key of the match.
+ */
+const get_clash_warnings = (clashes) => {
+    const warnings = new Map();
+    for (const clash of clashes) {
+        for (const match of clash.matches) {
+            const key = get_match_key(match);
+            if (!warnings.has(key)) {
+                warnings.set(key, []);
+            }
+            warnings.get(key).push(`⚠️ Clash: ${describe_clash(clash)}`);
+        }
+    }
+    return warnings;
+};
+
+/**
+ * Renders the clashes as Markdown, grouped by type.
+ * @param {{ clashes: Array<object> }} report
+ * @returns {string}
+ */
+const render_clashes_markdown = ({ clashes }) => {
+    const sections = [
+        ['linked_teams', 'Linked teams playing on the same night'],
+        ['venue_capacity', 'Venues with more matches than tables'],
+        ['consecutive_nights', 'Teams playing on consecutive nights']
+    ];
+    const lines = ['## Fixture clashes', ''];
+    if (clashes.length === 0) {
+        lines.push('No clashes in the fixtures.', '');
+    }
+    for (const [type, heading] of sections) {
+        const of_type = clashes.filter(clash => clash.type === type);
+        if (of_type.length === 0) {
+            continue;
+        }
+        lines.push(`### ${heading}`, '');
+        for (const clash of of_type) {
+            lines.push(`- ${describe_clash(clash)}: ${clash.matches.map(match => `${match.home_team} vs ${match.away_team}`).join(', ')}`);
+        }
+        lines.push('');
+    }
+    return lines.join('\n');
+};
+
+/**
+ * Reads every team's fixtures and finds the clashes between them. Teams whose fixtures cannot
+ * be read are left out.
+ * @param {Array<object>} teams - Valid team entries from teams.json.
+ * @param {object} [options]
+ * @param {string} [options.out_dir] - The directory holding the fixtures JSON.
+ * @param {string} [options.venues_path] - The path to the venue registry, for each venue's tables.
+ * @param {string} [options.time_zone] - The IANA time zone the league's times are written in.
+ * @returns {Promise<Array<object>>} See find_clashes.
+ */
+const load_clashes_async = async (teams, {
+    out_dir = DEFAULT_OUTPUT_DIR,
+    venues_path = VENUES_FILE_PATH,
+    time_zone = LEAGUE_TIMEZONE
+} = {}) => {
+    const fixtures = [];
+    for (const team of teams) {
+        try {
+            fixtures.push(...await load_matches_async(get_team_file_paths(out_dir, team.name).fixtures, { time_zone }));
+        } catch (error) {
+            // Left for the team's own step to report.
+        }
+    }
+    const resolve_venue = create_venue_resolver(await load_venue_registry_async(venues_path));
+    return find_clashes(fixtures, teams, resolve_venue);
+};
+
+/**
+ * Finds the clashes in the teams' fixtures and writes clashes.json and clashes.md to out_dir.
+ * @param {Array<object>} teams - Valid team entries from teams.json.
+ * @param {object} [options] - See load_clashes_async.
+ * @param {Date} [options.now]
+ * @returns {Promise<{ generated_at: string, clashes: Array<object> }>}
+ */
+const detect_clashes = async (teams, { out_dir = DEFAULT_OUTPUT_DIR, now = new Date(), ...options } = {}) => {
+    const report = { generated_at: now.toISOString(), clashes: await load_clashes_async(teams, { out_dir, ...options }) };
+    report.clashes.forEach(clash => console.warn(`⚠️ ${describe_clash(clash)}`));
+
+    await fs.mkdir(out_dir, { recursive: true });
+    await fs.writeFile(path.join(out_dir, `${CLASHES_FILE_NAME}.json`), JSON.stringify(report, null, 2), 'utf8');
+    await fs.writeFile(path.join(out_dir, `${CLASHES_FILE_NAME}.md`), render_clashes_markdown(report), 'utf8');
+    console.log(`✅ Saved ${report.clashes.length} clash(es) to ${path.join(out_dir, `${CLASHES_FILE_NAME}.{json,md}`)}`);
+    return report;
+};
+
+/**
+ * Main async function to check the fixtures in dist/ for clashes.
+ */
+const main = async () => {
+    try {
+        const teams = select_teams(await load_teams_async(DEFAULT_TEAMS_FILE_PATH));
+        await detect_clashes(teams);
+    } catch (error) {
+        console.error(`❌ A critical error occurred:`, error.message);
+        process.exit(1);
+    }
+};
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    get_linked_team_pairs,
+    find_clashes,
+    describe_clash,
+    get_clash_warnings,
+    render_clashes_markdown,
+    load_clashes_async,
+    detect_clashes
+};
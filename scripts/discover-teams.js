@@ -0,0 +1,218 @@
+const fs = require('fs').promises;
+const path = require('path');
+const cheerio = require('cheerio');
+const {fetch_page_html} = require('./get-team-pages');
+const {DEFAULT_TEAMS_FILE_PATH} = require('./teams');
+const {slugify} = require("./slugify");
+const {parse_team_url} = require('./match-model');
+
+const DEFAULT_LEAGUE_URL = 'https://douglaspoolleague.leaguerepublic.com/index.html';
+
+// LeagueRepublic links each division's table as /standingsForDate/<season>/<division>/... and each team as /team/<season>/<team>.html
+const DIVISION_LINK_PATTERN = /\/standingsForDate\/\d+\/\d+\//;
+const TEAM_LINK_PATTERN = /\/team\/(\d+)\/(\d+)\.html/;
+
+/**
+ * Collects the unique links on a page whose href matches a pattern, resolved against the page URL.
+ * @param {string} html_content
+ * @param {string} page_url - The URL the page was fetched from.
+ * @param {RegExp} pattern
+ * @returns {{ name: string, url: string }[]}
+ */
+const find_links = (html_content, page_url, pattern) => {
+    const $ = cheerio.load(html_content);
+    const links = new Map();
+    $('a[href]').each((index, anchor) => {
+        const href = $(anchor).attr('href');
+        const name = $(anchor).text().replace(/\s+/g, ' ').trim();
+        if (!pattern.test(href) || !name) {
+            return;
+        }
+        const url = new URL(href, page_url).toString();
+        if (!links.has(url)) {
+            links.set(url, { name, url });
+        }
+    });
+    return [...links.values()];
+};
+
+/**
+ * Finds the division table links on the league's index page.
+ * @param {string} html_content
+ * @param {string} page_url
+ * @returns {{ name: string, url: string }[]}
+ */
+const parse_division_links = (html_content, page_url) => find_links(html_content, page_url, DIVISION_LINK_PATTERN);
+
+/**
+ * Finds the team links on a division page.
+ * @param {string} html_content
+ * @param {string} page_url
+ * @returns {{ name: string, url: string }[]}
+ */
+const parse_team_links = (html_content, page_url) => find_links(html_content, page_url, TEAM_LINK_PATTERN);
+
+/**
+ * Crawls the league index and each division page to list every team in the league.
+ * @param {object} [options]
+ * @param {string} [options.league_url] - The league's LeagueRepublic index page.
+ * @param {(url: string) => Promise<string>} [options.fetch_html] - Fetches a page's HTML.
+ * @returns {Promise<{ name: string, url: string, division: string }[]>}
+ */
+const discover_teams = async ({ league_url = DEFAULT_LEAGUE_URL, fetch_html = fetch_page_html } = {}) => {
+    console.log(`🔎 Discovering divisions from ${league_url}`);
+    const index_html = await fetch_html(league_url);
+    const divisions = parse_division_links(index_html, league_url);
+    if (divisions.length === 0) {
+        throw new Error(`No division links found on ${league_url}.`);
+    }
+
+    const teams = new Map();
+    for (const division of divisions) {
+        console.log(`--- ${division.name} (${division.url}) ---`);
+        const division_html = await fetch_html(division.url);
+        const division_teams = parse_team_links(division_html, division.url);
+        console.log(`Found ${division_teams.length} team(s).`);
+        for (const team of division_teams) {
+            if (!teams.has(team.url)) {
+                teams.set(team.url, { name: team.name, url: team.url, division: division.name });
+            }
+        }
+    }
+    return [...teams.values()];
+};
+
+/**
+ * Merges discovered teams into the existing teams.json entries.
+ *
+ * Entries are matched by URL, then by LeagueRepublic team id, then by name. Matched entries
+ * keep any extra fields added by hand and take the discovered name, URL and division.
+ * Entries that were not discovered are kept (they may be manual additions) unless prune is set.
+ *
+ * @param {Array<object>} existing_teams - The current teams.json entries.
+ * @param {{ name: string, url: string, division: string }[]} discovered_teams
+ * @param {object} [options]
+ * @param {boolean} [options.prune] - Drop existing entries that were not discovered.
+ * @returns {{ teams: Array<object>, added: object[], removed: object[], renamed: { from: string, to: string, url: string }[], updated: object[] }}
+ */
+const merge_teams = (existing_teams, discovered_teams, { prune = false } = {}) => {
+    const report = { added: [], removed: [], renamed: [], updated: [] };
+    const unmatched = [...existing_teams];
+
+    const take_match = (predicate) => {
+        const index = unmatched.findIndex(predicate);
+        return index === -1 ? null : unmatched.splice(index, 1)[0];
+    };
+
+    const merged = discovered_teams.map(discovered => {
+        const discovered_ids = parse_team_url(discovered.url);
+        const existing = take_match(team => team.url === discovered.url)
+            || take_match(team => {
+                const ids = parse_team_url(team.url);
+                return ids && discovered_ids && ids.team_id === discovered_ids.team_id;
+            })
+            || take_match(team => slugify(team.name) === slugify(discovered.name));
+
+        if (!existing) {
+            report.added.push(discovered);
+            return { ...discovered };
+        }
+        if (existing.name !== discovered.name) {
+            report.renamed.push({ from: existing.name, to: discovered.name, url: discovered.url });
+        } else if (existing.url !== discovered.url || existing.division !== discovered.division) {
+            report.updated.push(discovered);
+        }
+        return { ...existing, ...discovered };
+    });
+
+    report.removed = unmatched;
+    const teams = prune ? merged : [...merged, ...unmatched];
+    teams.sort((a, b) => a.name.localeCompare(b.name));
+    return { teams, ...report };
+};
+
+/**
+ * Logs the outcome of merge_teams.
+ * @param {ReturnType<typeof merge_teams>} report
+ * @param {boolean} prune
+ */
+const log_merge_report = (report, prune) => {
+    report.added.forEach(team => console.log(`➕ Added ${team.name} (${team.division})`));
+    report.renamed.forEach(({ from, to }) => console.log(`✏️ Renamed ${from} -> ${to}`));
+    report.updated.forEach(team => console.log(`🔄 Updated ${team.name}`));
+    report.removed.forEach(team => {
+        const action = prune ? 'Removed' : 'Kept (not found on the league site)';
+        console.warn(`⚠️ ${action}: ${team.name} (${team.url})`);
+    });
+    console.log(`Summary: ${report.added.length} added, ${report.renamed.length} renamed, ${report.updated.length} updated, ${report.removed.length} not found.`);
+};
+
+/**
+ * Discovers every team in the league and writes the merged list to teams.json.
+ * @param {object} [options]
+ * @param {string} [options.league_url] - The league's LeagueRepublic index page.
+ * @param {string} [options.teams_file] - The path to teams.json.
+ * @param {boolean} [options.prune] - Drop teams that are no longer on the league site.
+ * @param {boolean} [options.dry_run] - Report the changes without writing teams.json.
+ * @param {(url: string) => Promise<string>} [options.fetch_html] - Fetches a page's HTML.
+ * @returns {Promise<ReturnType<typeof merge_teams>>}
+ */
+const update_teams_file = async ({
+    league_url = DEFAULT_LEAGUE_URL,
+    teams_file = DEFAULT_TEAMS_FILE_PATH,
+    prune = false,
+    dry_run = false,
+    fetch_html = fetch_page_html
+} = {}) => {
+    let existing_teams = [];
+    try {
+        existing_teams = JSON.parse(await fs.readFile(teams_file, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+        console.log(`   -> No ${teams_file} yet, creating it.`);
+    }
+
+    const discovered_teams = await discover_teams({ league_url, fetch_html });
+    const report = merge_teams(existing_teams, discovered_teams, { prune });
+    log_merge_report(report, prune);
+
+    if (dry_run) {
+        console.log('Dry run: teams.json was not changed.');
+    } else {
+        await fs.mkdir(path.dirname(teams_file), { recursive: true });
+        await fs.writeFile(teams_file, JSON.stringify(report.teams, null, 2) + '\n', 'utf8');
+        console.log(`✅ Wrote ${report.teams.length} team(s) to ${teams_file}`);
+    }
+    return report;
+};
+
+/**
+ * Main async function to refresh teams.json from the league website.
+ */
+const main = async () => {
+    try {
+        await update_teams_file({
+            prune: process.argv.includes('--prune'),
+            dry_run: process.argv.includes('--dry-run')
+        });
+    } catch (error) {
+        console.error(`❌ Team discovery failed:`, error.message);
+        process.exit(1);
+    }
+};
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    DEFAULT_LEAGUE_URL,
+    parse_team_url,
+    parse_division_links,
+    parse_team_links,
+    discover_teams,
+    merge_teams,
+    update_teams_file
+};
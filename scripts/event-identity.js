@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const UID_DOMAIN = 'pool-league-fixtures';
+
+/**
+ * Extracts the LeagueRepublic season id from a team page URL.
+ * e.g. https://douglaspoolleague.leaguerepublic.com/team/160037514/717368412.html -> "160037514"
+ * @param {string} team_url
+ * @returns {string} The season id, or "unknown" if the URL does not contain one.
+ */
+const get_season_id = (team_url) => {
+    const match = /\/team\/(\d+)\/\d+\.html/.exec(team_url || '');
+    return match ? match[1] : 'unknown';
+};
+
+/**
+ * Builds a UID that stays the same for a match across every run and every team's calendar.
+ * @param {{ season: string, home_team: string, away_team: string, original_date: string }} identity
+ * @returns {string}
+ */
+const build_event_uid = ({ season, home_team, away_team, original_date }) => {
+    const key = [season, home_team, away_team, original_date]
+        .map(part => String(part).trim().toLowerCase())
+        .join('|');
+    const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 32);
+    return `${hash}@${UID_DOMAIN}`;
+};
+
+/**
+ * Asynchronously loads the event state written by a previous run.
+ * @param {string} file_path - The path to the state .json file.
+ * @returns {Promise<object>} The state keyed by UID, or an empty object on the first run.
+ */
+const load_event_state_async = async (file_path) => {
+    try {
+        const file_content = await fs.readFile(file_path, 'utf8');
+        return JSON.parse(file_content);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            console.log(`   -> No previous event state found at ${file_path}, starting fresh.`);
+            return {};
+        }
+        throw error;
+    }
+};
+
+/**
+ * Asynchronously saves the event state for the next run.
+ * @param {string} file_path - The path to the state .json file.
+ * @param {object} state - The state keyed by UID.
+ * @returns {Promise<void>}
+ */
+const save_event_state_async = async (file_path, state) => {
+    await fs.mkdir(path.dirname(file_path), { recursive: true });
+    await fs.writeFile(file_path, JSON.stringify(state, null, 2), 'utf8');
+};
+
+const same_pairing = (entry, season, event) => {
+    return entry.season === season
+        && entry.home_team === event.home_team
+        && entry.away_team === event.away_team;
+};
+
+/**
+ * Gives each event a stable UID plus the SEQUENCE and LAST-MODIFIED values calendar clients use
+ * to move a rescheduled match in place instead of deleting and re-creating it.
+ *
+ * A match is recognised by season, home team, away team and the date it was first seen on.
+ * When a pairing's date changes, the previously seen entry whose date no longer appears is
+ * treated as the same match. The state object is updated in place.
+ *
+ * @param {Array<object>} events - Fixtures and results with date, time, home_team, away_team and venue.
+ * @param {object} state - The state keyed by UID, as returned by load_event_state_async.
+ * @param {string} season - The season id the events belong to.
+ * @param {Date} [now] - The time recorded as LAST-MODIFIED for new or changed matches, and as when a result was posted.
+ * @returns {{ event: object, uid: string, sequence: number, last_modified: string, result_posted_at: string|null }[]}
+ */
+const assign_event_identities = (events, state, season, now = new Date()) => {
+    const timestamp = now.toISOString();
+    const claimed = new Map();
+
+    for (const event of events) {
+        const duplicate = [...claimed.values()].find(({ entry }) => {
+            return same_pairing(entry, season, event) && entry.date === event.date;
+        });
+        if (duplicate) {
+            // The same match listed twice (e.g. as a fixture and a result): the later row wins.
+            duplicate.event = event;
+            continue;
+        }
+
+        const candidates = Object.entries(state).filter(([uid, entry]) => {
+            return same_pairing(entry, season, event) && !claimed.has(uid);
+        });
+
+        let match = candidates.find(([, entry]) => entry.date === event.date);
+        if (!match) {
+            // A previously seen date that no longer appears for this pairing means the match moved.
+            const current_dates = new Set(events
+                .filter(other => other.home_team === event.home_team && other.away_team === event.away_team)
+                .map(other => other.date));
+            match = candidates.find(([, entry]) => !current_dates.has(entry.date));
+        }
+
+        if (!match) {
+            const identity = {
+                season,
+                home_team: event.home_team,
+                away_team: event.away_team,
+                original_date: event.date
+            };
+            const uid = build_event_uid(identity);
+            state[uid] = {
+                ...identity,
+                date: event.date,
+                time: event.time,
+                venue: event.venue || '',
+                sequence: 0,
+                last_modified: timestamp
+            };
+            match = [uid, state[uid]];
+        }
+
+        const [uid, entry] = match;
+        const venue_changed = Boolean(event.venue) && Boolean(entry.venue) && event.venue !== entry.venue;
+        if (entry.date !== event.date || entry.time !== event.time || venue_changed) {
+            entry.sequence += 1;
+            entry.last_modified = timestamp;
+        }
+        entry.date = event.date;
+        entry.time = event.time;
+        entry.venue = event.venue || entry.venue;
+
+        claimed.set(uid, { event, uid, entry });
+    }
+
+    return [...claimed.values()].map(({ event, uid, entry }) => {
+        // Remembered so result feeds can list results in the order they were posted.
+        const has_result = Boolean(event.result) && event.status !== 'scheduled' && event.status !== 'postponed';
+        if (has_result && entry.result !== event.result) {
+            entry.result = event.result;
+            entry.result_posted_at = timestamp;
+        }
+        return {
+            event,
+            uid,
+            sequence: entry.sequence,
+            last_modified: entry.last_modified,
+            result_posted_at: entry.result_posted_at || null
+        };
+    });
+};
+
+module.exports = {
+    get_season_id,
+    build_event_uid,
+    load_event_state_async,
+    save_event_state_async,
+    assign_event_identities
+};
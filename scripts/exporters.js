@@ -0,0 +1,298 @@
+const fs = require('fs').promises;
+const {escape_html} = require('./html');
+
+const FEED_LENGTH = 20;
+const CSV_COLUMNS = ['date', 'time', 'start', 'home_team', 'away_team', 'venue', 'division', 'status', 'home_score', 'away_score', 'summary'];
+
+/**
+ * The value type of each property the calendars use, for jCal and xCal. Anything else is text.
+ */
+const VALUE_TYPES = {
+    DTSTART: 'date-time',
+    DTEND: 'date-time',
+    DTSTAMP: 'date-time',
+    'LAST-MODIFIED': 'date-time',
+    SEQUENCE: 'integer',
+    TRIGGER: 'duration',
+    GEO: 'float',
+    TZOFFSETFROM: 'utc-offset',
+    TZOFFSETTO: 'utc-offset'
+};
+
+/**
+ * Escapes a CSV field, quoting it when it holds a comma, quote or line break (RFC 4180).
+ * @param {string|number|null} value
+ * @returns {string}
+ */
+const escape_csv = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Writes a calendar's matches as CSV, one row per match with a header row.
+ * @param {{ entries: object[] }} feed
+ * @returns {string}
+ */
+const render_csv = ({ entries }) => {
+    const rows = entries.map(({ event, summary }) => ({
+        ...event,
+        home_score: event.score ? event.score.home_score : null,
+        away_score: event.score ? event.score.away_score : null,
+        summary
+    }));
+    return [CSV_COLUMNS, ...rows.map(row => CSV_COLUMNS.map(column => row[column]))]
+        .map(values => values.map(escape_csv).join(','))
+        .join('\r\n') + '\r\n';
+};
+
+const is_present = (property) => property.value !== undefined && property.value !== null && property.value !== '';
+
+const get_value_type = ({ name, params = {} }) => (params.VALUE ? params.VALUE.toLowerCase() : VALUE_TYPES[name.toUpperCase()] || 'text');
+
+/**
+ * Turns an iCalendar property value into its jCal/xCal form, e.g. "20251006T200000" -> "2025-10-06T20:00:00".
+ * @param {string} type
+ * @param {string|number} value
+ * @returns {string|number}
+ */
+const format_value = (type, value) => {
+    switch (type) {
+        case 'date-time':
+            return String(value).replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/, '$1-$2-$3T$4:$5:$6$7');
+        case 'utc-offset':
+            return String(value).replace(/^([+-]\d{2})(\d{2})$/, '$1:$2');
+        case 'integer':
+            return Number(value);
+        default:
+            return String(value);
+    }
+};
+
+const get_params = ({ params = {} }) => Object.entries(params)
+    .filter(([name, value]) => name.toUpperCase() !== 'VALUE' && value !== undefined && value !== null)
+    .map(([name, value]) => [name.toLowerCase(), String(value)]);
+
+/**
+ * Converts a component built for ics.serialize_calendar to jCal (RFC 7265).
+ * @param {{ name: string, properties?: Array<object>, components?: Array<object> }} component
+ * @returns {Array}
+ */
+const to_jcal = ({ name, properties = [], components = [] }) => [
+    name.toLowerCase(),
+    properties.filter(is_present).map(property => {
+        const type = get_value_type(property);
+        const values = property.name.toUpperCase() === 'GEO'
+            ? [String(property.value).split(';').map(Number)]
+            : (Array.isArray(property.value) ? property.value : [property.value]).map(value => format_value(type, value));
+        return [property.name.toLowerCase(), Object.fromEntries(get_params(property)), type, ...values];
+    }),
+    components.map(to_jcal)
+];
+
+/**
+ * Converts a component built for ics.serialize_calendar to xCal (RFC 6321) elements.
+ * @param {{ name: string, properties?: Array<object>, components?: Array<object> }} component
+ * @param {string} [indent]
+ * @returns {string}
+ */
+const to_xcal_element = ({ name, properties = [], components = [] }, indent = '  ') => {
+    const inner = `${indent}  `;
+    const property_lines = properties.filter(is_present).map(property => {
+        const tag = property.name.toLowerCase();
+        const type = get_value_type(property);
+        const params = get_params(property);
+        const params_xml = params.length > 0
+            ? `<parameters>${params.map(([param, value]) => `<${param}><text>${escape_html(value)}</text></${param}>`).join('')}</parameters>`
+            : '';
+        let value_xml;
+        if (property.name.toUpperCase() === 'GEO') {
+            const [latitude, longitude] = String(property.value).split(';');
+            value_xml = `<latitude>${latitude}</latitude><longitude>${longitude}</longitude>`;
+        } else {
+            value_xml = (Array.isArray(property.value) ? property.value : [property.value])
+                .map(value => `<${type}>${escape_html(format_value(type, value))}</${type}>`)
+                .join('');
+        }
+        return `${inner}  <${tag}>${params_xml}${value_xml}</${tag}>`;
+    });
+    const tag = name.toLowerCase();
+    return [
+        `${indent}<${tag}>`,
+        ...(property_lines.length > 0 ? [`${inner}<properties>`, ...property_lines, `${inner}</properties>`] : []),
+        ...(components.length > 0 ? [`${inner}<components>`, ...components.map(component => to_xcal_element(component, `${inner}  `)), `${inner}</components>`] : []),
+        `${indent}</${tag}>`
+    ].join('\n');
+};
+
+/**
+ * Writes a calendar as an xCal (RFC 6321) document.
+ * @param {{ name: string, properties?: Array<object>, components?: Array<object> }} calendar
+ * @returns {string}
+ */
+const to_xcal = (calendar) => `<?xml version="1.0" encoding="utf-8"?>
+<icalendar xmlns="urn:ietf:params:xml:ns:icalendar-2.0">
+${to_xcal_element(calendar)}
+</icalendar>
+`;
+
+/**
+ * Picks the results of a calendar, most recently posted first.
+ * @param {object[]} entries
+ * @returns {object[]}
+ */
+const get_posted_results = (entries) => entries
+    .filter(entry => entry.result_posted_at)
+    .sort((a, b) => b.result_posted_at.localeCompare(a.result_posted_at))
+    .slice(0, FEED_LENGTH);
+
+const get_result_link = ({ event }, feed) => event.match_url || event.team_url || feed.link;
+
+/**
+ * Writes an Atom feed of the calendar's newly posted results.
+ * @param {{ id: string, title: string, link: string, now: Date, entries: object[] }} feed
+ * @returns {string}
+ */
+const render_atom = (feed) => {
+    const results = get_posted_results(feed.entries);
+    const entries = results.map(entry => `  <entry>
+    <id>urn:uid:${escape_html(entry.uid)}</id>
+    <title>${escape_html(entry.summary)}</title>
+    <updated>${entry.result_posted_at}</updated>
+    <link href="${escape_html(get_result_link(entry, feed))}"/>
+    <content type="text">${escape_html(entry.description)}</content>
+  </entry>`);
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escape_html(feed.link)}#${escape_html(feed.id)}</id>
+  <title>${escape_html(`${feed.title} - results`)}</title>
+  <updated>${results.length > 0 ? results[0].result_posted_at : feed.now.toISOString()}</updated>
+  <link href="${escape_html(feed.link)}"/>
+  <author><name>Pool League Fixtures</name></author>
+${entries.join('\n')}
+</feed>
+`;
+};
+
+/**
+ * Writes an RSS 2.0 feed of the calendar's newly posted results.
+ * @param {{ title: string, link: string, now: Date, entries: object[] }} feed
+ * @returns {string}
+ */
+const render_rss = (feed) => {
+    const items = get_posted_results(feed.entries).map(entry => `    <item>
+      <guid isPermaLink="false">${escape_html(entry.uid)}</guid>
+      <title>${escape_html(entry.summary)}</title>
+      <link>${escape_html(get_result_link(entry, feed))}</link>
+      <description>${escape_html(entry.description)}</description>
+      <pubDate>${new Date(entry.result_posted_at).toUTCString()}</pubDate>
+    </item>`);
+    return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0">
+  <channel>
+    <title>${escape_html(`${feed.title} - results`)}</title>
+    <link>${escape_html(feed.link)}</link>
+    <description>${escape_html(`Results of ${feed.title}, newest first`)}</description>
+    <lastBuildDate>${feed.now.toUTCString()}</lastBuildDate>
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+};
+
+/**
+ * Writes a JSON Feed (version 1.1) of the calendar's newly posted results.
+ * @param {{ title: string, link: string, entries: object[] }} feed
+ * @returns {string}
+ */
+const render_json_feed = (feed) => JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: `${feed.title} - results`,
+    home_page_url: feed.link,
+    items: get_posted_results(feed.entries).map(entry => ({
+        id: entry.uid,
+        url: get_result_link(entry, feed),
+        title: entry.summary,
+        content_text: entry.description,
+        date_published: entry.result_posted_at,
+        _match: entry.event
+    }))
+}, null, 2);
+
+/**
+ * The export formats, by name. Each exporter has the extension its files are written with,
+ * replacing ".ics", and render(feed), which returns the file's content. A feed is
+ * { id, title, link, now, calendar, entries }, where id is the .ics file's name without the
+ * extension, calendar is the component tree of the .ics file and entries are its events;
+ * see json-to-ics build_calendar.
+ */
+const EXPORTERS = new Map([
+    ['csv', { extension: '.csv', render: render_csv }],
+    ['jcal', { extension: '.jcal.json', render: (feed) => JSON.stringify(to_jcal(feed.calendar), null, 2) }],
+    ['xcal', { extension: '.xcal.xml', render: (feed) => to_xcal(feed.calendar) }],
+    ['atom', { extension: '.atom', render: render_atom }],
+    ['rss', { extension: '.rss', render: render_rss }],
+    ['json-feed', { extension: '.feed.json', render: render_json_feed }]
+]);
+
+/**
+ * Adds an export format, or replaces one.
+ * @param {string} format - The name used in "exports" and --export, e.g. "csv".
+ * @param {{ extension: string, render: (feed: object) => string }} exporter
+ */
+const register_exporter = (format, exporter) => {
+    if (!exporter || !exporter.extension || typeof exporter.render !== 'function') {
+        throw new Error(`The exporter for "${format}" needs an "extension" and a "render" function.`);
+    }
+    EXPORTERS.set(format, exporter);
+};
+
+/**
+ * Throws if any of the formats has no exporter.
+ * @param {string[]} formats
+ */
+const check_export_formats = (formats) => {
+    const unknown = formats.filter(format => !EXPORTERS.has(format));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown export format(s): ${unknown.join(', ')}. Expected any of: ${[...EXPORTERS.keys()].join(', ')}.`);
+    }
+};
+
+/**
+ * Names the file a calendar is exported to.
+ * @param {string} ics_path - e.g. "dist/douglas/railway.ics"
+ * @param {string} format - e.g. "csv"
+ * @returns {string} e.g. "dist/douglas/railway.csv"
+ */
+const get_export_path = (ics_path, format) => ics_path.replace(/\.ics$/, EXPORTERS.get(format).extension);
+
+/**
+ * Writes a calendar in each of the formats, next to its .ics file.
+ * @param {string} ics_path - Where the calendar's .ics file is written.
+ * @param {object} feed - See EXPORTERS.
+ * @param {string[]} formats
+ * @returns {Promise<string[]>} The paths written.
+ */
+const write_exports_async = async (ics_path, feed, formats) => {
+    const written = [];
+    for (const format of formats) {
+        const file_path = get_export_path(ics_path, format);
+        await fs.writeFile(file_path, EXPORTERS.get(format).render(feed), 'utf8');
+        written.push(file_path);
+    }
+    return written;
+};
+
+module.exports = {
+    EXPORTERS,
+    register_exporter,
+    check_export_formats,
+    get_export_path,
+    write_exports_async,
+    render_csv,
+    to_jcal,
+    to_xcal,
+    render_atom,
+    render_rss,
+    render_json_feed
+};
@@ -0,0 +1,247 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const ROOT_DIR = path.resolve(__dirname, '../');
+const DEFAULT_CACHE_DIR = path.resolve(ROOT_DIR, '.cache', 'http');
+
+const DEFAULT_FETCH_OPTIONS = {
+    timeout_ms: 20000,
+    retries: 3,
+    backoff_ms: 1000,
+    max_backoff_ms: 30000,
+    concurrency_per_host: 2,
+    min_interval_ms: 500,
+    cache_dir: DEFAULT_CACHE_DIR
+};
+
+const RETRYABLE_NETWORK_CODES = new Set(['ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'ERR_NETWORK']);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Limits how many requests run at once against each host and spaces out their start times.
+ * @param {object} options
+ * @param {number} options.concurrency - The most requests in flight per host.
+ * @param {number} options.min_interval_ms - The least time between two requests starting on a host.
+ * @param {(ms: number) => Promise<void>} [options.wait]
+ * @returns {{ run: <T>(host: string, task: () => Promise<T>) => Promise<T> }}
+ */
+const create_host_limiter = ({ concurrency, min_interval_ms, wait = sleep }) => {
+    const hosts = new Map();
+
+    const get_host_state = (host) => {
+        if (!hosts.has(host)) {
+            hosts.set(host, { active: 0, queue: [], next_start: 0 });
+        }
+        return hosts.get(host);
+    };
+
+    const run = async (host, task) => {
+        const state = get_host_state(host);
+        if (state.active < concurrency) {
+            state.active += 1;
+        } else {
+            // release() hands its slot straight to the next queued task.
+            await new Promise(resolve => state.queue.push(resolve));
+        }
+
+        const now = Date.now();
+        const start_at = Math.max(now, state.next_start);
+        state.next_start = start_at + min_interval_ms;
+        if (start_at > now) {
+            await wait(start_at - now);
+        }
+
+        try {
+            return await task();
+        } finally {
+            const next = state.queue.shift();
+            if (next) {
+                next();
+            } else {
+                state.active -= 1;
+            }
+        }
+    };
+
+    return { run };
+};
+
+/**
+ * Stores response bodies with their ETag and Last-Modified headers so later requests can be conditional.
+ * @param {string|null} cache_dir - Where to keep the cache; null disables it.
+ */
+const create_response_cache = (cache_dir) => {
+    const key_for = (url) => crypto.createHash('sha1').update(url).digest('hex');
+
+    const read = async (url) => {
+        if (!cache_dir) {
+            return null;
+        }
+        const key = key_for(url);
+        try {
+            const meta = JSON.parse(await fs.readFile(path.join(cache_dir, `${key}.json`), 'utf8'));
+            const body = await fs.readFile(path.join(cache_dir, `${key}.body`), 'utf8');
+            return { ...meta, body };
+        } catch (error) {
+            if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+                return null;
+            }
+            throw error;
+        }
+    };
+
+    const write = async (url, response) => {
+        if (!cache_dir) {
+            return;
+        }
+        const etag = response.headers.etag;
+        const last_modified = response.headers['last-modified'];
+        if (!etag && !last_modified) {
+            return;
+        }
+        const key = key_for(url);
+        await fs.mkdir(cache_dir, { recursive: true });
+        await fs.writeFile(path.join(cache_dir, `${key}.body`), response.data, 'utf8');
+        await fs.writeFile(path.join(cache_dir, `${key}.json`), JSON.stringify({
+            url,
+            etag,
+            last_modified,
+            fetched_at: new Date().toISOString()
+        }, null, 2), 'utf8');
+    };
+
+    return { read, write };
+};
+
+/**
+ * Reads a Retry-After header as a delay in milliseconds.
+ * @param {string} [value] - Either a number of seconds or an HTTP date.
+ * @returns {number|null}
+ */
+const parse_retry_after = (value) => {
+    if (!value) {
+        return null;
+    }
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Builds an error for a request that failed for good, keeping the URL and status for the run summary.
+ * @param {string} message
+ * @param {{ url: string, status?: number, attempts: number, cause?: Error }} details
+ * @returns {Error}
+ */
+const create_fetch_error = (message, { url, status, attempts, cause }) => {
+    const error = new Error(message, cause ? { cause } : undefined);
+    error.url = url;
+    error.status = status;
+    error.attempts = attempts;
+    return error;
+};
+
+/**
+ * Creates a fetcher with timeouts, exponential backoff retries, per-host rate limiting and
+ * an ETag/Last-Modified cache.
+ * @param {object} [options] - Overrides for DEFAULT_FETCH_OPTIONS.
+ * @param {number} [options.timeout_ms] - Give up on a single attempt after this long.
+ * @param {number} [options.retries] - Retries after the first attempt for network errors, 429 and 5xx.
+ * @param {number} [options.backoff_ms] - The delay before the first retry; doubled for each one after.
+ * @param {number} [options.max_backoff_ms] - The longest delay between retries.
+ * @param {number} [options.concurrency_per_host] - The most requests in flight per host.
+ * @param {number} [options.min_interval_ms] - The least time between two requests starting on a host.
+ * @param {string|null} [options.cache_dir] - Where to cache responses; null disables conditional requests.
+ * @param {object} [options.headers] - Headers sent with every request.
+ * @param {{ get: Function }} [options.http_client] - An axios-compatible client.
+ * @param {(ms: number) => Promise<void>} [options.wait]
+ * @returns {{ fetch: (url: string) => Promise<{ body: string, status: number, from_cache: boolean, attempts: number }> }}
+ */
+const create_fetcher = (options = {}) => {
+    const {
+        timeout_ms,
+        retries,
+        backoff_ms,
+        max_backoff_ms,
+        concurrency_per_host,
+        min_interval_ms,
+        cache_dir,
+        headers = {},
+        http_client = axios,
+        wait = sleep
+    } = { ...DEFAULT_FETCH_OPTIONS, ...options };
+
+    const limiter = create_host_limiter({ concurrency: concurrency_per_host, min_interval_ms, wait });
+    const cache = create_response_cache(cache_dir);
+
+    const fetch = async (url) => {
+        const host = new URL(url).host;
+        const cached = await cache.read(url);
+        const request_headers = { ...headers };
+        if (cached && cached.etag) {
+            request_headers['If-None-Match'] = cached.etag;
+        }
+        if (cached && cached.last_modified) {
+            request_headers['If-Modified-Since'] = cached.last_modified;
+        }
+
+        let last_error = null;
+        for (let attempt = 1; attempt <= retries + 1; attempt++) {
+            let retry_delay = Math.min(backoff_ms * 2 ** (attempt - 1), max_backoff_ms);
+            try {
+                const response = await limiter.run(host, () => http_client.get(url, {
+                    headers: request_headers,
+                    timeout: timeout_ms,
+                    responseType: 'text',
+                    validateStatus: () => true
+                }));
+
+                if (response.status === 304 && cached) {
+                    return { body: cached.body, status: 304, from_cache: true, attempts: attempt };
+                }
+                if (response.status >= 200 && response.status < 300) {
+                    await cache.write(url, response);
+                    return { body: response.data, status: response.status, from_cache: false, attempts: attempt };
+                }
+                if (response.status !== 429 && response.status < 500) {
+                    throw create_fetch_error(`Request failed with status ${response.status}`, { url, status: response.status, attempts: attempt });
+                }
+                last_error = create_fetch_error(`Request failed with status ${response.status}`, { url, status: response.status, attempts: attempt });
+                const retry_after = parse_retry_after(response.headers['retry-after']);
+                if (retry_after !== null) {
+                    retry_delay = Math.min(retry_after, max_backoff_ms);
+                }
+            } catch (error) {
+                if (error.url) {
+                    throw error;
+                }
+                if (!RETRYABLE_NETWORK_CODES.has(error.code)) {
+                    throw create_fetch_error(error.message, { url, attempts: attempt, cause: error });
+                }
+                last_error = create_fetch_error(error.code === 'ECONNABORTED' ? `Timed out after ${timeout_ms}ms` : error.message, { url, attempts: attempt, cause: error });
+            }
+
+            if (attempt <= retries) {
+                console.warn(`⚠️ ${last_error.message} for ${url}; retrying in ${retry_delay}ms (attempt ${attempt + 1} of ${retries + 1}).`);
+                await wait(retry_delay);
+            }
+        }
+        throw last_error;
+    };
+
+    return { fetch };
+};
+
+module.exports = {
+    DEFAULT_CACHE_DIR,
+    DEFAULT_FETCH_OPTIONS,
+    create_host_limiter,
+    parse_retry_after,
+    create_fetcher
+};
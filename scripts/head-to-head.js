@@ -0,0 +1,223 @@
+const fs = require('fs').promises;
+const path = require('path');
+const {
+    DEFAULT_TEAMS_FILE_PATH,
+    DEFAULT_OUTPUT_DIR,
+    load_teams_async,
+    select_teams,
+    get_team_file_paths
+} = require('./teams');
+const {LEAGUE_TIMEZONE} = require('./timezone');
+const {load_matches_async, get_match_key} = require('./match-model');
+const {get_season_id} = require('./event-identity');
+const {collect_matches, get_match_outcome, get_date_sort_key} = require('./standings');
+const {load_previous_seasons_async} = require('./archive');
+
+const HEAD_TO_HEAD_FILE_NAME = 'head-to-head.json';
+const LAST_RESULTS_LENGTH = 5;
+
+const same_team = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+/**
+ * Sorts played matches newest first.
+ * @param {Array<object>} matches
+ * @returns {Array<object>}
+ */
+const sort_newest_first = (matches) => [...matches]
+    .sort((a, b) => get_date_sort_key(b.date).localeCompare(get_date_sort_key(a.date)));
+
+/**
+ * Gives the score of a played match from one side, e.g. "6-4", or "walkover".
+ * @param {object} match - As returned by collect_matches.
+ * @param {boolean} is_home
+ * @returns {string}
+ */
+const format_score = (match, is_home) => {
+    if (match.status === 'walkover') {
+        return 'walkover';
+    }
+    const { home_score, away_score } = match.score;
+    return (is_home ? [home_score, away_score] : [away_score, home_score]).join('-');
+};
+
+/**
+ * Adds up the meetings between two teams, home or away.
+ * @param {Array<object>} matches - Played matches, as returned by collect_matches, optionally with a season.
+ * @param {string} team_a - The home team of the fixture being previewed.
+ * @param {string} team_b - The away team of the fixture being previewed.
+ * @returns {{ played: number, home_team_wins: number, away_team_wins: number, draws: number, meetings: object[] }}
+ *   home_team_wins counts team_a's wins wherever they were played. Meetings are newest first.
+ */
+const compute_head_to_head_record = (matches, team_a, team_b) => {
+    const meetings = sort_newest_first(matches.filter(match =>
+        (same_team(match.home_team, team_a) && same_team(match.away_team, team_b))
+        || (same_team(match.home_team, team_b) && same_team(match.away_team, team_a))));
+    const record = { played: meetings.length, home_team_wins: 0, away_team_wins: 0, draws: 0, meetings: [] };
+    for (const match of meetings) {
+        const outcome = get_match_outcome(match, same_team(match.home_team, team_a));
+        if (outcome === 'W') {
+            record.home_team_wins += 1;
+        } else if (outcome === 'L') {
+            record.away_team_wins += 1;
+        } else {
+            record.draws += 1;
+        }
+        record.meetings.push({
+            ...(match.season ? { season: match.season } : {}),
+            date: match.date,
+            home_team: match.home_team,
+            away_team: match.away_team,
+            score: format_score(match, true)
+        });
+    }
+    return record;
+};
+
+/**
+ * Works out a team's last few results and its record at home and away.
+ * @param {Array<object>} matches - Played matches, as returned by collect_matches.
+ * @param {string} team
+ * @param {number} [length] - How many of the last results to list.
+ * @returns {{ team: string, last_results: object[], home: object, away: object }} last_results are newest first.
+ */
+const compute_team_record = (matches, team, length = LAST_RESULTS_LENGTH) => {
+    const empty = () => ({ played: 0, won: 0, drawn: 0, lost: 0 });
+    const record = { team, last_results: [], home: empty(), away: empty() };
+    const outcome_keys = { W: 'won', D: 'drawn', L: 'lost' };
+    for (const match of sort_newest_first(matches)) {
+        const is_home = same_team(match.home_team, team);
+        if (!is_home && !same_team(match.away_team, team)) {
+            continue;
+        }
+        const outcome = get_match_outcome(match, is_home);
+        const split = is_home ? record.home : record.away;
+        split.played += 1;
+        split[outcome_keys[outcome]] += 1;
+        if (record.last_results.length < length) {
+            record.last_results.push({
+                date: match.date,
+                opponent: is_home ? match.away_team : match.home_team,
+                side: is_home ? 'H' : 'A',
+                outcome,
+                score: format_score(match, is_home)
+            });
+        }
+    }
+    return record;
+};
+
+/**
+ * Builds the preview of an upcoming fixture: the two teams' meetings this season and in
+ * archived seasons, each team's last five results, and each team's home and away record.
+ * @param {object} fixture - The upcoming fixture.
+ * @param {object} history
+ * @param {Array<object>} history.matches - This season's played matches, as returned by collect_matches.
+ * @param {Array<object>} [history.previous_matches] - Played matches of earlier seasons, each with its season.
+ * @returns {object}
+ */
+const build_head_to_head_report = (fixture, { matches, previous_matches = [] }) => ({
+    date: fixture.date,
+    time: fixture.time,
+    home_team: fixture.home_team,
+    away_team: fixture.away_team,
+    this_season: compute_head_to_head_record(matches, fixture.home_team, fixture.away_team),
+    previous_seasons: compute_head_to_head_record(previous_matches, fixture.home_team, fixture.away_team),
+    home: compute_team_record(matches, fixture.home_team),
+    away: compute_team_record(matches, fixture.away_team)
+});
+
+/**
+ * Describes a head-to-head report in a few lines of text, for a calendar event's description.
+ * @param {ReturnType<typeof build_head_to_head_report>} report
+ * @returns {string[]}
+ */
+const describe_head_to_head = (report) => {
+    const describe_record = ({ home_team_wins, away_team_wins, draws }) =>
+        `${report.home_team} ${home_team_wins}, ${report.away_team} ${away_team_wins}, drawn ${draws}`;
+    const describe_split = ({ won, drawn, lost }) => `won ${won}, drawn ${drawn}, lost ${lost}`;
+    const describe_results = ({ team, last_results }) => {
+        const results = last_results.map(({ outcome, score, opponent, side }) => `${outcome} ${score} ${side === 'H' ? 'vs' : 'at'} ${opponent}`);
+        return `${team} last ${last_results.length}: ${results.join(', ')}`;
+    };
+
+    const lines = [report.this_season.played > 0
+        ? `Head to head this season: ${describe_record(report.this_season)}`
+        : 'Head to head this season: first meeting'];
+    if (report.previous_seasons.played > 0) {
+        lines.push(`Head to head in previous seasons: ${describe_record(report.previous_seasons)}`);
+    }
+    for (const side of [report.home, report.away]) {
+        if (side.last_results.length > 0) {
+            lines.push(describe_results(side));
+        }
+    }
+    lines.push(`${report.home_team} at home: ${describe_split(report.home.home)}. ${report.away_team} away: ${describe_split(report.away.away)}`);
+    return lines;
+};
+
+/**
+ * Reads each team's results, and those of archived seasons, and builds a head-to-head report for
+ * every upcoming fixture of the given teams. Teams whose JSON cannot be read are left out.
+ * @param {Array<object>} teams - Valid team entries from teams.json.
+ * @param {object} [options]
+ * @param {string} [options.out_dir] - The directory holding the fixtures and results JSON.
+ * @param {string} [options.time_zone] - The IANA time zone the league's times are written in.
+ * @returns {Promise<Map<string, object>>} Reports by get_match_key of the fixture.
+ */
+const load_head_to_head_async = async (teams, { out_dir = DEFAULT_OUTPUT_DIR, time_zone = LEAGUE_TIMEZONE } = {}) => {
+    const result_lists = [];
+    const fixtures = new Map();
+    const read_optional = async (file_path) => {
+        try {
+            return await load_matches_async(file_path, { time_zone });
+        } catch (error) {
+            // Left for the team's own step to report.
+            return [];
+        }
+    };
+    for (const team of teams) {
+        const file_paths = get_team_file_paths(out_dir, team.name);
+        result_lists.push(await read_optional(file_paths.results));
+        for (const fixture of await read_optional(file_paths.fixtures)) {
+            if (fixture.status === 'scheduled' && !fixtures.has(get_match_key(fixture))) {
+                fixtures.set(get_match_key(fixture), fixture);
+            }
+        }
+    }
+    const history = {
+        matches: collect_matches(result_lists),
+        previous_matches: await load_previous_seasons_async(out_dir, {
+            current_season: teams.length > 0 ? get_season_id(teams[0].url) : undefined,
+            time_zone
+        })
+    };
+    return new Map([...fixtures].map(([key, fixture]) => [key, build_head_to_head_report(fixture, history)]));
+};
+
+/**
+ * Main async function to write the head-to-head report of every upcoming fixture to dist/head-to-head.json.
+ */
+const main = async () => {
+    try {
+        const teams = select_teams(await load_teams_async(DEFAULT_TEAMS_FILE_PATH));
+        const reports = await load_head_to_head_async(teams);
+        const file_path = path.join(DEFAULT_OUTPUT_DIR, HEAD_TO_HEAD_FILE_NAME);
+        await fs.writeFile(file_path, JSON.stringify([...reports.values()], null, 2), 'utf8');
+        console.log(`✅ Saved ${reports.size} head-to-head report(s) to ${file_path}`);
+    } catch (error) {
+        console.error(`❌ A critical error occurred:`, error.message);
+        process.exit(1);
+    }
+};
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    compute_head_to_head_record,
+    compute_team_record,
+    build_head_to_head_report,
+    describe_head_to_head,
+    load_head_to_head_async
+};
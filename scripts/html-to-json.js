@@ -0,0 +1,114 @@
+const fs = require('fs').promises;
+const path = require('path');
+const {LEAGUE_TIMEZONE} = require('./timezone');
+const {parse_fixtures, parse_results, parse_team_page} = require('./leaguerepublic');
+const {get_source_adapter, get_source_url} = require('./sources');
+const {
+    DEFAULT_TEAMS_FILE_PATH,
+    DEFAULT_OUTPUT_DIR,
+    load_teams_async,
+    select_teams,
+    get_team_file_paths,
+    create_run_summary
+} = require('./teams');
+
+/**
+ * Asynchronously saves the match data to a JSON file.
+ * @param {string} file_path - The full path to save the .json file.
+ * @param {object} data - The match data array.
+ * @returns {Promise<void>}
+ */
+const save_json_file_async = async (file_path, data) => {
+    const dir_path = path.dirname(file_path);
+    await fs.mkdir(dir_path, { recursive: true });
+    await fs.writeFile(file_path, JSON.stringify(data, null, 2), 'utf8');
+};
+
+/**
+ * Splits a team's matches into the fixtures and results files. Matches read from the results
+ * table, which carry the league's "result" text, are results; everything else is a fixture.
+ * @param {Array<object>} matches - As returned by a source adapter's parse, e.g. parse_team_page.
+ * @returns {{ fixtures: Array<object>, results: Array<object> }}
+ */
+const split_matches = (matches) => ({
+    fixtures: matches.filter(match => !('result' in match)),
+    results: matches.filter(match => 'result' in match)
+});
+
+/**
+ * Parses each team's saved page once, with its source adapter, and writes its fixtures and results to JSON.
+ * @param {Array<object>} teams - Valid team entries from teams.json.
+ * @param {object} [options]
+ * @param {string} [options.out_dir] - The directory holding the team pages and receiving the JSON.
+ * @param {string} [options.time_zone] - The IANA time zone the league's times are written in.
+ * @returns {Promise<{ succeeded: string[], failed: { team: string, error: string }[] }>}
+ */
+const build_matches_json = async (teams, { out_dir = DEFAULT_OUTPUT_DIR, time_zone = LEAGUE_TIMEZONE } = {}) => {
+    const summary = create_run_summary();
+    console.log(`Found ${teams.length} team(s) to process...`);
+
+    for (const team of teams) {
+        const file_paths = get_team_file_paths(out_dir, team.name);
+
+        console.log(`--- Processing ${team.name} ---`);
+
+        try {
+            const { type, source, adapter } = get_source_adapter(team);
+            const html_content = await fs.readFile(file_paths.html, 'utf8');
+
+            console.log(`Parsing ${type} page for ${team.name}...`);
+            const { fixtures, results } = split_matches(adapter.parse(html_content, { source, time_zone, source_url: get_source_url(team) }));
+
+            await save_json_file_async(file_paths.fixtures, fixtures);
+            await save_json_file_async(file_paths.results, results);
+            console.log(`✅ ${team.name}: ${fixtures.length} fixture(s) and ${results.length} result(s) written to ${path.dirname(file_paths.fixtures)}`);
+            summary.succeeded.push(team.name);
+
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                console.error(`❌ Error for ${team.name}: HTML file not found at ${file_paths.html}.`);
+                console.log(`   -> Did you run 'pool-fixtures fetch' first?`);
+            } else {
+                console.error(`❌ An error occurred processing ${team.name}:`, error.message);
+            }
+            summary.failed.push({ team: team.name, error: error.message });
+        }
+    }
+    console.log('🎉 All HTML parsing operations finished.');
+    return summary;
+};
+
+/**
+ * Main async function to run the HTML -> JSON build process.
+ */
+const main = async () => {
+    try {
+        console.log('Starting HTML-to-JSON export process...');
+        const teams = select_teams(await load_teams_async(DEFAULT_TEAMS_FILE_PATH));
+
+        if (teams.length === 0) {
+            console.warn('⚠️ teams.json is empty or invalid. Nothing to process.');
+            return;
+        }
+
+        const summary = await build_matches_json(teams);
+        if (summary.failed.length > 0) {
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error(`❌ A critical error occurred:`, error.message);
+        process.exit(1);
+    }
+};
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    parse_fixtures,
+    parse_results,
+    parse_team_page,
+    split_matches,
+    build_matches_json
+};
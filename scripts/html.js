@@ -0,0 +1,14 @@
+/**
+ * Escapes text for use in HTML element content and double-quoted attributes.
+ * @param {string|number} text
+ * @returns {string}
+ */
+const escape_html = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+module.exports = {
+    escape_html
+};
@@ -0,0 +1,145 @@
+const CRLF = '\r\n';
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Properties whose values are RFC 5545 TEXT and must be escaped.
+ */
+const TEXT_PROPERTIES = new Set([
+    'CATEGORIES',
+    'COMMENT',
+    'CONTACT',
+    'DESCRIPTION',
+    'LOCATION',
+    'RESOURCES',
+    'SUMMARY',
+    'TZNAME',
+    'X-WR-CALDESC',
+    'X-WR-CALNAME'
+]);
+
+/**
+ * Escapes a TEXT value: backslashes, semicolons and commas are escaped and newlines become "\n".
+ * @param {string} value
+ * @returns {string}
+ */
+const escape_text = (value) => {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r\n|\r|\n/g, '\\n');
+};
+
+/**
+ * Reverses escape_text.
+ * @param {string} value
+ * @returns {string}
+ */
+const unescape_text = (value) => {
+    return String(value).replace(/\\([\\;,nN])/g, (match, character) => {
+        return character.toLowerCase() === 'n' ? '\n' : character;
+    });
+};
+
+/**
+ * Formats a parameter value, quoting it when it contains characters that would end the parameter.
+ * @param {string} value
+ * @returns {string}
+ */
+const format_parameter_value = (value) => {
+    const text = String(value).replace(/"/g, '\'');
+    return /[:;,]/.test(text) ? `"${text}"` : text;
+};
+
+/**
+ * Splits a content line into lines of at most 75 octets, as required by RFC 5545 section 3.1.
+ * Continuation lines start with a single space, and multi-byte UTF-8 characters are never split.
+ * @param {string} line - An unfolded content line.
+ * @returns {string[]}
+ */
+const fold_line = (line) => {
+    const folded = [];
+    let current = '';
+    let current_octets = 0;
+    for (const character of line) {
+        const octets = Buffer.byteLength(character, 'utf8');
+        if (current_octets + octets > MAX_LINE_OCTETS) {
+            folded.push(current);
+            current = ' ';
+            current_octets = 1;
+        }
+        current += character;
+        current_octets += octets;
+    }
+    folded.push(current);
+    return folded;
+};
+
+/**
+ * Serializes a single property into an unfolded content line.
+ * TEXT values are escaped; CATEGORIES may be given as an array.
+ * @param {{ name: string, value: string|number|string[], params?: object }} property
+ * @returns {string}
+ */
+const serialize_property = ({ name, value, params = {} }) => {
+    const upper_name = name.toUpperCase();
+    const param_text = Object.entries(params)
+        .filter(([, param_value]) => param_value !== undefined && param_value !== null)
+        .map(([param_name, param_value]) => `;${param_name.toUpperCase()}=${format_parameter_value(param_value)}`)
+        .join('');
+    let value_text;
+    if (TEXT_PROPERTIES.has(upper_name)) {
+        const values = Array.isArray(value) ? value : [value];
+        value_text = values.map(escape_text).join(',');
+    } else {
+        value_text = String(value);
+    }
+    return `${upper_name}${param_text}:${value_text}`;
+};
+
+/**
+ * Serializes a component and its children into unfolded content lines.
+ * @param {{ name: string, properties?: Array<object>, components?: Array<object> }} component
+ * @returns {string[]}
+ */
+const serialize_component = ({ name, properties = [], components = [] }) => {
+    return [
+        `BEGIN:${name}`,
+        ...properties
+            .filter(property => property.value !== undefined && property.value !== null && property.value !== '')
+            .map(serialize_property),
+        ...components.flatMap(serialize_component),
+        `END:${name}`
+    ];
+};
+
+/**
+ * Serializes a VCALENDAR component into a complete, folded iCalendar document.
+ * @param {{ name: string, properties?: Array<object>, components?: Array<object> }} calendar
+ * @returns {string}
+ */
+const serialize_calendar = (calendar) => {
+    return serialize_component(calendar).flatMap(fold_line).join(CRLF) + CRLF;
+};
+
+/**
+ * Shorthand for building a property object.
+ * @param {string} name
+ * @param {string|number|string[]} value
+ * @param {object} [params]
+ * @returns {{ name: string, value: string|number|string[], params: object }}
+ */
+const property = (name, value, params = {}) => ({ name, value, params });
+
+module.exports = {
+    CRLF,
+    MAX_LINE_OCTETS,
+    TEXT_PROPERTIES,
+    escape_text,
+    unescape_text,
+    fold_line,
+    serialize_property,
+    serialize_component,
+    serialize_calendar,
+    property
+};
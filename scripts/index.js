@@ -0,0 +1,32 @@
+module.exports = {
+    ...require('./teams'),
+    ...require('./timezone'),
+    ...require('./ics'),
+    ...require('./event-identity'),
+    ...require('./match-model'),
+    ...require('./fetcher'),
+    ...require('./leaguerepublic'),
+    ...require('./table-source'),
+    ...require('./sources'),
+    ...require('./get-team-pages'),
+    ...require('./html-to-json'),
+    ...require('./exporters'),
+    ...require('./json-to-ics'),
+    ...require('./verify'),
+    ...require('./validate-ics'),
+    ...require('./discover-teams'),
+    ...require('./standings'),
+    ...require('./archive'),
+    ...require('./clashes'),
+    ...require('./head-to-head'),
+    ...require('./players'),
+    ...require('./html'),
+    ...require('./build-site'),
+    ...require('./changes'),
+    ...require('./notifiers'),
+    ...require('./notify'),
+    ...require('./leagues'),
+    ...require('./release'),
+    ...require('./pipeline'),
+    ...require('./server')
+};
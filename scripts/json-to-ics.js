@@ -1,220 +1,528 @@
 const fs = require('fs').promises;
 const path = require('path');
-const { v4: uuidv4 } = require('uuid');
+const {DEFAULT_TIMEZONE, LEAGUE_TIMEZONE, format_local_date_for_ical, build_vtimezone} = require('./timezone');
+const {property, serialize_calendar} = require('./ics');
+const {get_season_id, load_event_state_async, save_event_state_async, assign_event_identities} = require('./event-identity');
 const {slugify} = require("./slugify");
+const {DEFAULT_MATCH_DURATION_MINUTES, DEFAULT_PRODID} = require('./leagues');
+const {collect_matches, get_match_outcome, compute_form} = require('./standings');
+const {describe_head_to_head, load_head_to_head_async} = require('./head-to-head');
+const {check_export_formats, write_exports_async} = require('./exporters');
+const {get_clash_warnings, load_clashes_async} = require('./clashes');
+const {parse_local_date, upgrade_match, load_matches_async, get_match_key, get_match_start} = require('./match-model');
+const {
+    VENUES_FILE_PATH,
+    load_venue_registry_async,
+    create_venue_resolver,
+    infer_missing_venues,
+    build_location_properties,
+    create_venue_report,
+    save_venue_report_async
+} = require('./venues');
+
+const {
+    DEFAULT_TEAMS_FILE_PATH,
+    DEFAULT_OUTPUT_DIR,
+    load_teams_async,
+    select_teams,
+    get_team_file_paths,
+    create_run_summary
+} = require('./teams');
+
+const EVENT_STATE_FILE_NAME = 'calendar-state.json';
+const LEAGUE_FEED_FILE_NAME = 'league.ics';
+const FEEDS_FILE_NAME = 'feeds.json';
+const OUTCOME_CATEGORIES = { W: 'Win', D: 'Draw', L: 'Loss' };
 
-const ROOT_DIR = path.resolve(__dirname, '../');
-const DIST_DIR = path.resolve(ROOT_DIR, 'dist');
-const LOCATION_MAPPER_PATH = path.resolve(ROOT_DIR, 'location_mapper.json');
-const TEAMS_FILE_PATH = path.resolve(ROOT_DIR, 'teams.json');
 
+const save_ical_file_async = async (file_path, ical_data) => {
+    const dir_path = path.dirname(file_path);
+    await fs.mkdir(dir_path, { recursive: true });
+    await fs.writeFile(file_path, ical_data, 'utf8');
+};
 
 /**
- * Asynchronously loads a specified JSON file.
- * @param {string} file_path - The path to the .json file.
- * @returns {Promise<Array<object>>} The array of objects from the JSON.
+ * Saves a calendar as an .ics file and in each export format next to it.
+ * @param {string} file_path - Where the .ics file is written.
+ * @param {{ calendar: object, entries: Array<object> }} built - As returned by build_calendar.
+ * @param {{ title: string, link: string, now: Date, exports: string[] }} options
+ * @returns {Promise<string[]>} The names of the exported files.
  */
-const load_json_file_async = async (file_path) => {
-    const file_content = await fs.readFile(file_path, 'utf8');
-    return JSON.parse(file_content);
+const save_calendar_with_exports_async = async (file_path, { calendar, entries }, { title, link, now, exports }) => {
+    await save_ical_file_async(file_path, serialize_calendar(calendar));
+    const feed = { id: path.basename(file_path, '.ics'), title, link, now, calendar, entries };
+    const written = await write_exports_async(file_path, feed, exports);
+    return written.map(export_path => path.basename(export_path));
 };
 
-const load_location_mapper_async = async (file_path) => {
-    try {
-        await fs.access(file_path);
-        const file_content = await fs.readFile(file_path, 'utf8');
-        return JSON.parse(file_content);
-    } catch (error) {
-        if (error.code === 'ENOENT') {
-            console.warn(`Warning: Location mapper file not found at ${file_path}. Using default venues.`);
-        } else {
-            console.error(`Error loading location mapper: ${error.message}`);
-        }
-        return {};
-    }
+const format_date_for_ical = (date) => {
+    return date.toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
 };
 
-const load_teams_async = async (file_path) => {
-    try {
-        const file_content = await fs.readFile(file_path, 'utf8');
-        return JSON.parse(file_content);
-    } catch (error) {
-        if (error.code === 'ENOENT') {
-            console.error(`❌ Error: Could not find ${file_path}`);
-        } else if (error instanceof SyntaxError) {
-            console.error(`❌ Error: Failed to parse ${file_path}. Check for JSON syntax errors.`);
-        } else {
-            console.error(`❌ Error reading teams file: ${error.message}`);
-        }
-        throw new Error('Failed to load teams file.');
+/**
+ * Formats minutes before an event as a VALARM TRIGGER duration.
+ * @param {number} minutes - e.g. 90
+ * @returns {string} e.g. "-PT90M", or "-PT2H" and "-P1D" for whole hours and days.
+ */
+const format_reminder_trigger = (minutes) => {
+    if (minutes > 0 && minutes % 1440 === 0) {
+        return `-P${minutes / 1440}D`;
+    }
+    if (minutes > 0 && minutes % 60 === 0) {
+        return `-PT${minutes / 60}H`;
     }
+    return `-PT${minutes}M`;
 };
 
-const save_ical_file_async = async (file_path, ical_data) => {
-    const dir_path = path.dirname(file_path);
-    await fs.mkdir(dir_path, { recursive: true });
-    await fs.writeFile(file_path, ical_data, 'utf8');
-};
+const same_team = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
 
-const parse_utc_date = (date_str, time_str) => {
-    const date_parts = date_str.split('/');
-    const time_parts = time_str.split(':');
-    if (date_parts.length !== 3 || time_parts.length !== 2) {
-        return null;
+/**
+ * Describes an event from the point of view of the team whose calendar it is in: home or away,
+ * the opponent and, once played, whether the team won, drew or lost.
+ * Events that do not involve the team are described as "Home vs Away" without categories.
+ * @param {object} event - A fixture or result.
+ * @param {string} [team_name] - The team the calendar belongs to.
+ * @returns {{ summary: string, categories: string[], opponent?: string, postponed: boolean }}
+ */
+const describe_event = (event, team_name) => {
+    const match = upgrade_match(event);
+    const postponed = match.status === 'postponed';
+    const is_home = same_team(match.home_team, team_name);
+    if (!team_name || (!is_home && !same_team(match.away_team, team_name))) {
+        let summary = `${match.home_team} vs ${match.away_team}`;
+        if (postponed) {
+            summary = `Postponed: ${summary}`;
+        } else if (match.result) {
+            summary = `${match.home_team} ${match.result} ${match.away_team}`;
+        }
+        return { summary, categories: [], postponed };
     }
-    const day = parseInt(date_parts[0], 10);
-    const month = parseInt(date_parts[1], 10) - 1;
-    const year = parseInt(date_parts[2], 10) + 2000;
-    const hour = parseInt(time_parts[0], 10);
-    const minute = parseInt(time_parts[1], 10);
-    return new Date(Date.UTC(year, month, day, hour, minute));
-};
 
-const format_date_for_ical = (date) => {
-    return date.toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
+    const opponent = is_home ? match.away_team : match.home_team;
+    const matchup = is_home ? `vs ${opponent} (H)` : `at ${opponent} (A)`;
+    const categories = [is_home ? 'Home' : 'Away'];
+    if (postponed) {
+        return { summary: `Postponed: ${matchup}`, categories: [...categories, 'Postponed'], opponent, postponed };
+    }
+    if (match.status === 'scheduled') {
+        return { summary: matchup, categories: [...categories, 'Fixture'], opponent, postponed };
+    }
+    if (match.status === 'unknown') {
+        return { summary: `${match.result} ${matchup}`, categories: [...categories, 'Result'], opponent, postponed };
+    }
+
+    const outcome = get_match_outcome(match, is_home);
+    const score_text = match.status === 'walkover'
+        ? 'walkover'
+        : (is_home ? [match.score.home_score, match.score.away_score] : [match.score.away_score, match.score.home_score]).join('-');
+    return {
+        summary: `${outcome} ${score_text} ${matchup}`,
+        categories: [...categories, 'Result', OUTCOME_CATEGORIES[outcome]],
+        opponent,
+        postponed
+    };
 };
 
 /**
- * Converts an array of fixtures AND results into a single iCal string.
+ * Builds the calendar of an array of fixtures AND results, as a component tree for
+ * ics.serialize_calendar, along with each event it includes for the exporters.
  * @param {Array<object>} events - The combined array of fixtures and results.
- * @param {object} location_mapper - The location mapper object.
+ * @param {(name: string) => ({ venue: object }|null)} resolve_venue - Looks venues up in the registry; see create_venue_resolver.
  * @param {string} team_url - The URL for the team page.
- * @returns {string}
+ * @param {object} [options]
+ * @param {string} [options.time_zone] - The IANA time zone the league's fixture times are written in.
+ * @param {object} [options.event_state] - UID/SEQUENCE state from previous runs, updated in place.
+ * @param {Date} [options.now] - The build time, used for DTSTAMP and LAST-MODIFIED.
+ * @param {number} [options.match_duration_minutes] - How long each event lasts.
+ * @param {string} [options.prodid] - The PRODID of the calendar.
+ * @param {string} [options.calendar_name] - The name calendar apps show for the subscription.
+ * @param {string} [options.team_name] - The team the calendar belongs to; summaries and categories are written from its side.
+ * @param {number[]} [options.reminders] - Minutes before each upcoming fixture to remind subscribers.
+ * @param {Map<string, string>} [options.form] - Each team's recent form, shown for the opponent; see compute_form.
+ * @param {Map<string, object>} [options.head_to_head] - Previews of upcoming fixtures by match key; see load_head_to_head_async.
+ * @param {Map<string, string[]>} [options.clashes] - Warnings about upcoming fixtures by match key; see get_clash_warnings.
+ * @param {(event: object, times: { start_date: Date, end_date: Date }) => boolean} [options.include] - Keeps only some of the
+ *   events. Identities are still worked out from every event, so a match keeps its UID in every feed.
+ * @param {boolean} [options.warn_skipped] - Warn about events whose date cannot be read. Turned off for feeds built
+ *   from events that were already reported.
+ * @returns {{ calendar: object, entries: { event: object, uid: string, sequence: number, last_modified: string, result_posted_at: string|null, summary: string, description: string, start_date: Date, end_date: Date }[] }}
  */
-const convert_events_to_ical = (events, location_mapper, team_url) => {
-    if (events.length === 0) {
+const build_calendar = (events, resolve_venue, team_url, {
+    time_zone = DEFAULT_TIMEZONE,
+    event_state = {},
+    now = new Date(),
+    match_duration_minutes = DEFAULT_MATCH_DURATION_MINUTES,
+    prodid = DEFAULT_PRODID,
+    calendar_name,
+    team_name,
+    reminders = [],
+    form = new Map(),
+    head_to_head = new Map(),
+    clashes = new Map(),
+    include = () => true,
+    warn_skipped = true
+} = {}) => {
+    if (events.length === 0 && warn_skipped) {
         console.warn('No fixtures or results found in the JSON. An empty calendar file will be created.');
     }
-    const crlf = '\r\n';
-    const dtstamp = format_date_for_ical(new Date());
-    const ical_lines = [
-        'BEGIN:VCALENDAR',
-        'VERSION:2.0',
-        'PRODID:-//CraigWayne//PoolFixtures v1.0//EN',
-        'CALSCALE:GREGORIAN',
-    ];
-
-    for (const event of events) {
-        const start_date = parse_utc_date(event.date, event.time);
-        if (!start_date) {
-            console.warn(`Skipping event with invalid date/time: ${event.date}`);
-            continue;
+    const dtstamp = format_date_for_ical(now);
+    const vevents = [];
+    const entries = [];
+    const event_years = [];
+
+    const dated_events = events.map(event => upgrade_match(event, { time_zone })).filter(event => {
+        if (!get_match_start(event, time_zone)) {
+            if (warn_skipped) {
+                console.warn(`Skipping event with invalid date/time: ${event.date}`);
+            }
+            return false;
         }
-        const end_date = new Date(start_date.getTime());
-        end_date.setUTCHours(end_date.getUTCHours() + 2); // Assume 2-hour duration
-
-        const dtstart_formatted = format_date_for_ical(start_date);
-        const dtend_formatted = format_date_for_ical(end_date);
-
-        let summary = '';
-        if (event.result) {
-            summary = `${event.home_team} ${event.result} ${event.away_team}`;
-        } else {
-            summary = `${event.home_team} vs ${event.away_team}`;
+        return true;
+    });
+    const identified_events = assign_event_identities(dated_events, event_state, get_season_id(team_url), now);
+
+    for (const { event, uid, sequence, last_modified, result_posted_at } of identified_events) {
+        const start_date = get_match_start(event, time_zone);
+        const end_date = new Date(start_date.getTime() + match_duration_minutes * 60 * 1000);
+        if (!include(event, { start_date, end_date })) {
+            continue;
         }
+        event_years.push(start_date.getUTCFullYear(), end_date.getUTCFullYear());
 
-        // The 'location' is the mapped, full address
-        let location = location_mapper[event.venue.toLowerCase()] || event.venue;
+        const { summary, categories, opponent, postponed } = describe_event(event, team_name);
 
-        // --- CHANGED ---
-        // Create the multi-line description.
-        // The \n is the correct way to add a new line in an iCal field.
-        let description = `URL: ${team_url}`; // Start with the URL
+        // 'event.venue' is the original, un-mapped name (e.g., "Railway")
+        const description_lines = [];
         if (event.venue) {
-            // Prepend the original venue name if it exists
-            // 'event.venue' is the original, un-mapped name (e.g., "Railway")
-            description = `Venue: ${event.venue}\n${description}`;
+            description_lines.push(`Venue: ${event.venue}`);
         }
-        // --- END CHANGE ---
-
-        const uid = uuidv4();
-        ical_lines.push(
-            'BEGIN:VEVENT',
-            `UID:${uid}`,
-            `SUMMARY:${summary}`,
-            `LOCATION:${location}`,
-            `DESCRIPTION:${description}`, // --- CHANGED ---
-            `DTSTAMP:${dtstamp}`,
-            `DTSTART:${dtstart_formatted}`,
-            `DTEND:${dtend_formatted}`,
-            'END:VEVENT'
-        );
+        if (opponent && form.get(opponent)) {
+            description_lines.push(`${opponent} form (last ${form.get(opponent).length}, oldest first): ${form.get(opponent)}`);
+        }
+        if (event.status === 'scheduled' && head_to_head.has(get_match_key(event))) {
+            description_lines.push(...describe_head_to_head(head_to_head.get(get_match_key(event))));
+        }
+        if (event.status === 'scheduled' && clashes.has(get_match_key(event))) {
+            description_lines.push(...clashes.get(get_match_key(event)));
+        }
+        // Combined feeds carry the URL of the team page each event came from.
+        description_lines.push(`URL: ${event.team_url || team_url}`);
+
+        const alarms = event.status !== 'scheduled' ? [] : reminders.map(minutes => ({
+            name: 'VALARM',
+            properties: [
+                property('ACTION', 'DISPLAY'),
+                property('DESCRIPTION', summary),
+                property('TRIGGER', format_reminder_trigger(minutes))
+            ]
+        }));
+
+        const description = description_lines.join('\n');
+        entries.push({ event, uid, sequence, last_modified, result_posted_at, summary, description, start_date, end_date });
+        vevents.push({
+            name: 'VEVENT',
+            properties: [
+                property('UID', uid),
+                property('SEQUENCE', sequence),
+                property('LAST-MODIFIED', format_date_for_ical(new Date(last_modified))),
+                property('SUMMARY', summary),
+                ...build_location_properties(event.venue, resolve_venue(event.venue)),
+                property('DESCRIPTION', description),
+                property('CATEGORIES', categories.length > 0 ? categories : undefined),
+                property('STATUS', postponed ? 'CANCELLED' : undefined),
+                property('DTSTAMP', dtstamp),
+                property('DTSTART', format_local_date_for_ical(start_date, time_zone), { TZID: time_zone }),
+                property('DTEND', format_local_date_for_ical(end_date, time_zone), { TZID: time_zone })
+            ],
+            components: alarms
+        });
     }
-    ical_lines.push('END:VCALENDAR');
-    return ical_lines.join(crlf);
+
+    const timezones = event_years.length > 0
+        ? [build_vtimezone(time_zone, Math.min(...event_years), Math.max(...event_years))]
+        : [];
+
+    const calendar = {
+        name: 'VCALENDAR',
+        properties: [
+            property('VERSION', '2.0'),
+            property('PRODID', prodid),
+            property('CALSCALE', 'GREGORIAN'),
+            property('X-WR-CALNAME', calendar_name),
+            property('X-WR-TIMEZONE', time_zone)
+        ],
+        components: [...timezones, ...vevents]
+    };
+    return { calendar, entries };
 };
 
 /**
- * Main async function to run the JSON -> iCal build process.
+ * Converts an array of fixtures AND results into a single iCal string. See build_calendar for the options.
+ * @param {Array<object>} events - The combined array of fixtures and results.
+ * @param {(name: string) => ({ venue: object }|null)} resolve_venue
+ * @param {string} team_url - The URL for the team page.
+ * @param {object} [options]
+ * @returns {string}
  */
-const main = async () => {
-    try {
-        console.log('Starting JSON-to-iCal build process...');
-
-        const location_mapper = await load_location_mapper_async(LOCATION_MAPPER_PATH);
-        const teams = await load_teams_async(TEAMS_FILE_PATH);
+const convert_events_to_ical = (events, resolve_venue, team_url, options) =>
+    serialize_calendar(build_calendar(events, resolve_venue, team_url, options).calendar);
 
-        if (!Array.isArray(teams) || teams.length === 0) {
-            console.warn('⚠️ teams.json is empty or invalid. Nothing to process.');
-            return;
-        }
+const is_upcoming = (event, { end_date }, now) => event.status === 'scheduled' && end_date > now;
+const is_played = (event) => event.status !== 'scheduled' && event.status !== 'postponed';
 
-        console.log(`Found ${teams.length} team(s) to process...`);
+/**
+ * Returns the file name of a venue's calendar.
+ * @param {string} venue_name - e.g. "The Railway Inn"
+ * @returns {string} e.g. "venue-the-railway-inn.ics"
+ */
+const get_venue_feed_file_name = (venue_name) => `venue-${slugify(venue_name)}.ics`;
 
-        for (const team of teams) {
-            if (!team || !team.name || !team.url) { // Check for url
-                console.warn('⚠️ Skipping invalid team entry in teams.json (missing name or url):', team);
-                continue;
+/**
+ * Merges every team's fixtures and results into one list with each match once. A match is listed
+ * by both teams, so it is kept once per date, home team and away team, preferring a row with a result.
+ * @param {{ team_url: string, events: Array<object> }[]} team_events
+ * @returns {Array<object>} Copies of the events, each with the team_url it was taken from.
+ */
+const merge_league_events = (team_events) => {
+    const matches = new Map();
+    for (const { team_url, events } of team_events) {
+        for (const event of events.map(record => upgrade_match(record))) {
+            const key = get_match_key(event);
+            const existing = matches.get(key);
+            if (!existing || (existing.status === 'scheduled' && event.status !== 'scheduled')) {
+                matches.set(key, { ...event, team_url });
             }
+        }
+    }
+    return infer_missing_venues([...matches.values()]);
+};
 
-            const team_slug = slugify(team.name);
-
-            const json_file_name_fixtures = `fixtures-${team_slug}.json`;
-            const json_file_path_fixtures = path.join(DIST_DIR, json_file_name_fixtures);
-
-            const json_file_name_results = `results-${team_slug}.json`;
-            const json_file_path_results = path.join(DIST_DIR, json_file_name_results);
+/**
+ * Writes the whole-league calendar and a calendar per venue, and lists them in feeds.json
+ * along with every exported file.
+ * @param {{ team_url: string, events: Array<object> }[]} team_events - Every team's fixtures and results.
+ * @param {(name: string) => ({ venue: object }|null)} resolve_venue
+ * @param {object} options - The calendar options shared with the team calendars, plus out_dir, league_name,
+ *   the formats to export the league calendar in, and the team calendars' exported files to list.
+ * @returns {Promise<{ league: string, venues: { name: string, file: string, matches: number }[], exports: string[] }>}
+ */
+const build_combined_feeds_async = async (team_events, resolve_venue, {
+    out_dir,
+    league_name,
+    exports = [],
+    exported_files = [],
+    ...calendar_options
+}) => {
+    const events = merge_league_events(team_events);
+    const season_url = team_events[0].team_url;
+    const league_label = league_name || 'League';
+    const league_calendar_name = `${league_label} (all matches)`;
+    const league_exports = await save_calendar_with_exports_async(path.join(out_dir, LEAGUE_FEED_FILE_NAME), build_calendar(events, resolve_venue, season_url, {
+        ...calendar_options,
+        calendar_name: league_calendar_name
+    }), { title: league_calendar_name, link: season_url, now: calendar_options.now, exports });
+
+    const venues = new Map();
+    const venue_file_of = (event) => {
+        if (!event.venue) {
+            return null;
+        }
+        const match = resolve_venue(event.venue);
+        const name = match ? match.venue.name : event.venue;
+        const file = get_venue_feed_file_name(name);
+        if (!venues.has(file)) {
+            venues.set(file, { name, file, matches: 0 });
+        }
+        return file;
+    };
+    events.forEach(event => {
+        const file = venue_file_of(event);
+        if (file) {
+            venues.get(file).matches += 1;
+        }
+    });
+    for (const venue of venues.values()) {
+        await save_ical_file_async(path.join(out_dir, venue.file), convert_events_to_ical(events, resolve_venue, season_url, {
+            ...calendar_options,
+            calendar_name: `${venue.name} (${league_label})`,
+            include: event => venue_file_of(event) === venue.file
+        }));
+    }
 
-            const ics_file_name = `${team_slug}.ics`;
-            const ics_output_path = path.join(DIST_DIR, ics_file_name);
+    const feeds = {
+        league: LEAGUE_FEED_FILE_NAME,
+        venues: [...venues.values()].sort((a, b) => a.name.localeCompare(b.name)),
+        exports: [...exported_files, ...league_exports]
+    };
+    await fs.writeFile(path.join(out_dir, FEEDS_FILE_NAME), JSON.stringify(feeds, null, 2), 'utf8');
+    console.log(`✅ Created the league calendar and ${feeds.venues.length} venue calendar(s) in ${out_dir}`);
+    return feeds;
+};
 
-            console.log(`--- Processing ${team.name} ---`);
+/**
+ * Works out every team's form from the results of all the given teams, so each calendar can
+ * show its opponents' form. Results that cannot be read are reported when the team's own
+ * calendar is built.
+ * @param {Array<object>} teams
+ * @param {string} out_dir
+ * @returns {Promise<Map<string, string>>}
+ */
+const load_form_async = async (teams, out_dir, time_zone) => {
+    const result_lists = [];
+    for (const team of teams) {
+        try {
+            result_lists.push(await load_matches_async(get_team_file_paths(out_dir, team.name).results, { time_zone }));
+        } catch (error) {
+            // Left for build_calendars to report.
+        }
+    }
+    return compute_form(collect_matches(result_lists));
+};
 
-            let fixtures = [];
-            let results = [];
+/**
+ * Builds an .ics file for every team from its fixtures and results JSON, plus "upcoming only" and
+ * "results only" variants per team, a whole-league calendar and a calendar per venue.
+ * @param {Array<object>} teams - Valid team entries from teams.json.
+ * @param {object} [options]
+ * @param {string} [options.out_dir] - The directory holding the JSON and receiving the .ics files.
+ * @param {string} [options.venues_path] - The path to the venue registry.
+ * @param {string} [options.time_zone] - The IANA time zone the league's fixture times are written in.
+ * @param {number} [options.match_duration_minutes] - How long each match lasts.
+ * @param {string} [options.prodid] - The PRODID of the calendars.
+ * @param {string} [options.league_name] - Added to each calendar's name, to tell leagues apart.
+ * @param {number[]} [options.reminders] - Minutes before each upcoming fixture to remind subscribers.
+ * @param {string[]} [options.exports] - Formats to export each team's calendar and the league calendar in; see exporters.js.
+ * @param {boolean} [options.clash_warnings] - Warn in each clashing fixture's description; see clashes.js.
+ * @returns {Promise<{ succeeded: string[], failed: { team: string, error: string }[], calendars: { file: string, team: string|null }[] }>}
+ *   calendars lists the .ics files written, by name, with the team each belongs to, or null for the league and venue calendars.
+ */
+const build_calendars = async (teams, {
+    out_dir = DEFAULT_OUTPUT_DIR,
+    venues_path = VENUES_FILE_PATH,
+    time_zone = LEAGUE_TIMEZONE,
+    match_duration_minutes = DEFAULT_MATCH_DURATION_MINUTES,
+    prodid = DEFAULT_PRODID,
+    league_name,
+    reminders = [],
+    exports = [],
+    clash_warnings = false
+} = {}) => {
+    check_export_formats(exports);
+    const summary = create_run_summary();
+    const event_state_path = path.join(out_dir, EVENT_STATE_FILE_NAME);
+    const resolve_venue = create_venue_resolver(await load_venue_registry_async(venues_path));
+    const venue_report = create_venue_report();
+    const event_state = await load_event_state_async(event_state_path);
+    const form = await load_form_async(teams, out_dir, time_zone);
+    const head_to_head = await load_head_to_head_async(teams, { out_dir, time_zone });
+    const now = new Date();
+    const clashes = clash_warnings
+        ? get_clash_warnings(await load_clashes_async(teams, { out_dir, venues_path, time_zone }))
+        : new Map();
+    const calendar_options = { time_zone, event_state, now, match_duration_minutes, prodid, head_to_head, clashes };
+    const team_events = [];
+    const exported_files = [];
+    const calendars = [];
+
+    console.log(`Found ${teams.length} team(s) to process...`);
+
+    for (const team of teams) {
+        const file_paths = get_team_file_paths(out_dir, team.name);
+
+        console.log(`--- Processing ${team.name} ---`);
+
+        let fixtures = [];
+        let results = [];
+
+        try {
+            fixtures = await load_matches_async(file_paths.fixtures, { time_zone });
 
             try {
-                fixtures = await load_json_file_async(json_file_path_fixtures);
-
-                try {
-                    results = await load_json_file_async(json_file_path_results);
-                } catch (results_error) {
-                    if (results_error.code === 'ENOENT') {
-                        console.log(`   -> No results file found for ${team.name}, skipping.`);
-                    } else {
-                        throw results_error; // A real error occurred
-                    }
+                results = await load_matches_async(file_paths.results, { time_zone });
+            } catch (results_error) {
+                if (results_error.code === 'ENOENT') {
+                    console.log(`   -> No results file found for ${team.name}, skipping.`);
+                } else {
+                    throw results_error; // A real error occurred
                 }
+            }
+
+            const all_events = infer_missing_venues([...fixtures, ...results]);
+            all_events.forEach(event => venue_report.record(event.venue, team.name, resolve_venue(event.venue)));
+            console.log(`Found ${fixtures.length} fixtures and ${results.length} results. Converting to iCal...`);
+
+            const calendar_name = league_name ? `${team.name} (${league_name})` : team.name;
+            const team_options = { ...calendar_options, team_name: team.name, reminders, form };
+            const feeds = [
+                { file_path: file_paths.ics, calendar_name },
+                { file_path: file_paths.upcoming_ics, calendar_name: `${calendar_name} - upcoming`, include: (event, times) => is_upcoming(event, times, now) },
+                { file_path: file_paths.results_ics, calendar_name: `${calendar_name} - results`, include: is_played }
+            ];
+            for (const [index, { file_path, ...feed_options }] of feeds.entries()) {
+                const built = build_calendar(all_events, resolve_venue, team.url, {
+                    ...team_options,
+                    ...feed_options,
+                    warn_skipped: index === 0
+                });
+                // Only the full calendar is exported; the variants are views of it.
+                exported_files.push(...await save_calendar_with_exports_async(file_path, built, {
+                    title: calendar_name,
+                    link: team.url,
+                    now,
+                    exports: index === 0 ? exports : []
+                }));
+                calendars.push({ file: path.basename(file_path), team: team.name });
+            }
+            team_events.push({ team_url: team.url, events: all_events });
+            console.log(`✅ Successfully created iCal files for ${team.name} at ${file_paths.ics}`);
+            summary.succeeded.push(team.name);
+
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                console.error(`❌ Error for ${team.name}: Fixtures JSON file not found at ${file_paths.fixtures}.`);
+                console.log(`   -> Did you run 'pool-fixtures parse' first?`);
+            } else {
+                console.error(`❌ An error occurred processing ${team.name}:`, error.message);
+            }
+            summary.failed.push({ team: team.name, error: error.message });
+        }
+    }
+    if (team_events.length > 0) {
+        const feeds = await build_combined_feeds_async(team_events, resolve_venue, {
+            ...calendar_options,
+            warn_skipped: false,
+            out_dir,
+            league_name,
+            exports,
+            exported_files
+        });
+        calendars.push(...[feeds.league, ...feeds.venues.map(venue => venue.file)].map(file => ({ file, team: null })));
+    }
+    await save_event_state_async(event_state_path, event_state);
+    await save_venue_report_async(out_dir, venue_report.to_report());
+    console.log(`✅ Saved event state to ${event_state_path}`);
+    console.log('🎉 All iCal generation operations finished.');
+    return { ...summary, calendars };
+};
 
-                const all_events = [...fixtures, ...results];
-                console.log(`Found ${fixtures.length} fixtures and ${results.length} results. Converting to iCal...`);
+/**
+ * Main async function to run the JSON -> iCal build process.
+ */
+const main = async () => {
+    try {
+        console.log('Starting JSON-to-iCal build process...');
 
-                // Pass team.url to the function
-                const ical_string = convert_events_to_ical(all_events, location_mapper, team.url);
+        const teams = select_teams(await load_teams_async(DEFAULT_TEAMS_FILE_PATH));
 
-                await save_ical_file_async(ics_output_path, ical_string);
-                console.log(`✅ Successfully created iCal file for ${team.name} at ${ics_output_path}`);
+        if (teams.length === 0) {
+            console.warn('⚠️ teams.json is empty or invalid. Nothing to process.');
+            return;
+        }
 
-            } catch (error) {
-                if (error.code === 'ENOENT') {
-                    console.error(`❌ Error for ${team.name}: Fixtures JSON file not found at ${json_file_path_fixtures}.`);
-                    console.log(`   -> Did you run 'node scripts/html-to-json-fixtures.js' first?`);
-                } else {
-                    console.error(`❌ An error occurred processing ${team.name}:`, error.message);
-                }
-            }
+        const summary = await build_calendars(teams);
+        if (summary.failed.length > 0) {
+            process.exitCode = 1;
         }
-        console.log('🎉 All iCal generation operations finished.');
     } catch (error)
     {
         console.error(`❌ A critical error occurred:`, error.message);
@@ -222,4 +530,19 @@ const main = async () => {
     }
 };
 
-main();
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    LEAGUE_TIMEZONE,
+    LEAGUE_FEED_FILE_NAME,
+    FEEDS_FILE_NAME,
+    parse_local_date,
+    describe_event,
+    build_calendar,
+    convert_events_to_ical,
+    get_venue_feed_file_name,
+    merge_league_events,
+    build_calendars
+};
@@ -0,0 +1,155 @@
+const cheerio = require('cheerio');
+const {parse_date_time_cell} = require('./team-page');
+const {LEAGUE_TIMEZONE} = require('./timezone');
+const {create_match, get_match_key, reconcile_matches} = require('./match-model');
+const {create_fetcher} = require('./fetcher');
+
+const http_headers = {
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
+    'Accept-Language': 'en-GB,en-US;q=0.9,en;q=0.8',
+    'Connection': 'keep-alive',
+    'DNT': '1',
+    'Sec-Fetch-Dest': 'document',
+    'Sec-Fetch-Mode': 'navigate',
+    'Sec-Fetch-Site': 'none',
+    'Sec-Fetch-User': '?1',
+    'Upgrade-Insecure-Requests': '1',
+    'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/141.0.0.0 Safari/537.36',
+    'sec-ch-ua': '"Google Chrome";v="141", "Not?A_Brand";v="8", "Chromium";v="141"',
+    'sec-ch-ua-mobile': '?0',
+    'sec-ch-ua-platform': '"macOS"'
+};
+
+/**
+ * Gives the headers sent to the league website. No cookies are sent unless a consent cookie is
+ * configured: should the website start showing its cookie wall instead of the fixtures, the
+ * cookie it sets once consent is given can be passed on here, e.g. "tcf2cookie=...".
+ * @param {string} [consent_cookie] - Defaults to the LEAGUEREPUBLIC_CONSENT_COOKIE environment variable.
+ * @returns {object}
+ */
+const get_league_headers = (consent_cookie = process.env.LEAGUEREPUBLIC_CONSENT_COOKIE) => {
+    return consent_cookie ? { ...http_headers, 'Cookie': consent_cookie } : { ...http_headers };
+};
+
+/**
+ * Creates a fetcher that sends browser-like headers to the league website.
+ * @param {object} [fetch_options] - Timeout, retry, rate limit and cache settings for create_fetcher.
+ * @returns {ReturnType<typeof create_fetcher>}
+ */
+const create_league_fetcher = (fetch_options = {}) => create_fetcher({ ...fetch_options, headers: get_league_headers() });
+
+/**
+ * The two tables on a LeagueRepublic team page. Results have no venue column, and the
+ * score sits in the column that holds "v" on the fixtures table.
+ */
+const TABLES = {
+    fixtures: { selector: 'table:not(.fixed) tbody tr', min_cells: 6, has_result: false },
+    results: { selector: 'table.fixed tbody tr', min_cells: 5, has_result: true }
+};
+
+const load_page = (html_content) => {
+    if (!html_content) {
+        throw new Error('No HTML content provided.');
+    }
+    return cheerio.load(html_content);
+};
+
+/**
+ * Reads the rows of one of the team page's tables.
+ * @param {import('cheerio').CheerioAPI} $ - The loaded page.
+ * @param {string} kind - "fixtures" or "results".
+ * @param {object} options - The time_zone and source_url passed to create_match.
+ * @returns {Array<object>} Matches in the format described by schema/match.schema.json.
+ */
+const parse_table = ($, kind, { time_zone = LEAGUE_TIMEZONE, source_url } = {}) => {
+    const { selector, min_cells, has_result } = TABLES[kind];
+    const matches = [];
+    const table_rows = $(selector);
+    if (table_rows.length === 0) {
+        console.warn(`No ${kind} rows found in the table body.`);
+        return [];
+    }
+    table_rows.each((index, row) => {
+        const cells = $(row).find('td');
+        if (cells.length < min_cells) {
+            console.warn(`Skipping ${kind} row ${index + 1}: Incomplete data.`);
+            return;
+        }
+        const date_time = parse_date_time_cell($, cells.get(1));
+        if (!date_time) {
+            console.warn(`Skipping ${kind} row ${index + 1}: Missing date/time.`);
+            return;
+        }
+        const {date, time} = date_time;
+        const raw = {
+            date,
+            time,
+            home_team: $(cells.get(2)).text().trim(),
+            away_team: $(cells.get(4)).text().trim(),
+            venue: has_result ? '' : $(cells.get(5)).text().trim()
+        };
+        if (has_result) {
+            raw.result = $(cells.get(3)).text().trim().replace(/\s/g, '');
+        }
+        matches.push(create_match(raw, {
+            time_zone,
+            home_team_url: $(cells.get(2)).find('a').attr('href'),
+            away_team_url: $(cells.get(4)).find('a').attr('href'),
+            division: $(cells.get(0)).text().trim(),
+            source_url,
+            match_url: has_result ? $(cells.get(3)).find('a').attr('href') : undefined
+        }));
+    });
+    return matches;
+};
+
+/**
+ * Parses the HTML content to find fixtures.
+ * @param {string} html_content
+ * @param {object} [options]
+ * @param {string} [options.time_zone] - The IANA time zone the fixture times are written in.
+ * @param {string} [options.source_url] - The URL the page was fetched from.
+ * @return {Array<object>} Matches in the format described by schema/match.schema.json.
+ */
+const parse_fixtures = (html_content, options) => parse_table(load_page(html_content), 'fixtures', options);
+
+/**
+ * Parses the HTML content to find results.
+ * @param {string} html_content
+ * @param {object} [options] - See parse_fixtures.
+ * @return {Array<object>} Matches in the format described by schema/match.schema.json.
+ */
+const parse_results = (html_content, options) => parse_table(load_page(html_content), 'results', options);
+
+const compare_starts = (a, b) => {
+    if (a.start && b.start) {
+        return Date.parse(a.start) - Date.parse(b.start);
+    }
+    return (a.start ? 0 : 1) - (b.start ? 0 : 1);
+};
+
+/**
+ * Reads both tables of a team page in one pass and returns each match once, whichever
+ * table it was listed in, oldest first. Matches without a known start come last.
+ * @param {string} html_content
+ * @param {object} [options] - See parse_fixtures.
+ * @returns {Array<object>} Matches in the format described by schema/match.schema.json.
+ */
+const parse_team_page = (html_content, options) => {
+    const $ = load_page(html_content);
+    const matches = new Map();
+    for (const match of [...parse_table($, 'fixtures', options), ...parse_table($, 'results', options)]) {
+        const key = get_match_key(match);
+        const existing = matches.get(key);
+        matches.set(key, existing ? reconcile_matches(existing, match) : match);
+    }
+    return [...matches.values()].sort(compare_starts);
+};
+
+module.exports = {
+    get_league_headers,
+    create_league_fetcher,
+    parse_fixtures,
+    parse_results,
+    parse_team_page
+};
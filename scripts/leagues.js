@@ -0,0 +1,208 @@
+const fs = require('fs').promises;
+const path = require('path');
+const {DEFAULT_TIMEZONE, get_timezone_offset_minutes} = require('./timezone');
+const {get_team_file_paths} = require('./teams');
+const {slugify} = require("./slugify");
+const {EXPORTERS} = require('./exporters');
+const {DEFAULT_MAX_SHRINK} = require('./verify');
+
+const ROOT_DIR = path.resolve(__dirname, '../');
+const DEFAULT_LEAGUES_FILE_PATH = path.resolve(ROOT_DIR, 'leagues.json');
+const DEFAULT_MATCH_DURATION_MINUTES = 120;
+const DEFAULT_PRODID = '-//CraigWayne//PoolFixtures v1.0//EN';
+const LEAGUE_ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Checks one entry of leagues.json and fills in the defaults.
+ * Relative file paths are resolved against the directory holding leagues.json.
+ * @param {object} entry - The raw entry.
+ * @param {string} base_dir - The directory holding leagues.json.
+ * @returns {{ id: string, name: string, url: string, time_zone: string, match_duration_minutes: number, reminders: number[], exports: string[], clash_warnings: boolean, max_shrink: number, venues_path: string, teams_file: string, subscribers_file: string, asset_prefix: string, prodid: string }}
+ */
+const normalize_league = (entry, base_dir) => {
+    if (!entry || typeof entry !== 'object') {
+        throw new Error('Each league must be an object.');
+    }
+    const label = entry.id || entry.name || 'league';
+    if (!entry.id || !LEAGUE_ID_PATTERN.test(entry.id)) {
+        throw new Error(`League "${label}" needs an "id" of lowercase letters, digits and hyphens, e.g. "douglas".`);
+    }
+    if (!entry.url) {
+        throw new Error(`League "${entry.id}" needs a "url" pointing at its LeagueRepublic index page.`);
+    }
+    const time_zone = entry.time_zone || process.env.LEAGUE_TIMEZONE || DEFAULT_TIMEZONE;
+    try {
+        get_timezone_offset_minutes(new Date(), time_zone);
+    } catch (error) {
+        throw new Error(`League "${entry.id}" has an unknown time zone "${time_zone}".`);
+    }
+    const match_duration_minutes = entry.match_duration_minutes === undefined
+        ? DEFAULT_MATCH_DURATION_MINUTES
+        : entry.match_duration_minutes;
+    if (!Number.isInteger(match_duration_minutes) || match_duration_minutes <= 0) {
+        throw new Error(`League "${entry.id}" has an invalid "match_duration_minutes"; expected a whole number of minutes.`);
+    }
+    const reminders = entry.reminders === undefined ? [] : entry.reminders;
+    if (!Array.isArray(reminders) || !reminders.every(minutes => Number.isInteger(minutes) && minutes >= 0)) {
+        throw new Error(`League "${entry.id}" has invalid "reminders"; expected a list of minutes before each fixture, e.g. [60, 1440].`);
+    }
+    const exports = entry.exports === undefined ? [] : entry.exports;
+    if (!Array.isArray(exports) || !exports.every(format => EXPORTERS.has(format))) {
+        throw new Error(`League "${entry.id}" has invalid "exports"; expected a list of any of: ${[...EXPORTERS.keys()].join(', ')}.`);
+    }
+    if (entry.clash_warnings !== undefined && typeof entry.clash_warnings !== 'boolean') {
+        throw new Error(`League "${entry.id}" has an invalid "clash_warnings"; expected true or false.`);
+    }
+    const max_shrink = entry.max_shrink === undefined ? DEFAULT_MAX_SHRINK : entry.max_shrink;
+    if (typeof max_shrink !== 'number' || !(max_shrink >= 0 && max_shrink <= 1)) {
+        throw new Error(`League "${entry.id}" has an invalid "max_shrink"; expected a share from 0 to 1, e.g. 0.5.`);
+    }
+
+    return {
+        id: entry.id,
+        name: entry.name || entry.id,
+        url: entry.url,
+        time_zone,
+        match_duration_minutes,
+        reminders,
+        exports,
+        clash_warnings: entry.clash_warnings === true,
+        max_shrink,
+        venues_path: path.resolve(base_dir, entry.venues || entry.location_mapper || 'venues.json'),
+        teams_file: path.resolve(base_dir, entry.teams_file || `teams-${entry.id}.json`),
+        subscribers_file: path.resolve(base_dir, entry.subscribers || `subscribers-${entry.id}.json`),
+        asset_prefix: entry.asset_prefix === undefined ? `${entry.id}-` : entry.asset_prefix,
+        prodid: entry.prodid || DEFAULT_PRODID
+    };
+};
+
+/**
+ * Loads leagues.json, which lists every league or competition to build calendars for.
+ * @param {string} [file_path] - The path to leagues.json.
+ * @returns {Promise<Array<ReturnType<typeof normalize_league>>>}
+ */
+const load_leagues_async = async (file_path = DEFAULT_LEAGUES_FILE_PATH) => {
+    let config;
+    try {
+        config = JSON.parse(await fs.readFile(file_path, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new Error(`Could not find ${file_path}.`);
+        }
+        if (error instanceof SyntaxError) {
+            throw new Error(`Failed to parse ${file_path}. Check for JSON syntax errors.`);
+        }
+        throw error;
+    }
+    if (!config || !Array.isArray(config.leagues) || config.leagues.length === 0) {
+        throw new Error(`${file_path} must have a non-empty "leagues" array.`);
+    }
+
+    const base_dir = path.dirname(path.resolve(file_path));
+    const leagues = config.leagues.map(entry => normalize_league(entry, base_dir));
+    const seen = new Set();
+    for (const league of leagues) {
+        if (seen.has(league.id)) {
+            throw new Error(`League id "${league.id}" is used more than once in ${file_path}.`);
+        }
+        seen.add(league.id);
+    }
+    return leagues;
+};
+
+/**
+ * Keeps only the leagues with the given ids, or every league when no ids are given.
+ * @param {Array<object>} leagues
+ * @param {string[]} [ids]
+ * @returns {Array<object>}
+ */
+const select_leagues = (leagues, ids = []) => {
+    if (ids.length === 0) {
+        return leagues;
+    }
+    const unknown = ids.filter(id => !leagues.some(league => league.id === id));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown league(s): ${unknown.join(', ')}. Expected one of: ${leagues.map(league => league.id).join(', ')}.`);
+    }
+    return leagues.filter(league => ids.includes(league.id));
+};
+
+/**
+ * Returns the directory a league's pages, JSON and calendars are written to.
+ * @param {string} out_dir - The top-level output directory (usually dist/).
+ * @param {{ id: string }} league
+ * @returns {string}
+ */
+const get_league_out_dir = (out_dir, league) => path.join(out_dir, league.id);
+
+/**
+ * Lists the files a league publishes, with the flat, league-prefixed names they are released under.
+ * @param {object} league - A normalized league.
+ * @param {Array<object>} teams - The league's teams.
+ * @param {string} out_dir - The top-level output directory.
+ * @returns {{ source: string, name: string }[]}
+ */
+const get_release_assets = (league, teams, out_dir) => {
+    const league_dir = get_league_out_dir(out_dir, league);
+    const asset = (source) => ({ source, name: `${league.asset_prefix}${path.basename(source)}` });
+    const team_assets = teams.flatMap(team => {
+        const file_paths = get_team_file_paths(league_dir, team.name);
+        return [asset(file_paths.ics), asset(file_paths.upcoming_ics), asset(file_paths.results_ics), asset(file_paths.fixtures)];
+    });
+    return [
+        ...team_assets,
+        ...['league.ics', 'calendar-state.json', 'standings.json', 'standings.html', 'standings.md', 'players.json', 'changes.json', 'notifications-state.json', 'verification.json']
+            .map(file_name => asset(path.join(league_dir, file_name)))
+    ];
+};
+
+/**
+ * Throws if two teams would be written to the same file, either within a league or, once
+ * prefixed, among the released files of every league.
+ * @param {{ league: object, teams: Array<object> }[]} league_teams
+ * @param {string} out_dir - The top-level output directory.
+ */
+const check_for_collisions = (league_teams, out_dir) => {
+    for (const { league, teams } of league_teams) {
+        const slugs = new Map();
+        for (const team of teams) {
+            const slug = slugify(team.name);
+            if (slugs.has(slug)) {
+                throw new Error(`Teams "${slugs.get(slug)}" and "${team.name}" in league "${league.id}" would share the file name "${slug}".`);
+            }
+            slugs.set(slug, team.name);
+        }
+        // A team called e.g. "Upcoming Railway" would overwrite the upcoming calendar of "Railway".
+        const calendar_owners = new Map([['league.ics', 'the league calendar']]);
+        for (const team of teams) {
+            const file_paths = get_team_file_paths('', team.name);
+            for (const file_name of [file_paths.ics, file_paths.upcoming_ics, file_paths.results_ics]) {
+                if (calendar_owners.has(file_name)) {
+                    throw new Error(`Team "${team.name}" in league "${league.id}" would overwrite "${file_name}" of ${calendar_owners.get(file_name)}.`);
+                }
+                calendar_owners.set(file_name, `"${team.name}"`);
+            }
+        }
+    }
+
+    const owners = new Map();
+    for (const { league, teams } of league_teams) {
+        for (const { name } of get_release_assets(league, teams, out_dir)) {
+            if (owners.has(name) && owners.get(name) !== league.id) {
+                throw new Error(`Leagues "${owners.get(name)}" and "${league.id}" would both publish "${name}". Give one of them a different "asset_prefix".`);
+            }
+            owners.set(name, league.id);
+        }
+    }
+};
+
+module.exports = {
+    DEFAULT_LEAGUES_FILE_PATH,
+    DEFAULT_MATCH_DURATION_MINUTES,
+    DEFAULT_PRODID,
+    load_leagues_async,
+    select_leagues,
+    get_league_out_dir,
+    get_release_assets,
+    check_for_collisions
+};
@@ -0,0 +1,377 @@
+const fs = require('fs').promises;
+const path = require('path');
+const {DEFAULT_TIMEZONE, zoned_time_to_utc, get_timezone_offset_minutes} = require('./timezone');
+
+const ROOT_DIR = path.resolve(__dirname, '../');
+const MATCH_SCHEMA_PATH = path.resolve(ROOT_DIR, 'schema', 'match.schema.json');
+
+/**
+ * The version of the record format written to fixtures-*.json and results-*.json.
+ * Records without a schema_version were written before the format existed and are upgraded when read.
+ */
+const MATCH_SCHEMA_VERSION = 1;
+
+/**
+ * scheduled: not played yet. played: has a frame score. walkover: awarded without frames.
+ * postponed: "P-P" on the league website. unknown: a result the parser does not recognise.
+ */
+const MATCH_STATUSES = ['scheduled', 'played', 'walkover', 'postponed', 'unknown'];
+
+const MATCH_FIELDS = [
+    'schema_version', 'date', 'time', 'start', 'home_team', 'home_team_id', 'away_team', 'away_team_id',
+    'venue', 'division', 'status', 'result', 'match_url', 'score', 'winner', 'source_url'
+];
+const ISO_DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:Z|[+-]\d{2}:\d{2})$/;
+const TEAM_URL_PATTERN = /\/team\/(\d+)\/(\d+)\.html/;
+
+/**
+ * Resolves a link against the page it was found on, leaving it as it is if that is not possible.
+ * @param {string} [href]
+ * @param {string} [base_url]
+ * @returns {string|null}
+ */
+const resolve_link = (href, base_url) => {
+    if (!href) {
+        return null;
+    }
+    try {
+        return new URL(href, base_url).href;
+    } catch {
+        return href;
+    }
+};
+
+/**
+ * Extracts the season and team ids from a LeagueRepublic team URL.
+ * @param {string} team_url - e.g. "/team/160037514/717368412.html"
+ * @returns {{ season_id: string, team_id: string }|null}
+ */
+const parse_team_url = (team_url) => {
+    const match = TEAM_URL_PATTERN.exec(team_url || '');
+    return match ? { season_id: match[1], team_id: match[2] } : null;
+};
+
+/**
+ * Parses the league's "DD/MM/YY" and "HH:MM" strings as a wall-clock time in the league's time zone.
+ * @param {string} date_str - e.g. "31/03/25"
+ * @param {string} time_str - e.g. "19:30"
+ * @param {string} time_zone - An IANA time zone name.
+ * @returns {Date|null} The UTC instant of the start time, or null if the strings are not parseable.
+ */
+const parse_local_date = (date_str, time_str, time_zone) => {
+    const date_parts = String(date_str || '').split('/');
+    const time_parts = String(time_str || '').split(':');
+    if (date_parts.length !== 3 || time_parts.length !== 2) {
+        return null;
+    }
+    const start = zoned_time_to_utc({
+        day: parseInt(date_parts[0], 10),
+        month: parseInt(date_parts[1], 10),
+        year: parseInt(date_parts[2], 10) + 2000,
+        hour: parseInt(time_parts[0], 10),
+        minute: parseInt(time_parts[1], 10)
+    }, time_zone);
+    return Number.isNaN(start.getTime()) ? null : start;
+};
+
+/**
+ * Formats an instant as an ISO 8601 date-time with the offset that applies in the time zone.
+ * @param {Date} date
+ * @param {string} time_zone - An IANA time zone name.
+ * @returns {string} e.g. "2025-10-06T20:00:00+01:00"
+ */
+const format_iso_date_time = (date, time_zone) => {
+    const offset_minutes = get_timezone_offset_minutes(date, time_zone);
+    const local = new Date(date.getTime() + offset_minutes * 60 * 1000).toISOString().split('.')[0];
+    const sign = offset_minutes < 0 ? '-' : '+';
+    const absolute = Math.abs(offset_minutes);
+    return `${local}${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Parses a scraped result string such as "7-3", "W-O" (home walkover) or "O-W" (away walkover).
+ * Postponed ("P-P") and unrecognised results return null.
+ * @param {string} result
+ * @returns {{ home_frames: number, away_frames: number, walkover: boolean, home_wins?: boolean }|null}
+ */
+const parse_score = (result) => {
+    const text = String(result || '').replace(/\s/g, '').toUpperCase();
+    const score = /^(\d+)-(\d+)$/.exec(text);
+    if (score) {
+        return { home_frames: parseInt(score[1], 10), away_frames: parseInt(score[2], 10), walkover: false };
+    }
+    if (text === 'W-O') {
+        return { home_frames: 0, away_frames: 0, walkover: true, home_wins: true };
+    }
+    if (text === 'O-W') {
+        return { home_frames: 0, away_frames: 0, walkover: true, home_wins: false };
+    }
+    return null;
+};
+
+/**
+ * Reads the outcome of a match from its scraped result string.
+ * @param {string} [result] - e.g. "7-3", "W-O", "P-P", or empty for a fixture.
+ * @returns {{ status: string, score: { home_score: number, away_score: number }|null, winner: 'home'|'away'|'draw'|null }}
+ */
+const parse_result = (result) => {
+    const text = String(result || '').replace(/\s/g, '').toUpperCase();
+    if (!text) {
+        return { status: 'scheduled', score: null, winner: null };
+    }
+    if (text === 'P-P') {
+        return { status: 'postponed', score: null, winner: null };
+    }
+    const parsed = parse_score(text);
+    if (!parsed) {
+        return { status: 'unknown', score: null, winner: null };
+    }
+    if (parsed.walkover) {
+        return { status: 'walkover', score: null, winner: parsed.home_wins ? 'home' : 'away' };
+    }
+    const { home_frames: home_score, away_frames: away_score } = parsed;
+    let winner = 'draw';
+    if (home_score !== away_score) {
+        winner = home_score > away_score ? 'home' : 'away';
+    }
+    return { status: 'played', score: { home_score, away_score }, winner };
+};
+
+/**
+ * Builds a record in the current format from the strings scraped off a team page.
+ * @param {{ date: string, time: string, home_team: string, away_team: string, venue?: string, result?: string }} raw
+ * @param {object} [options]
+ * @param {string} [options.time_zone] - The IANA time zone the date and time are written in.
+ * @param {string} [options.home_team_url] - The link on the home team's name.
+ * @param {string} [options.away_team_url] - The link on the away team's name.
+ * @param {string} [options.division] - The competition column, e.g. "PREM" or "CUP".
+ * @param {string} [options.source_url] - The team page the record was scraped from.
+ * @param {string} [options.match_url] - The link on a result to the match's card of frames.
+ * @returns {object} See schema/match.schema.json.
+ */
+const create_match = (raw, {
+    time_zone = DEFAULT_TIMEZONE,
+    home_team_url,
+    away_team_url,
+    division,
+    source_url,
+    match_url
+} = {}) => {
+    const start = parse_local_date(raw.date, raw.time, time_zone);
+    const home_ids = parse_team_url(home_team_url);
+    const away_ids = parse_team_url(away_team_url);
+    const { status, score, winner } = parse_result(raw.result);
+    return {
+        schema_version: MATCH_SCHEMA_VERSION,
+        date: raw.date,
+        time: raw.time,
+        start: start ? format_iso_date_time(start, time_zone) : null,
+        home_team: raw.home_team,
+        home_team_id: home_ids ? home_ids.team_id : null,
+        away_team: raw.away_team,
+        away_team_id: away_ids ? away_ids.team_id : null,
+        venue: raw.venue || '',
+        division: division || null,
+        status,
+        // Results keep the score as written, which is what the website and calendars show.
+        ...(raw.result !== undefined && { result: raw.result, match_url: resolve_link(match_url, source_url) }),
+        score,
+        winner,
+        source_url: source_url || null
+    };
+};
+
+/**
+ * Brings a record written by an older version up to the current format. Current records are returned as they are.
+ * @param {object} record
+ * @param {object} [options] - The time_zone and source_url to fill in; see create_match.
+ * @returns {object}
+ */
+const upgrade_match = (record, { time_zone = DEFAULT_TIMEZONE, source_url } = {}) => {
+    if (record && record.schema_version === MATCH_SCHEMA_VERSION) {
+        return record;
+    }
+    return create_match(record || {}, { time_zone, source_url });
+};
+
+const is_optional_string = (value) => value === null || typeof value === 'string';
+
+/**
+ * Checks a record against the current format, mirroring schema/match.schema.json.
+ * @param {object} record
+ * @returns {string[]} A list of problems; empty if the record is valid.
+ */
+const validate_match = (record) => {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return ['is not an object'];
+    }
+    const errors = [];
+    if (record.schema_version !== MATCH_SCHEMA_VERSION) {
+        errors.push(`schema_version must be ${MATCH_SCHEMA_VERSION}`);
+    }
+    for (const key of Object.keys(record)) {
+        if (!MATCH_FIELDS.includes(key)) {
+            errors.push(`has an unknown field "${key}"`);
+        }
+    }
+    for (const key of ['home_team', 'away_team']) {
+        if (typeof record[key] !== 'string' || !record[key].trim()) {
+            errors.push(`${key} must be a non-empty string`);
+        }
+    }
+    for (const key of ['date', 'time', 'venue']) {
+        if (typeof record[key] !== 'string') {
+            errors.push(`${key} must be a string`);
+        }
+    }
+    if (record.result !== undefined && typeof record.result !== 'string') {
+        errors.push('result must be a string');
+    }
+    const valid_start = record.start === null
+        || (typeof record.start === 'string' && ISO_DATE_TIME_PATTERN.test(record.start) && !Number.isNaN(Date.parse(record.start)));
+    if (!valid_start) {
+        errors.push('start must be an ISO 8601 date-time with an offset, or null');
+    }
+    for (const key of ['home_team_id', 'away_team_id']) {
+        if (record[key] !== null && !/^\d+$/.test(String(record[key]))) {
+            errors.push(`${key} must be a LeagueRepublic team id, or null`);
+        }
+    }
+    if (record.match_url !== undefined && !is_optional_string(record.match_url)) {
+        errors.push('match_url must be a string or null');
+    }
+    for (const key of ['division', 'source_url']) {
+        if (!is_optional_string(record[key])) {
+            errors.push(`${key} must be a string or null`);
+        }
+    }
+    if (!MATCH_STATUSES.includes(record.status)) {
+        errors.push(`status must be one of ${MATCH_STATUSES.join(', ')}`);
+    }
+
+    const { score, winner, status } = record;
+    if (score !== null) {
+        const valid_score = score && typeof score === 'object'
+            && Number.isInteger(score.home_score) && score.home_score >= 0
+            && Number.isInteger(score.away_score) && score.away_score >= 0
+            && Object.keys(score).length === 2;
+        if (!valid_score) {
+            errors.push('score must be { home_score, away_score } with whole numbers, or null');
+        }
+    }
+    if (![null, 'home', 'away', 'draw'].includes(winner)) {
+        errors.push('winner must be "home", "away", "draw" or null');
+    }
+    if (status === 'played' && (score === null || winner === null)) {
+        errors.push('a played match needs a score and a winner');
+    }
+    if (status === 'walkover' && (score !== null || winner === null || winner === 'draw')) {
+        errors.push('a walkover has no score and is won by "home" or "away"');
+    }
+    if (['scheduled', 'postponed', 'unknown'].includes(status) && (score !== null || winner !== null)) {
+        errors.push(`a ${status} match has no score or winner`);
+    }
+    return errors;
+};
+
+/**
+ * Throws if any record is malformed, naming the first few problems.
+ * @param {Array<object>} records
+ * @param {string} label - Where the records came from, for the error message.
+ */
+const assert_valid_matches = (records, label) => {
+    if (!Array.isArray(records)) {
+        throw new Error(`${label} must contain a list of matches.`);
+    }
+    const problems = records.flatMap((record, index) => validate_match(record).map(error => `#${index + 1} ${error}`));
+    if (problems.length > 0) {
+        const shown = problems.slice(0, 3).join('; ');
+        const more = problems.length > 3 ? ` (and ${problems.length - 3} more)` : '';
+        throw new Error(`${label} has invalid matches: ${shown}${more}.`);
+    }
+};
+
+/**
+ * Reads a fixtures or results JSON file, upgrading records written by older versions and
+ * rejecting malformed ones. A missing file rejects with the usual ENOENT error.
+ * @param {string} file_path
+ * @param {object} [options] - The time_zone used to upgrade older records.
+ * @returns {Promise<Array<object>>}
+ */
+const load_matches_async = async (file_path, { time_zone = DEFAULT_TIMEZONE } = {}) => {
+    const content = JSON.parse(await fs.readFile(file_path, 'utf8'));
+    const records = Array.isArray(content) ? content.map(record => upgrade_match(record, { time_zone })) : content;
+    assert_valid_matches(records, path.basename(file_path));
+    return records;
+};
+
+/**
+ * Identifies a match regardless of which team's page or which table it was read from.
+ * A match is played once per date between the same home and away team.
+ * @param {object} record - A record in any version.
+ * @returns {string} e.g. "15/09/25|railway|manor"
+ */
+const get_match_key = (record) => [record.date, record.home_team, record.away_team]
+    .map(part => String(part || '').trim().toLowerCase())
+    .join('|');
+
+/**
+ * Fields a match read from one table of a page can be missing but another table may know.
+ */
+const FILLABLE_FIELDS = ['venue', 'home_team_id', 'away_team_id', 'division'];
+
+/**
+ * Picks the row that says more about how a match went, filling in what it is missing from the other.
+ * A result beats a fixture, so a match that has just been played is not listed as still to come.
+ * @param {object} existing
+ * @param {object} incoming
+ * @returns {object}
+ */
+const reconcile_matches = (existing, incoming) => {
+    const incoming_is_newer = existing.status === 'scheduled'
+        ? incoming.status !== 'scheduled' || 'result' in incoming
+        : false;
+    const [kept, other] = incoming_is_newer ? [incoming, existing] : [existing, incoming];
+    const merged = { ...kept };
+    for (const field of FILLABLE_FIELDS) {
+        if (!merged[field] && other[field]) {
+            merged[field] = other[field];
+        }
+    }
+    return merged;
+};
+
+/**
+ * Returns when a match starts.
+ * @param {object} record - A record in any version.
+ * @param {string} time_zone - Used for records written before "start" existed.
+ * @returns {Date|null}
+ */
+const get_match_start = (record, time_zone) => {
+    if (record.start) {
+        return new Date(record.start);
+    }
+    if (record.schema_version === MATCH_SCHEMA_VERSION) {
+        return null;
+    }
+    return parse_local_date(record.date, record.time, time_zone);
+};
+
+module.exports = {
+    MATCH_SCHEMA_PATH,
+    MATCH_SCHEMA_VERSION,
+    MATCH_STATUSES,
+    parse_team_url,
+    parse_local_date,
+    format_iso_date_time,
+    parse_score,
+    parse_result,
+    create_match,
+    upgrade_match,
+    validate_match,
+    assert_valid_matches,
+    load_matches_async,
+    get_match_key,
+    reconcile_matches,
+    get_match_start
+};
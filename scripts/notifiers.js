@@ -0,0 +1,268 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const tls = require('tls');
+
+const OUTPUT_TYPES = ['webhook', 'smtp', 'file', 'stdout'];
+const DEFAULT_TIMEOUT_MS = 20000;
+
+/**
+ * Reads a setting that may be given directly or, for secrets, through an environment variable
+ * named by "<key>_env", e.g. { "password_env": "SMTP_PASSWORD" }.
+ * @param {object} config
+ * @param {string} key
+ * @param {object} env
+ * @returns {string|undefined}
+ */
+const read_setting = (config, key, env) => {
+    if (config[`${key}_env`]) {
+        const value = env[config[`${key}_env`]];
+        if (!value) {
+            throw new Error(`The environment variable ${config[`${key}_env`]} for "${key}" is not set.`);
+        }
+        return value;
+    }
+    return config[key];
+};
+
+/**
+ * Buffers an SMTP connection's data and hands out one complete, possibly multi-line, reply at a time.
+ * @param {import('net').Socket} socket
+ * @returns {{ next: () => Promise<{ code: number, text: string }> }}
+ */
+const create_reply_reader = (socket) => {
+    let buffer = '';
+    let lines = [];
+    const replies = [];
+    const waiting = [];
+    let failure = null;
+
+    const settle = () => {
+        while (waiting.length > 0 && (replies.length > 0 || failure)) {
+            const { resolve, reject } = waiting.shift();
+            if (replies.length > 0) {
+                resolve(replies.shift());
+            } else {
+                reject(failure);
+            }
+        }
+    };
+
+    const on_data = (chunk) => {
+        buffer += chunk.toString('utf8');
+        let index;
+        while ((index = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, index).replace(/\r$/, '');
+            buffer = buffer.slice(index + 1);
+            lines.push(line);
+            // "250-..." continues a reply; "250 ..." ends it.
+            if (/^\d{3}(?: |$)/.test(line)) {
+                replies.push({ code: parseInt(line.slice(0, 3), 10), text: lines.map(part => part.slice(4)).join('\n') });
+                lines = [];
+            }
+        }
+        settle();
+    };
+    const on_end = (error) => {
+        // 'close' follows 'error'; keep the error that actually happened.
+        failure = failure || error || new Error('The SMTP server closed the connection.');
+        settle();
+    };
+
+    socket.on('data', on_data);
+    socket.on('error', on_end);
+    socket.on('close', () => on_end());
+
+    return {
+        next: () => new Promise((resolve, reject) => {
+            waiting.push({ resolve, reject });
+            settle();
+        }),
+        detach: () => {
+            socket.off('data', on_data);
+            socket.removeAllListeners('error');
+            socket.removeAllListeners('close');
+        }
+    };
+};
+
+/**
+ * Encodes a header value as RFC 2047 UTF-8 when it is not plain ASCII.
+ * @param {string} value
+ * @returns {string}
+ */
+const encode_header = (value) => /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+
+const get_address = (mailbox) => {
+    const match = /<([^>]+)>/.exec(mailbox);
+    return (match ? match[1] : mailbox).trim();
+};
+
+/**
+ * Builds a plain-text email, with dot-stuffed lines ready to send after DATA.
+ * @param {{ from: string, to: string[], subject: string, text: string, date?: Date }} message
+ * @returns {string}
+ */
+const build_email = ({ from, to, subject, text, date = new Date() }) => {
+    const domain = get_address(from).split('@')[1] || 'localhost';
+    const headers = [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${encode_header(subject)}`,
+        `Date: ${date.toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: 8bit'
+    ];
+    const body = text.split(/\r?\n/).map(line => line.startsWith('.') ? `.${line}` : line);
+    return [...headers, '', ...body].join('\r\n');
+};
+
+/**
+ * Sends a plain-text email over SMTP, upgrading to TLS with STARTTLS when the server offers it
+ * and logging in with AUTH PLAIN when a username is given. The password is never sent without TLS.
+ * @param {object} options
+ * @param {string} options.host
+ * @param {number} [options.port] - 465 connects with TLS straight away, anything else uses STARTTLS.
+ * @param {boolean} [options.secure] - Connect with TLS straight away; defaults to true on port 465.
+ * @param {boolean} [options.require_tls] - Refuse to send if the server does not offer STARTTLS.
+ * @param {string} [options.username] - Sending also needs TLS when given.
+ * @param {string} [options.password]
+ * @param {string} options.from - e.g. "Railway Pool <fixtures@example.com>"
+ * @param {string[]} options.to
+ * @param {string} options.subject
+ * @param {string} options.text
+ * @param {number} [options.timeout_ms]
+ * @returns {Promise<void>}
+ */
+const send_smtp_mail = async ({
+    host,
+    port = 587,
+    secure = port === 465,
+    require_tls = false,
+    username,
+    password,
+    from,
+    to,
+    subject,
+    text,
+    timeout_ms = DEFAULT_TIMEOUT_MS
+}) => {
+    let socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+    socket.setTimeout(timeout_ms, () => socket.destroy(new Error(`The SMTP server ${host}:${port} did not answer within ${timeout_ms}ms.`)));
+    let reader = create_reply_reader(socket);
+
+    const expect = async (codes, command) => {
+        const reply = await reader.next();
+        if (!codes.includes(reply.code)) {
+            const label = command ? command.split(' ')[0] : 'connecting';
+            throw new Error(`The SMTP server refused ${label}: ${reply.code} ${reply.text}`);
+        }
+        return reply;
+    };
+    const send = (command, codes) => {
+        socket.write(`${command}\r\n`);
+        return expect(codes, command);
+    };
+
+    try {
+        await expect([220]);
+        let greeting = await send(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+        if (!secure && /^STARTTLS$/mi.test(greeting.text)) {
+            await send('STARTTLS', [220]);
+            reader.detach();
+            socket = await new Promise((resolve, reject) => {
+                const upgraded = tls.connect({ socket, servername: host }, () => resolve(upgraded));
+                upgraded.once('error', reject);
+            });
+            socket.setTimeout(timeout_ms, () => socket.destroy(new Error(`The SMTP server ${host}:${port} did not answer within ${timeout_ms}ms.`)));
+            reader = create_reply_reader(socket);
+            greeting = await send(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+        } else if (!secure && (require_tls || username)) {
+            throw new Error(`The SMTP server ${host}:${port} does not offer STARTTLS${username ? ', so the password would be sent in the clear' : ''}.`);
+        }
+        if (username) {
+            const credentials = Buffer.from(`\u0000${username}\u0000${password || ''}`, 'utf8').toString('base64');
+            await send(`AUTH PLAIN ${credentials}`, [235]);
+        }
+        await send(`MAIL FROM:<${get_address(from)}>`, [250]);
+        for (const recipient of to) {
+            await send(`RCPT TO:<${get_address(recipient)}>`, [250, 251]);
+        }
+        await send('DATA', [354]);
+        await send(`${build_email({ from, to, subject, text })}\r\n.`, [250]);
+        await send('QUIT', [221]);
+    } finally {
+        socket.end();
+    }
+};
+
+/**
+ * Creates an output that delivers notifications somewhere, from its entry in subscribers.json.
+ * Every output has send(notification, subscription), which resolves once the notification is delivered.
+ * @param {object} config - e.g. { "type": "webhook", "url": "https://..." }
+ * @param {object} [options]
+ * @param {string} [options.base_dir] - Relative file paths are resolved from here.
+ * @param {object} [options.env] - Where "<key>_env" secrets are read from.
+ * @param {object} [options.http_client] - axios, or a stand-in for tests.
+ * @returns {{ send: (notification: object, subscription: object) => Promise<void> }}
+ */
+const create_output = (config, { base_dir = process.cwd(), env = process.env, http_client = axios } = {}) => {
+    switch (config.type) {
+        case 'webhook':
+            return {
+                send: async (notification, subscription) => {
+                    await http_client.post(read_setting(config, 'url', env), { ...notification, to: subscription.to || [] }, {
+                        headers: { 'Content-Type': 'application/json', ...(config.headers || {}) },
+                        timeout: config.timeout_ms || DEFAULT_TIMEOUT_MS
+                    });
+                }
+            };
+        case 'smtp':
+            return {
+                send: (notification, subscription) => send_smtp_mail({
+                    host: config.host,
+                    port: config.port,
+                    secure: config.secure,
+                    require_tls: config.require_tls,
+                    username: read_setting(config, 'username', env),
+                    password: read_setting(config, 'password', env),
+                    from: config.from,
+                    to: subscription.to,
+                    subject: notification.subject,
+                    text: notification.text,
+                    timeout_ms: config.timeout_ms
+                })
+            };
+        case 'file': {
+            const file_path = path.resolve(base_dir, config.path);
+            return {
+                send: async (notification, subscription) => {
+                    await fs.mkdir(path.dirname(file_path), { recursive: true });
+                    await fs.appendFile(file_path, `${JSON.stringify({ ...notification, to: subscription.to || [] })}\n`, 'utf8');
+                }
+            };
+        }
+        case 'stdout':
+            return {
+                send: async (notification) => {
+                    console.log(`🔔 ${notification.subject}\n${notification.text}\n`);
+                }
+            };
+        default:
+            throw new Error(`Unknown output type "${config.type}". Expected one of: ${OUTPUT_TYPES.join(', ')}.`);
+    }
+};
+
+module.exports = {
+    OUTPUT_TYPES,
+    build_email,
+    send_smtp_mail,
+    create_output
+};
@@ -0,0 +1,287 @@
+const fs = require('fs').promises;
+const path = require('path');
+const {
+    DEFAULT_TEAMS_FILE_PATH,
+    DEFAULT_OUTPUT_DIR,
+    load_teams_async,
+    select_teams,
+    get_team_file_paths,
+    create_run_summary
+} = require('./teams');
+const {LEAGUE_TIMEZONE, get_local_date} = require('./timezone');
+const {load_matches_async, get_match_key, get_match_start} = require('./match-model');
+const {describe_event} = require('./json-to-ics');
+const {describe_changes} = require('./changes');
+const {OUTPUT_TYPES, create_output} = require('./notifiers');
+const {slugify} = require("./slugify");
+
+const SUBSCRIBERS_FILE_NAME = 'subscribers.json';
+const NOTIFICATION_STATE_FILE_NAME = 'notifications-state.json';
+const NOTIFICATION_TYPES = ['reminder', 'change'];
+
+/**
+ * Deliveries are remembered for this long, so a run repeated the same day does not notify twice.
+ */
+const STATE_RETENTION_DAYS = 60;
+
+/**
+ * Loads and checks subscribers.json, which names the outputs notifications go through and which
+ * of them each team's subscribers want.
+ * @param {string} file_path
+ * @returns {Promise<{ outputs: object, teams: object, base_dir: string }|null>} null if there is no file.
+ */
+const load_subscribers_async = async (file_path) => {
+    let config;
+    try {
+        config = JSON.parse(await fs.readFile(file_path, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        if (error instanceof SyntaxError) {
+            throw new Error(`Failed to parse ${file_path}. Check for JSON syntax errors.`);
+        }
+        throw error;
+    }
+    const label = path.basename(file_path);
+    if (!config || typeof config.outputs !== 'object' || typeof config.teams !== 'object') {
+        throw new Error(`${label} needs an "outputs" object and a "teams" object.`);
+    }
+    for (const [name, output] of Object.entries(config.outputs)) {
+        if (!output || !OUTPUT_TYPES.includes(output.type)) {
+            throw new Error(`Output "${name}" in ${label} needs a "type" of ${OUTPUT_TYPES.join(', ')}.`);
+        }
+        const missing = {
+            webhook: !output.url && !output.url_env && 'a "url" or "url_env"',
+            smtp: (!output.host || !output.from) && 'a "host" and a "from" address',
+            file: !output.path && 'a "path"'
+        }[output.type];
+        if (missing) {
+            throw new Error(`Output "${name}" in ${label} needs ${missing}.`);
+        }
+    }
+    for (const [team, subscriptions] of Object.entries(config.teams)) {
+        if (!Array.isArray(subscriptions)) {
+            throw new Error(`Team "${team}" in ${label} needs a list of subscriptions.`);
+        }
+        for (const subscription of subscriptions) {
+            const output = subscription && config.outputs[subscription.output];
+            if (!output) {
+                throw new Error(`Team "${team}" in ${label} uses an unknown output "${subscription && subscription.output}".`);
+            }
+            if (subscription.notify && !subscription.notify.every(type => NOTIFICATION_TYPES.includes(type))) {
+                throw new Error(`Team "${team}" in ${label} has an invalid "notify"; expected any of ${NOTIFICATION_TYPES.join(', ')}.`);
+            }
+            if (output.type === 'smtp' && (!Array.isArray(subscription.to) || subscription.to.length === 0)) {
+                throw new Error(`Team "${team}" in ${label} needs "to" addresses for the email output "${subscription.output}".`);
+            }
+        }
+    }
+    return { outputs: config.outputs, teams: config.teams, base_dir: path.dirname(path.resolve(file_path)) };
+};
+
+/**
+ * Finds the subscriptions for a team, matching names the same way as --team.
+ * @param {{ teams: object }} subscribers
+ * @param {string} team_name
+ * @returns {object[]}
+ */
+const get_subscriptions = (subscribers, team_name) => {
+    const entry = Object.entries(subscribers.teams).find(([name]) => slugify(name) === slugify(team_name));
+    return entry ? entry[1] : [];
+};
+
+/**
+ * Builds a "match tomorrow" reminder for each of the team's fixtures that starts on the day after now.
+ * @param {string} team_name
+ * @param {Array<object>} fixtures - The team's fixtures in the current format.
+ * @param {object} options
+ * @param {Date} options.now
+ * @param {string} options.time_zone - The league's time zone, which decides when "tomorrow" is.
+ * @returns {object[]} Notifications with an id, type, team, subject, text and match.
+ */
+const build_reminders = (team_name, fixtures, { now, time_zone }) => {
+    const tomorrow = get_local_date(now, time_zone, 1);
+    return fixtures
+        .filter(match => match.status === 'scheduled')
+        .filter(match => {
+            const start = get_match_start(match, time_zone);
+            return start && get_local_date(start, time_zone) === tomorrow;
+        })
+        .map(match => {
+            const { summary } = describe_event(match, team_name);
+            const venue = match.venue ? `, at ${match.venue}` : '';
+            return {
+                id: `reminder|${slugify(team_name)}|${get_match_key(match)}`,
+                type: 'reminder',
+                team: team_name,
+                subject: `${team_name}: match tomorrow, ${summary} at ${match.time}`,
+                text: `${match.home_team} vs ${match.away_team} is tomorrow, ${match.date} at ${match.time}${venue}.`,
+                match
+            };
+        });
+};
+
+/**
+ * Builds a "fixture changed" alert for each change detect_changes found for the team.
+ * @param {string} team_name
+ * @param {object} [changes] - The team's entry in changes.json.
+ * @returns {object[]} Notifications with an id, type, team, subject, text and match.
+ */
+const build_change_alerts = (team_name, changes) => {
+    if (!changes) {
+        return [];
+    }
+    return describe_changes(changes).map(({ kind, fixture, previous, text }) => ({
+        // The same change is found again on every run until the next release, so it is identified by what changed.
+        id: `change|${slugify(team_name)}|${kind}|${get_match_key(fixture)}|${previous ? `${previous.date} ${previous.time} ${previous.venue || ''}` : ''}`,
+        type: 'change',
+        team: team_name,
+        subject: `${team_name}: fixture changed`,
+        text,
+        match: fixture
+    }));
+};
+
+const load_state_async = async (file_path) => {
+    try {
+        return JSON.parse(await fs.readFile(file_path, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return { sent: {} };
+        }
+        throw error;
+    }
+};
+
+/**
+ * Sends each team's subscribers a reminder the day before each fixture and an alert for each
+ * fixture change, through the outputs in subscribers.json. Deliveries are recorded in
+ * notifications-state.json so later runs do not repeat them; failed ones are retried next run.
+ * @param {Array<object>} teams - Valid team entries from teams.json.
+ * @param {object} [options]
+ * @param {string} [options.out_dir] - The directory holding the fixtures JSON and changes.json.
+ * @param {string} [options.subscribers_file] - The path to subscribers.json; nothing is sent without one.
+ * @param {string} [options.time_zone] - The IANA time zone the league's times are written in.
+ * @param {Date} [options.now]
+ * @param {object} [options.output_options] - Passed to create_output, e.g. env.
+ * @returns {Promise<{ succeeded: string[], failed: { team: string, error: string }[] }>}
+ */
+const send_notifications = async (teams, {
+    out_dir = DEFAULT_OUTPUT_DIR,
+    subscribers_file = path.join(path.dirname(DEFAULT_TEAMS_FILE_PATH), SUBSCRIBERS_FILE_NAME),
+    time_zone = LEAGUE_TIMEZONE,
+    now = new Date(),
+    output_options = {}
+} = {}) => {
+    const summary = create_run_summary();
+    const subscribers = await load_subscribers_async(subscribers_file);
+    if (!subscribers) {
+        console.log(`   -> No subscribers at ${subscribers_file}, nothing to send.`);
+        summary.succeeded.push(...teams.map(team => team.name));
+        return summary;
+    }
+
+    const outputs = new Map();
+    const get_output = (name) => {
+        if (!outputs.has(name)) {
+            outputs.set(name, create_output(subscribers.outputs[name], { base_dir: subscribers.base_dir, ...output_options }));
+        }
+        return outputs.get(name);
+    };
+
+    const state_path = path.join(out_dir, NOTIFICATION_STATE_FILE_NAME);
+    const state = await load_state_async(state_path);
+    let changes_report = { teams: {} };
+    try {
+        changes_report = JSON.parse(await fs.readFile(path.join(out_dir, 'changes.json'), 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    }
+
+    let delivered = 0;
+    for (const team of teams) {
+        const subscriptions = get_subscriptions(subscribers, team.name);
+        if (subscriptions.length === 0) {
+            summary.succeeded.push(team.name);
+            continue;
+        }
+        const errors = [];
+        try {
+            let fixtures = [];
+            try {
+                fixtures = await load_matches_async(get_team_file_paths(out_dir, team.name).fixtures, { time_zone });
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            }
+            const notifications = [
+                ...build_reminders(team.name, fixtures, { now, time_zone }),
+                ...build_change_alerts(team.name, changes_report.teams[team.name])
+            ];
+            for (const notification of notifications) {
+                for (const subscription of subscriptions) {
+                    const wanted = subscription.notify || NOTIFICATION_TYPES;
+                    const key = `${notification.id}>${subscription.output}>${(subscription.to || []).join(',')}`;
+                    if (!wanted.includes(notification.type) || state.sent[key]) {
+                        continue;
+                    }
+                    try {
+                        await get_output(subscription.output).send(notification, subscription);
+                        state.sent[key] = now.toISOString();
+                        delivered += 1;
+                    } catch (error) {
+                        errors.push(`${subscription.output}: ${error.message}`);
+                    }
+                }
+            }
+        } catch (error) {
+            errors.push(error.message);
+        }
+        if (errors.length > 0) {
+            console.error(`❌ Could not notify every subscriber of ${team.name}: ${errors.join('; ')}`);
+            summary.failed.push({ team: team.name, error: errors.join('; ') });
+        } else {
+            summary.succeeded.push(team.name);
+        }
+    }
+
+    const oldest = now.getTime() - STATE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    state.sent = Object.fromEntries(Object.entries(state.sent).filter(([, sent_at]) => Date.parse(sent_at) >= oldest));
+    await fs.mkdir(out_dir, { recursive: true });
+    await fs.writeFile(state_path, JSON.stringify(state, null, 2), 'utf8');
+    console.log(`✅ Sent ${delivered} notification(s).`);
+    return summary;
+};
+
+/**
+ * Main async function to notify the subscribers in subscribers.json.
+ */
+const main = async () => {
+    try {
+        const teams = select_teams(await load_teams_async(DEFAULT_TEAMS_FILE_PATH));
+        const summary = await send_notifications(teams);
+        if (summary.failed.length > 0) {
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error(`❌ A critical error occurred:`, error.message);
+        process.exit(1);
+    }
+};
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    SUBSCRIBERS_FILE_NAME,
+    NOTIFICATION_STATE_FILE_NAME,
+    load_subscribers_async,
+    build_reminders,
+    build_change_alerts,
+    send_notifications
+};
@@ -0,0 +1,288 @@
+const path = require('path');
+const {
+    DEFAULT_TEAMS_FILE_PATH,
+    DEFAULT_OUTPUT_DIR,
+    load_teams_async,
+    select_teams
+} = require('./teams');
+const {fetch_team_pages} = require('./get-team-pages');
+const {build_matches_json} = require('./html-to-json');
+const {build_calendars} = require('./json-to-ics');
+const {archive_season} = require('./archive');
+const {DEFAULT_MAX_SHRINK, verify_build} = require('./verify');
+const {detect_clashes} = require('./clashes');
+const {validate_calendar_files} = require('./validate-ics');
+const {DEFAULT_POINTS_RULES, build_standings} = require('./standings');
+const {build_player_stats} = require('./players');
+const {SITE_DIR_NAME, DEFAULT_CALENDAR_BASE_URL, build_site} = require('./build-site');
+const {detect_changes} = require('./changes');
+const {SUBSCRIBERS_FILE_NAME, send_notifications} = require('./notify');
+const {
+    DEFAULT_LEAGUES_FILE_PATH,
+    load_leagues_async,
+    select_leagues,
+    get_league_out_dir,
+    check_for_collisions
+} = require('./leagues');
+const {build_leagues_index} = require('./release');
+const {slugify} = require("./slugify");
+
+/**
+ * The steps each pipeline command runs, in order.
+ */
+const COMMANDS = {
+    fetch: ['fetch'],
+    parse: ['parse'],
+    build: ['build'],
+    verify: ['verify'],
+    archive: ['archive'],
+    clashes: ['clashes'],
+    standings: ['standings'],
+    players: ['players'],
+    changes: ['changes'],
+    notify: ['notify'],
+    site: ['site'],
+    calendars: ['fetch', 'parse', 'build'],
+    all: ['fetch', 'parse', 'build', 'verify', 'archive', 'clashes', 'standings', 'players', 'changes', 'notify', 'site']
+};
+
+/**
+ * Merges per-team summaries from several steps, listing a team as failed if any step failed for it.
+ * @param {Array<{ succeeded: string[], failed: { team: string, error: string }[] }>} summaries
+ * @returns {{ succeeded: string[], failed: { team: string, error: string }[] }}
+ */
+const merge_summaries = (summaries) => {
+    const failed = summaries.flatMap(summary => summary.failed);
+    const failed_teams = new Set(failed.map(failure => failure.team));
+    const succeeded = [...new Set(summaries.flatMap(summary => summary.succeeded))]
+        .filter(team => !failed_teams.has(team));
+    return { succeeded, failed };
+};
+
+/**
+ * Runs one step of the pipeline for the given teams.
+ * @param {string} step - "fetch", "parse", "build", "verify", "archive", "clashes", "standings", "players", "changes", "notify" or "site".
+ * @param {Array<object>} teams - Valid team entries from teams.json.
+ * @param {object} options - See run_pipeline.
+ * @returns {Promise<{ succeeded: string[], failed: { team: string, error: string }[] }>}
+ */
+const run_step = async (step, teams, options) => {
+    switch (step) {
+        case 'fetch':
+            return fetch_team_pages(teams, options);
+        case 'parse':
+            return build_matches_json(teams, options);
+        case 'build': {
+            const { calendars, ...summary } = await build_calendars(teams, options);
+            if (calendars.length === 0) {
+                return summary;
+            }
+            // Only this build's calendars: stale files of teams left out by --team are not its concern.
+            const report = await validate_calendar_files(options.out_dir, { files: calendars.map(calendar => calendar.file) });
+            const owners = new Map(calendars.map(calendar => [calendar.file, calendar.team]));
+            for (const { file, errors } of report.invalid) {
+                // The league and venue calendars belong to no team, so they are reported by file name.
+                const team = owners.get(file) || file;
+                summary.failed.push({ team, error: `${file}: ${errors.join(' ')}` });
+            }
+            summary.succeeded = summary.succeeded.filter(team => !summary.failed.some(failure => failure.team === team));
+            return summary;
+        }
+        case 'verify':
+            return verify_build(teams, options);
+        case 'archive':
+            return archive_season(teams, options);
+        case 'clashes':
+            await detect_clashes(teams, options);
+            return { succeeded: teams.map(team => team.name), failed: [] };
+        case 'standings':
+            await build_standings(teams, options);
+            return { succeeded: teams.map(team => team.name), failed: [] };
+        case 'players':
+            await build_player_stats(teams, options);
+            return { succeeded: teams.map(team => team.name), failed: [] };
+        case 'changes':
+            await detect_changes(teams, options);
+            return { succeeded: teams.map(team => team.name), failed: [] };
+        case 'notify':
+            return send_notifications(teams, options);
+        case 'site':
+            return build_site(teams, options);
+        default:
+            throw new Error(`Unknown pipeline step "${step}".`);
+    }
+};
+
+const get_steps = (command) => {
+    const steps = COMMANDS[command];
+    if (!steps) {
+        throw new Error(`Unknown command "${command}". Expected one of: ${Object.keys(COMMANDS).join(', ')}.`);
+    }
+    return steps;
+};
+
+/**
+ * Runs the steps in order. A team that fails a step is skipped by the later steps; the other teams carry on.
+ * @param {string[]} steps
+ * @param {Array<object>} teams
+ * @param {object} options - Passed to every step.
+ * @returns {Promise<{ succeeded: string[], failed: { team: string, error: string }[] }>}
+ */
+const run_steps = async (steps, teams, options) => {
+    const summaries = [];
+    let remaining_teams = teams;
+    for (const step of steps) {
+        console.log(`\n=== ${step} ===`);
+        const summary = await run_step(step, remaining_teams, options);
+        summaries.push(summary);
+        // A team that failed one step has nothing usable for the next.
+        const failed_teams = new Set(summary.failed.map(failure => failure.team));
+        remaining_teams = remaining_teams.filter(team => !failed_teams.has(team.name));
+        if (remaining_teams.length === 0) {
+            break;
+        }
+    }
+    return merge_summaries(summaries);
+};
+
+/**
+ * Runs a pipeline command (see COMMANDS) on a single list of teams and reports every team that failed.
+ * A team that fails a step is skipped by the later steps; the other teams carry on.
+ * @param {string} command - One of the keys of COMMANDS.
+ * @param {object} [options]
+ * @param {string} [options.teams_file] - The path to teams.json.
+ * @param {string} [options.out_dir] - The directory for fetched pages and generated files.
+ * @param {string[]} [options.team] - Only process these teams.
+ * @param {boolean} [options.offline] - Reuse cached HTML instead of fetching.
+ * @param {object} [options.points_rules] - Points per win, draw, loss and frame for the standings.
+ * @param {string} [options.calendar_base_url] - Where the .ics files are published, for the site's subscribe links.
+ * @param {object} [options.fetch_options] - Timeout, retry, rate limit and cache settings for the fetch step.
+ * @param {number[]} [options.reminders] - Minutes before each upcoming fixture to remind calendar subscribers.
+ * @param {string[]} [options.exports] - Formats to export the calendars in as well, e.g. ["csv", "rss"].
+ * @param {boolean} [options.clash_warnings] - Add clash warnings to the fixtures' calendar events.
+ * @param {number} [options.max_shrink] - The largest share of its events or dates a calendar may lose before publishing is refused.
+ * @param {string} [options.subscribers_file] - Who to notify; defaults to subscribers.json next to teams_file.
+ * @returns {Promise<{ succeeded: string[], failed: { team: string, error: string }[] }>}
+ */
+const run_pipeline = async (command, {
+    teams_file = DEFAULT_TEAMS_FILE_PATH,
+    out_dir = DEFAULT_OUTPUT_DIR,
+    team = [],
+    offline = false,
+    points_rules = DEFAULT_POINTS_RULES,
+    calendar_base_url = DEFAULT_CALENDAR_BASE_URL,
+    fetch_options = {},
+    reminders = [],
+    exports = [],
+    clash_warnings = false,
+    max_shrink = DEFAULT_MAX_SHRINK,
+    subscribers_file = path.join(path.dirname(teams_file), SUBSCRIBERS_FILE_NAME)
+} = {}) => {
+    const steps = get_steps(command);
+
+    const teams = select_teams(await load_teams_async(teams_file), team);
+    if (teams.length === 0) {
+        throw new Error(`No teams to process from ${teams_file}.`);
+    }
+
+    const options = { out_dir: path.resolve(out_dir), offline, points_rules, calendar_base_url, fetch_options, reminders, exports, clash_warnings, max_shrink, subscribers_file };
+    return run_steps(steps, teams, options);
+};
+
+/**
+ * Runs a pipeline command for every league in leagues.json, each in its own folder of out_dir.
+ * Team names in the summary are prefixed with the league id, since leagues may share team names.
+ * @param {string} command - One of the keys of COMMANDS.
+ * @param {object} [options]
+ * @param {string} [options.leagues_file] - The path to leagues.json.
+ * @param {string[]} [options.league] - Only process these league ids.
+ * @param {string} [options.out_dir] - The top-level output directory.
+ * @param {string[]} [options.team] - Only process these teams, in whichever leagues they play.
+ * @param {boolean} [options.offline] - Reuse cached HTML instead of fetching.
+ * @param {object} [options.points_rules] - Points per win, draw, loss and frame for the standings.
+ * @param {string} [options.calendar_base_url] - Where the .ics files are published, for the site's subscribe links.
+ * @param {object} [options.fetch_options] - Timeout, retry, rate limit and cache settings for the fetch step.
+ * @param {number[]} [options.reminders] - Overrides each league's "reminders" when given.
+ * @param {string[]} [options.exports] - Overrides each league's "exports" when given.
+ * @param {boolean} [options.clash_warnings] - Overrides each league's "clash_warnings" when given.
+ * @param {number} [options.max_shrink] - Overrides each league's "max_shrink" when given.
+ * @returns {Promise<{ succeeded: string[], failed: { team: string, error: string }[] }>}
+ */
+const run_leagues = async (command, {
+    leagues_file = DEFAULT_LEAGUES_FILE_PATH,
+    league = [],
+    out_dir = DEFAULT_OUTPUT_DIR,
+    team = [],
+    offline = false,
+    points_rules = DEFAULT_POINTS_RULES,
+    calendar_base_url = DEFAULT_CALENDAR_BASE_URL,
+    fetch_options = {},
+    reminders,
+    exports,
+    clash_warnings,
+    max_shrink
+} = {}) => {
+    const steps = get_steps(command);
+    const root_dir = path.resolve(out_dir);
+    const leagues = select_leagues(await load_leagues_async(leagues_file), league);
+
+    const league_teams = [];
+    for (const entry of leagues) {
+        league_teams.push({ league: entry, teams: select_teams(await load_teams_async(entry.teams_file)) });
+    }
+    check_for_collisions(league_teams, root_dir);
+
+    const wanted = new Set(team.map(name => slugify(name)));
+    const matches = (candidate) => wanted.size === 0 || wanted.has(slugify(candidate.name));
+    for (const name of team) {
+        if (!league_teams.some(({ teams }) => teams.some(candidate => slugify(candidate.name) === slugify(name)))) {
+            console.warn(`⚠️ No team named "${name}" in any league.`);
+        }
+    }
+    const selected = league_teams
+        .map(({ league: entry, teams }) => ({ league: entry, teams: teams.filter(matches) }))
+        .filter(({ teams }) => teams.length > 0);
+    if (selected.length === 0) {
+        throw new Error(`No teams to process in ${leagues_file}.`);
+    }
+
+    const summaries = [];
+    for (const { league: entry, teams } of selected) {
+        console.log(`\n##### ${entry.name} (${entry.id}) #####`);
+        const summary = await run_steps(steps, teams, {
+            out_dir: get_league_out_dir(root_dir, entry),
+            site_dir: path.join(root_dir, SITE_DIR_NAME, entry.id),
+            offline,
+            points_rules,
+            calendar_base_url,
+            calendar_file_prefix: entry.asset_prefix,
+            fetch_options,
+            venues_path: entry.venues_path,
+            time_zone: entry.time_zone,
+            match_duration_minutes: entry.match_duration_minutes,
+            reminders: reminders || entry.reminders,
+            exports: exports || entry.exports,
+            clash_warnings: clash_warnings === undefined ? entry.clash_warnings : clash_warnings,
+            max_shrink: max_shrink === undefined ? entry.max_shrink : max_shrink,
+            prodid: entry.prodid,
+            league_name: entry.name,
+            subscribers_file: entry.subscribers_file
+        });
+        summaries.push({
+            succeeded: summary.succeeded.map(name => `${entry.id}/${name}`),
+            failed: summary.failed.map(failure => ({ ...failure, team: `${entry.id}/${failure.team}` }))
+        });
+    }
+
+    if (steps.includes('site')) {
+        await build_leagues_index(leagues, { out_dir: root_dir });
+    }
+    return merge_summaries(summaries);
+};
+
+module.exports = {
+    COMMANDS,
+    merge_summaries,
+    run_pipeline,
+    run_leagues
+};
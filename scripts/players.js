@@ -0,0 +1,273 @@
+const fs = require('fs').promises;
+const path = require('path');
+const cheerio = require('cheerio');
+const {
+    DEFAULT_TEAMS_FILE_PATH,
+    DEFAULT_OUTPUT_DIR,
+    load_teams_async,
+    select_teams,
+    get_team_file_paths
+} = require('./teams');
+const {LEAGUE_TIMEZONE} = require('./timezone');
+const {load_matches_async, get_match_key} = require('./match-model');
+const {create_league_fetcher} = require('./get-team-pages');
+const {slugify} = require("./slugify");
+
+const MATCH_CARDS_DIR_NAME = 'match-cards';
+const PLAYERS_FILE_NAME = 'players.json';
+
+const MATCH_URL_PATTERN = /\/match\/(\d+)\/(\d+)\.html/;
+const FRAME_SCORE_PATTERN = /^([01])\s*-\s*([01])$/;
+const BREAK_AND_DISH_PATTERN = /\(?\s*(?:B\s*&\s*D|break\s*(?:&|and)\s*dish)\s*\)?/i;
+
+/**
+ * Names the saved copy of a match card after the ids in its LeagueRepublic URL.
+ * @param {string} match_url - e.g. "https://.../match/160037514/9010.html"
+ * @returns {string} e.g. "160037514-9010.html"
+ */
+const get_match_card_file_name = (match_url) => {
+    const match = MATCH_URL_PATTERN.exec(match_url);
+    return `${match ? `${match[1]}-${match[2]}` : slugify(match_url)}.html`;
+};
+
+/**
+ * Reads a player's name from a match card cell, noting whether it is marked as a break and dish.
+ * @param {string} text
+ * @returns {{ name: string, break_and_dish: boolean }}
+ */
+const parse_player_cell = (text) => {
+    const clean = text.replace(/\s+/g, ' ').trim();
+    return {
+        name: clean.replace(BREAK_AND_DISH_PATTERN, '').trim(),
+        break_and_dish: BREAK_AND_DISH_PATTERN.test(clean)
+    };
+};
+
+/**
+ * Parses the frames off a LeagueRepublic match card. A frame is a row with a "1 - 0" or "0 - 1"
+ * score between the home and away players; the match total and other rows are ignored.
+ * A break and dish is marked with "(B&D)" next to the player who made it.
+ * @param {string} html_content
+ * @returns {{ home_player: string, away_player: string, winner: 'home'|'away', break_and_dish: 'home'|'away'|null }[]}
+ */
+const parse_match_card = (html_content) => {
+    if (!html_content) {
+        throw new Error('No HTML content provided.');
+    }
+    const $ = cheerio.load(html_content);
+    const frames = [];
+    $('tbody tr').each((index, row) => {
+        const texts = $(row).find('td').map((_, cell) => $(cell).text()).get();
+        const score_index = texts.findIndex(text => FRAME_SCORE_PATTERN.test(text.trim()));
+        if (score_index < 1 || score_index >= texts.length - 1) {
+            return;
+        }
+        const [, home_frames, away_frames] = FRAME_SCORE_PATTERN.exec(texts[score_index].trim());
+        if (home_frames === away_frames) {
+            return;
+        }
+        const home = parse_player_cell(texts[score_index - 1]);
+        const away = parse_player_cell(texts[score_index + 1]);
+        if (!home.name || !away.name) {
+            return;
+        }
+        const winner = home_frames === '1' ? 'home' : 'away';
+        let break_and_dish = null;
+        if (home.break_and_dish || away.break_and_dish) {
+            break_and_dish = home.break_and_dish ? 'home' : 'away';
+        }
+        frames.push({ home_player: home.name, away_player: away.name, winner, break_and_dish });
+    });
+    return frames;
+};
+
+/**
+ * Adds up every player's frames across the match cards.
+ * Break and dishes are null for every player when none of the cards recorded any,
+ * since that usually means the league does not record them.
+ * @param {{ match: object, frames: object[] }[]} cards - Each played match with its parsed frames.
+ * @returns {object[]} One row per player and team, best win percentage first.
+ */
+const compute_player_stats = (cards) => {
+    const players = new Map();
+    let break_and_dishes_recorded = false;
+    const get_player = (name, team) => {
+        const key = `${team}|${name}`.toLowerCase();
+        if (!players.has(key)) {
+            players.set(key, {
+                name,
+                team,
+                matches: new Set(),
+                frames_played: 0,
+                frames_won: 0,
+                frames_lost: 0,
+                break_and_dishes: 0
+            });
+        }
+        return players.get(key);
+    };
+
+    for (const { match, frames } of cards) {
+        for (const frame of frames) {
+            const sides = [
+                [get_player(frame.home_player, match.home_team), 'home'],
+                [get_player(frame.away_player, match.away_team), 'away']
+            ];
+            for (const [player, side] of sides) {
+                player.matches.add(get_match_key(match));
+                player.frames_played += 1;
+                if (frame.winner === side) {
+                    player.frames_won += 1;
+                } else {
+                    player.frames_lost += 1;
+                }
+                if (frame.break_and_dish === side) {
+                    player.break_and_dishes += 1;
+                    break_and_dishes_recorded = true;
+                }
+            }
+        }
+    }
+
+    return [...players.values()]
+        .map(({ matches, ...player }) => ({
+            name: player.name,
+            team: player.team,
+            matches_played: matches.size,
+            frames_played: player.frames_played,
+            frames_won: player.frames_won,
+            frames_lost: player.frames_lost,
+            win_percentage: Math.round(player.frames_won / player.frames_played * 1000) / 10,
+            break_and_dishes: break_and_dishes_recorded ? player.break_and_dishes : null
+        }))
+        .sort((a, b) => b.win_percentage - a.win_percentage
+            || b.frames_won - a.frames_won
+            || a.name.localeCompare(b.name));
+};
+
+/**
+ * Reads the saved match card of every played match, downloading the ones not saved yet.
+ * A played match's card does not change, so saved cards are never downloaded again.
+ * @param {Array<object>} matches - Played matches with a match_url.
+ * @param {object} options
+ * @param {string} options.out_dir - The directory holding the match-cards folder.
+ * @param {boolean} [options.offline] - Only use saved cards.
+ * @param {(url: string) => Promise<string>} options.fetch_html
+ * @returns {Promise<{ cards: { match: object, frames: object[] }[], missing: number }>}
+ */
+const load_match_cards_async = async (matches, { out_dir, offline = false, fetch_html }) => {
+    const cards_dir = path.join(out_dir, MATCH_CARDS_DIR_NAME);
+    await fs.mkdir(cards_dir, { recursive: true });
+    let missing = 0;
+
+    const load_card = async (match) => {
+        const card_path = path.join(cards_dir, get_match_card_file_name(match.match_url));
+        try {
+            let html_content;
+            try {
+                html_content = await fs.readFile(card_path, 'utf8');
+            } catch (error) {
+                if (error.code !== 'ENOENT' || offline) {
+                    throw error;
+                }
+                html_content = await fetch_html(match.match_url);
+                await fs.writeFile(card_path, html_content, 'utf8');
+            }
+            return { match, frames: parse_match_card(html_content) };
+        } catch (error) {
+            missing += 1;
+            const reason = error.code === 'ENOENT' ? 'not saved yet' : error.message;
+            console.warn(`⚠️ No match card for ${match.home_team} v ${match.away_team} on ${match.date} (${match.match_url}): ${reason}`);
+            return null;
+        }
+    };
+
+    const cards = (await Promise.all(matches.map(load_card))).filter(Boolean);
+    return { cards, missing };
+};
+
+/**
+ * Reads every team's results, follows each played match to its match card, and writes the
+ * frames played and won by every player to players.json.
+ * @param {Array<object>} teams - Valid team entries from teams.json.
+ * @param {object} [options]
+ * @param {string} [options.out_dir] - The directory holding the results JSON and receiving players.json.
+ * @param {boolean} [options.offline] - Only use match cards saved by an earlier run.
+ * @param {object} [options.fetch_options] - Timeout, retry, rate limit and cache settings for create_fetcher.
+ * @param {(url: string) => Promise<string>} [options.fetch_html] - Downloads a page; defaults to the league fetcher.
+ * @param {string} [options.time_zone] - The IANA time zone the league's times are written in.
+ * @returns {Promise<{ matches: number, missing: number, players: object[] }>}
+ */
+const build_player_stats = async (teams, {
+    out_dir = DEFAULT_OUTPUT_DIR,
+    offline = false,
+    fetch_options = {},
+    fetch_html,
+    time_zone = LEAGUE_TIMEZONE
+} = {}) => {
+    const matches = new Map();
+    for (const team of teams) {
+        const results_path = get_team_file_paths(out_dir, team.name).results;
+        let results;
+        try {
+            results = await load_matches_async(results_path, { time_zone });
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            console.warn(`⚠️ No results file for ${team.name} at ${results_path}; its players are left out.`);
+            continue;
+        }
+        for (const result of results) {
+            if (result.status !== 'played' || !result.match_url || matches.has(get_match_key(result))) {
+                continue;
+            }
+            try {
+                matches.set(get_match_key(result), { ...result, match_url: new URL(result.match_url, team.url).href });
+            } catch (error) {
+                console.warn(`⚠️ Skipping ${result.home_team} vs ${result.away_team} on ${result.date}: invalid match card URL "${result.match_url}".`);
+            }
+        }
+    }
+
+    if (!fetch_html && !offline) {
+        const fetcher = create_league_fetcher(fetch_options);
+        fetch_html = async (url) => (await fetcher.fetch(url)).body;
+    }
+    const { cards, missing } = await load_match_cards_async([...matches.values()], { out_dir, offline, fetch_html });
+    const players = compute_player_stats(cards);
+    const stats = { matches: cards.length, missing, players };
+
+    await fs.writeFile(path.join(out_dir, PLAYERS_FILE_NAME), JSON.stringify(stats, null, 2), 'utf8');
+    console.log(`✅ Saved statistics for ${players.length} player(s) from ${cards.length} match card(s) to ${path.join(out_dir, PLAYERS_FILE_NAME)}`);
+    if (missing > 0) {
+        console.warn(`⚠️ ${missing} match card(s) could not be read; those matches are left out.`);
+    }
+    return stats;
+};
+
+/**
+ * Main async function to build the player statistics from the results JSON in dist/.
+ */
+const main = async () => {
+    try {
+        const teams = select_teams(await load_teams_async(DEFAULT_TEAMS_FILE_PATH));
+        await build_player_stats(teams);
+    } catch (error) {
+        console.error(`❌ A critical error occurred:`, error.message);
+        process.exit(1);
+    }
+};
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    MATCH_CARDS_DIR_NAME,
+    PLAYERS_FILE_NAME,
+    get_match_card_file_name,
+    parse_match_card,
+    compute_player_stats,
+    build_player_stats
+};
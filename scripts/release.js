@@ -0,0 +1,190 @@
+const fs = require('fs').promises;
+const path = require('path');
+const {DEFAULT_OUTPUT_DIR, load_teams_async, select_teams, get_team_file_paths} = require('./teams');
+const {get_league_out_dir, get_release_assets, check_for_collisions} = require('./leagues');
+const {render_league_changes_markdown} = require('./changes');
+const {SITE_DIR_NAME, render_leagues_index_page} = require('./build-site');
+const {FEEDS_FILE_NAME} = require('./json-to-ics');
+const {ARCHIVE_DIR_NAME, get_season_archive_dir, list_archive_files_async} = require('./archive');
+const {load_verification_async} = require('./verify');
+
+const RELEASE_DIR_NAME = 'release';
+const PREVIOUS_DIR_NAME = 'previous';
+
+const copy_if_exists_async = async (source, destination) => {
+    try {
+        await fs.mkdir(path.dirname(destination), { recursive: true });
+        await fs.copyFile(source, destination);
+        return true;
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return false;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Reads the venue calendars and exported files build_calendars listed in a league's feeds.json.
+ * @param {string} league_dir
+ * @returns {Promise<string[]>} Their file names, or none if the league has no feeds.json yet.
+ */
+const load_feed_files_async = async (league_dir) => {
+    try {
+        const feeds = JSON.parse(await fs.readFile(path.join(league_dir, FEEDS_FILE_NAME), 'utf8'));
+        return [...feeds.venues.map(venue => venue.file), ...(feeds.exports || [])];
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+};
+
+const list_release_files_async = async (release_dir) => {
+    try {
+        return (await fs.readdir(release_dir)).sort();
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+};
+
+const load_league_teams_async = async (leagues) => {
+    const league_teams = [];
+    for (const league of leagues) {
+        league_teams.push({ league, teams: select_teams(await load_teams_async(league.teams_file)) });
+    }
+    return league_teams;
+};
+
+/**
+ * Gathers every league's calendars, fixtures, standings and state into one flat directory
+ * ready to attach to a release, and writes a combined changes.md for the release notes.
+ * The directory is emptied first so files from removed teams are not published again.
+ * Nothing is gathered while a league's publish check (see verify_build) lists a problem,
+ * so the last good release stays in place.
+ * @param {Array<object>} leagues - Normalized leagues from leagues.json.
+ * @param {object} [options]
+ * @param {string} [options.out_dir] - The top-level output directory.
+ * @param {string} [options.release_dir] - Where the release files are gathered.
+ * @returns {Promise<string[]>} The names of the gathered files.
+ * @throws {Error} If a league failed its publish check.
+ */
+const collect_release_assets = async (leagues, {
+    out_dir = DEFAULT_OUTPUT_DIR,
+    release_dir = path.join(out_dir, RELEASE_DIR_NAME)
+} = {}) => {
+    const league_teams = await load_league_teams_async(leagues);
+    check_for_collisions(league_teams, out_dir);
+
+    const refused = [];
+    for (const { league } of league_teams) {
+        const verification = await load_verification_async(get_league_out_dir(out_dir, league));
+        if (verification && !verification.passed) {
+            const problems = verification.teams.filter(team => team.problems.length > 0);
+            problems.forEach(({ team, problems: reasons }) => console.error(`❌ ${league.id}/${team}: ${reasons.join(' ')}`));
+            refused.push(league.id);
+        }
+    }
+    if (refused.length > 0) {
+        throw new Error(`Refusing to publish: the publish check failed for ${refused.join(', ')}. See verification.md in each league's folder.`);
+    }
+
+    await fs.rm(release_dir, { recursive: true, force: true });
+    await fs.mkdir(release_dir, { recursive: true });
+
+    const collected = [];
+    const league_reports = [];
+    for (const { league, teams } of league_teams) {
+        const league_dir = get_league_out_dir(out_dir, league);
+        const feed_assets = (await load_feed_files_async(league_dir))
+            .map(file_name => ({ source: path.join(league_dir, file_name), name: `${league.asset_prefix}${file_name}` }));
+        const archive_assets = (await list_archive_files_async(league_dir))
+            .map(({ season, file_name, source }) => ({ source, name: `${league.asset_prefix}${ARCHIVE_DIR_NAME}-${season}-${file_name}` }));
+        for (const asset of [...get_release_assets(league, teams, out_dir), ...feed_assets, ...archive_assets]) {
+            if (await copy_if_exists_async(asset.source, path.join(release_dir, asset.name))) {
+                collected.push(asset.name);
+            }
+        }
+        try {
+            const report = JSON.parse(await fs.readFile(path.join(league_dir, 'changes.json'), 'utf8'));
+            league_reports.push({ league, report });
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            league_reports.push({ league, report: { has_previous: false, teams: {} } });
+        }
+    }
+
+    await fs.writeFile(path.join(release_dir, 'changes.md'), render_league_changes_markdown(league_reports), 'utf8');
+    console.log(`✅ Gathered ${collected.length} file(s) for the release in ${release_dir}`);
+    return collected;
+};
+
+/**
+ * Puts the files downloaded from the previous release back where each league's next run
+ * expects them: the calendar and notification state in the league's directory, the
+ * fixtures in its "previous" folder, for change detection, the last publish check, also in
+ * "previous", for verify_build to compare with, and the season archive.
+ * @param {Array<object>} leagues - Normalized leagues from leagues.json.
+ * @param {object} [options]
+ * @param {string} [options.out_dir] - The top-level output directory.
+ * @param {string} [options.release_dir] - Where the previous release's files were downloaded.
+ * @returns {Promise<string[]>} The names of the restored files.
+ */
+const restore_release_assets = async (leagues, {
+    out_dir = DEFAULT_OUTPUT_DIR,
+    release_dir = path.join(out_dir, RELEASE_DIR_NAME)
+} = {}) => {
+    const restored = [];
+    for (const { league, teams } of await load_league_teams_async(leagues)) {
+        const league_dir = get_league_out_dir(out_dir, league);
+        const targets = [
+            { name: 'calendar-state.json', destination: path.join(league_dir, 'calendar-state.json') },
+            { name: 'notifications-state.json', destination: path.join(league_dir, 'notifications-state.json') },
+            { name: 'verification.json', destination: path.join(league_dir, PREVIOUS_DIR_NAME, 'verification.json') },
+            ...teams.map(team => {
+                const previous_path = get_team_file_paths(path.join(league_dir, PREVIOUS_DIR_NAME), team.name).fixtures;
+                return { name: path.basename(previous_path), destination: previous_path };
+            })
+        ];
+        const archive_prefix = `${league.asset_prefix}${ARCHIVE_DIR_NAME}-`;
+        for (const asset_name of await list_release_files_async(release_dir)) {
+            const match = asset_name.startsWith(archive_prefix) && /^([^-]+)-(.+)$/.exec(asset_name.slice(archive_prefix.length));
+            if (match) {
+                targets.push({ name: asset_name.slice(league.asset_prefix.length), destination: path.join(get_season_archive_dir(league_dir, match[1]), match[2]) });
+            }
+        }
+        for (const { name, destination } of targets) {
+            const asset_name = `${league.asset_prefix}${name}`;
+            if (await copy_if_exists_async(path.join(release_dir, asset_name), destination)) {
+                restored.push(asset_name);
+            }
+        }
+    }
+    console.log(`✅ Restored ${restored.length} file(s) from ${release_dir}`);
+    return restored;
+};
+
+/**
+ * Writes the top-level site index linking to each league's site.
+ * @param {Array<object>} leagues - Normalized leagues from leagues.json.
+ * @param {object} [options]
+ * @param {string} [options.out_dir] - The top-level output directory; the index goes in its "site" folder.
+ */
+const build_leagues_index = async (leagues, { out_dir = DEFAULT_OUTPUT_DIR } = {}) => {
+    const site_dir = path.join(out_dir, SITE_DIR_NAME);
+    await fs.mkdir(site_dir, { recursive: true });
+    await fs.writeFile(path.join(site_dir, 'index.html'), render_leagues_index_page(leagues), 'utf8');
+};
+
+module.exports = {
+    RELEASE_DIR_NAME,
+    collect_release_assets,
+    restore_release_assets,
+    build_leagues_index
+};
@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const http = require('http');
+const path = require('path');
+const {DEFAULT_OUTPUT_DIR, load_teams_async, select_teams, get_team_file_paths} = require('./teams');
+const {DEFAULT_LEAGUES_FILE_PATH, load_leagues_async, select_leagues, get_league_out_dir} = require('./leagues');
+const {LEAGUE_FEED_FILE_NAME} = require('./json-to-ics');
+const {LEAGUE_TIMEZONE} = require('./timezone');
+const {load_matches_async} = require('./match-model');
+const {run_pipeline, run_leagues} = require('./pipeline');
+const {slugify} = require("./slugify");
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_TTL_SECONDS = 15 * 60;
+
+/**
+ * The pipeline command that brings the served calendars up to date.
+ */
+const REFRESH_COMMAND = 'calendars';
+
+const TEAM_ROUTE_PATTERN = /^\/teams\/([a-z0-9-]+)\.(ics|json)$/;
+
+const CONTENT_TYPES = {
+    ics: 'text/calendar; charset=utf-8',
+    json: 'application/json; charset=utf-8'
+};
+
+const create_etag = (body) => `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+
+/**
+ * Whether the request's If-None-Match already holds the current version of the response.
+ * @param {string} [if_none_match]
+ * @param {string} etag
+ * @returns {boolean}
+ */
+const matches_etag = (if_none_match, etag) => {
+    if (!if_none_match) {
+        return false;
+    }
+    return if_none_match.trim() === '*'
+        || if_none_match.split(',').map(tag => tag.trim().replace(/^W\//, '')).includes(etag);
+};
+
+/**
+ * Serves the league's team calendars and JSON over HTTP, rebuilding them when they are older than the TTL.
+ * The first request after the TTL runs refresh once; requests arriving meanwhile wait for the same run.
+ * If refresh fails, the files from the last successful run are served until the next attempt.
+ * @param {object} options
+ * @param {Array<object>} options.teams - Valid team entries from teams.json.
+ * @param {string} [options.out_dir] - The directory the pipeline writes the league's calendars and JSON to.
+ * @param {string} [options.time_zone] - The IANA time zone the league's times are written in.
+ * @param {() => Promise<{ succeeded: string[], failed: { team: string, error: string }[] }>} options.refresh - Rebuilds the files in out_dir.
+ * @param {number} [options.ttl_seconds] - How long the files are served before they are rebuilt.
+ * @param {() => number} [options.now] - The clock, in milliseconds.
+ * @returns {import('http').Server} Not listening yet.
+ */
+const create_feed_server = ({
+    teams,
+    out_dir = DEFAULT_OUTPUT_DIR,
+    time_zone = LEAGUE_TIMEZONE,
+    refresh,
+    ttl_seconds = DEFAULT_TTL_SECONDS,
+    now = Date.now
+}) => {
+    const teams_by_slug = new Map(teams.map(team => [slugify(team.name), team]));
+    let refreshed_at = null;
+    let refreshing = null;
+
+    const get_age_seconds = () => refreshed_at === null ? Infinity : (now() - refreshed_at) / 1000;
+
+    const ensure_fresh = async () => {
+        if (get_age_seconds() < ttl_seconds) {
+            return;
+        }
+        if (!refreshing) {
+            refreshing = (async () => {
+                try {
+                    const summary = await refresh();
+                    summary.failed.forEach(({ team, error }) => console.warn(`⚠️ Could not refresh ${team}: ${error}`));
+                } catch (error) {
+                    console.error(`❌ Refreshing the calendars failed, serving the previous ones:`, error.message);
+                } finally {
+                    // Wait a full TTL before trying again, so a league site that is down is not hammered.
+                    refreshed_at = now();
+                    refreshing = null;
+                }
+            })();
+        }
+        await refreshing;
+    };
+
+    const send = (request, response, status, body, content_type) => {
+        const etag = create_etag(body);
+        const max_age = Math.max(0, Math.floor(ttl_seconds - get_age_seconds()));
+        response.setHeader('ETag', etag);
+        response.setHeader('Cache-Control', `public, max-age=${max_age}`);
+        if (status === 200 && matches_etag(request.headers['if-none-match'], etag)) {
+            response.writeHead(304);
+            response.end();
+            return;
+        }
+        response.writeHead(status, { 'Content-Type': content_type, 'Content-Length': Buffer.byteLength(body) });
+        response.end(request.method === 'HEAD' ? undefined : body);
+    };
+
+    const send_error = (response, status, message, headers = {}) => {
+        response.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-store', ...headers });
+        response.end(`${message}\n`);
+    };
+
+    const list_teams = () => JSON.stringify({
+        league: `/${LEAGUE_FEED_FILE_NAME}`,
+        teams: teams.map(team => {
+            const slug = slugify(team.name);
+            return { name: team.name, division: team.division || null, ics: `/teams/${slug}.ics`, json: `/teams/${slug}.json` };
+        })
+    }, null, 2);
+
+    const read_team_json = async (team) => {
+        const file_paths = get_team_file_paths(out_dir, team.name);
+        const read_optional = async (file_path) => {
+            try {
+                return await load_matches_async(file_path, { time_zone });
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return [];
+                }
+                throw error;
+            }
+        };
+        return JSON.stringify({
+            team: team.name,
+            fixtures: await read_optional(file_paths.fixtures),
+            results: await read_optional(file_paths.results)
+        }, null, 2);
+    };
+
+    const handle = async (request, response) => {
+        if (request.method !== 'GET' && request.method !== 'HEAD') {
+            send_error(response, 405, 'Method not allowed.', { 'Allow': 'GET, HEAD' });
+            return;
+        }
+        const { pathname } = new URL(request.url, 'http://localhost');
+        if (pathname === '/' || pathname === '/teams') {
+            send(request, response, 200, list_teams(), CONTENT_TYPES.json);
+            return;
+        }
+
+        let file_path = null;
+        let team = null;
+        let extension = 'ics';
+        const team_route = TEAM_ROUTE_PATTERN.exec(pathname);
+        if (pathname === `/${LEAGUE_FEED_FILE_NAME}`) {
+            file_path = path.join(out_dir, LEAGUE_FEED_FILE_NAME);
+        } else if (team_route && teams_by_slug.has(team_route[1])) {
+            team = teams_by_slug.get(team_route[1]);
+            extension = team_route[2];
+            file_path = get_team_file_paths(out_dir, team.name).ics;
+        } else {
+            send_error(response, 404, 'Not found.');
+            return;
+        }
+
+        await ensure_fresh();
+        try {
+            const body = extension === 'json' ? await read_team_json(team) : await fs.readFile(file_path, 'utf8');
+            send(request, response, 200, body, CONTENT_TYPES[extension]);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            send_error(response, 503, 'This calendar has not been built yet. Try again later.', { 'Retry-After': String(ttl_seconds) });
+        }
+    };
+
+    return http.createServer((request, response) => {
+        handle(request, response).catch(error => {
+            console.error(`❌ ${request.method} ${request.url} failed:`, error.message);
+            if (!response.headersSent) {
+                send_error(response, 500, 'Something went wrong.');
+            } else {
+                response.end();
+            }
+        });
+    });
+};
+
+/**
+ * Serves one league's calendars, from leagues.json or from a single teams.json.
+ * @param {object} [options]
+ * @param {string} [options.leagues_file] - The path to leagues.json.
+ * @param {string[]} [options.league] - The league to serve; needed when leagues.json has more than one.
+ * @param {string} [options.teams_file] - Serve this teams.json into out_dir instead of a league from leagues.json.
+ * @param {string} [options.out_dir] - The top-level output directory.
+ * @param {number} [options.port]
+ * @param {string} [options.host] - The address to listen on; every interface by default.
+ * @param {number} [options.ttl_seconds]
+ * @param {object} [options.pipeline_options] - Passed to run_leagues or run_pipeline on each refresh, e.g. fetch_options.
+ * @returns {Promise<import('http').Server>} The listening server.
+ */
+const serve_feeds = async ({
+    leagues_file = DEFAULT_LEAGUES_FILE_PATH,
+    league = [],
+    teams_file,
+    out_dir = DEFAULT_OUTPUT_DIR,
+    port = DEFAULT_PORT,
+    host,
+    ttl_seconds = DEFAULT_TTL_SECONDS,
+    pipeline_options = {}
+} = {}) => {
+    const root_dir = path.resolve(out_dir);
+    let options;
+    if (teams_file) {
+        options = {
+            teams: select_teams(await load_teams_async(teams_file)),
+            out_dir: root_dir,
+            time_zone: pipeline_options.time_zone,
+            refresh: () => run_pipeline(REFRESH_COMMAND, { ...pipeline_options, teams_file, out_dir: root_dir })
+        };
+    } else {
+        const leagues = select_leagues(await load_leagues_async(leagues_file), league);
+        if (leagues.length !== 1) {
+            throw new Error(`serve needs a single --league. Expected one of: ${leagues.map(entry => entry.id).join(', ')}.`);
+        }
+        const [entry] = leagues;
+        options = {
+            teams: select_teams(await load_teams_async(entry.teams_file)),
+            out_dir: get_league_out_dir(root_dir, entry),
+            time_zone: entry.time_zone,
+            refresh: () => run_leagues(REFRESH_COMMAND, { ...pipeline_options, leagues_file, league: [entry.id], out_dir: root_dir })
+        };
+    }
+
+    const server = create_feed_server({ ...options, ttl_seconds });
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+    const address = server.address();
+    console.log(`✅ Serving ${options.teams.length} team calendar(s) on http://${host || 'localhost'}:${address.port}/teams, rebuilt every ${ttl_seconds}s at most`);
+    return server;
+};
+
+module.exports = {
+    DEFAULT_PORT,
+    DEFAULT_TTL_SECONDS,
+    create_feed_server,
+    serve_feeds
+};
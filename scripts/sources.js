@@ -0,0 +1,85 @@
+const {create_fetcher} = require('./fetcher');
+const {create_league_fetcher, parse_team_page} = require('./leaguerepublic');
+const {check_table_source, parse_table_source} = require('./table-source');
+
+const DEFAULT_SOURCE_TYPE = 'leaguerepublic';
+
+/**
+ * Source adapters by the "type" given in a team's "source" in teams.json. Each adapter has:
+ * - create_fetcher(fetch_options): the fetcher each team's page is requested with, from the
+ *   source's "url" or the team's; one is shared by every team using the adapter.
+ * - parse(content, { source, time_zone, source_url }): the matches on the page, in the format
+ *   described by schema/match.schema.json.
+ * - check(source), optional: throws if the team's source settings cannot be used.
+ * Add more with register_source.
+ */
+const SOURCES = new Map();
+
+/**
+ * Reads a team's "source" from teams.json, which is either the adapter's type or an object with
+ * the type and the adapter's settings. Teams without one are read from LeagueRepublic.
+ * @param {object} team - A team entry from teams.json.
+ * @returns {{ type: string, url?: string }}
+ */
+const get_team_source = (team) => {
+    const source = team.source === undefined ? {} : team.source;
+    return typeof source === 'string' ? { type: source } : { type: DEFAULT_SOURCE_TYPE, ...source };
+};
+
+/**
+ * Returns the URL a team's page is fetched from: the source's own "url" if it has one, or the team's.
+ * @param {object} team
+ * @returns {string}
+ */
+const get_source_url = (team) => get_team_source(team).url || team.url;
+
+/**
+ * Adds a source adapter, or replaces the one of the same type.
+ * @param {string} type - The "type" teams.json refers to it by.
+ * @param {{ create_fetcher?: Function, parse: Function, check?: Function }} adapter
+ *   create_fetcher defaults to a fetcher with no extra headers.
+ */
+const register_source = (type, { create_fetcher: create = create_fetcher, parse, check } = {}) => {
+    if (typeof parse !== 'function') {
+        throw new Error(`Source "${type}" needs a "parse" function.`);
+    }
+    SOURCES.set(type, {
+        create_fetcher: create,
+        parse,
+        check: check || (() => {})
+    });
+};
+
+/**
+ * Looks up the adapter a team is read with and checks the team's source settings.
+ * @param {object} team - A team entry from teams.json.
+ * @returns {{ type: string, source: object, adapter: object }}
+ * @throws {Error} If the source type is unknown or its settings are not usable.
+ */
+const get_source_adapter = (team) => {
+    const source = get_team_source(team);
+    const adapter = SOURCES.get(source.type);
+    if (!adapter) {
+        throw new Error(`Unknown source "${source.type}" for ${team.name}; expected one of: ${[...SOURCES.keys()].join(', ')}.`);
+    }
+    adapter.check(source);
+    return { type: source.type, source, adapter };
+};
+
+register_source('leaguerepublic', {
+    create_fetcher: create_league_fetcher,
+    parse: (content, { time_zone, source_url }) => parse_team_page(content, { time_zone, source_url })
+});
+
+register_source('table', {
+    parse: parse_table_source,
+    check: check_table_source
+});
+
+module.exports = {
+    SOURCES,
+    get_team_source,
+    get_source_url,
+    register_source,
+    get_source_adapter
+};
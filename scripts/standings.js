@@ -0,0 +1,360 @@
+const fs = require('fs').promises;
+const path = require('path');
+const {
+    DEFAULT_TEAMS_FILE_PATH,
+    DEFAULT_OUTPUT_DIR,
+    load_teams_async,
+    select_teams,
+    get_team_file_paths
+} = require('./teams');
+const {escape_html} = require('./html');
+const {LEAGUE_TIMEZONE} = require('./timezone');
+const {parse_score, upgrade_match, get_match_key, load_matches_async} = require('./match-model');
+
+const DEFAULT_DIVISION = 'League';
+// The competition column of a cup or knockout match, e.g. "CUP"; these do not count towards the league table.
+const CUP_COMPETITION_PATTERN = /\b(cup|trophy|shield|plate|knock-?out)\b/i;
+
+/**
+ * How many of a team's most recent results make up its form.
+ */
+const FORM_LENGTH = 5;
+
+/**
+ * Points awarded per match outcome, plus optional points per frame won.
+ */
+const DEFAULT_POINTS_RULES = {
+    win: 2,
+    draw: 1,
+    loss: 0,
+    frame: 0
+};
+
+/**
+ * Reads a points rule string such as "win=3,draw=1,loss=0,frame=1" on top of the defaults.
+ * @param {string} [text]
+ * @returns {{ win: number, draw: number, loss: number, frame: number }}
+ */
+const parse_points_rules = (text) => {
+    const rules = { ...DEFAULT_POINTS_RULES };
+    if (!text) {
+        return rules;
+    }
+    for (const pair of text.split(',')) {
+        const [key, value] = pair.split('=').map(s => s.trim());
+        if (!(key in rules) || value === undefined || Number.isNaN(Number(value))) {
+            throw new Error(`Invalid points rule "${pair}". Expected e.g. win=2,draw=1,loss=0,frame=0.`);
+        }
+        rules[key] = Number(value);
+    }
+    return rules;
+};
+
+/**
+ * Combines results scraped from every team's page into a single list of played matches.
+ * A match appears on both teams' pages, so it is kept once per date, home team and away team.
+ * @param {Array<Array<object>>} result_lists - The contents of each results-*.json file.
+ * @returns {Array<object>} The played matches and walkovers, in the format of schema/match.schema.json.
+ */
+const collect_matches = (result_lists) => {
+    const matches = new Map();
+    for (const result of result_lists.flat().map(record => upgrade_match(record))) {
+        if (result.status !== 'played' && result.status !== 'walkover') {
+            continue;
+        }
+        const key = get_match_key(result);
+        if (!matches.has(key)) {
+            matches.set(key, result);
+        }
+    }
+    return [...matches.values()];
+};
+
+/**
+ * Turns a "DD/MM/YY" date into a string that sorts in date order.
+ * @param {string} date - e.g. "29/09/25"
+ * @returns {string} e.g. "250929"
+ */
+const get_date_sort_key = (date) => String(date || '').split('/').reverse().map(part => part.padStart(2, '0')).join('');
+
+/**
+ * Gives "W", "D" or "L" for the home or away side of a played match.
+ * @param {{ winner: 'home'|'away'|'draw' }} match - As returned by collect_matches.
+ * @param {boolean} is_home
+ * @returns {'W'|'D'|'L'}
+ */
+const get_match_outcome = ({ winner }, is_home) => {
+    if (winner === 'draw') {
+        return 'D';
+    }
+    return (winner === 'home') === is_home ? 'W' : 'L';
+};
+
+/**
+ * Works out each team's form: the outcomes of its last few matches, oldest first.
+ * @param {Array<object>} matches - As returned by collect_matches.
+ * @param {number} [length] - How many matches to include.
+ * @returns {Map<string, string>} Team name to form, e.g. "WWDLW".
+ */
+const compute_form = (matches, length = FORM_LENGTH) => {
+    const outcomes = new Map();
+    const sorted = [...matches].sort((a, b) => get_date_sort_key(a.date).localeCompare(get_date_sort_key(b.date)));
+    for (const match of sorted) {
+        for (const [team, is_home] of [[match.home_team, true], [match.away_team, false]]) {
+            if (!outcomes.has(team)) {
+                outcomes.set(team, []);
+            }
+            outcomes.get(team).push(get_match_outcome(match, is_home));
+        }
+    }
+    return new Map([...outcomes].map(([team, list]) => [team, list.slice(-length).join('')]));
+};
+
+/**
+ * Tells whether a match's competition column names a cup rather than a league division.
+ * @param {string|null} division - e.g. "CUP" or "PREM".
+ * @returns {boolean}
+ */
+const is_cup_competition = (division) => CUP_COMPETITION_PATTERN.test(String(division || ''));
+
+/**
+ * Works out which division each team plays in, for matches that do not say.
+ * Teams in teams.json use their division; opponents that are not listed take the division
+ * of the listed team they played.
+ * @param {Array<object>} matches
+ * @param {Array<object>} teams - Entries from teams.json, optionally with a division.
+ * @returns {Map<string, string>} Team name to division.
+ */
+const assign_divisions = (matches, teams) => {
+    const divisions = new Map(teams.map(team => [team.name, team.division || DEFAULT_DIVISION]));
+    for (const match of matches) {
+        for (const [team, opponent] of [[match.home_team, match.away_team], [match.away_team, match.home_team]]) {
+            if (!divisions.has(team) && divisions.has(opponent)) {
+                divisions.set(team, divisions.get(opponent));
+            }
+        }
+    }
+    for (const match of matches) {
+        for (const team of [match.home_team, match.away_team]) {
+            if (!divisions.has(team)) {
+                divisions.set(team, DEFAULT_DIVISION);
+            }
+        }
+    }
+    return divisions;
+};
+
+/**
+ * Builds a league table per division. Each match counts in the division in its competition
+ * column; cup matches are left out. Matches without a division are placed by assign_divisions.
+ * @param {Array<object>} matches - As returned by collect_matches.
+ * @param {Array<object>} teams - Entries from teams.json.
+ * @param {{ win: number, draw: number, loss: number, frame: number }} [points_rules]
+ * @returns {{ division: string, rows: object[] }[]}
+ */
+const compute_standings = (matches, teams, points_rules = DEFAULT_POINTS_RULES) => {
+    const league_matches = matches.filter(match => !is_cup_competition(match.division));
+    const divisions = assign_divisions(league_matches.filter(match => !match.division), teams);
+    const rows = new Map();
+    const get_row = (match, team) => {
+        const division = match.division || divisions.get(team);
+        const key = `${division}|${team}`;
+        if (!rows.has(key)) {
+            rows.set(key, {
+                division,
+                team,
+                played: 0,
+                won: 0,
+                drawn: 0,
+                lost: 0,
+                frames_for: 0,
+                frames_against: 0,
+                frame_difference: 0,
+                points: 0
+            });
+        }
+        return rows.get(key);
+    };
+
+    for (const match of league_matches) {
+        // Walkovers have no score: the winner gets the points without any frames.
+        const { home_score, away_score } = match.score || { home_score: 0, away_score: 0 };
+        const sides = [
+            { row: get_row(match, match.home_team), frames_for: home_score, frames_against: away_score, side: 'home' },
+            { row: get_row(match, match.away_team), frames_for: away_score, frames_against: home_score, side: 'away' }
+        ];
+        for (const { row, frames_for, frames_against, side } of sides) {
+            row.played += 1;
+            row.frames_for += frames_for;
+            row.frames_against += frames_against;
+            if (match.winner === side) {
+                row.won += 1;
+                row.points += points_rules.win;
+            } else if (match.winner === 'draw') {
+                row.drawn += 1;
+                row.points += points_rules.draw;
+            } else {
+                row.lost += 1;
+                row.points += points_rules.loss;
+            }
+            row.points += frames_for * points_rules.frame;
+        }
+    }
+
+    const tables = new Map();
+    for (const { division, ...row } of rows.values()) {
+        row.frame_difference = row.frames_for - row.frames_against;
+        if (!tables.has(division)) {
+            tables.set(division, []);
+        }
+        tables.get(division).push(row);
+    }
+
+    return [...tables.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([division, division_rows]) => ({
+            division,
+            rows: division_rows.sort((a, b) => b.points - a.points
+                || b.frame_difference - a.frame_difference
+                || b.frames_for - a.frames_for
+                || a.team.localeCompare(b.team))
+        }));
+};
+
+const COLUMNS = [
+    ['Pos', (row, index) => index + 1],
+    ['Team', row => row.team],
+    ['P', row => row.played],
+    ['W', row => row.won],
+    ['D', row => row.drawn],
+    ['L', row => row.lost],
+    ['F', row => row.frames_for],
+    ['A', row => row.frames_against],
+    ['FD', row => row.frame_difference],
+    ['Pts', row => row.points]
+];
+
+/**
+ * Renders the standings as Markdown tables, one per division.
+ * @param {{ division: string, rows: object[] }[]} standings
+ * @returns {string}
+ */
+const render_standings_markdown = (standings) => {
+    const sections = standings.map(({ division, rows }) => {
+        const header = `| ${COLUMNS.map(([title]) => title).join(' | ')} |`;
+        const separator = `| ${COLUMNS.map(([title]) => title === 'Team' ? '---' : '---:').join(' | ')} |`;
+        const body = rows.map((row, index) => `| ${COLUMNS.map(([, value]) => String(value(row, index)).replace(/\|/g, '\\|')).join(' | ')} |`);
+        return [`## ${division}`, '', header, separator, ...body].join('\n');
+    });
+    return ['# League Standings', '', ...sections.flatMap(section => [section, ''])].join('\n');
+};
+
+/**
+ * Renders the standings as a standalone HTML page, one table per division.
+ * @param {{ division: string, rows: object[] }[]} standings
+ * @returns {string}
+ */
+const render_standings_html = (standings) => {
+    const sections = standings.map(({ division, rows }) => {
+        const header = COLUMNS.map(([title]) => `<th>${title}</th>`).join('');
+        const body = rows.map((row, index) => {
+            const cells = COLUMNS.map(([, value]) => `<td>${escape_html(value(row, index))}</td>`).join('');
+            return `      <tr>${cells}</tr>`;
+        });
+        return [
+            `  <h2>${escape_html(division)}</h2>`,
+            '  <table>',
+            `    <thead><tr>${header}</tr></thead>`,
+            '    <tbody>',
+            ...body,
+            '    </tbody>',
+            '  </table>'
+        ].join('\n');
+    });
+    return [
+        '<!DOCTYPE html>',
+        '<html lang="en">',
+        '<head>',
+        '  <meta charset="utf-8">',
+        '  <title>League Standings</title>',
+        '</head>',
+        '<body>',
+        '  <h1>League Standings</h1>',
+        ...sections,
+        '</body>',
+        '</html>',
+        ''
+    ].join('\n');
+};
+
+/**
+ * Reads every team's results JSON, builds the standings and writes them as JSON, HTML and Markdown.
+ * @param {Array<object>} teams - Valid team entries from teams.json.
+ * @param {object} [options]
+ * @param {string} [options.out_dir] - The directory holding the results JSON and receiving the standings.
+ * @param {{ win: number, draw: number, loss: number, frame: number }} [options.points_rules]
+ * @param {string} [options.time_zone] - The IANA time zone the league's times are written in.
+ * @returns {Promise<{ division: string, rows: object[] }[]>}
+ */
+const build_standings = async (teams, {
+    out_dir = DEFAULT_OUTPUT_DIR,
+    points_rules = DEFAULT_POINTS_RULES,
+    time_zone = LEAGUE_TIMEZONE
+} = {}) => {
+    const result_lists = [];
+    for (const team of teams) {
+        const results_path = get_team_file_paths(out_dir, team.name).results;
+        try {
+            result_lists.push(await load_matches_async(results_path, { time_zone }));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            console.warn(`⚠️ No results file for ${team.name} at ${results_path}; it is left out of the standings.`);
+        }
+    }
+
+    const matches = collect_matches(result_lists);
+    const standings = compute_standings(matches, teams, points_rules);
+    console.log(`Built standings for ${standings.length} division(s) from ${matches.length} match(es).`);
+
+    await fs.mkdir(out_dir, { recursive: true });
+    await fs.writeFile(path.join(out_dir, 'standings.json'), JSON.stringify({ points_rules, standings }, null, 2), 'utf8');
+    await fs.writeFile(path.join(out_dir, 'standings.html'), render_standings_html(standings), 'utf8');
+    await fs.writeFile(path.join(out_dir, 'standings.md'), render_standings_markdown(standings), 'utf8');
+    console.log(`✅ Saved standings to ${path.join(out_dir, 'standings.{json,html,md}')}`);
+    return standings;
+};
+
+/**
+ * Main async function to build the standings from the results JSON in dist/.
+ */
+const main = async () => {
+    try {
+        const teams = select_teams(await load_teams_async(DEFAULT_TEAMS_FILE_PATH));
+        await build_standings(teams, { points_rules: parse_points_rules(process.env.POINTS_RULES) });
+    } catch (error) {
+        console.error(`❌ A critical error occurred:`, error.message);
+        process.exit(1);
+    }
+};
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    DEFAULT_POINTS_RULES,
+    FORM_LENGTH,
+    parse_score,
+    parse_points_rules,
+    collect_matches,
+    get_date_sort_key,
+    get_match_outcome,
+    compute_form,
+    is_cup_competition,
+    compute_standings,
+    render_standings_markdown,
+    render_standings_html,
+    build_standings
+};
@@ -0,0 +1,188 @@
+const cheerio = require('cheerio');
+const {LEAGUE_TIMEZONE} = require('./timezone');
+const {create_match, get_match_key, reconcile_matches} = require('./match-model');
+
+const TABLE_FORMATS = ['csv', 'html'];
+const DEFAULT_ROW_SELECTOR = 'table tr';
+// Rewrites each supported date format as the "DD/MM/YY" the rest of the pipeline reads.
+const DATE_FORMATS = {
+    'DD/MM/YY': { pattern: /^(\d{1,2})\/(\d{1,2})\/(\d{2})$/, order: ['day', 'month', 'year'] },
+    'DD/MM/YYYY': { pattern: /^(\d{1,2})\/(\d{1,2})\/\d{2}(\d{2})$/, order: ['day', 'month', 'year'] },
+    'YYYY-MM-DD': { pattern: /^\d{2}(\d{2})-(\d{1,2})-(\d{1,2})$/, order: ['year', 'month', 'day'] }
+};
+// Calendars need a start time, so "time" is required; it may name the date column when that holds the time too.
+const REQUIRED_COLUMNS = ['date', 'time', 'home_team', 'away_team'];
+const OPTIONAL_COLUMNS = ['venue', 'division', 'result'];
+const TIME_PATTERN = /\b(\d{1,2}):(\d{2})\b/;
+
+/**
+ * Splits CSV text into rows of fields, honouring quoted fields (RFC 4180).
+ * @param {string} text
+ * @returns {string[][]} Blank lines are left out.
+ */
+const parse_csv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const end_row = () => {
+        row.push(field);
+        if (row.some(value => value.trim() !== '')) {
+            rows.push(row);
+        }
+        row = [];
+        field = '';
+    };
+    const content = String(text).replace(/^\uFEFF/, '');
+    for (let index = 0; index < content.length; index++) {
+        const char = content[index];
+        if (quoted) {
+            if (char === '"' && content[index + 1] === '"') {
+                field += '"';
+                index += 1;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[index + 1] === '\n') {
+                index += 1;
+            }
+            end_row();
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        end_row();
+    }
+    return rows;
+};
+
+/**
+ * Reads the text of every cell in the rows of an HTML table.
+ * @param {string} html_content
+ * @param {string} [selector] - Picks the table rows; defaults to every row of every table.
+ * @returns {string[][]}
+ */
+const read_html_rows = (html_content, selector = DEFAULT_ROW_SELECTOR) => {
+    const $ = cheerio.load(html_content);
+    return $(selector).toArray()
+        .map(row => $(row).find('th, td').toArray().map(cell => $(cell).text().replace(/\s+/g, ' ').trim()))
+        .filter(cells => cells.some(Boolean));
+};
+
+/**
+ * Rewrites a date as "DD/MM/YY".
+ * @param {string} value
+ * @param {string} date_format - One of the keys of DATE_FORMATS.
+ * @returns {string} The value as written when it is not in the expected format, e.g. "TBC".
+ */
+const normalize_date = (value, date_format) => {
+    const { pattern, order } = DATE_FORMATS[date_format];
+    const match = pattern.exec(value);
+    if (!match) {
+        return value;
+    }
+    const parts = Object.fromEntries(order.map((part, index) => [part, match[index + 1].padStart(2, '0')]));
+    return `${parts.day}/${parts.month}/${parts.year}`;
+};
+
+/**
+ * Checks the "source" of a team read with the table adapter.
+ * @param {object} source - e.g. { "type": "table", "format": "csv", "columns": { "date": "Date", ... } }
+ * @throws {Error} If the format, date format or column mapping is not usable.
+ */
+const check_table_source = (source) => {
+    const format = source.format || 'html';
+    if (!TABLE_FORMATS.includes(format)) {
+        throw new Error(`Unknown table format "${format}"; expected one of: ${TABLE_FORMATS.join(', ')}.`);
+    }
+    if (source.date_format && !DATE_FORMATS[source.date_format]) {
+        throw new Error(`Unknown date format "${source.date_format}"; expected one of: ${Object.keys(DATE_FORMATS).join(', ')}.`);
+    }
+    const columns = source.columns || {};
+    const missing = REQUIRED_COLUMNS.filter(column => columns[column] === undefined);
+    if (missing.length > 0) {
+        const hint = missing.includes('time') ? ' Point "time" at the date column if the dates include the time.' : '';
+        throw new Error(`The table source's "columns" is missing: ${missing.join(', ')}.${hint}`);
+    }
+    for (const [column, value] of Object.entries(columns)) {
+        if (![...REQUIRED_COLUMNS, ...OPTIONAL_COLUMNS].includes(column)) {
+            throw new Error(`Unknown column "${column}"; expected any of: ${[...REQUIRED_COLUMNS, ...OPTIONAL_COLUMNS].join(', ')}.`);
+        }
+        const is_index = Number.isInteger(value) && value >= 0;
+        if (!is_index && (typeof value !== 'string' || value.trim() === '' || source.header === false)) {
+            throw new Error(`Column "${column}" must be ${source.header === false ? 'a column number' : 'a heading or a column number'}.`);
+        }
+    }
+};
+
+/**
+ * Reads matches from a CSV file or HTML table, using the team's column mapping. Each column is
+ * given by its heading in the first row, or by its number counting from 0. A row with something
+ * in the result column is a result; the rest are fixtures. A match listed more than once, e.g.
+ * in a fixtures section and again with its result, is kept once, as the result.
+ * @param {string} content - The CSV text or HTML page.
+ * @param {object} options
+ * @param {object} options.source - The team's "source" from teams.json; see check_table_source.
+ * @param {string} [options.time_zone] - The IANA time zone the dates and times are written in.
+ * @param {string} [options.source_url] - The URL the table was fetched from.
+ * @returns {Array<object>} Matches in the format described by schema/match.schema.json.
+ */
+const parse_table_source = (content, { source, time_zone = LEAGUE_TIMEZONE, source_url } = {}) => {
+    if (!content) {
+        throw new Error('No table content provided.');
+    }
+    check_table_source(source);
+    const rows = (source.format || 'html') === 'csv' ? parse_csv(content) : read_html_rows(content, source.selector);
+    const header = source.header === false ? [] : (rows.shift() || []).map(heading => heading.trim().toLowerCase());
+    const indexes = {};
+    for (const [column, value] of Object.entries(source.columns)) {
+        indexes[column] = typeof value === 'number' ? value : header.indexOf(value.trim().toLowerCase());
+        if (indexes[column] === -1) {
+            throw new Error(`No "${value}" heading found for the ${column} column.`);
+        }
+    }
+    const date_format = source.date_format || 'DD/MM/YY';
+
+    const matches = new Map();
+    rows.forEach((cells, index) => {
+        const read = (column) => (indexes[column] === undefined ? '' : String(cells[indexes[column]] || '').trim());
+        const date_cell = read('date');
+        if (!date_cell || !read('home_team') || !read('away_team')) {
+            console.warn(`Skipping table row ${index + 1}: Incomplete data.`);
+            return;
+        }
+        // The time column may be the date column, e.g. "06/10/2025 20:00".
+        const time_match = TIME_PATTERN.exec(read('time'));
+        const raw = {
+            date: normalize_date(date_cell.replace(TIME_PATTERN, '').trim() || date_cell, date_format),
+            time: time_match ? `${time_match[1].padStart(2, '0')}:${time_match[2]}` : 'N/A',
+            home_team: read('home_team'),
+            away_team: read('away_team'),
+            venue: read('venue')
+        };
+        if (read('result')) {
+            raw.result = read('result').replace(/\s/g, '');
+        }
+        const match = create_match(raw, { time_zone, division: read('division'), source_url });
+        const key = get_match_key(match);
+        const existing = matches.get(key);
+        matches.set(key, existing ? reconcile_matches(existing, match) : match);
+    });
+    return [...matches.values()];
+};
+
+module.exports = {
+    DATE_FORMATS,
+    parse_csv,
+    check_table_source,
+    parse_table_source
+};
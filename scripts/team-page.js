@@ -0,0 +1,37 @@
+const DATE_PATTERN = /\d{1,2}\/\d{1,2}\/\d{2}/;
+const TIME_PATTERN = /\d{1,2}:\d{2}/;
+
+/**
+ * Reads the "date<br>time" cell of a LeagueRepublic fixture or result row.
+ * Copes with the time missing, extra markup around either part, and rows where
+ * the <br> is missing and the date and time are only separated by whitespace.
+ * @param {import('cheerio').CheerioAPI} $ - The loaded page.
+ * @param {import('domhandler').Element} cell - The <td> holding the date and time.
+ * @returns {{ date: string, time: string }|null} null if the cell is empty.
+ */
+const parse_date_time_cell = ($, cell) => {
+    const copy = $(cell).clone();
+    copy.find('br').replaceWith('\n');
+    const lines = copy.text().split('\n').map(s => s.trim()).filter(Boolean);
+    if (lines.length === 0) {
+        return null;
+    }
+    if (lines.length === 1) {
+        const date_match = DATE_PATTERN.exec(lines[0]);
+        const time_match = TIME_PATTERN.exec(lines[0]);
+        if (date_match) {
+            return {
+                date: date_match[0],
+                time: time_match ? time_match[0] : 'N/A'
+            };
+        }
+    }
+    return {
+        date: lines[0] || 'N/A',
+        time: lines[1] || 'N/A'
+    };
+};
+
+module.exports = {
+    parse_date_time_cell
+};
@@ -0,0 +1,92 @@
+const fs = require('fs').promises;
+const path = require('path');
+const {slugify} = require("./slugify");
+
+const ROOT_DIR = path.resolve(__dirname, '../');
+const DEFAULT_TEAMS_FILE_PATH = path.resolve(ROOT_DIR, 'teams.json');
+const DEFAULT_OUTPUT_DIR = path.resolve(ROOT_DIR, 'dist');
+
+/**
+ * Asynchronously loads the teams.json file.
+ * @param {string} file_path - The path to the teams.json file.
+ * @returns {Promise<Array<object>>} An array of team objects.
+ */
+const load_teams_async = async (file_path) => {
+    try {
+        const file_content = await fs.readFile(file_path, 'utf8');
+        return JSON.parse(file_content);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            console.error(`❌ Error: Could not find ${file_path}`);
+        } else if (error instanceof SyntaxError) {
+            console.error(`❌ Error: Failed to parse ${file_path}. Check for JSON syntax errors.`);
+        } else {
+            console.error(`❌ Error reading teams file: ${error.message}`);
+        }
+        throw new Error('Failed to load teams file.');
+    }
+};
+
+/**
+ * Drops invalid entries and, if names are given, keeps only the matching teams.
+ * Names are matched case-insensitively against the team name or its slug.
+ * @param {Array<object>} teams - The teams from teams.json.
+ * @param {string[]} [names] - Team names to keep; all teams are kept when empty.
+ * @returns {Array<object>}
+ */
+const select_teams = (teams, names = []) => {
+    if (!Array.isArray(teams)) {
+        return [];
+    }
+    const valid_teams = teams.filter(team => {
+        if (team && team.name && team.url) {
+            return true;
+        }
+        console.warn('⚠️ Skipping invalid team entry in teams.json (missing name or url):', team);
+        return false;
+    });
+    if (names.length === 0) {
+        return valid_teams;
+    }
+    const wanted = new Set(names.map(name => slugify(name)));
+    const selected = valid_teams.filter(team => wanted.has(slugify(team.name)));
+    for (const name of names) {
+        if (!selected.some(team => slugify(team.name) === slugify(name))) {
+            console.warn(`⚠️ No team named "${name}" in teams.json.`);
+        }
+    }
+    return selected;
+};
+
+/**
+ * Returns the paths of every file the pipeline reads or writes for a team.
+ * @param {string} out_dir - The output directory (usually dist/).
+ * @param {string} team_name - The name of the team (e.g., "Railway").
+ * @returns {{ html: string, fixtures: string, results: string, ics: string, upcoming_ics: string, results_ics: string }}
+ */
+const get_team_file_paths = (out_dir, team_name) => {
+    const team_slug = slugify(team_name);
+    return {
+        html: path.join(out_dir, `team-page-${team_slug}.html`),
+        fixtures: path.join(out_dir, `fixtures-${team_slug}.json`),
+        results: path.join(out_dir, `results-${team_slug}.json`),
+        ics: path.join(out_dir, `${team_slug}.ics`),
+        upcoming_ics: path.join(out_dir, `upcoming-${team_slug}.ics`),
+        results_ics: path.join(out_dir, `results-${team_slug}.ics`)
+    };
+};
+
+/**
+ * Creates an empty per-team run summary.
+ * @returns {{ succeeded: string[], failed: { team: string, error: string }[] }}
+ */
+const create_run_summary = () => ({ succeeded: [], failed: [] });
+
+module.exports = {
+    DEFAULT_TEAMS_FILE_PATH,
+    DEFAULT_OUTPUT_DIR,
+    load_teams_async,
+    select_teams,
+    get_team_file_paths,
+    create_run_summary
+};
@@ -0,0 +1,231 @@
+const {property} = require('./ics');
+
+const DEFAULT_TIMEZONE = 'Europe/Isle_of_Man';
+const LEAGUE_TIMEZONE = process.env.LEAGUE_TIMEZONE || DEFAULT_TIMEZONE;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const formatter_cache = new Map();
+
+/**
+ * Returns a cached Intl formatter that splits an instant into wall-clock parts for a time zone.
+ * @param {string} time_zone - An IANA time zone name (e.g., "Europe/Isle_of_Man").
+ * @returns {Intl.DateTimeFormat}
+ */
+const get_formatter = (time_zone) => {
+    if (!formatter_cache.has(time_zone)) {
+        formatter_cache.set(time_zone, new Intl.DateTimeFormat('en-GB', {
+            timeZone: time_zone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            timeZoneName: 'short'
+        }));
+    }
+    return formatter_cache.get(time_zone);
+};
+
+/**
+ * Breaks an instant into the wall-clock fields seen in the given time zone.
+ * @param {Date} date - The instant to convert.
+ * @param {string} time_zone - An IANA time zone name.
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number, name: string }}
+ */
+const get_zoned_parts = (date, time_zone) => {
+    const parts = {};
+    for (const part of get_formatter(time_zone).formatToParts(date)) {
+        parts[part.type] = part.value;
+    }
+    return {
+        year: parseInt(parts.year, 10),
+        month: parseInt(parts.month, 10),
+        day: parseInt(parts.day, 10),
+        hour: parseInt(parts.hour, 10),
+        minute: parseInt(parts.minute, 10),
+        second: parseInt(parts.second, 10),
+        name: parts.timeZoneName
+    };
+};
+
+/**
+ * Returns the offset from UTC, in minutes, that applies in a time zone at the given instant.
+ * @param {Date} date - The instant to check.
+ * @param {string} time_zone - An IANA time zone name.
+ * @returns {number} e.g. 60 during British Summer Time, 0 during GMT.
+ */
+const get_timezone_offset_minutes = (date, time_zone) => {
+    const parts = get_zoned_parts(date, time_zone);
+    const as_utc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    const truncated = Math.floor(date.getTime() / 1000) * 1000;
+    return Math.round((as_utc - truncated) / MINUTE_MS);
+};
+
+/**
+ * Converts a wall-clock time in a time zone into the matching UTC instant.
+ * Times that fall in the spring-forward gap are moved forward by the gap length.
+ * @param {{ year: number, month: number, day: number, hour: number, minute: number }} local - Month is 1-based.
+ * @param {string} time_zone - An IANA time zone name.
+ * @returns {Date}
+ */
+const zoned_time_to_utc = (local, time_zone) => {
+    const naive = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute);
+    const first_offset = get_timezone_offset_minutes(new Date(naive), time_zone);
+    const candidate = naive - first_offset * MINUTE_MS;
+    const second_offset = get_timezone_offset_minutes(new Date(candidate), time_zone);
+    if (second_offset === first_offset) {
+        return new Date(candidate);
+    }
+    return new Date(naive - second_offset * MINUTE_MS);
+};
+
+/**
+ * Formats an instant as an iCal local DATE-TIME (no "Z") as seen in the given time zone.
+ * @param {Date} date - The instant to format.
+ * @param {string} time_zone - An IANA time zone name.
+ * @returns {string} e.g. "20250331T193000"
+ */
+const format_local_date_for_ical = (date, time_zone) => {
+    const parts = get_zoned_parts(date, time_zone);
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${parts.year}${pad(parts.month)}${pad(parts.day)}T${pad(parts.hour)}${pad(parts.minute)}${pad(parts.second)}`;
+};
+
+/**
+ * Returns the calendar date seen in a time zone at the given instant, optionally some days later.
+ * @param {Date} date - The instant to check.
+ * @param {string} time_zone - An IANA time zone name.
+ * @param {number} [days_ahead] - Days to add, e.g. 1 for the day after.
+ * @returns {string} e.g. "2025-10-06"
+ */
+const get_local_date = (date, time_zone, days_ahead = 0) => {
+    const parts = get_zoned_parts(date, time_zone);
+    return new Date(Date.UTC(parts.year, parts.month - 1, parts.day + days_ahead)).toISOString().slice(0, 10);
+};
+
+/**
+ * Formats a UTC offset in minutes as an iCal UTC-OFFSET value.
+ * @param {number} offset_minutes
+ * @returns {string} e.g. "+0100"
+ */
+const format_utc_offset = (offset_minutes) => {
+    const sign = offset_minutes < 0 ? '-' : '+';
+    const absolute = Math.abs(offset_minutes);
+    const hours = String(Math.floor(absolute / 60)).padStart(2, '0');
+    const minutes = String(absolute % 60).padStart(2, '0');
+    return `${sign}${hours}${minutes}`;
+};
+
+/**
+ * Finds the exact minute at which the offset changes between two instants known to straddle a transition.
+ * @param {number} before_ms - An instant using the old offset.
+ * @param {number} after_ms - An instant using the new offset.
+ * @param {string} time_zone - An IANA time zone name.
+ * @returns {number} The first instant (in ms) that uses the new offset.
+ */
+const find_transition = (before_ms, after_ms, time_zone) => {
+    const before_offset = get_timezone_offset_minutes(new Date(before_ms), time_zone);
+    let low = before_ms;
+    let high = after_ms;
+    while (high - low > MINUTE_MS) {
+        const middle = low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS;
+        if (get_timezone_offset_minutes(new Date(middle), time_zone) === before_offset) {
+            low = middle;
+        } else {
+            high = middle;
+        }
+    }
+    return high;
+};
+
+/**
+ * Lists every UTC offset transition in a time zone between the start of one year and the end of another.
+ * @param {string} time_zone - An IANA time zone name.
+ * @param {number} from_year
+ * @param {number} to_year
+ * @returns {{ at: Date, offset_from: number, offset_to: number, name: string }[]}
+ */
+const get_timezone_transitions = (time_zone, from_year, to_year) => {
+    const transitions = [];
+    const end = Date.UTC(to_year + 1, 0, 1);
+    let previous = Date.UTC(from_year, 0, 1);
+    let previous_offset = get_timezone_offset_minutes(new Date(previous), time_zone);
+    for (let current = previous + DAY_MS; current <= end; current += DAY_MS) {
+        const current_offset = get_timezone_offset_minutes(new Date(current), time_zone);
+        if (current_offset !== previous_offset) {
+            const at = find_transition(previous, current, time_zone);
+            transitions.push({
+                at: new Date(at),
+                offset_from: previous_offset,
+                offset_to: current_offset,
+                name: get_zoned_parts(new Date(at), time_zone).name
+            });
+        }
+        previous = current;
+        previous_offset = current_offset;
+    }
+    return transitions;
+};
+
+/**
+ * Builds a VTIMEZONE component describing a time zone's offsets over a range of years.
+ * The transitions are read from the runtime's time zone database, so any IANA zone works.
+ * The year before from_year is included so events early in from_year are still covered.
+ * @param {string} time_zone - An IANA time zone name.
+ * @param {number} from_year - The first year an event falls in.
+ * @param {number} to_year - The last year an event falls in.
+ * @returns {{ name: string, properties: Array<object>, components: Array<object> }} A component for ics.serialize_component.
+ */
+const build_vtimezone = (time_zone, from_year, to_year) => {
+    const observances = [];
+    const transitions = get_timezone_transitions(time_zone, from_year - 1, to_year);
+
+    if (transitions.length === 0) {
+        const offset = format_utc_offset(get_timezone_offset_minutes(new Date(Date.UTC(from_year, 0, 1)), time_zone));
+        observances.push({
+            name: 'STANDARD',
+            properties: [
+                property('DTSTART', '19700101T000000'),
+                property('TZOFFSETFROM', offset),
+                property('TZOFFSETTO', offset)
+            ]
+        });
+    }
+
+    const standard_offset = Math.min(...transitions.map(t => Math.min(t.offset_from, t.offset_to)));
+    for (const transition of transitions) {
+        // DTSTART is expressed in the wall-clock time in force just before the change.
+        const local_start = new Date(transition.at.getTime() + transition.offset_from * MINUTE_MS);
+        observances.push({
+            name: transition.offset_to > standard_offset ? 'DAYLIGHT' : 'STANDARD',
+            properties: [
+                property('DTSTART', format_local_date_for_ical(local_start, 'UTC')),
+                property('TZOFFSETFROM', format_utc_offset(transition.offset_from)),
+                property('TZOFFSETTO', format_utc_offset(transition.offset_to)),
+                property('TZNAME', transition.name)
+            ]
+        });
+    }
+
+    return {
+        name: 'VTIMEZONE',
+        properties: [property('TZID', time_zone)],
+        components: observances
+    };
+};
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    LEAGUE_TIMEZONE,
+    get_timezone_offset_minutes,
+    zoned_time_to_utc,
+    format_local_date_for_ical,
+    get_local_date,
+    format_utc_offset,
+    get_timezone_transitions,
+    build_vtimezone
+};
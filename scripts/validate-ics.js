@@ -0,0 +1,339 @@
+const fs = require('fs').promises;
+const path = require('path');
+const {CRLF, MAX_LINE_OCTETS, TEXT_PROPERTIES, unescape_text} = require('./ics');
+const {DEFAULT_OUTPUT_DIR} = require('./teams');
+
+const DATE_TIME_PATTERN = /^\d{8}T\d{6}Z?$/;
+const DATE_PATTERN = /^\d{8}$/;
+const UTC_OFFSET_PATTERN = /^[+-]\d{4}(\d{2})?$/;
+
+/**
+ * Splits a content line into its name, parameters and raw value, honouring quoted parameter values.
+ * @param {string} line - An unfolded content line.
+ * @returns {{ name: string, params: object, value: string }|null} null if the line is malformed.
+ */
+const parse_content_line = (line) => {
+    let index = 0;
+    let in_quotes = false;
+    const segments = [];
+    let segment_start = 0;
+    for (; index < line.length; index++) {
+        const character = line[index];
+        if (character === '"') {
+            in_quotes = !in_quotes;
+        } else if (!in_quotes && character === ';') {
+            segments.push(line.slice(segment_start, index));
+            segment_start = index + 1;
+        } else if (!in_quotes && character === ':') {
+            break;
+        }
+    }
+    if (index === line.length) {
+        return null;
+    }
+    segments.push(line.slice(segment_start, index));
+
+    const [name, ...param_segments] = segments;
+    if (!/^[A-Za-z0-9-]+$/.test(name)) {
+        return null;
+    }
+    const params = {};
+    for (const param of param_segments) {
+        const equals_index = param.indexOf('=');
+        if (equals_index <= 0) {
+            return null;
+        }
+        params[param.slice(0, equals_index).toUpperCase()] = param.slice(equals_index + 1).replace(/^"(.*)"$/, '$1');
+    }
+    return { name: name.toUpperCase(), params, value: line.slice(index + 1) };
+};
+
+/**
+ * Parses iCalendar text into a component tree, collecting structural errors rather than throwing.
+ * @param {string} ics_text
+ * @returns {{ components: Array<object>, errors: string[] }}
+ */
+const parse_ics = (ics_text) => {
+    const errors = [];
+    const raw_lines = ics_text.split(CRLF);
+    if (raw_lines[raw_lines.length - 1] === '') {
+        raw_lines.pop();
+    } else {
+        errors.push('File does not end with CRLF.');
+    }
+
+    const lines = [];
+    raw_lines.forEach((raw_line, index) => {
+        const line_number = index + 1;
+        if (/[\r\n]/.test(raw_line)) {
+            errors.push(`Line ${line_number}: contains a bare CR or LF; lines must end with CRLF.`);
+        }
+        if (Buffer.byteLength(raw_line, 'utf8') > MAX_LINE_OCTETS) {
+            errors.push(`Line ${line_number}: is longer than ${MAX_LINE_OCTETS} octets and must be folded.`);
+        }
+        if (raw_line.startsWith(' ') || raw_line.startsWith('\t')) {
+            if (lines.length === 0) {
+                errors.push(`Line ${line_number}: continuation line with nothing to continue.`);
+                return;
+            }
+            lines[lines.length - 1].text += raw_line.slice(1);
+        } else {
+            lines.push({ text: raw_line, line_number });
+        }
+    });
+
+    const root = { name: 'ROOT', properties: [], components: [] };
+    const stack = [root];
+    for (const { text, line_number } of lines) {
+        const parsed = parse_content_line(text);
+        if (!parsed) {
+            errors.push(`Line ${line_number}: malformed content line "${text}".`);
+            continue;
+        }
+        const current = stack[stack.length - 1];
+        if (parsed.name === 'BEGIN') {
+            const component = { name: parsed.value.toUpperCase(), properties: [], components: [], line_number };
+            current.components.push(component);
+            stack.push(component);
+        } else if (parsed.name === 'END') {
+            if (current === root || current.name !== parsed.value.toUpperCase()) {
+                errors.push(`Line ${line_number}: END:${parsed.value} does not match BEGIN:${current.name}.`);
+                continue;
+            }
+            stack.pop();
+        } else if (current === root) {
+            errors.push(`Line ${line_number}: property ${parsed.name} outside of any component.`);
+        } else {
+            current.properties.push({ ...parsed, line_number });
+        }
+    }
+    for (const unclosed of stack.slice(1)) {
+        errors.push(`Line ${unclosed.line_number}: BEGIN:${unclosed.name} is never closed.`);
+    }
+
+    return { components: root.components, errors };
+};
+
+const get_properties = (component, name) => component.properties.filter(property => property.name === name);
+
+const require_single = (component, name, errors) => {
+    const found = get_properties(component, name);
+    if (found.length === 0) {
+        errors.push(`Line ${component.line_number}: ${component.name} is missing ${name}.`);
+    } else if (found.length > 1) {
+        errors.push(`Line ${found[1].line_number}: ${component.name} has more than one ${name}.`);
+    }
+    return found[0];
+};
+
+const check_date_value = (property, errors) => {
+    const pattern = property.params.VALUE === 'DATE' ? DATE_PATTERN : DATE_TIME_PATTERN;
+    if (!pattern.test(property.value)) {
+        errors.push(`Line ${property.line_number}: ${property.name} value "${property.value}" is not a valid date.`);
+        return false;
+    }
+    if (property.params.TZID && property.value.endsWith('Z')) {
+        errors.push(`Line ${property.line_number}: ${property.name} has a TZID but is also in UTC.`);
+    }
+    return true;
+};
+
+const check_text_escaping = (property, errors) => {
+    const unescaped = property.value.replace(/\\[\\;,nN]/g, '');
+    if (unescaped.includes('\\')) {
+        errors.push(`Line ${property.line_number}: ${property.name} contains an invalid escape sequence.`);
+    }
+    // Bare commas separate list values, which only list properties have.
+    if (unescaped.includes(',') && property.name !== 'CATEGORIES' && property.name !== 'RESOURCES') {
+        errors.push(`Line ${property.line_number}: ${property.name} contains an unescaped comma.`);
+    }
+    if (unescaped.includes(';')) {
+        errors.push(`Line ${property.line_number}: ${property.name} contains an unescaped semicolon.`);
+    }
+};
+
+const validate_vtimezone = (timezone, errors) => {
+    require_single(timezone, 'TZID', errors);
+    const observances = timezone.components.filter(c => c.name === 'STANDARD' || c.name === 'DAYLIGHT');
+    if (observances.length === 0) {
+        errors.push(`Line ${timezone.line_number}: VTIMEZONE has no STANDARD or DAYLIGHT component.`);
+    }
+    for (const observance of observances) {
+        const dtstart = require_single(observance, 'DTSTART', errors);
+        if (dtstart) {
+            check_date_value(dtstart, errors);
+        }
+        for (const name of ['TZOFFSETFROM', 'TZOFFSETTO']) {
+            const offset = require_single(observance, name, errors);
+            if (offset && !UTC_OFFSET_PATTERN.test(offset.value)) {
+                errors.push(`Line ${offset.line_number}: ${name} value "${offset.value}" is not a valid UTC offset.`);
+            }
+        }
+    }
+};
+
+const validate_vevent = (event, known_timezones, errors) => {
+    require_single(event, 'UID', errors);
+    const dtstamp = require_single(event, 'DTSTAMP', errors);
+    if (dtstamp && check_date_value(dtstamp, errors) && !dtstamp.value.endsWith('Z')) {
+        errors.push(`Line ${dtstamp.line_number}: DTSTAMP must be in UTC.`);
+    }
+    const dtstart = require_single(event, 'DTSTART', errors);
+    const dtend = get_properties(event, 'DTEND')[0];
+    for (const date_property of [dtstart, dtend]) {
+        if (!date_property) {
+            continue;
+        }
+        check_date_value(date_property, errors);
+        if (date_property.params.TZID && !known_timezones.has(date_property.params.TZID)) {
+            errors.push(`Line ${date_property.line_number}: TZID "${date_property.params.TZID}" has no matching VTIMEZONE.`);
+        }
+    }
+    if (dtstart && dtend && dtend.value <= dtstart.value && dtend.params.TZID === dtstart.params.TZID) {
+        errors.push(`Line ${dtend.line_number}: DTEND is not after DTSTART.`);
+    }
+    if (dtend && get_properties(event, 'DURATION').length > 0) {
+        errors.push(`Line ${dtend.line_number}: VEVENT has both DTEND and DURATION.`);
+    }
+    const sequence = get_properties(event, 'SEQUENCE')[0];
+    if (sequence && !/^\d+$/.test(sequence.value)) {
+        errors.push(`Line ${sequence.line_number}: SEQUENCE must be a non-negative integer.`);
+    }
+    for (const alarm of event.components.filter(c => c.name === 'VALARM')) {
+        const action = require_single(alarm, 'ACTION', errors);
+        require_single(alarm, 'TRIGGER', errors);
+        if (action && action.value === 'DISPLAY') {
+            require_single(alarm, 'DESCRIPTION', errors);
+        }
+    }
+};
+
+/**
+ * Validates iCalendar text against the parts of RFC 5545 that Google, Outlook and Apple Calendar enforce.
+ * @param {string} ics_text
+ * @returns {string[]} A list of problems; empty if the calendar is valid.
+ */
+const validate_ics = (ics_text) => {
+    const { components, errors } = parse_ics(ics_text);
+    const calendars = components.filter(component => component.name === 'VCALENDAR');
+    if (calendars.length !== 1 || components.length !== 1) {
+        errors.push('File must contain exactly one VCALENDAR and nothing else.');
+    }
+
+    for (const calendar of calendars) {
+        const version = require_single(calendar, 'VERSION', errors);
+        if (version && version.value !== '2.0') {
+            errors.push(`Line ${version.line_number}: VERSION must be 2.0.`);
+        }
+        require_single(calendar, 'PRODID', errors);
+
+        const all_properties = [];
+        const collect = (component) => {
+            all_properties.push(...component.properties);
+            component.components.forEach(collect);
+        };
+        collect(calendar);
+        all_properties
+            .filter(property => TEXT_PROPERTIES.has(property.name))
+            .forEach(property => check_text_escaping(property, errors));
+
+        const known_timezones = new Set();
+        for (const timezone of calendar.components.filter(c => c.name === 'VTIMEZONE')) {
+            validate_vtimezone(timezone, errors);
+            const tzid = get_properties(timezone, 'TZID')[0];
+            if (tzid) {
+                known_timezones.add(tzid.value);
+            }
+        }
+
+        const seen_uids = new Map();
+        for (const event of calendar.components.filter(c => c.name === 'VEVENT')) {
+            validate_vevent(event, known_timezones, errors);
+            const uid = get_properties(event, 'UID')[0];
+            if (uid) {
+                if (seen_uids.has(uid.value)) {
+                    errors.push(`Line ${uid.line_number}: UID "${uid.value}" is already used on line ${seen_uids.get(uid.value)}.`);
+                }
+                seen_uids.set(uid.value, uid.line_number);
+            }
+        }
+    }
+
+    return errors;
+};
+
+/**
+ * Reads a property's value from a parsed component, unescaping TEXT values.
+ * @param {object} component - A component returned by parse_ics.
+ * @param {string} name - The property name.
+ * @returns {string|undefined}
+ */
+const get_property_value = (component, name) => {
+    const found = get_properties(component, name.toUpperCase())[0];
+    if (!found) {
+        return undefined;
+    }
+    return TEXT_PROPERTIES.has(found.name) ? unescape_text(found.value) : found.value;
+};
+
+/**
+ * Validates the .ics files in a directory and logs the problems found.
+ * @param {string} [out_dir] - The directory holding the generated calendars.
+ * @param {object} [options]
+ * @param {string[]} [options.files] - Only validate these files, by name; defaults to every .ics file in out_dir.
+ * @returns {Promise<{ valid: string[], invalid: { file: string, errors: string[] }[] }>}
+ */
+const validate_calendar_files = async (out_dir = DEFAULT_OUTPUT_DIR, { files } = {}) => {
+    const report = { valid: [], invalid: [] };
+    const file_names = files || (await fs.readdir(out_dir)).filter(file_name => file_name.endsWith('.ics'));
+
+    if (file_names.length === 0) {
+        throw new Error(`No .ics files found in ${out_dir}.`);
+    }
+
+    for (const file_name of file_names) {
+        const ics_text = await fs.readFile(path.join(out_dir, file_name), 'utf8');
+        const errors = validate_ics(ics_text);
+        if (errors.length === 0) {
+            console.log(`✅ ${file_name} is valid.`);
+            report.valid.push(file_name);
+            continue;
+        }
+        console.error(`❌ ${file_name} has ${errors.length} problem(s):`);
+        errors.forEach(error => console.error(`   -> ${error}`));
+        report.invalid.push({ file: file_name, errors });
+    }
+
+    if (report.invalid.length > 0) {
+        console.error(`❌ ${report.invalid.length} of ${file_names.length} calendar(s) would be rejected by calendar clients.`);
+    } else {
+        console.log(`🎉 All ${file_names.length} calendar(s) are valid.`);
+    }
+    return report;
+};
+
+/**
+ * Main async function to validate every generated calendar in dist/.
+ */
+const main = async () => {
+    try {
+        const report = await validate_calendar_files();
+        if (report.invalid.length > 0) {
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        process.exit(1);
+    }
+};
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    parse_ics,
+    validate_ics,
+    get_property_value,
+    validate_calendar_files
+};
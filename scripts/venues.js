@@ -0,0 +1,269 @@
+const fs = require('fs').promises;
+const path = require('path');
+const {property} = require('./ics');
+
+const ROOT_DIR = path.resolve(__dirname, '../');
+const VENUES_FILE_PATH = path.resolve(ROOT_DIR, 'venues.json');
+const UNMAPPED_VENUES_FILE_NAME = 'unmapped-venues.json';
+
+/**
+ * Venue names this similar (1 = identical) to a known name or alias are treated as a misspelling of it.
+ */
+const FUZZY_MATCH_THRESHOLD = 0.8;
+
+/**
+ * Reduces a venue name to a form that ignores case, accents, punctuation, "&" versus "and" and a leading "The".
+ * @param {string} name - e.g. "The Horse & Plough"
+ * @returns {string} e.g. "horse and plough"
+ */
+const normalize_venue_name = (name) => {
+    return String(name || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/['\u2019]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim()
+        .replace(/^the /, '');
+};
+
+/**
+ * The number of single-character insertions, deletions, substitutions or swaps of neighbouring
+ * characters needed to turn one string into the other.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const edit_distance = (a, b) => {
+    const rows = [Array.from({ length: b.length + 1 }, (value, index) => index)];
+    for (let i = 1; i <= a.length; i++) {
+        rows.push([i]);
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let distance = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                distance = Math.min(distance, rows[i - 2][j - 2] + 1);
+            }
+            rows[i].push(distance);
+        }
+    }
+    return rows[a.length][b.length];
+};
+
+/**
+ * How alike two normalized names are, from 0 (nothing in common) to 1 (identical).
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const similarity = (a, b) => {
+    const longest = Math.max(a.length, b.length);
+    return longest === 0 ? 1 : 1 - edit_distance(a, b) / longest;
+};
+
+/**
+ * Checks a venue entry and fills in its defaults.
+ * @param {object} entry
+ * @returns {{ name: string, aliases: string[], address: string, latitude?: number, longitude?: number, tables?: number }}
+ */
+const normalize_venue = (entry) => {
+    if (!entry || !entry.name) {
+        throw new Error(`Venue entries need a "name": ${JSON.stringify(entry)}`);
+    }
+    const has_latitude = entry.latitude !== undefined && entry.latitude !== null;
+    const has_longitude = entry.longitude !== undefined && entry.longitude !== null;
+    if (has_latitude !== has_longitude) {
+        throw new Error(`Venue "${entry.name}" needs both "latitude" and "longitude", or neither.`);
+    }
+    if (has_latitude && (!Number.isFinite(entry.latitude) || Math.abs(entry.latitude) > 90
+        || !Number.isFinite(entry.longitude) || Math.abs(entry.longitude) > 180)) {
+        throw new Error(`Venue "${entry.name}" has an invalid latitude or longitude.`);
+    }
+    if (entry.tables !== undefined && (!Number.isInteger(entry.tables) || entry.tables < 1)) {
+        throw new Error(`Venue "${entry.name}" has an invalid "tables"; expected the number of matches it can host a night.`);
+    }
+    const venue = { name: entry.name, aliases: entry.aliases || [], address: entry.address || '' };
+    if (has_latitude) {
+        venue.latitude = entry.latitude;
+        venue.longitude = entry.longitude;
+    }
+    if (entry.tables !== undefined) {
+        venue.tables = entry.tables;
+    }
+    return venue;
+};
+
+/**
+ * Loads the venue registry, falling back to an empty one if it is missing.
+ * The older location_mapper.json format, an object of lowercase names mapped to addresses,
+ * is also accepted.
+ * @param {string} [file_path] - The path to venues.json.
+ * @returns {Promise<Array<ReturnType<typeof normalize_venue>>>}
+ */
+const load_venue_registry_async = async (file_path = VENUES_FILE_PATH) => {
+    let content;
+    try {
+        content = JSON.parse(await fs.readFile(file_path, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            console.warn(`⚠️ Venue registry not found at ${file_path}. Venue names are used as they are.`);
+            return [];
+        }
+        if (error instanceof SyntaxError) {
+            throw new Error(`Failed to parse ${file_path}. Check for JSON syntax errors.`);
+        }
+        throw error;
+    }
+    if (Array.isArray(content)) {
+        return content.map(normalize_venue);
+    }
+    return Object.entries(content).map(([name, address]) => normalize_venue({ name, address }));
+};
+
+/**
+ * Creates a resolver that looks venue names up in the registry by name or alias, exactly
+ * after normalizing, and otherwise by a close spelling or by being the only venue whose
+ * name contains every word given.
+ * @param {Array<object>} registry - As returned by load_venue_registry_async.
+ * @returns {(name: string) => ({ venue: object, matched_by: 'exact'|'fuzzy' }|null)}
+ */
+const create_venue_resolver = (registry) => {
+    const keys = registry.flatMap(venue => [venue.name, ...venue.aliases]
+        .map(name => ({ key: normalize_venue_name(name), venue })))
+        .filter(({ key }) => key);
+    const exact = new Map(keys.map(({ key, venue }) => [key, venue]));
+
+    const unique_venue = (candidates) => {
+        const venues = new Set(candidates.map(candidate => candidate.venue));
+        return venues.size === 1 ? candidates[0].venue : null;
+    };
+
+    return (name) => {
+        const key = normalize_venue_name(name);
+        if (!key) {
+            return null;
+        }
+        if (exact.has(key)) {
+            return { venue: exact.get(key), matched_by: 'exact' };
+        }
+
+        const scored = keys.map(candidate => ({ ...candidate, score: similarity(key, candidate.key) }));
+        const best_score = Math.max(0, ...scored.map(candidate => candidate.score));
+        if (best_score >= FUZZY_MATCH_THRESHOLD) {
+            const venue = unique_venue(scored.filter(candidate => candidate.score === best_score));
+            return venue ? { venue, matched_by: 'fuzzy' } : null;
+        }
+
+        const words = key.split(' ');
+        const containing = keys.filter(candidate => {
+            const candidate_words = candidate.key.split(' ');
+            return words.every(word => candidate_words.includes(word));
+        });
+        const venue = containing.length > 0 ? unique_venue(containing) : null;
+        return venue ? { venue, matched_by: 'fuzzy' } : null;
+    };
+};
+
+/**
+ * Fills in the venue of results, which the league website lists without one, with the venue
+ * the home team plays its home fixtures at.
+ * @param {Array<object>} events - A team's fixtures and results.
+ * @returns {Array<object>} The events, with copies of the results whose venue was filled in.
+ */
+const infer_missing_venues = (events) => {
+    const home_venues = new Map();
+    for (const event of events) {
+        if (event.venue && !home_venues.has(event.home_team)) {
+            home_venues.set(event.home_team, event.venue);
+        }
+    }
+    return events.map(event => {
+        if (event.venue || !home_venues.has(event.home_team)) {
+            return event;
+        }
+        return { ...event, venue: home_venues.get(event.home_team) };
+    });
+};
+
+/**
+ * Builds the LOCATION of an event and, for venues with coordinates, GEO and Apple's structured location.
+ * @param {string} venue_name - The venue as written on the league website.
+ * @param {{ venue: object }|null} match - The registry entry it resolved to, if any.
+ * @returns {Array<object>} Properties for the VEVENT.
+ */
+const build_location_properties = (venue_name, match) => {
+    if (!match) {
+        return [property('LOCATION', venue_name)];
+    }
+    const { name, address, latitude, longitude } = match.venue;
+    const properties = [property('LOCATION', address || name)];
+    if (latitude !== undefined) {
+        properties.push(
+            property('GEO', `${latitude};${longitude}`),
+            property('X-APPLE-STRUCTURED-LOCATION', `geo:${latitude},${longitude}`, {
+                VALUE: 'URI',
+                'X-ADDRESS': address || undefined,
+                'X-APPLE-RADIUS': 70,
+                'X-TITLE': name
+            })
+        );
+    }
+    return properties;
+};
+
+/**
+ * Collects venue names that did not resolve, or only resolved by a fuzzy match, while building calendars.
+ * @returns {{ record: (name: string, team: string, match: object|null) => void, to_report: () => object }}
+ */
+const create_venue_report = () => {
+    const unmapped = new Map();
+    const fuzzy = new Map();
+
+    const record = (name, team, match) => {
+        if (!name || (match && match.matched_by === 'exact')) {
+            return;
+        }
+        const entries = match ? fuzzy : unmapped;
+        if (!entries.has(name)) {
+            entries.set(name, { venue: name, count: 0, teams: new Set(), matched: match ? match.venue.name : undefined });
+        }
+        const entry = entries.get(name);
+        entry.count += 1;
+        entry.teams.add(team);
+    };
+
+    const list = (entries) => [...entries.values()]
+        .sort((a, b) => a.venue.localeCompare(b.venue))
+        .map(entry => ({ ...entry, teams: [...entry.teams].sort() }));
+
+    return {
+        record,
+        to_report: () => ({ unmapped: list(unmapped), fuzzy: list(fuzzy) })
+    };
+};
+
+/**
+ * Logs and saves a venue report to <out_dir>/unmapped-venues.json.
+ * @param {string} out_dir
+ * @param {{ unmapped: object[], fuzzy: object[] }} report
+ */
+const save_venue_report_async = async (out_dir, report) => {
+    report.unmapped.forEach(({ venue, count }) => console.warn(`⚠️ Unknown venue "${venue}" (${count} event(s)). Add it to venues.json.`));
+    report.fuzzy.forEach(({ venue, matched }) => console.warn(`⚠️ Venue "${venue}" was matched to "${matched}" by spelling. Add it as an alias to be sure.`));
+    const report_path = path.join(out_dir, UNMAPPED_VENUES_FILE_NAME);
+    await fs.mkdir(out_dir, { recursive: true });
+    await fs.writeFile(report_path, JSON.stringify(report, null, 2), 'utf8');
+};
+
+module.exports = {
+    VENUES_FILE_PATH,
+    UNMAPPED_VENUES_FILE_NAME,
+    normalize_venue_name,
+    load_venue_registry_async,
+    create_venue_resolver,
+    infer_missing_venues,
+    build_location_properties,
+    create_venue_report,
+    save_venue_report_async
+};
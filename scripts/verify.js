@@ -0,0 +1,270 @@
+const fs = require('fs').promises;
+const path = require('path');
+const cheerio = require('cheerio');
+const {
+    DEFAULT_TEAMS_FILE_PATH,
+    DEFAULT_OUTPUT_DIR,
+    load_teams_async,
+    select_teams,
+    get_team_file_paths,
+    create_run_summary
+} = require('./teams');
+const {LEAGUE_TIMEZONE} = require('./timezone');
+const {load_matches_async} = require('./match-model');
+const {detect_season_id} = require('./archive');
+const {get_team_source} = require('./sources');
+const {slugify} = require("./slugify");
+
+const VERIFICATION_FILE_NAME = 'verification';
+const PREVIOUS_DIR_NAME = 'previous';
+// A calendar may lose up to half its events, or half the time it covers, before publishing is refused.
+const DEFAULT_MAX_SHRINK = 0.5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Titles of bot checks and HTTP error pages; a team called "Error Prone" or "Not Found FC" is not one.
+const ERROR_TITLE_PATTERN = /\b(just a moment|attention required|access denied|captcha|are you a (?:robot|human)|verify you are (?:a )?human|\d{3} forbidden|(?:page|\d{3}) not found|too many requests|internal server error|bad gateway|service unavailable|gateway time-?out|(?:http )?error \d{3})\b/i;
+// What a consent wall says, rather than the cookie notice in a normal page's footer.
+const CONSENT_PATTERN = /\b(we value your privacy|accept all cookies|reject all cookies|manage your cookie consent|before you continue to)\b/i;
+
+/**
+ * Looks for signs that a saved team page is not the page the parser expects: an empty response,
+ * an error or bot-check page, or a cookie wall shown instead of the fixtures.
+ * @param {string|null} content - The saved page.
+ * @param {object} [options]
+ * @param {string} [options.format] - "html", or "csv" for table sources that publish CSV.
+ * @returns {string|null} What is wrong with the page, or null if it looks usable.
+ */
+const get_page_problem = (content, { format = 'html' } = {}) => {
+    if (!content || !String(content).trim()) {
+        return 'The fetched page is empty.';
+    }
+    if (format === 'csv') {
+        return /^\s*</.test(content) ? 'Expected CSV but the page is HTML, e.g. an error or consent page.' : null;
+    }
+    const $ = cheerio.load(content);
+    const title = $('title').first().text().trim();
+    if (ERROR_TITLE_PATTERN.test(title)) {
+        return `The fetched page looks like an error page ("${title}").`;
+    }
+    $('script, style, noscript').remove();
+    // Joined with spaces, as text() runs "We value your privacy" into the "Accept" of the next element.
+    const body_text = $('body').find('*').addBack().contents().toArray()
+        .filter(node => node.type === 'text')
+        .map(node => node.data)
+        .join(' ');
+    if ($('table').length === 0 && CONSENT_PATTERN.test(body_text)) {
+        return 'The fetched page looks like a cookie or consent page, with no fixtures table.';
+    }
+    return null;
+};
+
+/**
+ * Counts the events in a calendar.
+ * @param {string} ics_content
+ * @returns {number}
+ */
+const count_calendar_events = (ics_content) => (String(ics_content).match(/^BEGIN:VEVENT\r?$/gm) || []).length;
+
+/**
+ * Describes what a team's build contains, for comparing with the next build.
+ * @param {Array<object>} fixtures
+ * @param {Array<object>} results
+ * @param {string} ics_content - The team's calendar.
+ * @returns {{ events: number, fixtures: number, results: number, first_date: string|null, last_date: string|null, span_days: number }}
+ */
+const summarize_team_build = (fixtures, results, ics_content) => {
+    const dated = [...fixtures, ...results]
+        .filter(match => match.start)
+        .sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+    const first = dated[0];
+    const last = dated[dated.length - 1];
+    return {
+        events: count_calendar_events(ics_content),
+        fixtures: fixtures.length,
+        results: results.length,
+        first_date: first ? first.date : null,
+        last_date: last ? last.date : null,
+        span_days: first ? Math.round((Date.parse(last.start) - Date.parse(first.start)) / DAY_MS) : 0
+    };
+};
+
+/**
+ * Compares a team's new build with the last published one.
+ * @param {ReturnType<typeof summarize_team_build>} current
+ * @param {ReturnType<typeof summarize_team_build>|null} previous
+ * @param {object} [options]
+ * @param {number} [options.max_shrink] - The largest share of events or days covered a calendar may lose, from 0 to 1.
+ * @returns {string[]} Why the new build should not be published; empty if it can be.
+ */
+const compare_team_builds = (current, previous, { max_shrink = DEFAULT_MAX_SHRINK } = {}) => {
+    if (!previous) {
+        return [];
+    }
+    const problems = [];
+    const shrunk = (now, before) => before > 0 && (before - now) / before > max_shrink;
+    if (current.events === 0 && previous.events > 0) {
+        problems.push(`The calendar is empty but had ${previous.events} event(s).`);
+    } else if (shrunk(current.events, previous.events)) {
+        problems.push(`The calendar has ${current.events} event(s), down from ${previous.events}.`);
+    }
+    if (current.events > 0 && shrunk(current.span_days, previous.span_days)) {
+        problems.push(`The calendar covers ${current.first_date} to ${current.last_date} (${current.span_days} days), down from ${previous.first_date} to ${previous.last_date} (${previous.span_days} days).`);
+    }
+    return problems;
+};
+
+const read_optional_async = async (file_path) => {
+    try {
+        return await fs.readFile(file_path, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Reads a publish check report written by verify_build.
+ * @param {string} dir - The league's output directory, or its "previous" folder.
+ * @returns {Promise<object|null>} null if there is none.
+ */
+const load_verification_async = async (dir) => {
+    const content = await read_optional_async(path.join(dir, `${VERIFICATION_FILE_NAME}.json`));
+    return content ? JSON.parse(content) : null;
+};
+
+/**
+ * Renders a publish check report as Markdown.
+ * @param {object} report - As written by verify_build.
+ * @returns {string}
+ */
+const render_verification_markdown = ({ passed, teams }) => {
+    const lines = [
+        '## Publish check',
+        '',
+        passed ? '✅ Every calendar can be published.' : '❌ Publishing was refused; the last published calendars are kept.',
+        '',
+        '| Team | Events | Previously | Dates | Result |',
+        '|---|---|---|---|---|'
+    ];
+    for (const { team, events, first_date, last_date, previous, problems } of teams) {
+        const dates = first_date ? `${first_date} to ${last_date}` : '-';
+        lines.push(`| ${team} | ${events} | ${previous ? previous.events : '-'} | ${dates} | ${problems.length > 0 ? '❌' : '✅'} |`);
+    }
+    lines.push('');
+    for (const { team, problems, warnings } of teams) {
+        [...problems, ...warnings].forEach(problem => lines.push(`- ${team}: ${problem}`));
+    }
+    if (teams.some(team => team.problems.length > 0 || team.warnings.length > 0)) {
+        lines.push('');
+    }
+    return lines.join('\n');
+};
+
+/**
+ * Checks every team's build before it is published: the saved page must not be an error or
+ * consent page, and the calendar must not have lost more than max_shrink of its events or of
+ * the days it covers since the last published build, read from <out_dir>/previous. Builds from
+ * a new season are not compared with the last one. Writes verification.json and verification.md
+ * to out_dir; collect_release_assets refuses to publish while it lists a problem.
+ * @param {Array<object>} teams - Valid team entries from teams.json.
+ * @param {object} [options]
+ * @param {string} [options.out_dir] - The directory holding the pages, JSON and calendars.
+ * @param {string} [options.time_zone] - The IANA time zone the league's times are written in.
+ * @param {number} [options.max_shrink] - See compare_team_builds.
+ * @param {Date} [options.now]
+ * @returns {Promise<{ succeeded: string[], failed: { team: string, error: string }[] }>}
+ */
+const verify_build = async (teams, {
+    out_dir = DEFAULT_OUTPUT_DIR,
+    time_zone = LEAGUE_TIMEZONE,
+    max_shrink = DEFAULT_MAX_SHRINK,
+    now = new Date()
+} = {}) => {
+    const summary = create_run_summary();
+    const previous_report = await load_verification_async(path.join(out_dir, PREVIOUS_DIR_NAME));
+    const previous_teams = new Map(((previous_report && previous_report.teams) || []).map(entry => [slugify(entry.team), entry]));
+    const entries = [];
+
+    for (const team of teams) {
+        const file_paths = get_team_file_paths(out_dir, team.name);
+        const entry = { team: team.name, season: null, previous: null, problems: [], warnings: [] };
+        try {
+            const page = await read_optional_async(file_paths.html);
+            const source = get_team_source(team);
+            const page_problem = get_page_problem(page, { format: source.type === 'table' ? source.format : 'html' });
+            if (page_problem) {
+                entry.problems.push(page_problem);
+            }
+            entry.season = detect_season_id(page, team.url);
+
+            const fixtures = await load_matches_async(file_paths.fixtures, { time_zone });
+            const results = await load_matches_async(file_paths.results, { time_zone });
+            const ics_content = await read_optional_async(file_paths.ics);
+            if (ics_content === null) {
+                throw new Error(`No calendar found at ${file_paths.ics}.`);
+            }
+            Object.assign(entry, summarize_team_build(fixtures, results, ics_content));
+
+            const previous = previous_teams.get(slugify(team.name)) || null;
+            if (previous && previous.season && previous.season !== entry.season) {
+                entry.warnings.push(`New season ${entry.season}; not compared with season ${previous.season}.`);
+            } else if (previous) {
+                entry.previous = { events: previous.events, first_date: previous.first_date, last_date: previous.last_date, span_days: previous.span_days };
+                entry.problems.push(...compare_team_builds(entry, previous, { max_shrink }));
+            }
+            if (entry.events === 0 && entry.problems.length === 0) {
+                entry.warnings.push('The calendar is empty.');
+            }
+        } catch (error) {
+            entry.problems.push(error.message);
+        }
+
+        entries.push(entry);
+        if (entry.problems.length > 0) {
+            console.error(`❌ ${team.name} failed the publish check: ${entry.problems.join(' ')}`);
+            summary.failed.push({ team: team.name, error: entry.problems.join(' ') });
+        } else {
+            entry.warnings.forEach(warning => console.warn(`⚠️ ${team.name}: ${warning}`));
+            summary.succeeded.push(team.name);
+        }
+    }
+
+    const report = { generated_at: now.toISOString(), passed: summary.failed.length === 0, max_shrink, teams: entries };
+    await fs.mkdir(out_dir, { recursive: true });
+    await fs.writeFile(path.join(out_dir, `${VERIFICATION_FILE_NAME}.json`), JSON.stringify(report, null, 2), 'utf8');
+    await fs.writeFile(path.join(out_dir, `${VERIFICATION_FILE_NAME}.md`), render_verification_markdown(report), 'utf8');
+    console.log(`${report.passed ? '✅' : '❌'} Publish check ${report.passed ? 'passed' : 'failed'}; report saved to ${path.join(out_dir, `${VERIFICATION_FILE_NAME}.{json,md}`)}`);
+    return summary;
+};
+
+/**
+ * Main async function to check the build in dist/ before it is published.
+ */
+const main = async () => {
+    try {
+        const teams = select_teams(await load_teams_async(DEFAULT_TEAMS_FILE_PATH));
+        const summary = await verify_build(teams);
+        if (summary.failed.length > 0) {
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error(`❌ A critical error occurred:`, error.message);
+        process.exit(1);
+    }
+};
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    DEFAULT_MAX_SHRINK,
+    get_page_problem,
+    count_calendar_events,
+    summarize_team_build,
+    compare_team_builds,
+    load_verification_async,
+    render_verification_markdown,
+    verify_build
+};
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {collect_matches} = require('../scripts/standings');
+const {
+    detect_season_id,
+    list_archived_seasons_async,
+    list_archive_files_async,
+    load_previous_seasons_async,
+    compute_all_time_record,
+    load_all_time_record_async,
+    archive_season
+} = require('../scripts/archive');
+
+const TEAM_URL = 'https://douglaspoolleague.leaguerepublic.com/team/160037514/1234.html';
+const NOW = new Date('2025-10-05T09:00:00Z');
+
+const event = (date, home_team, away_team, result) => ({ date, time: '20:00', home_team, away_team, venue: home_team, result });
+
+const write_json = async (file_path, data) => {
+    await fs.mkdir(path.dirname(file_path), { recursive: true });
+    await fs.writeFile(file_path, JSON.stringify(data), 'utf8');
+};
+
+const create_out_dir = async (t) => {
+    const out_dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pool-fixtures-'));
+    t.after(() => fs.rm(out_dir, { recursive: true, force: true }));
+    return out_dir;
+};
+
+test('detect_season_id reads the season from the page\'s links, then from the team URL', () => {
+    const html = '<a href="/team/170000001/1.html">Manor</a><a href="/match/170000001/9.html">Card</a><a href="/team/160037514/1.html">Old</a>';
+    assert.equal(detect_season_id(html, TEAM_URL), '170000001');
+    assert.equal(detect_season_id('<p>No links</p>', TEAM_URL), '160037514');
+    assert.equal(detect_season_id(null, 'https://example.com/railway'), 'unknown');
+});
+
+test('compute_all_time_record adds up a team\'s seasons, counting frames and walkovers', () => {
+    const matches = [
+        ...collect_matches([[event('01/09/25', 'Manor', 'Railway', '3-7'), event('08/09/25', 'Railway', 'Queens', 'O-W')]]).map(match => ({ ...match, season: '160037514' })),
+        ...collect_matches([[event('02/10/24', 'Railway', 'Manor', '5-5')]]).map(match => ({ ...match, season: '99000001' }))
+    ];
+    const record = compute_all_time_record(matches, 'railway');
+    assert.deepEqual(record.seasons, [
+        { season: '99000001', played: 1, won: 0, drawn: 1, lost: 0, frames_for: 5, frames_against: 5 },
+        { season: '160037514', played: 2, won: 1, drawn: 0, lost: 1, frames_for: 7, frames_against: 3 }
+    ]);
+    assert.deepEqual(record.total, { played: 3, won: 1, drawn: 1, lost: 1, frames_for: 12, frames_against: 8 });
+    assert.deepEqual(compute_all_time_record(matches, 'Sam Webbs').seasons, []);
+});
+
+test('load_previous_seasons_async reads earlier seasons and leaves the current one out', async (t) => {
+    const out_dir = await create_out_dir(t);
+    await write_json(path.join(out_dir, 'archive', '150000001', 'results-manor.json'), [event('02/10/24', 'Railway', 'Manor', '5-5')]);
+    await write_json(path.join(out_dir, 'archive', '160037514', 'results-railway.json'), [event('01/09/25', 'Manor', 'Railway', '3-7')]);
+
+    assert.deepEqual((await load_previous_seasons_async(out_dir, { current_season: '160037514' })).map(match => match.season), ['150000001']);
+    assert.deepEqual((await load_previous_seasons_async(out_dir)).map(match => match.season), ['150000001', '160037514']);
+    assert.deepEqual(await load_previous_seasons_async(path.join(out_dir, 'missing')), []);
+});
+
+test('archive_season copies each team\'s files into its season and keeps earlier seasons', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    const out_dir = await create_out_dir(t);
+    const teams = [{ name: 'Railway', url: TEAM_URL }, { name: 'Manor', url: TEAM_URL }, { name: 'Queens', url: TEAM_URL }];
+    await write_json(path.join(out_dir, 'fixtures-railway.json'), [event('13/10/25', 'Railway', 'Queens')]);
+    await write_json(path.join(out_dir, 'results-railway.json'), [event('01/09/25', 'Manor', 'Railway', '3-7')]);
+    await fs.writeFile(path.join(out_dir, 'railway.ics'), 'BEGIN:VCALENDAR');
+    await fs.writeFile(path.join(out_dir, 'team-page-railway.html'), '<a href="/team/160037514/1.html">Railway</a>');
+    await write_json(path.join(out_dir, 'fixtures-manor.json'), []);
+    await fs.writeFile(path.join(out_dir, 'league.ics'), 'BEGIN:VCALENDAR');
+    await write_json(path.join(out_dir, 'archive', '150000001', 'results-railway.json'), [event('02/10/24', 'Railway', 'Manor', '5-5')]);
+    await write_json(path.join(out_dir, 'archive', '150000001', 'season.json'), { season: '150000001', updated_at: '2025-04-01T00:00:00.000Z', teams: [{ name: 'Railway', url: 'old' }] });
+
+    const summary = await archive_season(teams, { out_dir, now: NOW });
+    assert.deepEqual(summary.succeeded, ['Railway', 'Manor']);
+    assert.match(summary.failed[0].error, /No fixtures JSON/);
+
+    assert.deepEqual((await list_archive_files_async(out_dir)).map(({ season, file_name }) => `${season}/${file_name}`), [
+        '150000001/results-railway.json',
+        '150000001/season.json',
+        '160037514/fixtures-manor.json',
+        '160037514/fixtures-railway.json',
+        '160037514/league.ics',
+        '160037514/railway.ics',
+        '160037514/results-railway.json',
+        '160037514/season.json'
+    ]);
+    const [previous, current] = await list_archived_seasons_async(out_dir);
+    assert.equal(previous.updated_at, '2025-04-01T00:00:00.000Z');
+    assert.deepEqual(current, { season: '160037514', updated_at: NOW.toISOString(), teams: [{ name: 'Manor', url: TEAM_URL }, { name: 'Railway', url: TEAM_URL }] });
+
+    const history = JSON.parse(await fs.readFile(path.join(out_dir, 'archive', 'history.json'), 'utf8'));
+    assert.deepEqual(history.teams[0].total, { played: 2, won: 1, drawn: 1, lost: 0, frames_for: 12, frames_against: 8 });
+    assert.deepEqual(await load_all_time_record_async(out_dir, 'Railway'), history.teams[0]);
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {
+    build_subscribe_links,
+    split_team_events,
+    render_index_page,
+    render_team_page,
+    render_head_to_head_page,
+    build_site
+} = require('../scripts/build-site');
+
+const BASE_URL = 'https://github.com/craigiswayne/pool-league-fixtures/releases/download/latest/';
+const NOW = new Date('2025-10-01T12:00:00Z');
+const TZ = 'Europe/Isle_of_Man';
+
+const FIXTURES = [
+    { date: '13/10/25', time: '20:00', home_team: 'Sam Webbs', away_team: 'Railway', venue: 'Sam Webbs' },
+    { date: '06/10/25', time: '20:00', home_team: 'Railway', away_team: 'Manor', venue: 'Railway' },
+    { date: '29/09/25', time: '20:00', home_team: 'Railway', away_team: 'Albert A', venue: 'Railway' },
+    { date: 'TBC', time: 'N/A', home_team: 'Railway', away_team: 'Heron B', venue: 'Railway' }
+];
+const RESULTS = [
+    { date: '15/09/25', time: '20:00', home_team: 'Railway', away_team: 'Manx Arms', venue: '', result: '7-3' },
+    { date: '22/09/25', time: '20:00', home_team: 'Rosemount', away_team: 'Railway', venue: '', result: '5-5' }
+];
+
+test('build_subscribe_links points every client at the published calendar', () => {
+    const links = build_subscribe_links(BASE_URL, 'Sam Webbs');
+    assert.equal(links.https, `${BASE_URL}sam-webbs.ics`);
+    assert.equal(links.webcal, 'webcal://github.com/craigiswayne/pool-league-fixtures/releases/download/latest/sam-webbs.ics');
+    assert.equal(links.google, `https://calendar.google.com/calendar/render?cid=${encodeURIComponent(links.webcal)}`);
+    assert.match(links.outlook, /^https:\/\/outlook\.live\.com\/calendar\/0\/addfromweb\?url=https%3A%2F%2Fgithub\.com.*&name=Sam%20Webbs$/);
+});
+
+test('split_team_events lists upcoming fixtures soonest first and results latest first', () => {
+    const { upcoming, played } = split_team_events(FIXTURES, RESULTS, { now: NOW, time_zone: TZ });
+    assert.deepEqual(upcoming.map(event => event.date), ['06/10/25', '13/10/25', 'TBC']);
+    assert.deepEqual(played.map(event => event.date), ['22/09/25', '15/09/25']);
+});
+
+test('render_index_page escapes team names and links each team page', () => {
+    const html = render_index_page([{ name: 'Cat & Fiddle', url: 'x', division: 'Premier' }], { has_standings: true });
+    assert.match(html, /<a href="teams\/cat-&amp;-fiddle\.html">Cat &amp; Fiddle<\/a>/);
+    assert.match(html, /<a href="standings\.html">League standings<\/a>/);
+    assert.doesNotMatch(html, /Other calendars/);
+});
+
+test('render_index_page links the league and venue calendars', () => {
+    const html = render_index_page([], {
+        feeds: { league: 'league.ics', venues: [{ name: 'The Railway Inn', file: 'venue-the-railway-inn.ics' }] },
+        calendar_base_url: BASE_URL,
+        file_prefix: 'cup-'
+    });
+    assert.match(html, /<a href="webcal:\/\/github\.com\/.*\/cup-league\.ics">Every match in the league<\/a>/);
+    assert.match(html, /<a href="webcal:\/\/github\.com\/.*\/cup-venue-the-railway-inn\.ics">Matches at The Railway Inn<\/a>/);
+});
+
+test('build_site writes an index and a page per team with venue addresses', async (t) => {
+    const out_dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pool-fixtures-'));
+    t.after(() => fs.rm(out_dir, { recursive: true, force: true }));
+    const venues_path = path.join(out_dir, 'venues.json');
+    await fs.writeFile(venues_path, JSON.stringify([
+        { name: 'The Railway Inn', aliases: ['Railway'], address: 'The Railway Inn, North Quay, Douglas', latitude: 54.1503, longitude: -4.4806 }
+    ]));
+    await fs.writeFile(path.join(out_dir, 'fixtures-railway.json'), JSON.stringify(FIXTURES));
+    await fs.writeFile(path.join(out_dir, 'results-railway.json'), JSON.stringify(RESULTS));
+
+    const teams = [{ name: 'Railway', url: 'x' }, { name: 'Manor', url: 'y' }];
+    const summary = await build_site(teams, { out_dir, venues_path, calendar_base_url: BASE_URL, time_zone: TZ, now: NOW });
+
+    assert.deepEqual(summary, { succeeded: ['Railway', 'Manor'], failed: [] });
+    const index = await fs.readFile(path.join(out_dir, 'site', 'index.html'), 'utf8');
+    assert.match(index, /teams\/railway\.html/);
+    assert.doesNotMatch(index, /standings\.html/);
+
+    const railway = await fs.readFile(path.join(out_dir, 'site', 'teams', 'railway.html'), 'utf8');
+    assert.match(railway, /webcal:\/\/github\.com\/.*\/railway\.ics/);
+    assert.match(railway, /webcal:\/\/github\.com\/.*\/upcoming-railway\.ics">Upcoming fixtures only/);
+    assert.match(railway, /webcal:\/\/github\.com\/.*\/results-railway\.ics">results only/);
+    assert.match(railway, /The Railway Inn, North Quay, Douglas/);
+    assert.match(railway, /openstreetmap\.org\/\?mlat=54\.1503&amp;mlon=-4\.4806/);
+    assert.match(railway, /<td>7-3<\/td>/);
+    assert.match(railway, /<a href="head-to-head\/railway\.html">/);
+
+    const head_to_head = await fs.readFile(path.join(out_dir, 'site', 'teams', 'head-to-head', 'railway.html'), 'utf8');
+    assert.deepEqual([...head_to_head.matchAll(/<h2>(.*?)<\/h2>/g)].map(match => match[1]), [
+        '06/10/25 20:00: Railway vs Manor',
+        '13/10/25 20:00: Sam Webbs vs Railway',
+        'TBC N/A: Railway vs Heron B'
+    ]);
+    assert.match(head_to_head, /<td>Railway<\/td><td>D 5-5 at Rosemount<br>W 7-3 vs Manx Arms<\/td><td>1 played, 1 won, 0 drawn, 0 lost<\/td>/);
+
+    const manor = await fs.readFile(path.join(out_dir, 'site', 'teams', 'manor.html'), 'utf8');
+    assert.match(manor, /No upcoming fixtures\./);
+    assert.match(manor, /No results yet\./);
+});
+
+test('render_team_page lists the team\'s players, with break and dishes only when recorded', () => {
+    const events = { upcoming: [], played: [] };
+    const players = [
+        { name: 'John <Quayle>', team: 'Railway', frames_played: 4, frames_won: 3, win_percentage: 75, break_and_dishes: null }
+    ];
+    const html = render_team_page({ name: 'Railway' }, events, () => null, BASE_URL, '', players);
+    assert.match(html, /<h2>Players<\/h2>/);
+    assert.match(html, /<td>John &lt;Quayle&gt;<\/td><td>4<\/td><td>3<\/td><td>75%<\/td><\/tr>/);
+    assert.doesNotMatch(html, /B&amp;D/);
+
+    const with_break_and_dishes = render_team_page({ name: 'Railway' }, events, () => null, BASE_URL, '', [{ ...players[0], break_and_dishes: 1 }]);
+    assert.match(with_break_and_dishes, /<th>B&amp;D<\/th>/);
+    assert.doesNotMatch(render_team_page({ name: 'Railway' }, events, () => null, BASE_URL), /Players/);
+});
+
+test('render_team_page links the team\'s calendars of earlier seasons', () => {
+    const events = { upcoming: [], played: [] };
+    const html = render_team_page({ name: 'Railway' }, events, () => null, BASE_URL, 'cup-', [], ['150000001']);
+    assert.match(html, /<h2>Earlier seasons<\/h2>\n  <ul>\n    <li><a href="webcal:\/\/[^"]+\/cup-archive-150000001-railway\.ics">Season 150000001<\/a><\/li>/);
+    assert.doesNotMatch(render_team_page({ name: 'Railway' }, events, () => null, BASE_URL), /Earlier seasons/);
+});
+
+test('render_head_to_head_page lists this season\'s and earlier meetings', () => {
+    const empty = { played: 0, won: 0, drawn: 0, lost: 0 };
+    const html = render_head_to_head_page({ name: 'Railway' }, [{
+        date: '06/10/25',
+        time: '20:00',
+        home_team: 'Railway',
+        away_team: 'Manor',
+        this_season: { played: 1, home_team_wins: 1, away_team_wins: 0, draws: 0, meetings: [{ date: '01/09/25', home_team: 'Manor', away_team: 'Railway', score: '3-7' }] },
+        previous_seasons: { played: 1, home_team_wins: 0, away_team_wins: 0, draws: 1, meetings: [{ season: '150000001', date: '02/10/24', home_team: 'Railway', away_team: 'Manor', score: '5-5' }] },
+        home: { team: 'Railway', last_results: [], home: empty, away: empty },
+        away: { team: 'Manor', last_results: [], home: empty, away: empty }
+    }]);
+    assert.match(html, /<p>This season: Railway 1, Manor 0, drawn 0\. Previous seasons: Railway 0, Manor 0, drawn 1\.<\/p>/);
+    assert.match(html, /<td>This season<\/td><td>01\/09\/25<\/td><td>Manor<\/td><td>3-7<\/td><td>Railway<\/td>/);
+    assert.match(html, /<td>150000001<\/td><td>02\/10\/24<\/td>/);
+    assert.match(render_head_to_head_page({ name: 'Railway' }, []), /No upcoming fixtures\./);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {diff_fixtures, render_changes_markdown, detect_changes} = require('../scripts/changes');
+
+const fixture = (date, home_team, away_team, overrides = {}) => ({ date, time: '20:00', home_team, away_team, venue: home_team, ...overrides });
+
+const PREVIOUS = [
+    fixture('06/10/25', 'Railway', 'Manor'),
+    fixture('13/10/25', 'Sam Webbs', 'Railway'),
+    fixture('20/10/25', 'Railway', 'Albert A'),
+    fixture('27/10/25', 'Heron B', 'Railway', { venue: 'Heron (Lounge)' }),
+    fixture('03/11/25', 'Railway', 'Rosemount')
+];
+
+test('diff_fixtures reports added, cancelled, moved and venue changes', () => {
+    const current = [
+        fixture('13/10/25', 'Sam Webbs', 'Railway', { time: '19:30' }),
+        fixture('24/11/25', 'Railway', 'Albert A'),
+        fixture('27/10/25', 'Heron B', 'Railway', { venue: 'Heron (Pool Room)' }),
+        fixture('10/11/25', 'Manx Arms', 'Railway')
+    ];
+    const results = [{ ...fixture('06/10/25', 'Railway', 'Manor'), venue: '', result: '6-4' }];
+
+    const changes = diff_fixtures(PREVIOUS, current, results);
+
+    assert.deepEqual(changes.added.map(f => f.home_team), ['Manx Arms']);
+    assert.deepEqual(changes.cancelled.map(f => f.date), ['03/11/25']);
+    assert.deepEqual(changes.moved.map(({ from, to }) => [from.date, from.time, to.date, to.time]), [
+        ['13/10/25', '20:00', '13/10/25', '19:30'],
+        ['20/10/25', '20:00', '24/11/25', '20:00']
+    ]);
+    assert.deepEqual(changes.venue_changed.map(({ from, to }) => [from.venue, to.venue]), [['Heron (Lounge)', 'Heron (Pool Room)']]);
+});
+
+test('diff_fixtures reports nothing when the fixtures are unchanged', () => {
+    assert.deepEqual(diff_fixtures(PREVIOUS, [...PREVIOUS]), { added: [], cancelled: [], postponed: [], moved: [], venue_changed: [] });
+});
+
+test('diff_fixtures reports a fixture that moved to the results as postponed', () => {
+    const f = fixture('06/10/25', 'Railway', 'Manor');
+
+    const changes = diff_fixtures([f], [], [{ ...f, result: 'P-P', status: 'postponed' }]);
+
+    assert.deepEqual(changes.postponed, [f]);
+    assert.deepEqual(changes.cancelled, []);
+    assert.deepEqual(diff_fixtures([f], [], [{ ...f, result: 'W-O' }]).postponed, []);
+    assert.match(render_changes_markdown({ has_previous: true, teams: { Railway: changes } }), /- ⏸️ Postponed: Railway vs Manor on 06\/10\/25 20:00/);
+});
+
+test('render_changes_markdown summarises each changed team', () => {
+    const markdown = render_changes_markdown({
+        has_previous: true,
+        teams: {
+            Railway: diff_fixtures(PREVIOUS, [fixture('13/10/25', 'Sam Webbs', 'Railway', { time: '19:30' })]),
+            Manor: diff_fixtures([], [])
+        }
+    });
+    assert.match(markdown, /### Railway/);
+    assert.match(markdown, /- 📅 Moved: Sam Webbs vs Railway from 13\/10\/25 20:00 to 13\/10\/25 19:30/);
+    assert.match(markdown, /- ❌ Cancelled: Railway vs Manor on 06\/10\/25 20:00/);
+    assert.doesNotMatch(markdown, /### Manor/);
+});
+
+test('render_changes_markdown explains when there is nothing to compare or report', () => {
+    assert.match(render_changes_markdown({ has_previous: false, teams: {} }), /No previously published fixtures/);
+    assert.match(render_changes_markdown({ has_previous: true, teams: { Railway: diff_fixtures(PREVIOUS, PREVIOUS) } }), /No fixture changes since the last update\./);
+});
+
+test('detect_changes compares out_dir with the previous snapshot and writes both reports', async (t) => {
+    const out_dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pool-fixtures-'));
+    t.after(() => fs.rm(out_dir, { recursive: true, force: true }));
+    await fs.mkdir(path.join(out_dir, 'previous'));
+    await fs.writeFile(path.join(out_dir, 'previous', 'fixtures-railway.json'), JSON.stringify(PREVIOUS));
+    await fs.writeFile(path.join(out_dir, 'fixtures-railway.json'), JSON.stringify(PREVIOUS.slice(1)));
+
+    const report = await detect_changes([{ name: 'Railway', url: 'x' }, { name: 'Manor', url: 'y' }], { out_dir });
+
+    assert.equal(report.has_previous, true);
+    assert.deepEqual(Object.keys(report.teams), ['Railway']);
+    assert.equal(report.teams.Railway.cancelled.length, 1);
+    const written = JSON.parse(await fs.readFile(path.join(out_dir, 'changes.json'), 'utf8'));
+    assert.deepEqual(written, report);
+    assert.match(await fs.readFile(path.join(out_dir, 'changes.md'), 'utf8'), /Cancelled: Railway vs Manor/);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {create_match} = require('../scripts/match-model');
+const {create_venue_resolver} = require('../scripts/venues');
+const {
+    get_linked_team_pairs,
+    find_clashes,
+    get_clash_warnings,
+    render_clashes_markdown,
+    detect_clashes
+} = require('../scripts/clashes');
+
+const TIME_ZONE = 'Europe/Isle_of_Man';
+const TEAM_URL = 'https://douglaspoolleague.leaguerepublic.com/team/160037514/1234.html';
+
+const fixture = (date, home_team, away_team, venue = home_team, overrides = {}) => create_match(
+    { date, time: '20:00', home_team, away_team, venue, ...overrides },
+    { time_zone: TIME_ZONE }
+);
+
+const resolve_venue = create_venue_resolver([
+    { name: 'The Cat With No Tail', aliases: ['Cat With No Tail A', 'Cat With No Tail B'], address: '', tables: 2 },
+    { name: 'The Railway Inn', aliases: ['Railway'], address: '' }
+]);
+
+const TEAMS = [
+    { name: 'Cat With No Tail A', url: TEAM_URL, linked_teams: ['cat with no tail b'] },
+    { name: 'Cat With No Tail B', url: TEAM_URL, linked_teams: ['Cat With No Tail A'] },
+    { name: 'Railway', url: TEAM_URL }
+];
+
+test('get_linked_team_pairs lists each link once, whichever team it is written on', () => {
+    assert.deepEqual(get_linked_team_pairs(TEAMS), [['Cat With No Tail A', 'Cat With No Tail B']]);
+    assert.deepEqual(get_linked_team_pairs([{ name: 'Railway', linked_teams: ['Railway B', 'railway'] }]), [['Railway', 'Railway B']]);
+});
+
+test('find_clashes flags linked teams, overbooked venues and consecutive nights', () => {
+    const fixtures = [
+        fixture('06/10/25', 'Cat With No Tail A', 'Manor'),
+        fixture('06/10/25', 'Cat With No Tail B', 'Queens'),
+        fixture('06/10/25', 'Railway', 'Heron B'),
+        fixture('06/10/25', 'Sam Webbs', 'Albert A', 'Railway'),
+        // Listed again on the other team's page.
+        fixture('06/10/25', 'Railway', 'Heron B'),
+        fixture('07/10/25', 'Queens', 'Railway', 'Queens'),
+        fixture('13/10/25', 'Cat With No Tail A', 'Cat With No Tail B'),
+        fixture('14/10/25', 'Manor', 'Railway', 'Manor', { result: 'P-P' }),
+        fixture('TBC', 'Railway', 'Albert A')
+    ];
+    const clashes = find_clashes(fixtures, TEAMS, resolve_venue);
+    assert.deepEqual(clashes.map(clash => [clash.type, clash.dates.join(' ')]), [
+        ['linked_teams', '06/10/25'],
+        ['venue_capacity', '06/10/25'],
+        ['consecutive_nights', '06/10/25 07/10/25']
+    ]);
+    assert.deepEqual(clashes[1], {
+        type: 'venue_capacity',
+        dates: ['06/10/25'],
+        venue: 'The Railway Inn',
+        tables: 1,
+        matches: [
+            { date: '06/10/25', time: '20:00', home_team: 'Railway', away_team: 'Heron B', venue: 'Railway' },
+            { date: '06/10/25', time: '20:00', home_team: 'Sam Webbs', away_team: 'Albert A', venue: 'Railway' }
+        ]
+    });
+
+    const warnings = get_clash_warnings(clashes);
+    assert.deepEqual(warnings.get('06/10/25|railway|heron b'), [
+        '⚠️ Clash: The Railway Inn has 2 matches on 06/10/25 but 1 table(s)',
+        '⚠️ Clash: Railway play on consecutive nights, 06/10/25 and 07/10/25'
+    ]);
+    assert.deepEqual(warnings.get('06/10/25|cat with no tail a|manor'), ['⚠️ Clash: Cat With No Tail A and Cat With No Tail B share players but both play on 06/10/25']);
+});
+
+test('render_clashes_markdown groups the clashes by type', () => {
+    const clashes = find_clashes([fixture('06/10/25', 'Railway', 'Manor'), fixture('07/10/25', 'Queens', 'Railway', 'Queens')], TEAMS, resolve_venue);
+    assert.equal(render_clashes_markdown({ clashes }), [
+        '## Fixture clashes',
+        '',
+        '### Teams playing on consecutive nights',
+        '',
+        '- Railway play on consecutive nights, 06/10/25 and 07/10/25: Railway vs Manor, Queens vs Railway',
+        ''
+    ].join('\n'));
+    assert.match(render_clashes_markdown({ clashes: [] }), /No clashes in the fixtures\./);
+});
+
+test('detect_clashes reads every team\'s fixtures and writes the report', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const warn = t.mock.method(console, 'warn', () => {});
+    const out_dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pool-fixtures-'));
+    t.after(() => fs.rm(out_dir, { recursive: true, force: true }));
+    const venues_path = path.join(out_dir, 'venues.json');
+    await fs.writeFile(venues_path, JSON.stringify([{ name: 'The Cat With No Tail', aliases: ['Cat With No Tail A', 'Cat With No Tail B'], tables: 2 }]));
+    await fs.writeFile(path.join(out_dir, 'fixtures-cat-with-no-tail-a.json'), JSON.stringify([fixture('06/10/25', 'Cat With No Tail A', 'Manor')]));
+    await fs.writeFile(path.join(out_dir, 'fixtures-cat-with-no-tail-b.json'), JSON.stringify([fixture('06/10/25', 'Cat With No Tail B', 'Queens')]));
+
+    const report = await detect_clashes(TEAMS, { out_dir, venues_path, time_zone: TIME_ZONE, now: new Date('2025-10-01T00:00:00Z') });
+    assert.deepEqual(report.clashes.map(clash => clash.type), ['linked_teams']);
+    assert.match(warn.mock.calls[0].arguments[0], /share players/);
+    assert.deepEqual(JSON.parse(await fs.readFile(path.join(out_dir, 'clashes.json'), 'utf8')), report);
+    assert.match(await fs.readFile(path.join(out_dir, 'clashes.md'), 'utf8'), /### Linked teams playing on the same night/);
+});
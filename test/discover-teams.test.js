@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {
+    parse_team_url,
+    parse_division_links,
+    parse_team_links,
+    discover_teams,
+    merge_teams,
+    update_teams_file
+} = require('../scripts/discover-teams');
+
+const LEAGUE_URL = 'https://douglaspoolleague.leaguerepublic.com/index.html';
+const PAGES_DIR = path.join(__dirname, 'fixtures', 'league-pages');
+const PAGES = {
+    [LEAGUE_URL]: 'index.html',
+    'https://douglaspoolleague.leaguerepublic.com/standingsForDate/160037514/1/-1/-1.html': 'premier.html',
+    'https://douglaspoolleague.leaguerepublic.com/standingsForDate/160037514/2/-1/-1.html': 'first-division.html'
+};
+
+const fetch_html = async (url) => {
+    if (!PAGES[url]) {
+        throw new Error(`Unexpected request for ${url}`);
+    }
+    return fs.readFile(path.join(PAGES_DIR, PAGES[url]), 'utf8');
+};
+
+const team_url = (team_id) => `https://douglaspoolleague.leaguerepublic.com/team/160037514/${team_id}.html`;
+
+test('parse_team_url reads the season and team ids', () => {
+    assert.deepEqual(parse_team_url(team_url('717368412')), { season_id: '160037514', team_id: '717368412' });
+    assert.equal(parse_team_url('https://example.com/'), null);
+});
+
+test('parse_division_links lists each division once with absolute URLs', async () => {
+    const divisions = parse_division_links(await fetch_html(LEAGUE_URL), LEAGUE_URL);
+    assert.deepEqual(divisions.map(division => division.name), ['Premier Division', 'First Division']);
+    assert.ok(divisions.every(division => division.url.startsWith('https://douglaspoolleague.leaguerepublic.com/standingsForDate/')));
+});
+
+test('parse_team_links normalises whitespace in team names', async () => {
+    const url = Object.keys(PAGES)[2];
+    const teams = parse_team_links(await fetch_html(url), url);
+    assert.deepEqual(teams, [
+        { name: 'Heron B', url: team_url('42650956') },
+        { name: 'Sam Webbs', url: team_url('111687271') }
+    ]);
+});
+
+test('discover_teams crawls every division', async () => {
+    const teams = await discover_teams({ league_url: LEAGUE_URL, fetch_html });
+    assert.equal(teams.length, 6);
+    assert.deepEqual(teams.find(team => team.name === 'Queens'), {
+        name: 'Queens',
+        url: team_url('555000111'),
+        division: 'Premier Division'
+    });
+    assert.equal(teams.find(team => team.name === 'Heron B').division, 'First Division');
+});
+
+test('merge_teams reports added, renamed and missing teams and keeps manual entries', () => {
+    const existing = [
+        { name: 'Railway', url: team_url('717368412') },
+        { name: 'Archibald Know', url: team_url('322562113'), notes: 'added by hand' },
+        { name: 'Friendly XI', url: 'https://example.com/team/1/2.html' }
+    ];
+    const discovered = [
+        { name: 'Railway', url: team_url('717368412'), division: 'Premier Division' },
+        { name: 'Archibald Knox', url: team_url('322562113'), division: 'Premier Division' },
+        { name: 'Queens', url: team_url('555000111'), division: 'Premier Division' }
+    ];
+
+    const report = merge_teams(existing, discovered);
+
+    assert.deepEqual(report.added.map(team => team.name), ['Queens']);
+    assert.deepEqual(report.renamed, [{ from: 'Archibald Know', to: 'Archibald Knox', url: team_url('322562113') }]);
+    assert.deepEqual(report.updated.map(team => team.name), ['Railway']);
+    assert.deepEqual(report.removed.map(team => team.name), ['Friendly XI']);
+    assert.deepEqual(report.teams.map(team => team.name), ['Archibald Knox', 'Friendly XI', 'Queens', 'Railway']);
+    assert.equal(report.teams[0].notes, 'added by hand');
+
+    const pruned = merge_teams(existing, discovered, { prune: true });
+    assert.ok(!pruned.teams.some(team => team.name === 'Friendly XI'));
+});
+
+test('merge_teams follows a team to a new season URL by name', () => {
+    const existing = [{ name: 'Railway', url: 'https://douglaspoolleague.leaguerepublic.com/team/150000000/1.html' }];
+    const report = merge_teams(existing, [{ name: 'Railway', url: team_url('717368412'), division: 'Premier Division' }]);
+    assert.deepEqual(report.added, []);
+    assert.deepEqual(report.teams, [{ name: 'Railway', url: team_url('717368412'), division: 'Premier Division' }]);
+});
+
+test('update_teams_file writes the merged list unless it is a dry run', async (t) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pool-fixtures-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    const teams_file = path.join(dir, 'teams.json');
+    const original = JSON.stringify([{ name: 'Railway', url: team_url('717368412') }]);
+    await fs.writeFile(teams_file, original);
+
+    await update_teams_file({ league_url: LEAGUE_URL, teams_file, dry_run: true, fetch_html });
+    assert.equal(await fs.readFile(teams_file, 'utf8'), original);
+
+    await update_teams_file({ league_url: LEAGUE_URL, teams_file, fetch_html });
+    const written = JSON.parse(await fs.readFile(teams_file, 'utf8'));
+    assert.equal(written.length, 6);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    get_season_id,
+    build_event_uid,
+    assign_event_identities
+} = require('../scripts/event-identity');
+
+const SEASON = '160037514';
+const FIRST_RUN = new Date('2025-09-01T00:00:00Z');
+const SECOND_RUN = new Date('2025-09-08T00:00:00Z');
+
+const fixture = (overrides = {}) => ({
+    date: '15/09/25',
+    time: '20:00',
+    home_team: 'Railway',
+    away_team: 'Manor',
+    venue: 'Railway',
+    ...overrides
+});
+
+test('get_season_id reads the season from a LeagueRepublic team URL', () => {
+    assert.equal(get_season_id('https://douglaspoolleague.leaguerepublic.com/team/160037514/717368412.html'), SEASON);
+    assert.equal(get_season_id('https://example.com/somewhere.html'), 'unknown');
+});
+
+test('build_event_uid is deterministic and ignores case and padding', () => {
+    const identity = { season: SEASON, home_team: 'Railway', away_team: 'Manor', original_date: '15/09/25' };
+    const uid = build_event_uid(identity);
+    assert.equal(uid, build_event_uid({ ...identity, home_team: ' railway ' }));
+    assert.notEqual(uid, build_event_uid({ ...identity, home_team: 'Manor', away_team: 'Railway' }));
+    assert.match(uid, /^[0-9a-f]{32}@pool-league-fixtures$/);
+});
+
+test('assign_event_identities keeps UIDs and sequence stable when nothing changes', () => {
+    const state = {};
+    const [first] = assign_event_identities([fixture()], state, SEASON, FIRST_RUN);
+    const [second] = assign_event_identities([fixture()], state, SEASON, SECOND_RUN);
+
+    assert.equal(second.uid, first.uid);
+    assert.equal(second.sequence, 0);
+    assert.equal(second.last_modified, FIRST_RUN.toISOString());
+});
+
+test('assign_event_identities moves a rescheduled match in place and bumps the sequence', () => {
+    const state = {};
+    const [first] = assign_event_identities([fixture()], state, SEASON, FIRST_RUN);
+    const [moved] = assign_event_identities([fixture({ date: '22/09/25' })], state, SEASON, SECOND_RUN);
+
+    assert.equal(moved.uid, first.uid);
+    assert.equal(moved.sequence, 1);
+    assert.equal(moved.last_modified, SECOND_RUN.toISOString());
+    assert.equal(state[first.uid].original_date, '15/09/25');
+    assert.equal(state[first.uid].date, '22/09/25');
+});
+
+test('assign_event_identities bumps the sequence for time and venue changes only', () => {
+    const state = {};
+    assign_event_identities([fixture()], state, SEASON, FIRST_RUN);
+
+    const [retimed] = assign_event_identities([fixture({ time: '19:30' })], state, SEASON, SECOND_RUN);
+    assert.equal(retimed.sequence, 1);
+
+    const [moved_venue] = assign_event_identities([fixture({ time: '19:30', venue: 'Manor Lounge' })], state, SEASON, SECOND_RUN);
+    assert.equal(moved_venue.sequence, 2);
+
+    // Results are scraped without a venue, which is not a change.
+    const [played] = assign_event_identities([fixture({ time: '19:30', venue: '', result: '7-3' })], state, SEASON, SECOND_RUN);
+    assert.equal(played.sequence, 2);
+});
+
+test('assign_event_identities tells apart repeat pairings on different dates', () => {
+    const state = {};
+    const events = [fixture(), fixture({ date: '12/01/26' })];
+    const identified = assign_event_identities(events, state, SEASON, FIRST_RUN);
+
+    assert.equal(identified.length, 2);
+    assert.notEqual(identified[0].uid, identified[1].uid);
+});
+
+test('assign_event_identities lists a match once when it is both a fixture and a result', () => {
+    const state = {};
+    const identified = assign_event_identities([fixture(), fixture({ venue: '', result: '6-4' })], state, SEASON, FIRST_RUN);
+
+    assert.equal(identified.length, 1);
+    assert.equal(identified[0].event.result, '6-4');
+});
+
+test('assign_event_identities records when a result was first posted', () => {
+    const state = {};
+    const [scheduled] = assign_event_identities([fixture()], state, SEASON, FIRST_RUN);
+    assert.equal(scheduled.result_posted_at, null);
+
+    const [posted] = assign_event_identities([fixture({ venue: '', result: '6-4' })], state, SEASON, SECOND_RUN);
+    assert.equal(posted.result_posted_at, SECOND_RUN.toISOString());
+    assert.equal(posted.last_modified, FIRST_RUN.toISOString());
+
+    const [unchanged] = assign_event_identities([fixture({ venue: '', result: '6-4' })], state, SEASON, new Date('2030-01-01T00:00:00Z'));
+    assert.equal(unchanged.result_posted_at, SECOND_RUN.toISOString());
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {property} = require('../scripts/ics');
+const {
+    register_exporter,
+    check_export_formats,
+    get_export_path,
+    write_exports_async,
+    render_csv,
+    to_jcal,
+    to_xcal,
+    render_atom,
+    render_rss,
+    render_json_feed
+} = require('../scripts/exporters');
+
+const TEAM_URL = 'https://douglaspoolleague.leaguerepublic.com/team/160037514/1234.html';
+
+const CALENDAR = {
+    name: 'VCALENDAR',
+    properties: [property('VERSION', '2.0'), property('X-WR-CALNAME', 'Railway')],
+    components: [{
+        name: 'VEVENT',
+        properties: [
+            property('UID', 'abc@pool-fixtures'),
+            property('SEQUENCE', 2),
+            property('DTSTART', '20251006T200000', { TZID: 'Europe/Isle_of_Man' }),
+            property('SUMMARY', 'vs Manor (H)'),
+            property('CATEGORIES', ['Home', 'Fixture']),
+            property('GEO', '54.15;-4.48'),
+            property('STATUS', undefined)
+        ]
+    }]
+};
+
+const entry = (uid, summary, result_posted_at, event = {}) => ({
+    uid,
+    summary,
+    description: `${summary}\nDouglas`,
+    result_posted_at,
+    event: { date: '06/10/25', time: '20:00', home_team: 'Railway', away_team: 'Manor', venue: 'Railway', status: 'played', ...event }
+});
+
+const FEED = {
+    id: 'railway',
+    title: 'Railway',
+    link: TEAM_URL,
+    now: new Date('2025-10-10T12:00:00Z'),
+    calendar: CALENDAR,
+    entries: [
+        entry('a', 'W 7-3 vs Manor (H)', '2025-10-07T06:00:00.000Z', { score: { home_score: 7, away_score: 3 } }),
+        entry('b', 'vs Queens (H)', null, { status: 'scheduled' }),
+        entry('c', 'L 4-6 at Heron & Co (A)', '2025-10-09T06:00:00.000Z', { match_url: 'https://example.com/match/1' })
+    ]
+};
+
+test('render_csv writes a header and a row per match, quoting fields that need it', () => {
+    const rows = render_csv({ entries: [entry('a', 'W 7-3 vs "Manor", (H)', null, { score: { home_score: 7, away_score: 3 } })] }).split('\r\n');
+    assert.equal(rows[0], 'date,time,start,home_team,away_team,venue,division,status,home_score,away_score,summary');
+    assert.equal(rows[1], '06/10/25,20:00,,Railway,Manor,Railway,,played,7,3,"W 7-3 vs ""Manor"", (H)"');
+    assert.equal(rows[2], '');
+});
+
+test('to_jcal converts the component tree with value types and parameters', () => {
+    const [name, properties, [vevent]] = to_jcal(CALENDAR);
+    assert.equal(name, 'vcalendar');
+    assert.deepEqual(properties[0], ['version', {}, 'text', '2.0']);
+    assert.deepEqual(vevent[1], [
+        ['uid', {}, 'text', 'abc@pool-fixtures'],
+        ['sequence', {}, 'integer', 2],
+        ['dtstart', { tzid: 'Europe/Isle_of_Man' }, 'date-time', '2025-10-06T20:00:00'],
+        ['summary', {}, 'text', 'vs Manor (H)'],
+        ['categories', {}, 'text', 'Home', 'Fixture'],
+        ['geo', {}, 'float', [54.15, -4.48]]
+    ]);
+});
+
+test('to_xcal writes the calendar as escaped XML', () => {
+    const xml = to_xcal({ ...CALENDAR, properties: [property('X-WR-CALNAME', 'Heron & Co')] });
+    assert.match(xml, /^<\?xml version="1.0" encoding="utf-8"\?>\n<icalendar xmlns="urn:ietf:params:xml:ns:icalendar-2.0">/);
+    assert.match(xml, /<x-wr-calname><text>Heron &amp; Co<\/text><\/x-wr-calname>/);
+    assert.match(xml, /<dtstart><parameters><tzid><text>Europe\/Isle_of_Man<\/text><\/tzid><\/parameters><date-time>2025-10-06T20:00:00<\/date-time><\/dtstart>/);
+    assert.match(xml, /<geo><latitude>54.15<\/latitude><longitude>-4.48<\/longitude><\/geo>/);
+    assert.doesNotMatch(xml, /<status>/);
+});
+
+test('the result feeds list posted results newest first, linking to the match when known', () => {
+    const atom = render_atom(FEED);
+    assert.deepEqual([...atom.matchAll(/<id>urn:uid:(\w+)<\/id>/g)].map(match => match[1]), ['c', 'a']);
+    assert.match(atom, /<updated>2025-10-09T06:00:00.000Z<\/updated>\n  <link href="https:\/\/douglas/);
+    assert.match(atom, /<title>L 4-6 at Heron &amp; Co \(A\)<\/title>\n    <updated>[^<]+<\/updated>\n    <link href="https:\/\/example.com\/match\/1"\/>/);
+
+    const rss = render_rss(FEED);
+    assert.deepEqual([...rss.matchAll(/<guid isPermaLink="false">(\w+)<\/guid>/g)].map(match => match[1]), ['c', 'a']);
+    assert.match(rss, /<pubDate>Thu, 09 Oct 2025 06:00:00 GMT<\/pubDate>/);
+
+    const json_feed = JSON.parse(render_json_feed(FEED));
+    assert.equal(json_feed.title, 'Railway - results');
+    assert.deepEqual(json_feed.items.map(item => [item.id, item.url]), [['c', 'https://example.com/match/1'], ['a', TEAM_URL]]);
+    assert.deepEqual(json_feed.items[1]._match.score, { home_score: 7, away_score: 3 });
+});
+
+test('write_exports_async writes each format next to the .ics file', async (t) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pool-fixtures-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    const ics_path = path.join(dir, 'railway.ics');
+    register_exporter('summaries', { extension: '.txt', render: feed => feed.entries.map(({ summary }) => summary).join('\n') });
+
+    assert.equal(get_export_path(ics_path, 'jcal'), path.join(dir, 'railway.jcal.json'));
+    assert.deepEqual(await write_exports_async(ics_path, FEED, ['jcal', 'summaries']), [
+        path.join(dir, 'railway.jcal.json'),
+        path.join(dir, 'railway.txt')
+    ]);
+    assert.equal(JSON.parse(await fs.readFile(path.join(dir, 'railway.jcal.json'), 'utf8'))[0], 'vcalendar');
+    assert.match(await fs.readFile(path.join(dir, 'railway.txt'), 'utf8'), /^W 7-3 vs Manor \(H\)\n/);
+
+    assert.throws(() => check_export_formats(['csv', 'pdf']), /Unknown export format\(s\): pdf/);
+    assert.throws(() => register_exporter('pdf', { extension: '.pdf' }), /needs an "extension" and a "render" function/);
+});
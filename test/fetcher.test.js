@@ -0,0 +1,182 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const {create_host_limiter, parse_retry_after, create_fetcher} = require('../scripts/fetcher');
+
+/**
+ * Starts a local server whose responses come from handler, and stops it when the test ends.
+ * @returns {Promise<string>} The server's base URL.
+ */
+const start_server = async (t, handler) => {
+    const server = http.createServer(handler);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(resolve);
+    }));
+    return `http://127.0.0.1:${server.address().port}`;
+};
+
+const make_cache_dir = async (t) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pool-fixtures-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    return dir;
+};
+
+const no_wait = async () => {};
+const quiet = (t) => t.mock.method(console, 'warn', () => {});
+
+test('parse_retry_after reads seconds and HTTP dates', () => {
+    assert.equal(parse_retry_after('3'), 3000);
+    assert.equal(parse_retry_after(undefined), null);
+    assert.equal(parse_retry_after('soon'), null);
+    assert.equal(parse_retry_after(new Date(Date.now() - 1000).toUTCString()), 0);
+});
+
+test('create_fetcher retries 503 responses with exponential backoff', async (t) => {
+    quiet(t);
+    let requests = 0;
+    const base_url = await start_server(t, (request, response) => {
+        requests += 1;
+        if (requests < 3) {
+            response.writeHead(503);
+            response.end();
+            return;
+        }
+        response.end('<html>ok</html>');
+    });
+    const delays = [];
+    const fetcher = create_fetcher({ cache_dir: null, min_interval_ms: 0, wait: async (ms) => delays.push(ms) });
+
+    const response = await fetcher.fetch(`${base_url}/team`);
+    assert.equal(response.body, '<html>ok</html>');
+    assert.equal(response.attempts, 3);
+    assert.deepEqual(delays, [1000, 2000]);
+});
+
+test('create_fetcher honours Retry-After on 429 responses', async (t) => {
+    quiet(t);
+    let requests = 0;
+    const base_url = await start_server(t, (request, response) => {
+        requests += 1;
+        if (requests === 1) {
+            response.writeHead(429, { 'Retry-After': '7' });
+            response.end();
+            return;
+        }
+        response.end('ok');
+    });
+    const delays = [];
+    const fetcher = create_fetcher({ cache_dir: null, min_interval_ms: 0, wait: async (ms) => delays.push(ms) });
+
+    await fetcher.fetch(`${base_url}/team`);
+    assert.deepEqual(delays, [7000]);
+});
+
+test('create_fetcher gives up after the configured retries', async (t) => {
+    quiet(t);
+    let requests = 0;
+    const base_url = await start_server(t, (request, response) => {
+        requests += 1;
+        response.writeHead(500);
+        response.end();
+    });
+    const fetcher = create_fetcher({ cache_dir: null, retries: 2, min_interval_ms: 0, wait: no_wait });
+
+    await assert.rejects(fetcher.fetch(`${base_url}/team`), (error) => {
+        assert.equal(error.status, 500);
+        assert.equal(error.attempts, 3);
+        assert.equal(error.url, `${base_url}/team`);
+        return true;
+    });
+    assert.equal(requests, 3);
+});
+
+test('create_fetcher does not retry client errors', async (t) => {
+    let requests = 0;
+    const base_url = await start_server(t, (request, response) => {
+        requests += 1;
+        response.writeHead(404);
+        response.end();
+    });
+    const fetcher = create_fetcher({ cache_dir: null, min_interval_ms: 0, wait: no_wait });
+
+    await assert.rejects(fetcher.fetch(`${base_url}/missing`), { status: 404 });
+    assert.equal(requests, 1);
+});
+
+test('create_fetcher times out slow responses', async (t) => {
+    quiet(t);
+    const base_url = await start_server(t, () => {
+        // Never respond.
+    });
+    const fetcher = create_fetcher({ cache_dir: null, timeout_ms: 50, retries: 1, min_interval_ms: 0, wait: no_wait });
+
+    await assert.rejects(fetcher.fetch(`${base_url}/slow`), { message: 'Timed out after 50ms', attempts: 2 });
+});
+
+test('create_fetcher sends conditional requests and reuses the cached body on 304', async (t) => {
+    const cache_dir = await make_cache_dir(t);
+    const seen_headers = [];
+    const base_url = await start_server(t, (request, response) => {
+        seen_headers.push(request.headers);
+        if (request.headers['if-none-match'] === '"v1"') {
+            response.writeHead(304);
+            response.end();
+            return;
+        }
+        response.writeHead(200, { ETag: '"v1"', 'Last-Modified': 'Mon, 06 Oct 2025 10:00:00 GMT' });
+        response.end('<html>fixtures</html>');
+    });
+
+    const first = await create_fetcher({ cache_dir, min_interval_ms: 0 }).fetch(`${base_url}/team`);
+    assert.equal(first.from_cache, false);
+
+    // A new fetcher, as on the next scheduled run.
+    const second = await create_fetcher({ cache_dir, min_interval_ms: 0 }).fetch(`${base_url}/team`);
+    assert.equal(second.from_cache, true);
+    assert.equal(second.status, 304);
+    assert.equal(second.body, '<html>fixtures</html>');
+    assert.equal(seen_headers[1]['if-none-match'], '"v1"');
+    assert.equal(seen_headers[1]['if-modified-since'], 'Mon, 06 Oct 2025 10:00:00 GMT');
+});
+
+test('create_fetcher sends the configured headers', async (t) => {
+    let user_agent;
+    const base_url = await start_server(t, (request, response) => {
+        user_agent = request.headers['user-agent'];
+        response.end('ok');
+    });
+    await create_fetcher({ cache_dir: null, headers: { 'User-Agent': 'pool-fixtures-test' } }).fetch(`${base_url}/`);
+    assert.equal(user_agent, 'pool-fixtures-test');
+});
+
+test('create_host_limiter caps concurrent tasks per host', async () => {
+    const limiter = create_host_limiter({ concurrency: 2, min_interval_ms: 0 });
+    let active = { a: 0, b: 0 };
+    let peak = { a: 0, b: 0 };
+    const task = (host) => limiter.run(host, async () => {
+        active[host] += 1;
+        peak[host] = Math.max(peak[host], active[host]);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active[host] -= 1;
+        return host;
+    });
+
+    const results = await Promise.all([...'aaaaabb'].map(task));
+    assert.deepEqual(results, [...'aaaaabb']);
+    assert.deepEqual(peak, { a: 2, b: 2 });
+});
+
+test('create_host_limiter spaces out request starts on a host', async () => {
+    const delays = [];
+    const limiter = create_host_limiter({ concurrency: 5, min_interval_ms: 1000, wait: async (ms) => delays.push(ms) });
+    await Promise.all([1, 2, 3].map(() => limiter.run('a', async () => {})));
+    await limiter.run('b', async () => {});
+    assert.equal(delays.length, 2);
+    assert.ok(delays[0] > 900 && delays[0] <= 1000);
+    assert.ok(delays[1] > 1900 && delays[1] <= 2000);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {collect_matches} = require('../scripts/standings');
+const {
+    compute_head_to_head_record,
+    compute_team_record,
+    build_head_to_head_report,
+    describe_head_to_head,
+    load_head_to_head_async
+} = require('../scripts/head-to-head');
+
+const TEAM_URL = 'https://douglaspoolleague.leaguerepublic.com/team/160037514/1234.html';
+
+const event = (date, home_team, away_team, result) => ({ date, time: '20:00', home_team, away_team, venue: home_team, result });
+
+const RESULTS = collect_matches([[
+    event('01/09/25', 'Manor', 'Railway', '3-7'),
+    event('08/09/25', 'Railway', 'Queens', '5-5'),
+    event('15/09/25', 'Railway', 'Manor', '4-6'),
+    event('22/09/25', 'Heron B', 'Railway', '2-8'),
+    event('29/09/25', 'Railway', 'Albert A', 'O-W'),
+    event('02/10/25', 'Queens', 'Manor', '6-4')
+]]);
+
+const write_json = async (file_path, data) => {
+    await fs.mkdir(path.dirname(file_path), { recursive: true });
+    await fs.writeFile(file_path, JSON.stringify(data), 'utf8');
+};
+
+test('compute_head_to_head_record counts the meetings from the fixture\'s home team\'s side', () => {
+    const record = compute_head_to_head_record(RESULTS, 'Railway', 'Manor');
+    assert.deepEqual({ ...record, meetings: undefined }, { played: 2, home_team_wins: 1, away_team_wins: 1, draws: 0, meetings: undefined });
+    assert.deepEqual(record.meetings, [
+        { date: '15/09/25', home_team: 'Railway', away_team: 'Manor', score: '4-6' },
+        { date: '01/09/25', home_team: 'Manor', away_team: 'Railway', score: '3-7' }
+    ]);
+    assert.equal(compute_head_to_head_record(RESULTS, 'railway', 'Sam Webbs').played, 0);
+});
+
+test('compute_team_record lists the last five results newest first and splits home and away', () => {
+    const record = compute_team_record(RESULTS, 'Railway');
+    assert.deepEqual(record.last_results.map(({ date, outcome, score, side }) => `${date} ${outcome} ${score} ${side}`), [
+        '29/09/25 L walkover H',
+        '22/09/25 W 8-2 A',
+        '15/09/25 L 4-6 H',
+        '08/09/25 D 5-5 H',
+        '01/09/25 W 7-3 A'
+    ]);
+    assert.deepEqual(record.home, { played: 3, won: 0, drawn: 1, lost: 2 });
+    assert.deepEqual(record.away, { played: 2, won: 2, drawn: 0, lost: 0 });
+    assert.equal(compute_team_record(RESULTS, 'Railway', 2).last_results.length, 2);
+});
+
+test('describe_head_to_head summarises a report in a few lines', () => {
+    const previous_matches = collect_matches([[event('02/10/24', 'Railway', 'Manor', '5-5')]]).map(match => ({ ...match, season: '150000001' }));
+    const report = build_head_to_head_report(event('06/10/25', 'Railway', 'Manor'), { matches: RESULTS, previous_matches });
+    assert.deepEqual(report.previous_seasons.meetings, [{ season: '150000001', date: '02/10/24', home_team: 'Railway', away_team: 'Manor', score: '5-5' }]);
+    assert.deepEqual(describe_head_to_head(report), [
+        'Head to head this season: Railway 1, Manor 1, drawn 0',
+        'Head to head in previous seasons: Railway 0, Manor 0, drawn 1',
+        'Railway last 5: L walkover vs Albert A, W 8-2 at Heron B, L 4-6 vs Manor, D 5-5 vs Queens, W 7-3 at Manor',
+        'Manor last 3: L 4-6 at Queens, W 6-4 at Railway, L 3-7 vs Railway',
+        'Railway at home: won 0, drawn 1, lost 2. Manor away: won 1, drawn 0, lost 1'
+    ]);
+
+    const first_meeting = build_head_to_head_report(event('06/10/25', 'Sam Webbs', 'Rosemount'), { matches: RESULTS });
+    assert.deepEqual(describe_head_to_head(first_meeting), [
+        'Head to head this season: first meeting',
+        'Sam Webbs at home: won 0, drawn 0, lost 0. Rosemount away: won 0, drawn 0, lost 0'
+    ]);
+});
+
+test('load_head_to_head_async reads this season\'s results and earlier seasons from the archive', async (t) => {
+    const out_dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pool-fixtures-'));
+    t.after(() => fs.rm(out_dir, { recursive: true, force: true }));
+    await write_json(path.join(out_dir, 'fixtures-railway.json'), [event('06/10/25', 'Railway', 'Manor'), event('13/10/25', 'Sam Webbs', 'Railway', 'P-P')]);
+    await write_json(path.join(out_dir, 'fixtures-manor.json'), [event('06/10/25', 'Railway', 'Manor')]);
+    await write_json(path.join(out_dir, 'results-railway.json'), [event('01/09/25', 'Manor', 'Railway', '3-7')]);
+    await write_json(path.join(out_dir, 'archive', '150000001', 'results-manor.json'), [event('02/10/24', 'Railway', 'Manor', '5-5')]);
+    // The current season's own archive is not counted twice.
+    await write_json(path.join(out_dir, 'archive', '160037514', 'results-railway.json'), [event('01/09/25', 'Manor', 'Railway', '3-7')]);
+
+    const reports = await load_head_to_head_async([{ name: 'Railway', url: TEAM_URL }, { name: 'Manor', url: TEAM_URL }], { out_dir });
+    assert.deepEqual([...reports.keys()], ['06/10/25|railway|manor']);
+    const [report] = reports.values();
+    assert.equal(report.this_season.played, 1);
+    assert.equal(report.previous_seasons.played, 1);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    escape_text,
+    unescape_text,
+    fold_line,
+    serialize_property,
+    serialize_calendar,
+    property
+} = require('../scripts/ics');
+
+test('escape_text escapes backslashes, separators and newlines', () => {
+    assert.equal(escape_text('Hotel, 3 Chapel Row; Douglas'), 'Hotel\\, 3 Chapel Row\\; Douglas');
+    assert.equal(escape_text('Venue: Railway\nURL: x'), 'Venue: Railway\\nURL: x');
+    assert.equal(escape_text('a\\b'), 'a\\\\b');
+    assert.equal(unescape_text(escape_text('a\\b, c; d\ne')), 'a\\b, c; d\ne');
+});
+
+test('fold_line leaves short lines alone', () => {
+    assert.deepEqual(fold_line('SUMMARY:Railway vs Manor'), ['SUMMARY:Railway vs Manor']);
+});
+
+test('fold_line splits at 75 octets and indents continuation lines', () => {
+    const line = `DESCRIPTION:${'x'.repeat(200)}`;
+    const folded = fold_line(line);
+    for (const part of folded) {
+        assert.ok(Buffer.byteLength(part, 'utf8') <= 75);
+    }
+    assert.equal(Buffer.byteLength(folded[0], 'utf8'), 75);
+    assert.ok(folded.slice(1).every(part => part.startsWith(' ')));
+    assert.equal(folded.map((part, index) => index === 0 ? part : part.slice(1)).join(''), line);
+});
+
+test('fold_line never splits a multi-byte character', () => {
+    const line = `SUMMARY:${'é'.repeat(100)}`;
+    const folded = fold_line(line);
+    for (const part of folded) {
+        assert.ok(Buffer.byteLength(part, 'utf8') <= 75);
+        assert.ok(!part.includes('�'));
+    }
+    assert.equal(folded.map((part, index) => index === 0 ? part : part.slice(1)).join(''), line);
+});
+
+test('serialize_property escapes TEXT values and quotes parameters', () => {
+    assert.equal(serialize_property(property('LOCATION', 'Railway, Douglas')), 'LOCATION:Railway\\, Douglas');
+    assert.equal(serialize_property(property('DTSTART', '20250331T193000', { TZID: 'Europe/Isle_of_Man' })), 'DTSTART;TZID=Europe/Isle_of_Man:20250331T193000');
+    assert.equal(serialize_property(property('X-APPLE-STRUCTURED-LOCATION', 'geo:1,2', { 'X-TITLE': 'Railway, Douglas' })), 'X-APPLE-STRUCTURED-LOCATION;X-TITLE="Railway, Douglas":geo:1,2');
+    assert.equal(serialize_property(property('CATEGORIES', ['Home', 'Pool, League'])), 'CATEGORIES:Home,Pool\\, League');
+});
+
+test('serialize_calendar uses CRLF, skips empty values and ends with a line break', () => {
+    const text = serialize_calendar({
+        name: 'VCALENDAR',
+        properties: [property('VERSION', '2.0'), property('X-WR-CALNAME', '')],
+        components: [{ name: 'VEVENT', properties: [property('UID', 'abc'), property('SEQUENCE', 0)] }]
+    });
+    assert.equal(text, 'BEGIN:VCALENDAR\r\nVERSION:2.0\r\nBEGIN:VEVENT\r\nUID:abc\r\nSEQUENCE:0\r\nEND:VEVENT\r\nEND:VCALENDAR\r\n');
+});
@@ -0,0 +1,199 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {describe_event, convert_events_to_ical, merge_league_events, build_calendars} = require('../scripts/json-to-ics');
+const {create_venue_resolver} = require('../scripts/venues');
+const {parse_ics, get_property_value, validate_ics} = require('../scripts/validate-ics');
+
+const TEAM_URL = 'https://example.com/team/1/2.html';
+const NOW = new Date('2025-09-01T00:00:00Z');
+
+const event = (date, home_team, away_team, result) => ({ date, time: '20:00', home_team, away_team, venue: 'Railway', result });
+
+const get_vevents = (ics) => parse_ics(ics).components[0].components.filter(component => component.name === 'VEVENT');
+
+test('describe_event writes fixtures and results from the team\'s side', () => {
+    assert.deepEqual(describe_event(event('15/09/25', 'Railway', 'Manor'), 'Railway'), {
+        summary: 'vs Manor (H)', categories: ['Home', 'Fixture'], opponent: 'Manor', postponed: false
+    });
+    assert.equal(describe_event(event('15/09/25', 'Manor', 'Railway'), 'railway').summary, 'at Manor (A)');
+    assert.deepEqual(describe_event(event('01/09/25', 'Manor', 'Railway', '3-7'), 'Railway').categories, ['Away', 'Result', 'Win']);
+    assert.equal(describe_event(event('01/09/25', 'Manor', 'Railway', '3-7'), 'Railway').summary, 'W 7-3 at Manor (A)');
+    assert.equal(describe_event(event('01/09/25', 'Railway', 'Manor', '5-5'), 'Railway').summary, 'D 5-5 vs Manor (H)');
+    assert.equal(describe_event(event('01/09/25', 'Railway', 'Manor', 'O-W'), 'Railway').summary, 'L walkover vs Manor (H)');
+    assert.deepEqual(describe_event(event('06/10/25', 'Railway', 'Manor', 'P-P'), 'Railway'), {
+        summary: 'Postponed: vs Manor (H)', categories: ['Home', 'Postponed'], opponent: 'Manor', postponed: true
+    });
+});
+
+test('describe_event falls back to "Home vs Away" without a team', () => {
+    assert.equal(describe_event(event('15/09/25', 'Railway', 'Manor')).summary, 'Railway vs Manor');
+    assert.equal(describe_event(event('01/09/25', 'Railway', 'Manor', '7-3'), 'Queens').summary, 'Railway 7-3 Manor');
+    assert.deepEqual(describe_event(event('01/09/25', 'Railway', 'Manor', '7-3')).categories, []);
+});
+
+test('convert_events_to_ical adds categories, cancellations, reminders and the opponent\'s form', () => {
+    const ics = convert_events_to_ical([
+        event('15/09/25', 'Railway', 'Manor'),
+        event('08/09/25', 'Queens', 'Railway', 'P-P'),
+        event('01/09/25', 'Railway', 'Queens', '6-4')
+    ], create_venue_resolver([]), TEAM_URL, {
+        now: NOW,
+        team_name: 'Railway',
+        reminders: [60, 1440],
+        form: new Map([['Manor', 'WWDLW']])
+    });
+    assert.deepEqual(validate_ics(ics), []);
+    assert.match(ics, /CATEGORIES:Home,Fixture\r\n/);
+
+    const [fixture, postponed, played] = get_vevents(ics);
+    assert.equal(get_property_value(fixture, 'SUMMARY'), 'vs Manor (H)');
+    assert.match(get_property_value(fixture, 'DESCRIPTION'), /Manor form \(last 5, oldest first\): WWDLW/);
+    const alarms = fixture.components.filter(component => component.name === 'VALARM');
+    assert.deepEqual(alarms.map(alarm => get_property_value(alarm, 'TRIGGER')), ['-PT1H', '-P1D']);
+    assert.equal(get_property_value(alarms[0], 'DESCRIPTION'), 'vs Manor (H)');
+
+    assert.equal(get_property_value(postponed, 'STATUS'), 'CANCELLED');
+    assert.equal(get_property_value(played, 'SUMMARY'), 'W 6-4 vs Queens (H)');
+    assert.equal(get_property_value(played, 'STATUS'), undefined);
+    for (const vevent of [postponed, played]) {
+        assert.equal(vevent.components.length, 0);
+    }
+});
+
+test('build_calendars shows opponents\' form from every team\'s results', async (t) => {
+    const out_dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pool-fixtures-'));
+    t.after(() => fs.rm(out_dir, { recursive: true, force: true }));
+    await fs.writeFile(path.join(out_dir, 'fixtures-railway.json'), JSON.stringify([event('15/09/25', 'Railway', 'Manor')]));
+    await fs.writeFile(path.join(out_dir, 'fixtures-manor.json'), JSON.stringify([event('15/09/25', 'Railway', 'Manor')]));
+    await fs.writeFile(path.join(out_dir, 'results-manor.json'), JSON.stringify([
+        event('08/09/25', 'Manor', 'Queens', '2-8'),
+        event('01/09/25', 'Queens', 'Manor', '3-7')
+    ]));
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'log', () => {});
+
+    await build_calendars([{ name: 'Railway', url: TEAM_URL }, { name: 'Manor', url: TEAM_URL }], { out_dir, reminders: [30] });
+
+    const [fixture] = get_vevents(await fs.readFile(path.join(out_dir, 'railway.ics'), 'utf8'));
+    assert.match(get_property_value(fixture, 'DESCRIPTION'), /Manor form \(last 2, oldest first\): WL/);
+    assert.match(get_property_value(fixture, 'DESCRIPTION'), /Head to head this season: first meeting\nManor last 2: L 2-8 vs Queens, W 7-3 at Queens\nRailway at home: won 0, drawn 0, lost 0\. Manor away: won 1, drawn 0, lost 0/);
+    assert.equal(get_property_value(fixture.components[0], 'TRIGGER'), '-PT30M');
+});
+
+test('build_calendars warns about clashes in the fixtures\' descriptions when asked', async (t) => {
+    const out_dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pool-fixtures-'));
+    t.after(() => fs.rm(out_dir, { recursive: true, force: true }));
+    const venues_path = path.join(out_dir, 'venues.json');
+    await fs.writeFile(venues_path, '[]');
+    await fs.writeFile(path.join(out_dir, 'fixtures-railway.json'), JSON.stringify([event('15/09/35', 'Railway', 'Manor'), event('16/09/35', 'Queens', 'Railway')]));
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'log', () => {});
+    const teams = [{ name: 'Railway', url: TEAM_URL }];
+    const read_descriptions = async () => get_vevents(await fs.readFile(path.join(out_dir, 'railway.ics'), 'utf8'))
+        .map(vevent => get_property_value(vevent, 'DESCRIPTION'));
+
+    await build_calendars(teams, { out_dir, venues_path });
+    assert.ok((await read_descriptions()).every(description => !description.includes('Clash')));
+
+    await build_calendars(teams, { out_dir, venues_path, clash_warnings: true });
+    const descriptions = await read_descriptions();
+    assert.equal(descriptions.filter(description => description.includes('⚠️ Clash: Railway play on consecutive nights, 15/09/35 and 16/09/35')).length, 2);
+});
+
+test('merge_league_events keeps each match once, preferring the result', () => {
+    const fixture = event('01/09/25', 'Railway', 'Manor');
+    const result = { ...event('01/09/25', 'railway', 'Manor', '7-3'), venue: '' };
+    const merged = merge_league_events([
+        { team_url: 'https://example.com/team/1/railway.html', events: [fixture, event('08/09/25', 'Queens', 'Railway')] },
+        { team_url: 'https://example.com/team/1/manor.html', events: [result] }
+    ]);
+    assert.deepEqual(merged.map(match => [match.date, match.result, match.team_url]), [
+        ['01/09/25', '7-3', 'https://example.com/team/1/manor.html'],
+        ['08/09/25', undefined, 'https://example.com/team/1/railway.html']
+    ]);
+});
+
+test('build_calendars writes upcoming, results, league and venue calendars with shared UIDs', async (t) => {
+    const out_dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pool-fixtures-'));
+    t.after(() => fs.rm(out_dir, { recursive: true, force: true }));
+    const venues_path = path.join(out_dir, 'venues.json');
+    await fs.writeFile(venues_path, JSON.stringify([{ name: 'The Railway Inn', aliases: ['Railway'] }]));
+    await fs.writeFile(path.join(out_dir, 'fixtures-railway.json'), JSON.stringify([
+        event('15/09/35', 'Railway', 'Manor'),
+        { ...event('22/09/35', 'Queens', 'Railway'), venue: 'Queens' }
+    ]));
+    await fs.writeFile(path.join(out_dir, 'results-railway.json'), JSON.stringify([
+        { ...event('01/09/25', 'Railway', 'Manor', '7-3'), venue: '' },
+        { ...event('08/09/25', 'Railway', 'Queens', 'P-P'), venue: '' }
+    ]));
+    await fs.writeFile(path.join(out_dir, 'fixtures-manor.json'), JSON.stringify([event('15/09/35', 'Railway', 'Manor')]));
+    await fs.writeFile(path.join(out_dir, 'results-manor.json'), JSON.stringify([{ ...event('01/09/25', 'Railway', 'Manor', '7-3'), venue: '' }]));
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'log', () => {});
+
+    const { calendars } = await build_calendars([{ name: 'Railway', url: TEAM_URL }, { name: 'Manor', url: TEAM_URL }], { out_dir, venues_path, league_name: 'Douglas' });
+
+    assert.deepEqual(calendars.filter(calendar => calendar.team === 'Railway').map(calendar => calendar.file), ['railway.ics', 'upcoming-railway.ics', 'results-railway.ics']);
+    assert.equal(calendars.find(calendar => calendar.team === null).file, 'league.ics');
+
+    const read_summaries = async (file_name) => {
+        const ics = await fs.readFile(path.join(out_dir, file_name), 'utf8');
+        assert.deepEqual(validate_ics(ics), []);
+        return get_vevents(ics).map(vevent => get_property_value(vevent, 'SUMMARY'));
+    };
+    assert.deepEqual(await read_summaries('upcoming-railway.ics'), ['vs Manor (H)', 'at Queens (A)']);
+    assert.deepEqual(await read_summaries('results-railway.ics'), ['W 7-3 vs Manor (H)']);
+    assert.deepEqual(await read_summaries('league.ics'), [
+        'Railway vs Manor',
+        'Queens vs Railway',
+        'Railway 7-3 Manor',
+        'Postponed: Railway vs Queens'
+    ]);
+    assert.deepEqual(await read_summaries('venue-the-railway-inn.ics'), [
+        'Railway vs Manor',
+        'Railway 7-3 Manor',
+        'Postponed: Railway vs Queens'
+    ]);
+
+    const uids = async (file_name) => get_vevents(await fs.readFile(path.join(out_dir, file_name), 'utf8'))
+        .map(vevent => get_property_value(vevent, 'UID'));
+    const [league_uid] = await uids('league.ics');
+    assert.ok((await uids('railway.ics')).includes(league_uid));
+    assert.ok((await uids('manor.ics')).includes(league_uid));
+
+    const feeds = JSON.parse(await fs.readFile(path.join(out_dir, 'feeds.json'), 'utf8'));
+    assert.deepEqual(feeds, {
+        league: 'league.ics',
+        venues: [
+            { name: 'Queens', file: 'venue-queens.ics', matches: 1 },
+            { name: 'The Railway Inn', file: 'venue-the-railway-inn.ics', matches: 3 }
+        ],
+        exports: []
+    });
+});
+
+test('build_calendars exports each team\'s calendar and the league calendar in the chosen formats', async (t) => {
+    const out_dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pool-fixtures-'));
+    t.after(() => fs.rm(out_dir, { recursive: true, force: true }));
+    const venues_path = path.join(out_dir, 'venues.json');
+    await fs.writeFile(venues_path, '[]');
+    await fs.writeFile(path.join(out_dir, 'fixtures-railway.json'), JSON.stringify([event('15/09/35', 'Railway', 'Manor')]));
+    await fs.writeFile(path.join(out_dir, 'results-railway.json'), JSON.stringify([event('01/09/25', 'Railway', 'Manor', '7-3')]));
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'log', () => {});
+
+    await assert.rejects(build_calendars([{ name: 'Railway', url: TEAM_URL }], { out_dir, venues_path, exports: ['pdf'] }), /Unknown export format\(s\): pdf/);
+    await build_calendars([{ name: 'Railway', url: TEAM_URL }], { out_dir, venues_path, exports: ['csv', 'rss'] });
+
+    const feeds = JSON.parse(await fs.readFile(path.join(out_dir, 'feeds.json'), 'utf8'));
+    assert.deepEqual(feeds.exports, ['railway.csv', 'railway.rss', 'league.csv', 'league.rss']);
+    const csv = (await fs.readFile(path.join(out_dir, 'railway.csv'), 'utf8')).trim().split('\r\n');
+    assert.equal(csv.length, 3);
+    assert.match(csv[1], /^15\/09\/35,20:00,.*,Railway,Manor,Railway,/);
+    const rss = await fs.readFile(path.join(out_dir, 'railway.rss'), 'utf8');
+    assert.match(rss, /<title>W 7-3 vs Manor \(H\)<\/title>/);
+    await assert.rejects(fs.access(path.join(out_dir, 'upcoming-railway.csv')));
+});
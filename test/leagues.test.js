@@ -0,0 +1,224 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {
+    load_leagues_async,
+    select_leagues,
+    get_release_assets,
+    check_for_collisions
+} = require('../scripts/leagues');
+const {collect_release_assets, restore_release_assets} = require('../scripts/release');
+const {run_leagues} = require('../scripts/pipeline');
+
+const DOUGLAS_URL = 'https://douglaspoolleague.leaguerepublic.com/index.html';
+const CUP_URL = 'https://iomcup.leaguerepublic.com/index.html';
+
+const create_workspace = async (t, leagues) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pool-fixtures-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    const leagues_file = path.join(dir, 'leagues.json');
+    await fs.writeFile(leagues_file, JSON.stringify({ leagues }));
+    return { dir, leagues_file, out_dir: path.join(dir, 'dist') };
+};
+
+const write_json = async (file_path, value) => {
+    await fs.mkdir(path.dirname(file_path), { recursive: true });
+    await fs.writeFile(file_path, JSON.stringify(value));
+};
+
+const two_leagues = [
+    { id: 'douglas', name: 'Douglas Pool League', url: DOUGLAS_URL, teams_file: 'teams.json', asset_prefix: '' },
+    { id: 'cup', name: 'Island Cup', url: CUP_URL, time_zone: 'Europe/London', match_duration_minutes: 180 }
+];
+
+const write_teams = async (dir) => {
+    await write_json(path.join(dir, 'teams.json'), [
+        { name: 'Railway', url: 'https://douglaspoolleague.leaguerepublic.com/team/160037514/717368412.html' }
+    ]);
+    await write_json(path.join(dir, 'teams-cup.json'), [
+        { name: 'Railway', url: 'https://iomcup.leaguerepublic.com/team/5550001/1234.html' }
+    ]);
+};
+
+test('load_leagues_async fills in defaults and resolves paths against the config file', async (t) => {
+    const { dir, leagues_file } = await create_workspace(t, two_leagues);
+    const [douglas, cup] = await load_leagues_async(leagues_file);
+
+    assert.equal(douglas.teams_file, path.join(dir, 'teams.json'));
+    assert.equal(douglas.venues_path, path.join(dir, 'venues.json'));
+    assert.equal(douglas.asset_prefix, '');
+    assert.equal(douglas.match_duration_minutes, 120);
+    assert.deepEqual(douglas.reminders, []);
+    assert.deepEqual(douglas.exports, []);
+    assert.equal(douglas.clash_warnings, false);
+    assert.equal(douglas.max_shrink, 0.5);
+    assert.equal(douglas.subscribers_file, path.join(dir, 'subscribers-douglas.json'));
+    assert.equal(cup.teams_file, path.join(dir, 'teams-cup.json'));
+    assert.equal(cup.asset_prefix, 'cup-');
+    assert.equal(cup.time_zone, 'Europe/London');
+    assert.equal(cup.match_duration_minutes, 180);
+});
+
+test('load_leagues_async rejects invalid configs', async (t) => {
+    const cases = [
+        [[], /non-empty "leagues"/],
+        [[{ id: 'Douglas League', url: DOUGLAS_URL }], /needs an "id"/],
+        [[{ id: 'douglas' }], /needs a "url"/],
+        [[{ id: 'douglas', url: DOUGLAS_URL, time_zone: 'Mars/Olympus' }], /unknown time zone/],
+        [[{ id: 'douglas', url: DOUGLAS_URL, match_duration_minutes: 0 }], /match_duration_minutes/],
+        [[{ id: 'douglas', url: DOUGLAS_URL, reminders: 60 }], /invalid "reminders"/],
+        [[{ id: 'douglas', url: DOUGLAS_URL, reminders: [-5] }], /invalid "reminders"/],
+        [[{ id: 'douglas', url: DOUGLAS_URL, exports: ['pdf'] }], /invalid "exports"/],
+        [[{ id: 'douglas', url: DOUGLAS_URL, clash_warnings: 'yes' }], /invalid "clash_warnings"/],
+        [[{ id: 'douglas', url: DOUGLAS_URL, max_shrink: 1.5 }], /invalid "max_shrink"/],
+        [[{ id: 'douglas', url: DOUGLAS_URL }, { id: 'douglas', url: CUP_URL }], /used more than once/]
+    ];
+    for (const [leagues, message] of cases) {
+        const { leagues_file } = await create_workspace(t, leagues);
+        await assert.rejects(load_leagues_async(leagues_file), message);
+    }
+});
+
+test('select_leagues keeps the given ids and rejects unknown ones', async (t) => {
+    const { leagues_file } = await create_workspace(t, two_leagues);
+    const leagues = await load_leagues_async(leagues_file);
+    assert.deepEqual(select_leagues(leagues, ['cup']).map(league => league.id), ['cup']);
+    assert.equal(select_leagues(leagues).length, 2);
+    assert.throws(() => select_leagues(leagues, ['premier']), /Unknown league\(s\): premier/);
+});
+
+test('get_release_assets prefixes each published file with the league', async (t) => {
+    const { leagues_file, out_dir } = await create_workspace(t, two_leagues);
+    const [, cup] = await load_leagues_async(leagues_file);
+    const names = get_release_assets(cup, [{ name: 'Railway' }], out_dir).map(asset => asset.name);
+    assert.deepEqual(names, [
+        'cup-railway.ics',
+        'cup-upcoming-railway.ics',
+        'cup-results-railway.ics',
+        'cup-fixtures-railway.json',
+        'cup-league.ics',
+        'cup-calendar-state.json',
+        'cup-standings.json',
+        'cup-standings.html',
+        'cup-standings.md',
+        'cup-players.json',
+        'cup-changes.json',
+        'cup-notifications-state.json',
+        'cup-verification.json'
+    ]);
+});
+
+test('check_for_collisions catches teams or leagues that would share a file', async (t) => {
+    const { leagues_file, out_dir } = await create_workspace(t, two_leagues);
+    const [douglas, cup] = await load_leagues_async(leagues_file);
+
+    assert.throws(() => check_for_collisions([
+        { league: douglas, teams: [{ name: 'Heron B' }, { name: 'Heron-B' }] }
+    ], out_dir), /would share the file name "heron-b"/);
+
+    assert.throws(() => check_for_collisions([
+        { league: douglas, teams: [{ name: 'Railway' }] },
+        { league: { ...cup, asset_prefix: '' }, teams: [{ name: 'Railway' }] }
+    ], out_dir), /would both publish "railway.ics"/);
+
+    assert.throws(() => check_for_collisions([
+        { league: douglas, teams: [{ name: 'Railway' }, { name: 'Upcoming Railway' }] }
+    ], out_dir), /would overwrite "upcoming-railway.ics" of "Railway"/);
+
+    assert.throws(() => check_for_collisions([
+        { league: douglas, teams: [{ name: 'League' }] }
+    ], out_dir), /would overwrite "league.ics" of the league calendar/);
+
+    check_for_collisions([
+        { league: douglas, teams: [{ name: 'Railway' }] },
+        { league: cup, teams: [{ name: 'Railway' }] }
+    ], out_dir);
+});
+
+test('run_leagues builds each league into its own folder with its own settings', async (t) => {
+    const { dir, leagues_file, out_dir } = await create_workspace(t, two_leagues);
+    await write_teams(dir);
+    const fixture = { date: '15/09/25', time: '20:00', home_team: 'Railway', away_team: 'Manor', venue: 'Railway' };
+    await write_json(path.join(out_dir, 'douglas', 'fixtures-railway.json'), [fixture]);
+    await write_json(path.join(out_dir, 'cup', 'fixtures-railway.json'), [fixture]);
+
+    const summary = await run_leagues('build', { leagues_file, out_dir });
+
+    assert.deepEqual(summary, { succeeded: ['douglas/Railway', 'cup/Railway'], failed: [] });
+    const douglas_ics = await fs.readFile(path.join(out_dir, 'douglas', 'railway.ics'), 'utf8');
+    const cup_ics = await fs.readFile(path.join(out_dir, 'cup', 'railway.ics'), 'utf8');
+    assert.match(douglas_ics, /X-WR-CALNAME:Railway \(Douglas Pool League\)/);
+    assert.match(douglas_ics, /DTEND;TZID=Europe\/Isle_of_Man:20250915T220000/);
+    assert.match(cup_ics, /X-WR-CALNAME:Railway \(Island Cup\)/);
+    assert.match(cup_ics, /DTEND;TZID=Europe\/London:20250915T230000/);
+});
+
+test('run_leagues only runs the leagues that have the selected teams', async (t) => {
+    const { dir, leagues_file, out_dir } = await create_workspace(t, two_leagues);
+    await write_teams(dir);
+    await write_json(path.join(dir, 'teams-cup.json'), [
+        { name: 'Manor', url: 'https://iomcup.leaguerepublic.com/team/5550001/99.html' }
+    ]);
+    await write_json(path.join(out_dir, 'cup', 'fixtures-manor.json'), []);
+
+    const summary = await run_leagues('build', { leagues_file, out_dir, team: ['manor'] });
+    assert.deepEqual(summary, { succeeded: ['cup/Manor'], failed: [] });
+    await assert.rejects(fs.access(path.join(out_dir, 'douglas')));
+});
+
+test('collect_release_assets and restore_release_assets round-trip the published state', async (t) => {
+    const { dir, leagues_file, out_dir } = await create_workspace(t, two_leagues);
+    await write_teams(dir);
+    const leagues = await load_leagues_async(leagues_file);
+    await write_json(path.join(out_dir, 'douglas', 'fixtures-railway.json'), [{ home_team: 'Railway' }]);
+    await write_json(path.join(out_dir, 'douglas', 'calendar-state.json'), { douglas: true });
+    await write_json(path.join(out_dir, 'douglas', 'verification.json'), { passed: true, teams: [] });
+    await write_json(path.join(out_dir, 'cup', 'fixtures-railway.json'), [{ home_team: 'Railway', cup: true }]);
+    await fs.writeFile(path.join(out_dir, 'cup', 'railway.ics'), 'BEGIN:VCALENDAR');
+    await fs.writeFile(path.join(out_dir, 'cup', 'railway.csv'), 'date');
+    await write_json(path.join(out_dir, 'cup', 'feeds.json'), { league: 'league.ics', venues: [], exports: ['railway.csv'] });
+    await fs.mkdir(path.join(out_dir, 'cup', 'archive', '5550001'), { recursive: true });
+    await fs.writeFile(path.join(out_dir, 'cup', 'archive', '5550001', 'railway.ics'), 'BEGIN:VCALENDAR');
+
+    const collected = await collect_release_assets(leagues, { out_dir });
+    assert.deepEqual(collected.sort(), [
+        'calendar-state.json',
+        'cup-archive-5550001-railway.ics',
+        'cup-fixtures-railway.json',
+        'cup-railway.csv',
+        'cup-railway.ics',
+        'fixtures-railway.json',
+        'verification.json'
+    ]);
+    const changes = await fs.readFile(path.join(out_dir, 'release', 'changes.md'), 'utf8');
+    assert.match(changes, /### Douglas Pool League\n\nNo previously published fixtures/);
+    assert.match(changes, /### Island Cup\n/);
+
+    const fresh_out_dir = path.join(dir, 'next');
+    await fs.cp(path.join(out_dir, 'release'), path.join(fresh_out_dir, 'release'), { recursive: true });
+    const restored = await restore_release_assets(leagues, { out_dir: fresh_out_dir });
+    assert.deepEqual(restored, ['calendar-state.json', 'verification.json', 'fixtures-railway.json', 'cup-fixtures-railway.json', 'cup-archive-5550001-railway.ics']);
+    await fs.access(path.join(fresh_out_dir, 'cup', 'archive', '5550001', 'railway.ics'));
+    const previous = JSON.parse(await fs.readFile(path.join(fresh_out_dir, 'cup', 'previous', 'fixtures-railway.json'), 'utf8'));
+    assert.deepEqual(previous, [{ home_team: 'Railway', cup: true }]);
+    await fs.access(path.join(fresh_out_dir, 'douglas', 'calendar-state.json'));
+    await fs.access(path.join(fresh_out_dir, 'douglas', 'previous', 'verification.json'));
+});
+
+test('collect_release_assets refuses to publish after a failed publish check, keeping the last release', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const { dir, leagues_file, out_dir } = await create_workspace(t, two_leagues);
+    await write_teams(dir);
+    const leagues = await load_leagues_async(leagues_file);
+    await fs.mkdir(path.join(out_dir, 'release'), { recursive: true });
+    await fs.writeFile(path.join(out_dir, 'release', 'railway.ics'), 'last good');
+    await write_json(path.join(out_dir, 'cup', 'verification.json'), {
+        passed: false,
+        teams: [{ team: 'Railway', problems: ['The calendar is empty but had 12 event(s).'] }]
+    });
+
+    await assert.rejects(collect_release_assets(leagues, { out_dir }), /Refusing to publish: the publish check failed for cup/);
+    assert.equal(await fs.readFile(path.join(out_dir, 'release', 'railway.ics'), 'utf8'), 'last good');
+});
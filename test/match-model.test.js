@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {
+    MATCH_SCHEMA_PATH,
+    MATCH_STATUSES,
+    parse_result,
+    create_match,
+    upgrade_match,
+    validate_match,
+    load_matches_async
+} = require('../scripts/match-model');
+const {build_calendars} = require('../scripts/json-to-ics');
+
+const EXPECTED_DIR = path.join(__dirname, 'fixtures', 'expected');
+const TEAM_URL = 'https://douglaspoolleague.leaguerepublic.com/team/160037514/717368412.html';
+
+const make_temp_dir = async (t) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pool-fixtures-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    return dir;
+};
+
+test('parse_result reads scores, walkovers, postponements and fixtures', () => {
+    assert.deepEqual(parse_result('7 - 3'), { status: 'played', score: { home_score: 7, away_score: 3 }, winner: 'home' });
+    assert.deepEqual(parse_result('5-5'), { status: 'played', score: { home_score: 5, away_score: 5 }, winner: 'draw' });
+    assert.deepEqual(parse_result('O-W'), { status: 'walkover', score: null, winner: 'away' });
+    assert.deepEqual(parse_result('P-P'), { status: 'postponed', score: null, winner: null });
+    assert.deepEqual(parse_result(''), { status: 'scheduled', score: null, winner: null });
+    assert.equal(parse_result('A-A').status, 'unknown');
+});
+
+test('create_match adds the start time, team ids, division and source', () => {
+    const match = create_match(
+        { date: '30/03/25', time: '01:30', home_team: 'Railway', away_team: 'Manor', venue: 'Railway' },
+        { home_team_url: '/team/160037514/717368412.html', division: 'PREM', source_url: TEAM_URL }
+    );
+    // 01:30 does not exist on the morning the clocks go forward, so it moves to 02:30 BST.
+    assert.equal(match.start, '2025-03-30T02:30:00+01:00');
+    assert.equal(match.home_team_id, '717368412');
+    assert.equal(match.away_team_id, null);
+    assert.equal(match.division, 'PREM');
+    assert.equal(match.status, 'scheduled');
+    assert.equal(match.source_url, TEAM_URL);
+    assert.equal('result' in match, false);
+    assert.equal(create_match({ date: 'TBC', time: 'N/A', home_team: 'Railway', away_team: 'Manor' }).start, null);
+});
+
+test('upgrade_match brings records from before the schema up to date', () => {
+    const legacy = { date: '15/09/25', time: '20:00', home_team: 'Railway', away_team: 'Manx Arms', venue: '', result: '7-3' };
+    const upgraded = upgrade_match(legacy);
+    assert.deepEqual(validate_match(upgraded), []);
+    assert.equal(upgraded.start, '2025-09-15T20:00:00+01:00');
+    assert.deepEqual(upgraded.score, { home_score: 7, away_score: 3 });
+    assert.equal(upgrade_match(upgraded), upgraded);
+});
+
+test('validate_match rejects malformed records', () => {
+    const valid = create_match({ date: '15/09/25', time: '20:00', home_team: 'Railway', away_team: 'Manor', venue: '', result: '7-3' });
+    assert.deepEqual(validate_match(valid), []);
+
+    const cases = [
+        [{ ...valid, home_team: '' }, /home_team must be a non-empty string/],
+        [{ ...valid, start: '15/09/25 20:00' }, /start must be an ISO 8601 date-time/],
+        [{ ...valid, score: { home_score: -1, away_score: 3 } }, /score must be/],
+        [{ ...valid, score: null }, /a played match needs a score/],
+        [{ ...valid, status: 'abandoned' }, /status must be one of/],
+        [{ ...valid, home_team_id: 'railway' }, /home_team_id must be a LeagueRepublic team id/],
+        [{ ...valid, colour: 'red' }, /unknown field "colour"/],
+        [{ ...valid, schema_version: 2 }, /schema_version must be 1/]
+    ];
+    for (const [record, message] of cases) {
+        assert.match(validate_match(record).join('; '), message);
+    }
+    const { winner, ...missing_winner } = valid;
+    assert.match(validate_match(missing_winner).join('; '), /winner must be/);
+});
+
+test('the parsers\' golden JSON is valid against the model', async () => {
+    for (const file_name of await fs.readdir(EXPECTED_DIR)) {
+        const records = JSON.parse(await fs.readFile(path.join(EXPECTED_DIR, file_name), 'utf8'));
+        for (const record of records) {
+            assert.deepEqual(validate_match(record), [], `${file_name}: ${JSON.stringify(record)}`);
+        }
+    }
+});
+
+test('schema/match.schema.json lists the same fields and statuses as the validator', async () => {
+    const schema = JSON.parse(await fs.readFile(MATCH_SCHEMA_PATH, 'utf8'));
+    assert.deepEqual(schema.properties.status.enum, MATCH_STATUSES);
+    const fixture = create_match({ date: '15/09/25', time: '20:00', home_team: 'Railway', away_team: 'Manor' });
+    assert.deepEqual([...schema.required].sort(), Object.keys(fixture).sort());
+    assert.deepEqual(Object.keys(schema.properties).sort(), [...Object.keys(fixture), 'result', 'match_url'].sort());
+});
+
+test('load_matches_async upgrades older files and rejects malformed ones', async (t) => {
+    const dir = await make_temp_dir(t);
+    const file_path = path.join(dir, 'fixtures-railway.json');
+    await fs.writeFile(file_path, JSON.stringify([{ date: '15/09/25', time: '20:00', home_team: 'Railway', away_team: 'Manor', venue: 'Railway' }]));
+    const [match] = await load_matches_async(file_path, { time_zone: 'Europe/London' });
+    assert.equal(match.start, '2025-09-15T20:00:00+01:00');
+
+    const valid = create_match({ date: '15/09/25', time: '20:00', home_team: 'Railway', away_team: 'Manor' });
+    await fs.writeFile(file_path, JSON.stringify([valid, { ...valid, status: 'played' }]));
+    await assert.rejects(load_matches_async(file_path), /fixtures-railway\.json has invalid matches: #2 a played match needs a score/);
+    await fs.writeFile(file_path, JSON.stringify({ matches: [] }));
+    await assert.rejects(load_matches_async(file_path), /must contain a list of matches/);
+});
+
+test('build_calendars fails a team whose JSON is malformed instead of writing its calendar', async (t) => {
+    const out_dir = await make_temp_dir(t);
+    const valid = create_match({ date: '15/09/25', time: '20:00', home_team: 'Railway', away_team: 'Manor' });
+    await fs.writeFile(path.join(out_dir, 'fixtures-railway.json'), JSON.stringify([{ ...valid, home_team: '' }]));
+    await fs.writeFile(path.join(out_dir, 'fixtures-manor.json'), JSON.stringify([valid]));
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+
+    const summary = await build_calendars([{ name: 'Railway', url: TEAM_URL }, { name: 'Manor', url: TEAM_URL }], { out_dir });
+
+    assert.deepEqual(summary.succeeded, ['Manor']);
+    assert.match(summary.failed[0].error, /home_team must be a non-empty string/);
+    await assert.rejects(fs.access(path.join(out_dir, 'railway.ics')));
+});
@@ -0,0 +1,200 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const {build_email, send_smtp_mail, create_output} = require('../scripts/notifiers');
+
+const NOTIFICATION = {
+    id: 'reminder|railway|2025-10-06|railway|manor',
+    type: 'reminder',
+    team: 'Railway',
+    subject: 'Railway: match tomorrow, vs Manor (H) at 20:00',
+    text: 'Railway vs Manor is tomorrow, 06/10/25 at 20:00.\n.A line starting with a dot',
+    match: { home_team: 'Railway', away_team: 'Manor' }
+};
+
+/**
+ * Starts a server and stops it when the test ends.
+ * @returns {Promise<number>} The port it listens on.
+ */
+const listen = async (t, server) => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => {
+        if (server.closeAllConnections) {
+            server.closeAllConnections();
+        }
+        server.close(resolve);
+    }));
+    return server.address().port;
+};
+
+/**
+ * Starts a stand-in SMTP server that accepts everything and records the conversation.
+ * @param {object} [options]
+ * @param {string[]} [options.extensions] - Advertised in the EHLO reply.
+ * @param {Object<string, string>} [options.replies] - Replaces the reply to a command, by its first word.
+ */
+const create_smtp_server = async (t, { extensions = ['AUTH PLAIN'], replies = {} } = {}) => {
+    const session = { commands: [], data: null };
+    const sockets = new Set();
+    const server = net.createServer(socket => {
+        sockets.add(socket);
+        let buffer = '';
+        let data_lines = null;
+        const reply = (command, text) => socket.write(`${replies[command.split(' ')[0]] || text}\r\n`);
+        socket.write('220 smtp.test ESMTP\r\n');
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                if (data_lines) {
+                    if (line === '.') {
+                        session.data = data_lines.join('\r\n');
+                        data_lines = null;
+                        reply('.', '250 Queued');
+                    } else {
+                        data_lines.push(line);
+                    }
+                    continue;
+                }
+                session.commands.push(line);
+                if (line.startsWith('EHLO')) {
+                    socket.write(['smtp.test', ...extensions].map((text, i, all) => `250${i === all.length - 1 ? ' ' : '-'}${text}`).join('\r\n') + '\r\n');
+                } else if (line === 'DATA') {
+                    data_lines = [];
+                    reply(line, '354 Go ahead');
+                } else if (line === 'QUIT') {
+                    reply(line, '221 Bye');
+                    socket.end();
+                } else if (line.startsWith('AUTH')) {
+                    reply(line, '235 Accepted');
+                } else {
+                    reply(line, '250 OK');
+                }
+            }
+        });
+    });
+    t.after(() => sockets.forEach(socket => socket.destroy()));
+    const port = await listen(t, server);
+    return { port, session };
+};
+
+test('build_email writes the headers and dot-stuffs the body', () => {
+    const email = build_email({
+        from: 'Pool Fixtures <fixtures@example.com>',
+        to: ['captain@example.com', 'vice@example.com'],
+        subject: 'Railway: match tomorrow – vs Manor (H)',
+        text: 'First line\n.second line',
+        date: new Date('2025-10-05T09:00:00Z')
+    });
+    const [headers, body] = email.split('\r\n\r\n');
+    assert.match(headers, /^From: Pool Fixtures <fixtures@example\.com>\r\n/);
+    assert.match(headers, /\r\nTo: captain@example\.com, vice@example\.com\r\n/);
+    assert.match(headers, /\r\nSubject: =\?UTF-8\?B\?[A-Za-z0-9+/=]+\?=\r\n/);
+    assert.match(headers, /\r\nDate: Sun, 05 Oct 2025 09:00:00 GMT\r\n/);
+    assert.match(headers, /\r\nMessage-ID: <[0-9a-f-]+@example\.com>\r\n/);
+    assert.equal(body, 'First line\r\n..second line');
+});
+
+test('send_smtp_mail sends the email', async (t) => {
+    const { port, session } = await create_smtp_server(t);
+    await send_smtp_mail({
+        host: '127.0.0.1',
+        port,
+        from: 'Pool Fixtures <fixtures@example.com>',
+        to: ['captain@example.com'],
+        subject: 'Hello',
+        text: 'Match tomorrow.'
+    });
+    assert.match(session.commands[0], /^EHLO /);
+    assert.deepEqual(session.commands.slice(1), [
+        'MAIL FROM:<fixtures@example.com>',
+        'RCPT TO:<captain@example.com>',
+        'DATA',
+        'QUIT'
+    ]);
+    assert.match(session.data, /\r\nSubject: Hello\r\n/);
+    assert.match(session.data, /\r\n\r\nMatch tomorrow\.$/);
+});
+
+test('send_smtp_mail fails when the server refuses a command or does not offer TLS', async (t) => {
+    const refusing = await create_smtp_server(t, { replies: { RCPT: '550 No such user' } });
+    await assert.rejects(
+        send_smtp_mail({ host: '127.0.0.1', port: refusing.port, from: 'a@example.com', to: ['b@example.com'], subject: 'Hi', text: 'Hi' }),
+        /refused RCPT: 550 No such user/
+    );
+    assert.equal(refusing.session.data, null);
+
+    const plain = await create_smtp_server(t);
+    await assert.rejects(
+        send_smtp_mail({ host: '127.0.0.1', port: plain.port, require_tls: true, from: 'a@example.com', to: ['b@example.com'], subject: 'Hi', text: 'Hi' }),
+        /does not offer STARTTLS/
+    );
+    assert.equal(plain.session.commands.some(command => command.startsWith('MAIL')), false);
+});
+
+test('send_smtp_mail does not log in without TLS', async (t) => {
+    const { port, session } = await create_smtp_server(t);
+    await assert.rejects(
+        send_smtp_mail({ host: '127.0.0.1', port, username: 'fixtures', password: 'secret', from: 'a@example.com', to: ['b@example.com'], subject: 'Hi', text: 'Hi' }),
+        /does not offer STARTTLS, so the password would be sent in the clear/
+    );
+    assert.equal(session.commands.some(command => command.startsWith('AUTH')), false);
+});
+
+test('send_smtp_mail reports why the connection ended', async (t) => {
+    const sockets = new Set();
+    t.after(() => sockets.forEach(socket => socket.destroy()));
+    const port = await listen(t, net.createServer(socket => sockets.add(socket)));
+    await assert.rejects(
+        send_smtp_mail({ host: '127.0.0.1', port, timeout_ms: 50, from: 'a@example.com', to: ['b@example.com'], subject: 'Hi', text: 'Hi' }),
+        /did not answer within 50ms/
+    );
+});
+
+test('the webhook output posts the notification as JSON, reading the URL from the environment', async (t) => {
+    const received = [];
+    const port = await listen(t, http.createServer((request, response) => {
+        let body = '';
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => {
+            received.push({ method: request.method, url: request.url, token: request.headers['x-token'], body: JSON.parse(body) });
+            response.writeHead(request.url === '/broken' ? 500 : 204);
+            response.end();
+        });
+    }));
+
+    const output = create_output(
+        { type: 'webhook', url_env: 'HOOK_URL', headers: { 'X-Token': 'abc' } },
+        { env: { HOOK_URL: `http://127.0.0.1:${port}/hook` } }
+    );
+    await output.send(NOTIFICATION, { output: 'hook' });
+    assert.deepEqual(received, [{ method: 'POST', url: '/hook', token: 'abc', body: { ...NOTIFICATION, to: [] } }]);
+
+    const broken = create_output({ type: 'webhook', url: `http://127.0.0.1:${port}/broken` });
+    await assert.rejects(broken.send(NOTIFICATION, { output: 'hook' }), /500/);
+    await assert.rejects(create_output({ type: 'webhook', url_env: 'HOOK_URL' }, { env: {} }).send(NOTIFICATION, {}), /HOOK_URL/);
+});
+
+test('the file output appends a line of JSON per notification, and stdout prints it', async (t) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pool-fixtures-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+    const output = create_output({ type: 'file', path: 'out/notifications.jsonl' }, { base_dir: dir });
+    await output.send(NOTIFICATION, { output: 'log', to: ['x'] });
+    await output.send(NOTIFICATION, { output: 'log' });
+    const lines = (await fs.readFile(path.join(dir, 'out', 'notifications.jsonl'), 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines.map(line => line.to), [['x'], []]);
+    assert.equal(lines[0].subject, NOTIFICATION.subject);
+
+    const log = t.mock.method(console, 'log', () => {});
+    await create_output({ type: 'stdout' }).send(NOTIFICATION, {});
+    assert.match(log.mock.calls[0].arguments[0], /🔔 Railway: match tomorrow/);
+
+    assert.throws(() => create_output({ type: 'pigeon' }), /Unknown output type "pigeon"/);
+});
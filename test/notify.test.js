@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {create_match} = require('../scripts/match-model');
+const {diff_fixtures} = require('../scripts/changes');
+const {
+    load_subscribers_async,
+    build_reminders,
+    build_change_alerts,
+    send_notifications
+} = require('../scripts/notify');
+
+const TIME_ZONE = 'Europe/Isle_of_Man';
+// Sunday morning; Railway play Manor on Monday evening.
+const NOW = new Date('2025-10-05T09:00:00Z');
+const TEAMS = [
+    { name: 'Railway', url: 'https://douglaspoolleague.leaguerepublic.com/team/160037514/1234.html' },
+    { name: 'Manor', url: 'https://douglaspoolleague.leaguerepublic.com/team/160037514/5678.html' }
+];
+
+const fixture = (date, home_team, away_team, overrides = {}) => create_match(
+    { date, time: '20:00', home_team, away_team, venue: home_team, ...overrides },
+    { time_zone: TIME_ZONE }
+);
+
+const FIXTURES = [
+    fixture('06/10/25', 'Railway', 'Manor'),
+    fixture('13/10/25', 'Sam Webbs', 'Railway')
+];
+
+const write_json = async (file_path, data) => {
+    await fs.mkdir(path.dirname(file_path), { recursive: true });
+    await fs.writeFile(file_path, JSON.stringify(data, null, 2), 'utf8');
+};
+
+/**
+ * Writes Railway's fixtures, a change report moving their match at Sam Webbs, and subscribers.json.
+ */
+const create_workspace = async (t, subscribers) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pool-fixtures-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    const out_dir = path.join(dir, 'dist');
+    const subscribers_file = path.join(dir, 'subscribers.json');
+
+    await write_json(path.join(out_dir, 'fixtures-railway.json'), FIXTURES);
+    await write_json(path.join(out_dir, 'changes.json'), {
+        generated_at: NOW.toISOString(),
+        has_previous: true,
+        teams: { Railway: diff_fixtures([fixture('13/10/25', 'Sam Webbs', 'Railway', { time: '19:30' })], [FIXTURES[1]]) }
+    });
+    await write_json(subscribers_file, subscribers);
+    return { dir, out_dir, subscribers_file };
+};
+
+const read_lines = async (file_path) => (await fs.readFile(file_path, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+
+test('build_reminders finds the fixtures that start tomorrow in the league time zone', () => {
+    const reminders = build_reminders('Railway', FIXTURES, { now: NOW, time_zone: TIME_ZONE });
+    assert.equal(reminders.length, 1);
+    assert.equal(reminders[0].type, 'reminder');
+    assert.equal(reminders[0].subject, 'Railway: match tomorrow, vs Manor (H) at 20:00');
+    assert.equal(reminders[0].text, 'Railway vs Manor is tomorrow, 06/10/25 at 20:00, at Railway.');
+    assert.equal(reminders[0].match, FIXTURES[0]);
+
+    // Just before midnight in the Isle of Man (BST), Monday is still tomorrow.
+    assert.equal(build_reminders('Railway', FIXTURES, { now: new Date('2025-10-05T22:30:00Z'), time_zone: TIME_ZONE }).length, 1);
+    assert.equal(build_reminders('Railway', FIXTURES, { now: new Date('2025-10-05T23:30:00Z'), time_zone: TIME_ZONE }).length, 0);
+    const postponed = [{ ...FIXTURES[0], status: 'postponed' }];
+    assert.deepEqual(build_reminders('Railway', postponed, { now: NOW, time_zone: TIME_ZONE }), []);
+});
+
+test('build_change_alerts describes each change with an id that stays the same between runs', () => {
+    const changes = diff_fixtures([fixture('13/10/25', 'Sam Webbs', 'Railway', { time: '19:30' })], [FIXTURES[1]]);
+    const alerts = build_change_alerts('Railway', changes);
+    assert.equal(alerts.length, 1);
+    assert.equal(alerts[0].type, 'change');
+    assert.equal(alerts[0].text, '📅 Moved: Sam Webbs vs Railway from 13/10/25 19:30 to 13/10/25 20:00');
+    assert.deepEqual(build_change_alerts('Railway', changes).map(alert => alert.id), alerts.map(alert => alert.id));
+    assert.deepEqual(build_change_alerts('Railway', undefined), []);
+});
+
+test('load_subscribers_async returns null without a file and rejects invalid ones', async (t) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pool-fixtures-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    const file_path = path.join(dir, 'subscribers.json');
+    assert.equal(await load_subscribers_async(file_path), null);
+
+    const invalid = [
+        [{ teams: {} }, /needs an "outputs" object/],
+        [{ outputs: { hook: { type: 'pigeon' } }, teams: {} }, /Output "hook" .* needs a "type"/],
+        [{ outputs: { hook: { type: 'webhook' } }, teams: {} }, /needs a "url" or "url_env"/],
+        [{ outputs: { email: { type: 'smtp', host: 'smtp.example.com' } }, teams: {} }, /needs a "host" and a "from" address/],
+        [{ outputs: {}, teams: { Railway: [{ output: 'missing' }] } }, /unknown output "missing"/],
+        [{ outputs: { log: { type: 'stdout' } }, teams: { Railway: [{ output: 'log', notify: ['gossip'] }] } }, /invalid "notify"/],
+        [{ outputs: { email: { type: 'smtp', host: 'smtp.example.com', from: 'a@example.com' } }, teams: { Railway: [{ output: 'email' }] } }, /needs "to" addresses/]
+    ];
+    for (const [config, message] of invalid) {
+        await write_json(file_path, config);
+        await assert.rejects(load_subscribers_async(file_path), message);
+    }
+
+    await write_json(file_path, { outputs: { log: { type: 'file', path: 'log.jsonl' } }, teams: { Railway: [{ output: 'log' }] } });
+    const subscribers = await load_subscribers_async(file_path);
+    assert.equal(subscribers.base_dir, dir);
+});
+
+test('send_notifications delivers reminders and changes once, to the subscriptions that want them', async (t) => {
+    const { dir, out_dir, subscribers_file } = await create_workspace(t, {
+        outputs: { log: { type: 'file', path: 'notifications.jsonl' } },
+        teams: {
+            railway: [{ output: 'log', to: ['captain@example.com'] }, { output: 'log', to: ['players@example.com'], notify: ['reminder'] }],
+            Manor: [{ output: 'log', notify: ['change'] }]
+        }
+    });
+    const log_path = path.join(dir, 'notifications.jsonl');
+
+    const summary = await send_notifications(TEAMS, { out_dir, subscribers_file, time_zone: TIME_ZONE, now: NOW });
+    assert.deepEqual(summary, { succeeded: ['Railway', 'Manor'], failed: [] });
+    const sent = await read_lines(log_path);
+    assert.deepEqual(sent.map(notification => [notification.type, notification.to[0]]), [
+        ['reminder', 'captain@example.com'],
+        ['reminder', 'players@example.com'],
+        ['change', 'captain@example.com']
+    ]);
+
+    await send_notifications(TEAMS, { out_dir, subscribers_file, time_zone: TIME_ZONE, now: new Date(NOW.getTime() + 60 * 60 * 1000) });
+    assert.equal((await read_lines(log_path)).length, 3);
+    const state = JSON.parse(await fs.readFile(path.join(out_dir, 'notifications-state.json'), 'utf8'));
+    assert.equal(Object.keys(state.sent).length, 3);
+});
+
+test('send_notifications fails a team whose delivery fails and retries it on the next run', async (t) => {
+    const { out_dir, subscribers_file } = await create_workspace(t, {
+        outputs: { hook: { type: 'webhook', url_env: 'HOOK_URL' } },
+        teams: { Railway: [{ output: 'hook' }] }
+    });
+
+    const failing = await send_notifications(TEAMS, { out_dir, subscribers_file, time_zone: TIME_ZONE, now: NOW, output_options: { env: {} } });
+    assert.deepEqual(failing.succeeded, ['Manor']);
+    assert.match(failing.failed[0].error, /hook: The environment variable HOOK_URL/);
+
+    const posted = [];
+    const http_client = { post: async (url, body) => posted.push([url, body.type]) };
+    const output_options = { env: { HOOK_URL: 'https://hooks.example.com/pool' }, http_client };
+    const retried = await send_notifications(TEAMS, { out_dir, subscribers_file, time_zone: TIME_ZONE, now: NOW, output_options });
+    assert.deepEqual(retried, { succeeded: ['Railway', 'Manor'], failed: [] });
+    assert.deepEqual(posted, [['https://hooks.example.com/pool', 'reminder'], ['https://hooks.example.com/pool', 'change']]);
+});
+
+test('send_notifications sends nothing without subscribers.json', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pool-fixtures-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+    const summary = await send_notifications(TEAMS, { out_dir: dir, subscribers_file: path.join(dir, 'subscribers.json'), now: NOW });
+    assert.deepEqual(summary, { succeeded: ['Railway', 'Manor'], failed: [] });
+    await assert.rejects(fs.access(path.join(dir, 'notifications-state.json')));
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {parse_fixtures, parse_results, parse_team_page, build_matches_json} = require('../scripts/html-to-json');
+const {get_league_headers} = require('../scripts/leaguerepublic');
+
+// Saved LeagueRepublic team pages, each with golden JSON for every parser.
+// Run `UPDATE_GOLDEN=1 npm test` after an intended parser change to rewrite the expectations.
+const PAGES_DIR = path.join(__dirname, 'fixtures', 'team-pages');
+const EXPECTED_DIR = path.join(__dirname, 'fixtures', 'expected');
+const UPDATE_GOLDEN = Boolean(process.env.UPDATE_GOLDEN);
+
+const PARSERS = {
+    fixtures: parse_fixtures,
+    results: parse_results,
+    matches: parse_team_page
+};
+
+const snapshots = fs.readdirSync(PAGES_DIR)
+    .filter(file_name => file_name.endsWith('.html'))
+    .map(file_name => path.basename(file_name, '.html'));
+
+for (const snapshot of snapshots) {
+    const html_content = fs.readFileSync(path.join(PAGES_DIR, `${snapshot}.html`), 'utf8');
+
+    for (const [kind, parse] of Object.entries(PARSERS)) {
+        test(`${parse.name} matches the golden JSON for ${snapshot}.html`, () => {
+            const expected_path = path.join(EXPECTED_DIR, `${snapshot}.${kind}.json`);
+            const actual = parse(html_content);
+
+            if (UPDATE_GOLDEN) {
+                fs.writeFileSync(expected_path, JSON.stringify(actual, null, 2) + '\n', 'utf8');
+            }
+            const expected = JSON.parse(fs.readFileSync(expected_path, 'utf8'));
+            assert.deepEqual(actual, expected);
+        });
+    }
+}
+
+test('the normal team page yields every fixture and result', () => {
+    const html_content = fs.readFileSync(path.join(PAGES_DIR, 'normal.html'), 'utf8');
+    // A layout change that breaks the selectors shows up here as an empty calendar.
+    assert.equal(parse_fixtures(html_content).length, 4);
+    assert.equal(parse_results(html_content).length, 3);
+});
+
+test('parsers reject missing HTML', () => {
+    assert.throws(() => parse_fixtures(''), /No HTML content provided/);
+    assert.throws(() => parse_results(undefined), /No HTML content provided/);
+    assert.throws(() => parse_team_page(null), /No HTML content provided/);
+});
+
+test('parse_team_page lists a match that has just been played once, as a result', () => {
+    const html_content = fs.readFileSync(path.join(PAGES_DIR, 'moved-to-results.html'), 'utf8');
+    const matches = parse_team_page(html_content);
+
+    assert.deepEqual(matches.map(match => `${match.date} ${match.home_team} v ${match.away_team} ${match.status}`), [
+        '06/10/25 DSB Cueless v Railway played',
+        '13/10/25 Railway v Manor played',
+        '20/10/25 Manx Arms v Railway scheduled'
+    ]);
+    // The results table has no venue, so it is taken from the fixture row.
+    assert.equal(matches[1].venue, 'Railway');
+    assert.deepEqual(matches[1].score, { home_score: 8, away_score: 2 });
+});
+
+test('get_league_headers only sends a cookie when a consent cookie is configured', () => {
+    assert.equal(get_league_headers('').Cookie, undefined);
+    assert.equal(get_league_headers('tcf2cookie=abc').Cookie, 'tcf2cookie=abc');
+    assert.match(get_league_headers('').Accept, /text\/html/);
+});
+
+test('build_matches_json writes each match to either the fixtures or the results file', async (t) => {
+    const out_dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pool-fixtures-'));
+    t.after(() => fs.rmSync(out_dir, { recursive: true, force: true }));
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    fs.copyFileSync(path.join(PAGES_DIR, 'moved-to-results.html'), path.join(out_dir, 'team-page-railway.html'));
+
+    const summary = await build_matches_json([{ name: 'Railway', url: 'https://example.com/railway' }, { name: 'Manor', url: 'https://example.com/manor' }], { out_dir });
+
+    assert.deepEqual(summary.succeeded, ['Railway']);
+    assert.equal(summary.failed[0].team, 'Manor');
+    const fixtures = JSON.parse(fs.readFileSync(path.join(out_dir, 'fixtures-railway.json'), 'utf8'));
+    const results = JSON.parse(fs.readFileSync(path.join(out_dir, 'results-railway.json'), 'utf8'));
+    assert.deepEqual(fixtures.map(match => match.date), ['20/10/25']);
+    assert.deepEqual(results.map(match => match.date), ['06/10/25', '13/10/25']);
+    assert.equal(results[1].source_url, 'https://example.com/railway');
+});
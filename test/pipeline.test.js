@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {merge_summaries, run_pipeline} = require('../scripts/pipeline');
+
+const create_workspace = async (t) => {
+    const out_dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pool-fixtures-'));
+    t.after(() => fs.rm(out_dir, { recursive: true, force: true }));
+    const teams_file = path.join(out_dir, 'teams.json');
+    await fs.writeFile(teams_file, JSON.stringify([
+        { name: 'Railway', url: 'https://douglaspoolleague.leaguerepublic.com/team/160037514/717368412.html' },
+        { name: 'Manor', url: 'https://douglaspoolleague.leaguerepublic.com/team/160037514/386641401.html' }
+    ]));
+    return { out_dir, teams_file };
+};
+
+test('merge_summaries reports a team as failed if any step failed for it', () => {
+    const merged = merge_summaries([
+        { succeeded: ['Railway', 'Manor'], failed: [] },
+        { succeeded: ['Railway'], failed: [{ team: 'Manor', error: 'boom' }] }
+    ]);
+    assert.deepEqual(merged, { succeeded: ['Railway'], failed: [{ team: 'Manor', error: 'boom' }] });
+});
+
+test('run_pipeline builds calendars only for the selected teams', async (t) => {
+    const { out_dir, teams_file } = await create_workspace(t);
+    await fs.writeFile(path.join(out_dir, 'fixtures-railway.json'), JSON.stringify([
+        { date: '15/09/25', time: '20:00', home_team: 'Railway', away_team: 'Manor', venue: 'Railway' }
+    ]));
+
+    const summary = await run_pipeline('build', { teams_file, out_dir, team: ['railway'] });
+
+    assert.deepEqual(summary, { succeeded: ['Railway'], failed: [] });
+    const ics = await fs.readFile(path.join(out_dir, 'railway.ics'), 'utf8');
+    assert.match(ics, /SUMMARY:vs Manor \(H\)/);
+    await assert.rejects(fs.access(path.join(out_dir, 'manor.ics')));
+});
+
+test('run_pipeline only validates the calendars the build wrote', async (t) => {
+    const { out_dir, teams_file } = await create_workspace(t);
+    await fs.writeFile(path.join(out_dir, 'fixtures-railway.json'), JSON.stringify([
+        { date: '15/09/25', time: '20:00', home_team: 'Railway', away_team: 'Manor', venue: 'Railway' }
+    ]));
+    // Left over from an earlier run, and not rebuilt with --team railway.
+    await fs.writeFile(path.join(out_dir, 'manor.ics'), 'BEGIN:VCALENDAR\r\n');
+
+    const summary = await run_pipeline('build', { teams_file, out_dir, team: ['railway'] });
+
+    assert.deepEqual(summary, { succeeded: ['Railway'], failed: [] });
+});
+
+test('run_pipeline reports teams whose cached pages are missing when offline', async (t) => {
+    const { out_dir, teams_file } = await create_workspace(t);
+
+    const summary = await run_pipeline('all', { teams_file, out_dir, offline: true });
+
+    assert.deepEqual(summary.succeeded, []);
+    assert.deepEqual(summary.failed.map(failure => failure.team), ['Railway', 'Manor']);
+});
+
+test('run_pipeline rejects unknown commands', async () => {
+    await assert.rejects(run_pipeline('deploy'), /Unknown command "deploy"/);
+});
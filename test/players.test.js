@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {
+    MATCH_CARDS_DIR_NAME,
+    get_match_card_file_name,
+    parse_match_card,
+    compute_player_stats,
+    build_player_stats
+} = require('../scripts/players');
+const {create_match} = require('../scripts/match-model');
+
+const CARDS_DIR = path.join(__dirname, 'fixtures', 'match-cards');
+const MATCH_URL = 'https://douglaspoolleague.leaguerepublic.com/match/160037514/9010.html';
+const TEAM_URL = 'https://douglaspoolleague.leaguerepublic.com/team/160037514/386641401.html';
+
+const read_card = () => fs.readFile(path.join(CARDS_DIR, '9010.html'), 'utf8');
+
+const create_workspace = async (t) => {
+    const out_dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pool-fixtures-'));
+    t.after(() => fs.rm(out_dir, { recursive: true, force: true }));
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    const result = (raw, match_url) => create_match({ time: '20:00', venue: '', ...raw }, { match_url, source_url: TEAM_URL });
+    await fs.writeFile(path.join(out_dir, 'results-manor.json'), JSON.stringify([
+        result({ date: '29/09/25', home_team: 'Manor', away_team: 'Albert A', result: '6-4' }, '/match/160037514/9010.html'),
+        result({ date: '06/10/25', home_team: 'Manor', away_team: 'Manx Arms', result: 'P-P' }),
+        result({ date: '13/10/25', home_team: 'Railway', away_team: 'Manor', result: '5-5' }, '/match/160037514/9020.html')
+    ]));
+    return out_dir;
+};
+
+test('get_match_card_file_name uses the ids from the match URL', () => {
+    assert.equal(get_match_card_file_name(MATCH_URL), '160037514-9010.html');
+});
+
+test('parse_match_card reads each frame and who made a break and dish', async () => {
+    const frames = parse_match_card(await read_card());
+
+    assert.equal(frames.length, 10);
+    assert.deepEqual(frames[0], { home_player: 'John Quayle', away_player: 'Dave Kelly', winner: 'home', break_and_dish: null });
+    assert.deepEqual(frames[1], { home_player: 'Pete Corlett', away_player: 'Sam Moore', winner: 'away', break_and_dish: 'away' });
+    assert.equal(frames[5].home_player, 'John Quayle');
+    assert.equal(frames[5].break_and_dish, 'home');
+    assert.equal(frames.filter(frame => frame.winner === 'home').length, 6);
+    assert.throws(() => parse_match_card(''), /No HTML content provided/);
+});
+
+test('compute_player_stats adds up frames per player and team', async () => {
+    const match = { date: '29/09/25', home_team: 'Manor', away_team: 'Albert A' };
+    const players = compute_player_stats([{ match, frames: parse_match_card(await read_card()) }]);
+
+    const john = players.find(player => player.name === 'John Quayle');
+    assert.deepEqual(john, {
+        name: 'John Quayle',
+        team: 'Manor',
+        matches_played: 1,
+        frames_played: 2,
+        frames_won: 2,
+        frames_lost: 0,
+        win_percentage: 100,
+        break_and_dishes: 1
+    });
+    assert.equal(players.find(player => player.name === 'Andy Christian').win_percentage, 0);
+    assert.equal(players.length, 10);
+    assert.deepEqual(players.slice(0, 2).map(player => player.name), ['John Quayle', 'Steve Kermode']);
+
+    const without_break_and_dishes = compute_player_stats([{ match, frames: [{ home_player: 'A', away_player: 'B', winner: 'home', break_and_dish: null }] }]);
+    assert.deepEqual(without_break_and_dishes.map(player => player.break_and_dishes), [null, null]);
+});
+
+test('build_player_stats follows each played match to its card and saves it for later runs', async (t) => {
+    const out_dir = await create_workspace(t);
+    const requested = [];
+    const fetch_html = async (url) => {
+        requested.push(url);
+        if (url === MATCH_URL) {
+            return read_card();
+        }
+        throw new Error('Request failed with status code 404');
+    };
+
+    const stats = await build_player_stats([{ name: 'Manor', url: TEAM_URL }, { name: 'Railway', url: TEAM_URL }], { out_dir, fetch_html });
+
+    // The postponed match has no card, and the card of the 13/10 match could not be downloaded.
+    assert.deepEqual(requested.sort(), [MATCH_URL, 'https://douglaspoolleague.leaguerepublic.com/match/160037514/9020.html']);
+    assert.equal(stats.matches, 1);
+    assert.equal(stats.missing, 1);
+    assert.equal(stats.players.length, 10);
+    assert.deepEqual(JSON.parse(await fs.readFile(path.join(out_dir, 'players.json'), 'utf8')), stats);
+    await fs.access(path.join(out_dir, MATCH_CARDS_DIR_NAME, '160037514-9010.html'));
+
+    const offline = await build_player_stats([{ name: 'Manor', url: TEAM_URL }], { out_dir, offline: true });
+    assert.deepEqual(offline.players, stats.players);
+});
+
+test('build_player_stats skips a match whose card URL cannot be resolved', async (t) => {
+    const out_dir = await create_workspace(t);
+    const requested = [];
+    const fetch_html = async (url) => {
+        requested.push(url);
+        return read_card();
+    };
+
+    const stats = await build_player_stats([{ name: 'Manor', url: 'not a url' }], { out_dir, fetch_html });
+
+    assert.deepEqual(requested, []);
+    assert.equal(stats.matches, 0);
+    assert.match(console.warn.mock.calls[0].arguments[0], /Skipping Manor vs Albert A on 29\/09\/25: invalid match card URL/);
+});
@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const {create_feed_server} = require('../scripts/server');
+const {run_pipeline} = require('../scripts/pipeline');
+
+const PAGES_DIR = path.join(__dirname, 'fixtures', 'team-pages');
+const TTL_SECONDS = 600;
+
+/**
+ * Starts a server and stops it when the test ends.
+ * @returns {Promise<string>} The server's base URL.
+ */
+const listen = async (t, server) => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(resolve);
+    }));
+    return `http://127.0.0.1:${server.address().port}`;
+};
+
+/**
+ * Starts a stand-in for the league website serving a saved team page, and a feed server
+ * that rebuilds Railway's calendar from it through the pipeline.
+ */
+const create_workspace = async (t) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'error', () => {});
+    const out_dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pool-fixtures-'));
+    t.after(() => fs.rm(out_dir, { recursive: true, force: true }));
+
+    const league_site = { requests: 0, status: 200 };
+    const page = await fs.readFile(path.join(PAGES_DIR, 'normal.html'), 'utf8');
+    const league_url = await listen(t, http.createServer((request, response) => {
+        league_site.requests += 1;
+        response.writeHead(league_site.status, { 'Content-Type': 'text/html' });
+        response.end(league_site.status === 200 ? page : '');
+    }));
+
+    const teams = [{ name: 'Railway', url: `${league_url}/team/160037514/717368412.html` }];
+    const teams_file = path.join(out_dir, 'teams.json');
+    await fs.writeFile(teams_file, JSON.stringify(teams));
+
+    const clock = { now: Date.parse('2025-10-01T12:00:00Z') };
+    const server = create_feed_server({
+        teams,
+        out_dir,
+        ttl_seconds: TTL_SECONDS,
+        now: () => clock.now,
+        refresh: () => run_pipeline('calendars', {
+            teams_file,
+            out_dir,
+            fetch_options: { cache_dir: null, retries: 0, min_interval_ms: 0 }
+        })
+    });
+    return { base_url: await listen(t, server), league_site, clock };
+};
+
+test('the feed server builds a team calendar on the first request and serves it with caching headers', async (t) => {
+    const { base_url, league_site } = await create_workspace(t);
+
+    const response = await fetch(`${base_url}/teams/railway.ics`);
+    const body = await response.text();
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'text/calendar; charset=utf-8');
+    assert.match(body, /^BEGIN:VCALENDAR/);
+    assert.match(body, /SUMMARY:vs Sam Webbs \(H\)|SUMMARY:at Sam Webbs \(A\)/);
+    assert.match(response.headers.get('etag'), /^"[0-9a-f]{40}"$/);
+    assert.equal(response.headers.get('cache-control'), `public, max-age=${TTL_SECONDS}`);
+    assert.equal(league_site.requests, 1);
+
+    const not_modified = await fetch(`${base_url}/teams/railway.ics`, { headers: { 'If-None-Match': response.headers.get('etag') } });
+    assert.equal(not_modified.status, 304);
+    assert.equal(league_site.requests, 1);
+
+    const league = await fetch(`${base_url}/league.ics`);
+    assert.equal(league.status, 200);
+    assert.match(await league.text(), /X-WR-CALNAME:League \(all matches\)/);
+});
+
+test('the feed server rebuilds once the TTL has passed, and keeps serving the last calendar if that fails', async (t) => {
+    const { base_url, league_site, clock } = await create_workspace(t);
+    const first = await (await fetch(`${base_url}/teams/railway.ics`)).text();
+
+    clock.now += (TTL_SECONDS - 60) * 1000;
+    const cached = await fetch(`${base_url}/teams/railway.ics`);
+    await cached.text();
+    assert.equal(league_site.requests, 1);
+    assert.equal(cached.headers.get('cache-control'), 'public, max-age=60');
+
+    clock.now += 120 * 1000;
+    league_site.status = 404;
+    const stale = await fetch(`${base_url}/teams/railway.ics`);
+    assert.equal(league_site.requests, 2);
+    assert.equal(stale.status, 200);
+    assert.equal(await stale.text(), first);
+});
+
+test('the feed server lists the teams and serves their matches as JSON', async (t) => {
+    const { base_url } = await create_workspace(t);
+
+    const index = await (await fetch(`${base_url}/teams`)).json();
+    assert.deepEqual(index, {
+        league: '/league.ics',
+        teams: [{ name: 'Railway', division: null, ics: '/teams/railway.ics', json: '/teams/railway.json' }]
+    });
+
+    const response = await fetch(`${base_url}/teams/railway.json`);
+    assert.equal(response.headers.get('content-type'), 'application/json; charset=utf-8');
+    const matches = await response.json();
+    assert.equal(matches.team, 'Railway');
+    assert.equal(matches.fixtures.length, 4);
+    assert.equal(matches.results.length, 3);
+});
+
+test('the feed server reads match times in the league time zone', async (t) => {
+    const out_dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pool-fixtures-'));
+    t.after(() => fs.rm(out_dir, { recursive: true, force: true }));
+    await fs.writeFile(path.join(out_dir, 'fixtures-railway.json'), JSON.stringify([
+        { date: '06/10/25', time: '20:00', home_team: 'Railway', away_team: 'Manor', venue: '' }
+    ]));
+    const server = create_feed_server({
+        teams: [{ name: 'Railway', url: 'x' }],
+        out_dir,
+        time_zone: 'America/New_York',
+        refresh: async () => ({ succeeded: ['Railway'], failed: [] })
+    });
+    const base_url = await listen(t, server);
+
+    const matches = await (await fetch(`${base_url}/teams/railway.json`)).json();
+    assert.equal(matches.fixtures[0].start, '2025-10-06T20:00:00-04:00');
+    assert.deepEqual(matches.results, []);
+});
+
+test('the feed server rejects unknown teams and methods', async (t) => {
+    const { base_url, league_site } = await create_workspace(t);
+
+    assert.equal((await fetch(`${base_url}/teams/manor.ics`)).status, 404);
+    assert.equal((await fetch(`${base_url}/teams/../railway.ics`)).status, 404);
+    const post = await fetch(`${base_url}/teams/railway.ics`, { method: 'POST' });
+    assert.equal(post.status, 405);
+    assert.equal(post.headers.get('allow'), 'GET, HEAD');
+    assert.equal(league_site.requests, 0);
+});
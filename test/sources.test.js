@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {parse_csv, parse_table_source} = require('../scripts/table-source');
+const {SOURCES, get_team_source, get_source_url, register_source, get_source_adapter} = require('../scripts/sources');
+const {build_matches_json} = require('../scripts/html-to-json');
+
+const TIME_ZONE = 'Europe/Isle_of_Man';
+const CSV_URL = 'https://example.com/league/fixtures.csv';
+
+const CSV_SOURCE = {
+    type: 'table',
+    url: CSV_URL,
+    format: 'csv',
+    date_format: 'DD/MM/YYYY',
+    columns: { date: 'Date', time: 'Kick off', home_team: 'Home', away_team: 'Away', venue: 'Venue', result: 'Score' }
+};
+
+const CSV = [
+    'Date,Kick off,Home,Away,Venue,Score',
+    '06/10/2025,20:00,Railway,"Manor, The",Railway,7 - 3',
+    '',
+    '13/10/2025,8:30,Queens,Railway,Queens,',
+    'TBC,,Railway,Heron B,Railway,',
+    '20/10/2025,20:00,,Railway,,'
+].join('\r\n');
+
+test('parse_csv reads quoted fields, doubled quotes and line breaks inside quotes', () => {
+    assert.deepEqual(parse_csv('\uFEFFa,"b, c","say ""hi"""\n"two\nlines",,x\n\n'), [
+        ['a', 'b, c', 'say "hi"'],
+        ['two\nlines', '', 'x']
+    ]);
+});
+
+test('parse_table_source maps CSV columns by heading and writes dates as DD/MM/YY', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const matches = parse_table_source(CSV, { source: CSV_SOURCE, time_zone: TIME_ZONE, source_url: CSV_URL });
+
+    assert.deepEqual(matches.map(({ date, time, home_team, away_team, status }) => [date, time, home_team, away_team, status]), [
+        ['06/10/25', '20:00', 'Railway', 'Manor, The', 'played'],
+        ['13/10/25', '08:30', 'Queens', 'Railway', 'scheduled'],
+        ['TBC', 'N/A', 'Railway', 'Heron B', 'scheduled']
+    ]);
+    assert.equal(matches[0].start, '2025-10-06T20:00:00+01:00');
+    assert.equal(matches[0].result, '7-3');
+    assert.deepEqual(matches[0].score, { home_score: 7, away_score: 3 });
+    assert.equal(matches[0].source_url, CSV_URL);
+    assert.equal('result' in matches[1], false);
+    assert.match(warn.mock.calls[0].arguments[0], /Skipping table row 4: Incomplete data/);
+});
+
+test('parse_table_source reads HTML tables by column number, with the time in the date column', () => {
+    const html = `<table id="other"><tr><td>Ignored</td></tr></table>
+        <table id="fixtures">
+            <tr><th>When</th><th>Comp</th><th>Home</th><th>Away</th></tr>
+            <tr><td>2025-10-06 19:45</td><td>PREM</td><td><a href="/t/1">Railway</a></td><td>Manor</td></tr>
+        </table>`;
+    const source = { type: 'table', selector: '#fixtures tr', date_format: 'YYYY-MM-DD', columns: { date: 0, time: 0, division: 1, home_team: 2, away_team: 3 } };
+    const [match] = parse_table_source(html, { source, time_zone: TIME_ZONE });
+    assert.deepEqual([match.date, match.time, match.division, match.home_team, match.venue], ['06/10/25', '19:45', 'PREM', 'Railway', '']);
+
+    assert.throws(() => parse_table_source(html, { source: { ...source, columns: { ...source.columns, venue: 'Venue' } } }), /No "Venue" heading found for the venue column/);
+    assert.throws(() => parse_table_source('', { source }), /No table content provided/);
+});
+
+test('parse_table_source lists a match in both the fixtures and the results once, as a result', () => {
+    const csv = [
+        'Date,Kick off,Home,Away,Venue,Score',
+        '06/10/2025,20:00,Railway,Manor,Railway,',
+        '06/10/2025,20:00,Railway,Manor,,7-3'
+    ].join('\n');
+
+    const matches = parse_table_source(csv, { source: CSV_SOURCE, time_zone: TIME_ZONE });
+
+    assert.deepEqual(matches.map(({ status, result, venue }) => [status, result, venue]), [['played', '7-3', 'Railway']]);
+});
+
+test('get_source_adapter defaults to LeagueRepublic and checks the team\'s source settings', () => {
+    const team = { name: 'Railway', url: 'https://example.com/railway' };
+    assert.deepEqual(get_team_source(team), { type: 'leaguerepublic' });
+    assert.equal(get_source_adapter(team).type, 'leaguerepublic');
+    assert.equal(get_source_url(team), team.url);
+    assert.equal(get_source_url({ ...team, source: CSV_SOURCE }), CSV_URL);
+    assert.deepEqual(get_team_source({ ...team, source: 'leaguerepublic' }), { type: 'leaguerepublic' });
+
+    assert.throws(() => get_source_adapter({ ...team, source: 'fulltime' }), /Unknown source "fulltime" for Railway; expected one of: leaguerepublic, table/);
+    assert.throws(() => get_source_adapter({ ...team, source: { type: 'table', format: 'xlsx', columns: {} } }), /Unknown table format "xlsx"/);
+    assert.throws(() => get_source_adapter({ ...team, source: { type: 'table', columns: { date: 0, time: 0 } } }), /"columns" is missing: home_team, away_team\.$/);
+    assert.throws(() => get_source_adapter({ ...team, source: { type: 'table', columns: { date: 0, home_team: 1, away_team: 2 } } }), /"columns" is missing: time\. Point "time" at the date column/);
+    assert.throws(() => get_source_adapter({ ...team, source: { type: 'table', header: false, columns: { date: 'Date', time: 0, home_team: 1, away_team: 2 } } }), /Column "date" must be a column number/);
+    assert.throws(() => register_source('broken', {}), /needs a "parse" function/);
+});
+
+test('build_matches_json parses each team with its own source adapter', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    const out_dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pool-fixtures-'));
+    t.after(() => fs.rm(out_dir, { recursive: true, force: true }));
+    t.after(() => SOURCES.delete('lines'));
+    register_source('lines', {
+        parse: (content, { source_url }) => content.split('\n').map(line => {
+            const [date, home_team, away_team] = line.split('|');
+            return { date, home_team, away_team, source_url };
+        })
+    });
+    await fs.writeFile(path.join(out_dir, 'team-page-railway.html'), CSV);
+    await fs.writeFile(path.join(out_dir, 'team-page-manor.html'), '06/10/25|Railway|Manor');
+
+    const summary = await build_matches_json([
+        { name: 'Railway', url: 'https://example.com/railway', source: CSV_SOURCE },
+        { name: 'Manor', url: 'https://example.com/manor', source: 'lines' }
+    ], { out_dir, time_zone: TIME_ZONE });
+
+    assert.deepEqual(summary, { succeeded: ['Railway', 'Manor'], failed: [] });
+    const results = JSON.parse(await fs.readFile(path.join(out_dir, 'results-railway.json'), 'utf8'));
+    const fixtures = JSON.parse(await fs.readFile(path.join(out_dir, 'fixtures-railway.json'), 'utf8'));
+    assert.deepEqual([results.length, fixtures.length], [1, 2]);
+    assert.deepEqual(JSON.parse(await fs.readFile(path.join(out_dir, 'fixtures-manor.json'), 'utf8')), [
+        { date: '06/10/25', home_team: 'Railway', away_team: 'Manor', source_url: 'https://example.com/manor' }
+    ]);
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {
+    parse_score,
+    parse_points_rules,
+    collect_matches,
+    compute_form,
+    compute_standings,
+    render_standings_markdown,
+    build_standings
+} = require('../scripts/standings');
+const {create_match} = require('../scripts/match-model');
+
+const result = (date, home_team, score, away_team) => ({ date, time: '20:00', home_team, away_team, venue: '', result: score });
+
+const RAILWAY_RESULTS = [
+    result('15/09/25', 'Railway', '7-3', 'Manx Arms'),
+    result('22/09/25', 'Rosemount', '5-5', 'Railway'),
+    result('29/09/25', 'Railway', '4-6', 'Manor')
+];
+const MANOR_RESULTS = [
+    result('29/09/25', 'Railway', '4-6', 'Manor'),
+    result('06/10/25', 'Manor', 'P-P', 'Manx Arms'),
+    result('13/10/25', 'Manor', 'W-O', 'Rosemount')
+];
+
+test('parse_score reads frame scores and walkovers and ignores postponements', () => {
+    assert.deepEqual(parse_score('7-3'), { home_frames: 7, away_frames: 3, walkover: false });
+    assert.deepEqual(parse_score('10 - 0'), { home_frames: 10, away_frames: 0, walkover: false });
+    assert.equal(parse_score('W-O').home_wins, true);
+    assert.equal(parse_score('O-W').home_wins, false);
+    assert.equal(parse_score('P-P'), null);
+    assert.equal(parse_score(''), null);
+});
+
+test('parse_points_rules overrides the defaults and rejects unknown keys', () => {
+    assert.deepEqual(parse_points_rules('win=3, frame=1'), { win: 3, draw: 1, loss: 0, frame: 1 });
+    assert.throws(() => parse_points_rules('bonus=1'), /Invalid points rule/);
+    assert.throws(() => parse_points_rules('win=lots'), /Invalid points rule/);
+});
+
+test('collect_matches keeps a match seen from both teams once', () => {
+    const matches = collect_matches([RAILWAY_RESULTS, MANOR_RESULTS]);
+    assert.equal(matches.length, 4);
+});
+
+test('compute_form lists each team\'s latest outcomes, oldest first', () => {
+    const matches = collect_matches([[...MANOR_RESULTS].reverse(), RAILWAY_RESULTS]);
+    const form = compute_form(matches);
+    assert.equal(form.get('Railway'), 'WDL');
+    assert.equal(form.get('Manor'), 'WW');
+    assert.equal(form.get('Rosemount'), 'DL');
+    assert.equal(compute_form(matches, 2).get('Railway'), 'DL');
+});
+
+test('compute_standings builds a sorted table per division', () => {
+    const teams = [
+        { name: 'Railway', division: 'Premier' },
+        { name: 'Manor', division: 'Premier' },
+        { name: 'Manx Arms', division: 'First' }
+    ];
+    const standings = compute_standings(collect_matches([RAILWAY_RESULTS, MANOR_RESULTS]), teams);
+
+    assert.deepEqual(standings.map(table => table.division), ['First', 'Premier']);
+    const premier = standings.find(table => table.division === 'Premier');
+    assert.deepEqual(premier.rows.map(row => row.team), ['Manor', 'Railway', 'Rosemount']);
+    assert.deepEqual(premier.rows[0], {
+        team: 'Manor',
+        played: 2,
+        won: 2,
+        drawn: 0,
+        lost: 0,
+        frames_for: 6,
+        frames_against: 4,
+        frame_difference: 2,
+        points: 4
+    });
+    assert.deepEqual(premier.rows[1], {
+        team: 'Railway',
+        played: 3,
+        won: 1,
+        drawn: 1,
+        lost: 1,
+        frames_for: 16,
+        frames_against: 14,
+        frame_difference: 2,
+        points: 3
+    });
+});
+
+test('compute_standings applies per-frame points', () => {
+    const standings = compute_standings(collect_matches([RAILWAY_RESULTS]), [{ name: 'Railway' }], parse_points_rules('win=0,draw=0,frame=1'));
+    const railway = standings[0].rows.find(row => row.team === 'Railway');
+    assert.equal(standings[0].division, 'League');
+    assert.equal(railway.points, 16);
+});
+
+test('compute_standings groups matches by their competition and leaves cups out', () => {
+    const matches = collect_matches([[
+        create_match(result('15/09/25', 'Railway', '7-3', 'Manx Arms'), { division: 'PREM' }),
+        create_match(result('22/09/25', 'Railway', '2-8', 'Albert A'), { division: 'CUP' }),
+        create_match(result('29/09/25', 'Queens', '6-4', 'Heron B'), { division: 'DIV 1' }),
+        result('06/10/25', 'Railway', '5-5', 'Manor')
+    ]]);
+    const standings = compute_standings(matches, [{ name: 'Railway', division: 'PREM' }]);
+
+    assert.deepEqual(standings.map(({ division, rows }) => [division, rows.map(row => `${row.team} ${row.played}`)]), [
+        ['DIV 1', ['Queens 1', 'Heron B 1']],
+        ['PREM', ['Railway 2', 'Manor 1', 'Manx Arms 1']]
+    ]);
+    assert.equal(standings[1].rows[0].frames_against, 8);
+});
+
+test('render_standings_markdown renders one table per division', () => {
+    const markdown = render_standings_markdown(compute_standings(collect_matches([RAILWAY_RESULTS]), [{ name: 'Railway', division: 'Premier' }]));
+    assert.match(markdown, /^# League Standings\n\n## Premier\n\n\| Pos \| Team \| P /);
+    assert.match(markdown, /\| 1 \| Railway \| 3 \| 1 \| 1 \| 1 \| 16 \| 14 \| 2 \| 3 \|/);
+});
+
+test('build_standings writes JSON, HTML and Markdown', async (t) => {
+    const out_dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pool-fixtures-'));
+    t.after(() => fs.rm(out_dir, { recursive: true, force: true }));
+    await fs.writeFile(path.join(out_dir, 'results-railway.json'), JSON.stringify(RAILWAY_RESULTS));
+    await fs.writeFile(path.join(out_dir, 'results-manor.json'), JSON.stringify([{ home_team: 'Manor' }]));
+    const warn = t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'log', () => {});
+
+    await assert.rejects(build_standings([{ name: 'Manor' }], { out_dir }), /results-manor.json has invalid matches/);
+    await build_standings([{ name: 'Railway', division: 'Premier' }, { name: 'Queens', division: 'Premier' }], { out_dir, time_zone: 'Europe/London' });
+    assert.match(warn.mock.calls[0].arguments[0], /No results file for Queens/);
+
+    const json = JSON.parse(await fs.readFile(path.join(out_dir, 'standings.json'), 'utf8'));
+    assert.equal(json.standings[0].rows.length, 4);
+    assert.match(await fs.readFile(path.join(out_dir, 'standings.html'), 'utf8'), /<h2>Premier<\/h2>/);
+    assert.match(await fs.readFile(path.join(out_dir, 'standings.md'), 'utf8'), /## Premier/);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    zoned_time_to_utc,
+    format_local_date_for_ical,
+    get_timezone_offset_minutes,
+    build_vtimezone
+} = require('../scripts/timezone');
+const {serialize_component} = require('../scripts/ics');
+
+const TZ = 'Europe/Isle_of_Man';
+
+test('zoned_time_to_utc treats winter fixture times as GMT', () => {
+    // Clocks go forward at 01:00 UTC on Sunday 30 March 2025.
+    const saturday = zoned_time_to_utc({ year: 2025, month: 3, day: 29, hour: 19, minute: 30 }, TZ);
+    assert.equal(saturday.toISOString(), '2025-03-29T19:30:00.000Z');
+
+    // Clocks go back at 01:00 UTC on Sunday 26 October 2025.
+    const monday = zoned_time_to_utc({ year: 2025, month: 10, day: 27, hour: 19, minute: 30 }, TZ);
+    assert.equal(monday.toISOString(), '2025-10-27T19:30:00.000Z');
+});
+
+test('zoned_time_to_utc treats summer fixture times as BST', () => {
+    const monday = zoned_time_to_utc({ year: 2025, month: 3, day: 31, hour: 19, minute: 30 }, TZ);
+    assert.equal(monday.toISOString(), '2025-03-31T18:30:00.000Z');
+
+    const saturday = zoned_time_to_utc({ year: 2025, month: 10, day: 25, hour: 19, minute: 30 }, TZ);
+    assert.equal(saturday.toISOString(), '2025-10-25T18:30:00.000Z');
+});
+
+test('zoned_time_to_utc moves times in the spring-forward gap past the gap', () => {
+    const skipped = zoned_time_to_utc({ year: 2025, month: 3, day: 30, hour: 1, minute: 30 }, TZ);
+    assert.equal(skipped.toISOString(), '2025-03-30T01:30:00.000Z');
+    assert.equal(format_local_date_for_ical(skipped, TZ), '20250330T023000');
+});
+
+test('format_local_date_for_ical round-trips the wall-clock time on both sides of the change', () => {
+    for (const [day, month] of [[29, 3], [31, 3], [25, 10], [27, 10]]) {
+        const instant = zoned_time_to_utc({ year: 2025, month, day, hour: 19, minute: 30 }, TZ);
+        const expected = `2025${String(month).padStart(2, '0')}${day}T193000`;
+        assert.equal(format_local_date_for_ical(instant, TZ), expected);
+    }
+});
+
+test('get_timezone_offset_minutes reports the offset either side of the clock changes', () => {
+    assert.equal(get_timezone_offset_minutes(new Date('2025-03-30T00:59:00Z'), TZ), 0);
+    assert.equal(get_timezone_offset_minutes(new Date('2025-03-30T01:00:00Z'), TZ), 60);
+    assert.equal(get_timezone_offset_minutes(new Date('2025-10-26T00:59:00Z'), TZ), 60);
+    assert.equal(get_timezone_offset_minutes(new Date('2025-10-26T01:00:00Z'), TZ), 0);
+});
+
+test('build_vtimezone describes every transition in the season', () => {
+    const lines = serialize_component(build_vtimezone(TZ, 2025, 2026));
+    const text = lines.join('\n');
+
+    assert.equal(lines[0], 'BEGIN:VTIMEZONE');
+    assert.equal(lines[1], `TZID:${TZ}`);
+    assert.equal(lines[lines.length - 1], 'END:VTIMEZONE');
+
+    assert.match(text, /BEGIN:DAYLIGHT\nDTSTART:20250330T010000\nTZOFFSETFROM:\+0000\nTZOFFSETTO:\+0100\n/);
+    assert.match(text, /BEGIN:STANDARD\nDTSTART:20251026T020000\nTZOFFSETFROM:\+0100\nTZOFFSETTO:\+0000\n/);
+    assert.match(text, /BEGIN:DAYLIGHT\nDTSTART:20260329T010000\n/);
+    assert.match(text, /BEGIN:STANDARD\nDTSTART:20261025T020000\n/);
+    // The year before the first event is included so January fixtures resolve.
+    assert.match(text, /BEGIN:STANDARD\nDTSTART:20241027T020000\n/);
+});
+
+test('build_vtimezone emits a single fixed offset for zones without daylight saving', () => {
+    const lines = serialize_component(build_vtimezone('UTC', 2025, 2025));
+    assert.deepEqual(lines, [
+        'BEGIN:VTIMEZONE',
+        'TZID:UTC',
+        'BEGIN:STANDARD',
+        'DTSTART:19700101T000000',
+        'TZOFFSETFROM:+0000',
+        'TZOFFSETTO:+0000',
+        'END:STANDARD',
+        'END:VTIMEZONE'
+    ]);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {parse_ics, validate_ics, get_property_value} = require('../scripts/validate-ics');
+const {serialize_calendar, property} = require('../scripts/ics');
+const {build_vtimezone} = require('../scripts/timezone');
+
+const TZ = 'Europe/Isle_of_Man';
+
+const build_calendar = (event_properties = []) => serialize_calendar({
+    name: 'VCALENDAR',
+    properties: [property('VERSION', '2.0'), property('PRODID', '-//Test//EN')],
+    components: [
+        build_vtimezone(TZ, 2025, 2025),
+        {
+            name: 'VEVENT',
+            properties: [
+                property('UID', 'match-1@test'),
+                property('DTSTAMP', '20250901T000000Z'),
+                property('DTSTART', '20250915T200000', { TZID: TZ }),
+                property('DTEND', '20250915T220000', { TZID: TZ }),
+                ...event_properties
+            ]
+        }
+    ]
+});
+
+test('validate_ics accepts serialized calendars with long, escaped text', () => {
+    const text = build_calendar([
+        property('LOCATION', 'Albert Hotel, 3 Chapel Row, Douglas, Isle of Man IM1 2BJ, Isle of Man'),
+        property('DESCRIPTION', `Venue: Albert\nURL: https://example.com/${'long-path/'.repeat(20)}`)
+    ]);
+    assert.deepEqual(validate_ics(text), []);
+});
+
+test('parse_ics unfolds lines and get_property_value unescapes text', () => {
+    const location = 'Albert Hotel, 3 Chapel Row, Douglas, Isle of Man IM1 2BJ, Isle of Man';
+    const { components, errors } = parse_ics(build_calendar([property('LOCATION', location)]));
+    assert.deepEqual(errors, []);
+    const event = components[0].components.find(component => component.name === 'VEVENT');
+    assert.equal(get_property_value(event, 'LOCATION'), location);
+    assert.equal(event.properties.find(p => p.name === 'DTSTART').params.TZID, TZ);
+});
+
+test('validate_ics rejects unescaped separators and raw newlines', () => {
+    const text = build_calendar()
+        .replace('UID:match-1@test\r\n', 'UID:match-1@test\r\nLOCATION:Hotel, Douglas; IoM\r\nDESCRIPTION:one\ntwo\r\n');
+    const errors = validate_ics(text);
+    assert.ok(errors.some(error => /LOCATION contains an unescaped comma/.test(error)));
+    assert.ok(errors.some(error => /LOCATION contains an unescaped semicolon/.test(error)));
+    assert.ok(errors.some(error => /bare CR or LF/.test(error)));
+});
+
+test('validate_ics rejects unfolded long lines', () => {
+    const text = build_calendar().replace('UID:match-1@test', `UID:${'x'.repeat(100)}`);
+    assert.ok(validate_ics(text).some(error => /longer than 75 octets/.test(error)));
+});
+
+test('validate_ics rejects missing required properties and unknown time zones', () => {
+    const text = build_calendar()
+        .replace('DTSTAMP:20250901T000000Z\r\n', '')
+        .replace(`DTEND;TZID=${TZ}`, 'DTEND;TZID=Europe/Nowhere');
+    const errors = validate_ics(text);
+    assert.ok(errors.some(error => /VEVENT is missing DTSTAMP/.test(error)));
+    assert.ok(errors.some(error => /TZID "Europe\/Nowhere" has no matching VTIMEZONE/.test(error)));
+});
+
+test('validate_ics rejects unbalanced components and duplicate UIDs', () => {
+    const unbalanced = build_calendar().replace('END:VEVENT\r\n', '');
+    assert.ok(validate_ics(unbalanced).some(error => /does not match BEGIN:VEVENT/.test(error)));
+
+    const event_text = build_calendar().match(/BEGIN:VEVENT[\s\S]*END:VEVENT\r\n/)[0];
+    const duplicated = build_calendar().replace(event_text, event_text + event_text);
+    assert.ok(validate_ics(duplicated).some(error => /UID "match-1@test" is already used/.test(error)));
+});
+
+test('validate_ics rejects an end before the start', () => {
+    const text = build_calendar().replace('DTEND;TZID=Europe/Isle_of_Man:20250915T220000', 'DTEND;TZID=Europe/Isle_of_Man:20250915T190000');
+    assert.ok(validate_ics(text).some(error => /DTEND is not after DTSTART/.test(error)));
+});
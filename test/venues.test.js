@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {
+    normalize_venue_name,
+    load_venue_registry_async,
+    create_venue_resolver,
+    infer_missing_venues,
+    build_location_properties,
+    create_venue_report
+} = require('../scripts/venues');
+const {serialize_property} = require('../scripts/ics');
+const {convert_events_to_ical, build_calendars} = require('../scripts/json-to-ics');
+const {parse_ics, get_property_value} = require('../scripts/validate-ics');
+
+const REGISTRY = [
+    { name: 'The Railway Inn', aliases: ['Railway'], address: 'The Railway Inn, North Quay, Douglas', latitude: 54.1503, longitude: -4.4806 },
+    { name: 'The Horse & Plough', aliases: [], address: 'Horse & Plough, Braddan' },
+    { name: 'The Heron', aliases: ['Heron (Pool Room)', 'Heron (Lounge)'], address: 'The Heron, Cushag Rd' },
+    { name: 'Pool Hall', aliases: [], address: '' }
+];
+
+const make_temp_dir = async (t) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pool-fixtures-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    return dir;
+};
+
+test('normalize_venue_name ignores case, punctuation, "&" and a leading "The"', () => {
+    assert.equal(normalize_venue_name('The Horse & Plough'), 'horse and plough');
+    assert.equal(normalize_venue_name('  HORSE and PLOUGH!'), 'horse and plough');
+    assert.equal(normalize_venue_name('Sam Webb’s'), 'sam webbs');
+    assert.equal(normalize_venue_name('Café Royal'), 'cafe royal');
+    assert.equal(normalize_venue_name(''), '');
+});
+
+test('create_venue_resolver matches names and aliases exactly after normalizing', () => {
+    const resolve = create_venue_resolver(REGISTRY);
+    assert.equal(resolve('RAILWAY').venue.name, 'The Railway Inn');
+    assert.equal(resolve('railway inn').matched_by, 'exact');
+    assert.equal(resolve('Horse and Plough').venue.name, 'The Horse & Plough');
+    assert.equal(resolve('heron (lounge)').venue.name, 'The Heron');
+    assert.equal(resolve(''), null);
+});
+
+test('create_venue_resolver matches close spellings and unambiguous partial names', () => {
+    const resolve = create_venue_resolver(REGISTRY);
+    assert.deepEqual(resolve('Railwya'), { venue: REGISTRY[0], matched_by: 'fuzzy' });
+    assert.equal(resolve('Horse Plough').venue.name, 'The Horse & Plough');
+    assert.equal(resolve('Pool Room').venue.name, 'The Heron');
+    // "Pool" alone could be The Heron's pool room or the Pool Hall.
+    assert.equal(resolve('Pool'), null);
+    assert.equal(resolve('Sam Webbs'), null);
+});
+
+test('load_venue_registry_async reads the registry and the older location mapper format', async (t) => {
+    const dir = await make_temp_dir(t);
+    const registry_path = path.join(dir, 'venues.json');
+    const mapper_path = path.join(dir, 'location_mapper.json');
+    await fs.writeFile(registry_path, JSON.stringify([{ name: 'Queens', latitude: 54.16, longitude: -4.47 }]));
+    await fs.writeFile(mapper_path, JSON.stringify({ railway: 'The Railway Inn, North Quay' }));
+
+    assert.deepEqual(await load_venue_registry_async(registry_path), [
+        { name: 'Queens', aliases: [], address: '', latitude: 54.16, longitude: -4.47 }
+    ]);
+    assert.deepEqual(await load_venue_registry_async(mapper_path), [
+        { name: 'railway', aliases: [], address: 'The Railway Inn, North Quay' }
+    ]);
+
+    t.mock.method(console, 'warn', () => {});
+    assert.deepEqual(await load_venue_registry_async(path.join(dir, 'missing.json')), []);
+
+    await fs.writeFile(registry_path, JSON.stringify([{ name: 'Queens', latitude: 54.16 }]));
+    await assert.rejects(load_venue_registry_async(registry_path), /both "latitude" and "longitude"/);
+    await fs.writeFile(registry_path, JSON.stringify([{ name: 'Queens', latitude: 154, longitude: 0 }]));
+    await assert.rejects(load_venue_registry_async(registry_path), /invalid latitude or longitude/);
+    await fs.writeFile(registry_path, JSON.stringify([{ name: 'Queens', tables: 0 }]));
+    await assert.rejects(load_venue_registry_async(registry_path), /invalid "tables"/);
+});
+
+test('infer_missing_venues gives results the home team\'s usual venue', () => {
+    const events = infer_missing_venues([
+        { home_team: 'Railway', away_team: 'Manor', venue: 'Railway' },
+        { home_team: 'Railway', away_team: 'Queens', venue: '', result: '6-4' },
+        { home_team: 'Rosemount', away_team: 'Railway', venue: '', result: '5-5' }
+    ]);
+    assert.deepEqual(events.map(event => event.venue), ['Railway', 'Railway', '']);
+});
+
+test('build_location_properties adds GEO and Apple structured location for venues with coordinates', () => {
+    const resolve = create_venue_resolver(REGISTRY);
+    const lines = build_location_properties('Railway', resolve('Railway')).map(serialize_property);
+    assert.deepEqual(lines, [
+        'LOCATION:The Railway Inn\\, North Quay\\, Douglas',
+        'GEO:54.1503;-4.4806',
+        'X-APPLE-STRUCTURED-LOCATION;VALUE=URI;X-ADDRESS="The Railway Inn, North Quay, Douglas";X-APPLE-RADIUS=70;X-TITLE=The Railway Inn:geo:54.1503,-4.4806'
+    ]);
+    assert.deepEqual(build_location_properties('Horse and Plough', resolve('Horse and Plough')).map(serialize_property), [
+        'LOCATION:Horse & Plough\\, Braddan'
+    ]);
+    assert.deepEqual(build_location_properties('Nowhere', null).map(serialize_property), ['LOCATION:Nowhere']);
+});
+
+test('convert_events_to_ical writes the resolved venue for fixtures and results', () => {
+    const ics = convert_events_to_ical(infer_missing_venues([
+        { date: '15/09/25', time: '20:00', home_team: 'Railway', away_team: 'Manor', venue: 'railway' },
+        { date: '01/09/25', time: '20:00', home_team: 'Railway', away_team: 'Queens', venue: '', result: '6-4' }
+    ]), create_venue_resolver(REGISTRY), 'https://example.com/team/1/2.html', { now: new Date('2025-09-01T00:00:00Z') });
+    const { components } = parse_ics(ics);
+    const events = components[0].components.filter(component => component.name === 'VEVENT');
+    assert.equal(events.length, 2);
+    for (const event of events) {
+        assert.equal(get_property_value(event, 'LOCATION'), 'The Railway Inn, North Quay, Douglas');
+        assert.equal(get_property_value(event, 'GEO'), '54.1503;-4.4806');
+    }
+});
+
+test('create_venue_report lists unknown and fuzzily matched venues per team', () => {
+    const resolve = create_venue_resolver(REGISTRY);
+    const report = create_venue_report();
+    for (const [venue, team] of [['Railway', 'Railway'], ['Railwya', 'Manor'], ['Lost Inn', 'Railway'], ['Lost Inn', 'Manor'], ['', 'Manor']]) {
+        report.record(venue, team, resolve(venue));
+    }
+    assert.deepEqual(report.to_report(), {
+        unmapped: [{ venue: 'Lost Inn', count: 2, teams: ['Manor', 'Railway'], matched: undefined }],
+        fuzzy: [{ venue: 'Railwya', count: 1, teams: ['Manor'], matched: 'The Railway Inn' }]
+    });
+});
+
+test('build_calendars saves the unmapped venue report', async (t) => {
+    const out_dir = await make_temp_dir(t);
+    const venues_path = path.join(out_dir, 'venues.json');
+    await fs.writeFile(venues_path, JSON.stringify(REGISTRY));
+    await fs.writeFile(path.join(out_dir, 'fixtures-railway.json'), JSON.stringify([
+        { date: '15/09/25', time: '20:00', home_team: 'Railway', away_team: 'Manor', venue: 'Railway' },
+        { date: '22/09/25', time: '20:00', home_team: 'Manor', away_team: 'Railway', venue: 'Manor Lounge' }
+    ]));
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'log', () => {});
+
+    await build_calendars([{ name: 'Railway', url: 'https://example.com/team/1/2.html' }], { out_dir, venues_path });
+
+    const report = JSON.parse(await fs.readFile(path.join(out_dir, 'unmapped-venues.json'), 'utf8'));
+    assert.deepEqual(report.unmapped.map(entry => entry.venue), ['Manor Lounge']);
+    assert.deepEqual(report.fuzzy, []);
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {create_match} = require('../scripts/match-model');
+const {
+    get_page_problem,
+    count_calendar_events,
+    summarize_team_build,
+    compare_team_builds,
+    load_verification_async,
+    verify_build
+} = require('../scripts/verify');
+
+const TIME_ZONE = 'Europe/Isle_of_Man';
+const TEAM_URL = 'https://douglaspoolleague.leaguerepublic.com/team/160037514/717368412.html';
+const TEAM_PAGE = '<html><head><title>Railway - Douglas Pool League</title></head><body><p>We use cookies.</p><table class="fixed"></table><a href="/team/160037514/1.html">Railway</a></body></html>';
+
+const match = (date, result) => create_match(
+    { date, time: '20:00', home_team: 'Railway', away_team: 'Manor', venue: 'Railway', ...(result && { result }) },
+    { time_zone: TIME_ZONE }
+);
+
+const calendar = (events) => ['BEGIN:VCALENDAR', ...Array.from({ length: events }, () => 'BEGIN:VEVENT\r\nEND:VEVENT'), 'END:VCALENDAR'].join('\r\n');
+
+const build = (overrides = {}) => ({ events: 20, fixtures: 10, results: 10, first_date: '01/09/25', last_date: '20/04/26', span_days: 231, ...overrides });
+
+test('get_page_problem spots empty, error and consent pages', () => {
+    assert.equal(get_page_problem(TEAM_PAGE), null);
+    assert.equal(get_page_problem('  '), 'The fetched page is empty.');
+    assert.match(get_page_problem('<title>Just a moment...</title><body>Checking your browser</body>'), /looks like an error page \("Just a moment..."\)/);
+    assert.match(get_page_problem('<title>Douglas Pool League</title><body><h1>We value your privacy</h1><button>Accept all cookies</button></body>'), /cookie or consent page/);
+    assert.match(get_page_problem('<!DOCTYPE html><title>Sign in</title>', { format: 'csv' }), /Expected CSV but the page is HTML/);
+    assert.equal(get_page_problem('Date,Home,Away\n06/10/25,Railway,Manor', { format: 'csv' }), null);
+    assert.match(get_page_problem('<title>503 Service Unavailable</title>'), /looks like an error page/);
+});
+
+test('get_page_problem does not refuse a cookie footer or a title that mentions an error', () => {
+    const footer = '<footer>This site uses cookies. <a href="/cookies">Cookie settings</a></footer>';
+    assert.equal(get_page_problem(`<title>Railway - Douglas Pool League</title><body><p>No fixtures yet.</p>${footer}</body>`), null);
+    assert.equal(get_page_problem('<title>Error Prone - Douglas Pool League</title><body><table class="fixed"></table></body>'), null);
+    assert.equal(get_page_problem('<title>Not Found FC - Douglas Pool League</title><body><table class="fixed"></table></body>'), null);
+});
+
+test('summarize_team_build counts the calendar\'s events and the dates it covers', () => {
+    assert.equal(count_calendar_events(calendar(3)), 3);
+    assert.deepEqual(summarize_team_build([match('13/10/25'), match('TBC')], [match('06/10/25', '7-3')], calendar(3)), {
+        events: 3,
+        fixtures: 2,
+        results: 1,
+        first_date: '06/10/25',
+        last_date: '13/10/25',
+        span_days: 7
+    });
+    assert.deepEqual(summarize_team_build([], [], calendar(0)), { events: 0, fixtures: 0, results: 0, first_date: null, last_date: null, span_days: 0 });
+});
+
+test('compare_team_builds refuses calendars that lost too many events or dates', () => {
+    assert.deepEqual(compare_team_builds(build(), null), []);
+    assert.deepEqual(compare_team_builds(build({ events: 12, span_days: 200 }), build()), []);
+    assert.deepEqual(compare_team_builds(build({ events: 0, first_date: null, last_date: null, span_days: 0 }), build()), ['The calendar is empty but had 20 event(s).']);
+    assert.deepEqual(compare_team_builds(build({ events: 9 }), build()), ['The calendar has 9 event(s), down from 20.']);
+    assert.deepEqual(compare_team_builds(build({ last_date: '20/10/25', span_days: 49 }), build()), [
+        'The calendar covers 01/09/25 to 20/10/25 (49 days), down from 01/09/25 to 20/04/26 (231 days).'
+    ]);
+    assert.deepEqual(compare_team_builds(build({ events: 9 }), build(), { max_shrink: 0.6 }), []);
+});
+
+test('verify_build compares each team with the last published build and writes the report', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'error', () => {});
+    const out_dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pool-fixtures-'));
+    t.after(() => fs.rm(out_dir, { recursive: true, force: true }));
+    const write_team = async (slug, page, fixtures, results, events) => {
+        await fs.writeFile(path.join(out_dir, `team-page-${slug}.html`), page);
+        await fs.writeFile(path.join(out_dir, `fixtures-${slug}.json`), JSON.stringify(fixtures));
+        await fs.writeFile(path.join(out_dir, `results-${slug}.json`), JSON.stringify(results));
+        await fs.writeFile(path.join(out_dir, `${slug}.ics`), calendar(events));
+    };
+    await write_team('railway', TEAM_PAGE, [match('13/10/25')], [match('06/10/25', '7-3')], 2);
+    await write_team('manor', '<title>Manor</title><body>Manage your cookie consent</body>', [], [], 0);
+    await write_team('queens', TEAM_PAGE.replace('160037514', '170000001'), [match('13/10/25')], [], 1);
+    await fs.mkdir(path.join(out_dir, 'previous'));
+    await fs.writeFile(path.join(out_dir, 'previous', 'verification.json'), JSON.stringify({
+        passed: true,
+        teams: [
+            { team: 'Railway', season: '160037514', ...build() },
+            { team: 'Queens', season: '160037514', ...build() }
+        ]
+    }));
+
+    const teams = [{ name: 'Railway', url: TEAM_URL }, { name: 'Manor', url: TEAM_URL }, { name: 'Queens', url: TEAM_URL }];
+    const summary = await verify_build(teams, { out_dir, time_zone: TIME_ZONE, now: new Date('2025-10-14T00:00:00Z') });
+
+    assert.deepEqual(summary.succeeded, ['Queens']);
+    assert.deepEqual(summary.failed.map(failure => failure.team), ['Railway', 'Manor']);
+    assert.match(summary.failed[0].error, /2 event\(s\), down from 20/);
+    assert.match(summary.failed[1].error, /cookie or consent page/);
+
+    const report = await load_verification_async(out_dir);
+    assert.equal(report.passed, false);
+    assert.equal(report.teams[0].previous.events, 20);
+    assert.deepEqual(report.teams[2].warnings, ['New season 170000001; not compared with season 160037514.']);
+    const markdown = await fs.readFile(path.join(out_dir, 'verification.md'), 'utf8');
+    assert.match(markdown, /Publishing was refused/);
+    assert.match(markdown, /\| Railway \| 2 \| 20 \| 06\/10\/25 to 13\/10\/25 \| ❌ \|/);
+});